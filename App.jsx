@@ -1,44 +1,125 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Sidebar } from './components/Sidebar.jsx';
 import { Dashboard } from './components/Dashboard.jsx';
 import { MapExplorer } from './components/MapExplorer.jsx';
 import { LandRecords } from './components/LandRecords.jsx';
-import { AppView } from './constants.js';
+import { CertificateVerification } from './components/CertificateVerification.jsx';
+import { RegistryAssistant } from './components/RegistryAssistant.jsx';
+import { SettingsView } from './components/SettingsView.jsx';
+import { AuditLogView } from './components/AuditLogView.jsx';
+import { LoginView } from './components/LoginView.jsx';
+import { VerifyLookup } from './components/VerifyLookup.jsx';
+import { AppView, VIEW_PERMISSIONS } from './constants.js';
+import { AUTH_CHANGE_EVENT, getCurrentUser, logout } from './services/authService.js';
+import { can } from './services/permissions.js';
+import { ROUTE_CHANGE_EVENT, buildPath, buildRecordsQuery, navigate, parseRoute, rememberedRecordsQuery } from './services/routing.js';
 import { Icons } from './components/Icons.jsx';
 
+// Certificate QR codes point here; see buildVerificationUrl in services/registryService.js.
+const VERIFY_PATH = /^\/verify\/([^/]+)\/?$/;
+
+const readLocation = () => ({ pathname: window.location.pathname, search: window.location.search });
+
 function App() {
-  const [currentView, setCurrentView] = useState(AppView.DASHBOARD);
+  const [location, setLocation] = useState(readLocation);
+  const [user, setUser] = useState(getCurrentUser);
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [assistantOpen, setAssistantOpen] = useState(false);
+
+  // The URL is the source of truth for the view, so reloads, shared links and back/forward all land in the same place.
+  useEffect(() => {
+    const handleLocationChange = () => setLocation(readLocation());
+    window.addEventListener('popstate', handleLocationChange);
+    window.addEventListener(ROUTE_CHANGE_EVENT, handleLocationChange);
+    return () => {
+      window.removeEventListener('popstate', handleLocationChange);
+      window.removeEventListener(ROUTE_CHANGE_EVENT, handleLocationChange);
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleAuthChange = () => setUser(getCurrentUser());
+    window.addEventListener(AUTH_CHANGE_EVENT, handleAuthChange);
+    return () => window.removeEventListener(AUTH_CHANGE_EVENT, handleAuthChange);
+  }, []);
+
+  const verifyMatch = location.pathname.match(VERIFY_PATH);
+  if (verifyMatch) {
+    return (
+      <CertificateVerification
+        parcelId={decodeURIComponent(verifyMatch[1])}
+        hash={new URLSearchParams(location.search).get('hash')}
+      />
+    );
+  }
+
+  const route = parseRoute(location);
+
+  if (!user && route.view !== AppView.VERIFY) return <LoginView />;
+
+  // Signed-out visitors and public accounts only reach the certificate check.
+  if (!can(user, 'registry:read')) {
+    return (
+      <div className="min-h-screen bg-slate-50">
+        <header className="flex items-center justify-between bg-white border-b border-slate-200 px-6 py-3">
+          <span className="flex items-center font-semibold text-slate-900">
+            <Icons.Leaf className="w-5 h-5 text-accent-500 mr-2" /> TerraTrust AI
+          </span>
+          {user ? (
+            <button onClick={logout} className="flex items-center text-sm text-slate-600 hover:text-slate-900">
+              {user.name} <Icons.SignOut className="w-4 h-4 ml-2" />
+            </button>
+          ) : (
+            <button onClick={() => navigate(buildPath(AppView.DASHBOARD))} className="text-sm text-brand-600 hover:text-brand-800 font-medium">
+              Staff sign in
+            </button>
+          )}
+        </header>
+        <VerifyLookup />
+      </div>
+    );
+  }
+
+  const handleDrillDown = (filter) => {
+    navigate(buildPath(AppView.RECORDS, { query: buildRecordsQuery(filter) }));
+  };
+
+  // Opening a view from the sidebar starts it unfiltered, except Land Records,
+  // which comes back with the filters, sort and page it was left with.
+  const handleChangeView = (view) => {
+    navigate(buildPath(view, { query: view === AppView.RECORDS ? rememberedRecordsQuery() : {} }));
+  };
 
   const renderContent = () => {
-    switch (currentView) {
+    switch (route.view) {
       case AppView.DASHBOARD:
-        return <Dashboard />;
+        return <Dashboard onDrillDown={handleDrillDown} />;
       case AppView.EXPLORER:
-        return <MapExplorer />;
+        return <MapExplorer query={route.query} />;
       case AppView.RECORDS:
-        return <LandRecords />;
+        return <LandRecords parcelId={route.parcelId} query={route.query} />;
       case AppView.SETTINGS:
-        return (
-          <div className="flex items-center justify-center h-full text-slate-400">
-             <div className="text-center">
-               <Icons.Settings className="w-12 h-12 mx-auto mb-4 opacity-50" />
-               <p>Settings panel under development.</p>
-             </div>
-          </div>
-        );
+        return <SettingsView />;
+      case AppView.AUDIT:
+        return can(user, VIEW_PERMISSIONS[AppView.AUDIT])
+          ? <AuditLogView query={route.query} />
+          : <p className="p-6 text-sm text-slate-500">The audit log is open to registrars and auditors only.</p>;
+      case AppView.VERIFY:
+        return <VerifyLookup />;
       default:
-        return <Dashboard />;
+        return <Dashboard onDrillDown={handleDrillDown} />;
     }
   };
 
   return (
     <div className="flex h-screen bg-slate-50 overflow-hidden">
       <Sidebar 
-        currentView={currentView} 
-        onChangeView={setCurrentView} 
+        currentView={route.view} 
+        onChangeView={handleChangeView} 
         isOpen={sidebarOpen}
         setIsOpen={setSidebarOpen}
+        user={user}
+        onSignOut={logout}
       />
 
       <div className="flex-1 flex flex-col min-w-0">
@@ -60,6 +141,22 @@ function App() {
           {renderContent()}
         </main>
       </div>
+
+      <button
+        onClick={() => setAssistantOpen(true)}
+        className="fixed bottom-6 right-6 z-[800] px-4 py-3 rounded-full bg-brand-600 hover:bg-brand-500 text-white shadow-lg flex items-center text-sm font-semibold"
+      >
+        <Icons.Chat className="w-5 h-5 mr-2" /> Ask the registry
+      </button>
+      {assistantOpen && (
+        <RegistryAssistant
+          onClose={() => setAssistantOpen(false)}
+          onShowInRecords={(filter) => {
+            setAssistantOpen(false);
+            handleDrillDown(filter);
+          }}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,77 @@
+import React from 'react';
+import { Icons } from './Icons';
+import { compareAnalyses } from '../services/ruleAnalyzer';
+
+const SEVERITY_CLASSES = {
+  high: 'border-rose-200 bg-rose-50 text-rose-800',
+  medium: 'border-amber-200 bg-amber-50 text-amber-800'
+};
+
+const formatScore = (score) => (Number.isFinite(score) ? `${score}/100` : 'NA');
+
+/**
+ * The model's report next to the rule engine's for the same statistics.
+ * Disagreements are listed first; the rule trace explains the right column.
+ */
+export const AnalysisCrossCheck = ({ ai, rules }) => {
+  const findings = compareAnalyses(ai, rules);
+  const flagged = new Set(findings.map((finding) => finding.field));
+
+  const rows = [
+    { field: 'landUse', label: 'Land use', ai: ai.landUse, rules: rules.landUse },
+    { field: 'suitabilityScore', label: 'Score', ai: formatScore(ai.suitabilityScore), rules: formatScore(rules.suitabilityScore) },
+    { field: 'cropRecommendations', label: 'Crops', ai: (ai.cropRecommendations || []).join(', ') || 'None', rules: rules.cropRecommendations.join(', ') || 'None' },
+    { field: 'risks', label: 'Risks', ai: (ai.risks || []).join('; ') || 'None', rules: rules.risks.join('; ') || 'None' }
+  ];
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-xs text-slate-500">Cross-check against rule engine</div>
+        <span className={`text-[10px] font-bold uppercase ${findings.length ? 'text-rose-600' : 'text-emerald-600'}`}>
+          {findings.length ? `${findings.length} disagreement${findings.length === 1 ? '' : 's'}` : 'Consistent'}
+        </span>
+      </div>
+
+      {findings.map((finding) => (
+        <p key={finding.field} className={`mb-2 px-2 py-1.5 rounded border text-[11px] flex items-start ${SEVERITY_CLASSES[finding.severity]}`}>
+          <Icons.Alert className="w-3 h-3 mr-1 mt-0.5 shrink-0" /> {finding.message}
+        </p>
+      ))}
+
+      <table className="w-full text-[11px] bg-white border border-slate-200 rounded">
+        <thead>
+          <tr className="text-slate-400 text-left">
+            <th className="px-2 py-1 font-medium"></th>
+            <th className="px-2 py-1 font-medium">AI</th>
+            <th className="px-2 py-1 font-medium">Rules</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.field} className={`border-t border-slate-100 align-top ${flagged.has(row.field) ? 'bg-rose-50/60' : ''}`}>
+              <td className="px-2 py-1 text-slate-500">{row.label}</td>
+              <td className="px-2 py-1 text-slate-800">{row.ai}</td>
+              <td className="px-2 py-1 text-slate-800">{row.rules}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <RuleTrace rules={rules} />
+    </div>
+  );
+};
+
+export const RuleTrace = ({ rules }) => (
+  <details className="mt-2 text-[11px] text-slate-600">
+    <summary className="cursor-pointer text-slate-500">Why the rules scored it this way</summary>
+    <ul className="mt-1 space-y-0.5">
+      {rules.explanation.map((step) => (
+        <li key={step.ruleId}>
+          <span className="font-mono text-slate-400">{step.effect}</span> {step.reason}
+        </li>
+      ))}
+    </ul>
+  </details>
+);
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { Icons } from './Icons';
+import { diffAnalysisRuns } from '../services/analysisHistory';
+import { listParcelAnalyses } from '../services/registryService';
+
+const formatScore = (score) => (Number.isFinite(score) ? `${score}/100` : 'NA');
+
+const formatSigned = (value, digits = 0) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+const formatRunDate = (isoValue) => new Date(isoValue).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const sceneLabel = (source) => (source ? `${source.sceneId}${source.acquiredAt ? ` (${source.acquiredAt.slice(0, 10)})` : ''}` : 'no scene');
+
+const DiffList = ({ label, items, className }) => (items.length ? (
+  <div>
+    <dt className="text-slate-400">{label}</dt>
+    <dd className={className}>{items.join('; ')}</dd>
+  </div>
+) : null);
+
+const RunDiff = ({ before, after }) => {
+  const diff = diffAnalysisRuns(before, after);
+  const scoreClass = diff.score.delta > 0 ? 'text-emerald-700' : diff.score.delta < 0 ? 'text-rose-700' : 'text-slate-700';
+
+  return (
+    <dl className="mt-3 p-3 rounded-lg bg-slate-50 border border-slate-200 text-xs space-y-2">
+      <div>
+        <dt className="text-slate-400">Score ({diff.days} day{diff.days === 1 ? '' : 's'} apart)</dt>
+        <dd className={`font-semibold ${scoreClass}`}>
+          {formatScore(diff.score.from)} → {formatScore(diff.score.to)}
+          {diff.score.delta !== null && ` (${formatSigned(diff.score.delta)})`}
+        </dd>
+      </div>
+      <div>
+        <dt className="text-slate-400">Land use</dt>
+        <dd className={diff.landUse ? 'text-amber-700 font-semibold' : 'text-slate-700'}>
+          {diff.landUse ? `${diff.landUse.from} → ${diff.landUse.to}` : `Unchanged (${after.report.landUse})`}
+        </dd>
+      </div>
+      <DiffList label="New risks" items={diff.newRisks} className="text-rose-700" />
+      <DiffList label="Resolved risks" items={diff.resolvedRisks} className="text-emerald-700" />
+      <DiffList label="Crops added" items={diff.cropsAdded} className="text-slate-700" />
+      <DiffList label="Crops dropped" items={diff.cropsRemoved} className="text-slate-700" />
+      {diff.indices.length > 0 && (
+        <div>
+          <dt className="text-slate-400">Index means</dt>
+          <dd className="flex flex-wrap gap-x-3 text-slate-700 font-mono">
+            {diff.indices.map((index) => (
+              <span key={index.id}>
+                {index.id} {index.from.toFixed(2)} → {index.to.toFixed(2)}{' '}
+                <span className={index.delta < 0 ? 'text-rose-700' : 'text-emerald-700'}>({formatSigned(index.delta, 2)})</span>
+              </span>
+            ))}
+          </dd>
+        </div>
+      )}
+      {diff.scene && (
+        <div>
+          <dt className="text-slate-400">Scene</dt>
+          <dd className="text-slate-700">{sceneLabel(diff.scene.from)} → {sceneLabel(diff.scene.to)}</dd>
+        </div>
+      )}
+      {diff.model && (
+        <p className="text-amber-700">Different models ({diff.model.from || 'NA'} → {diff.model.to || 'NA'}); part of the change may come from the model, not the land.</p>
+      )}
+    </dl>
+  );
+};
+
+/**
+ * Every stored analysis of a parcel, newest first, with a comparison between
+ * any two runs. Defaults to the latest run against the one before it.
+ */
+export const AnalysisHistory = ({ parcelId, refreshKey }) => {
+  const [runs, setRuns] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [compare, setCompare] = useState({ before: null, after: null }); // Run ids
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    listParcelAnalyses(parcelId, { signal: controller.signal })
+      .then(({ analyses }) => {
+        setRuns(analyses);
+        setCompare({
+          before: analyses.length > 1 ? analyses[analyses.length - 2].id : null,
+          after: analyses.length > 1 ? analyses[analyses.length - 1].id : null
+        });
+        setError('');
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.warn('Analysis history load failed.', err);
+        setError(err instanceof Error ? err.message : 'Unknown history error');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, [parcelId, refreshKey]);
+
+  if (isLoading) {
+    return <p className="text-sm text-slate-400 flex items-center"><Icons.Spinner className="w-4 h-4 mr-2 animate-spin" /> Loading...</p>;
+  }
+  if (error) return <p className="text-sm text-rose-600 break-words">{error}</p>;
+  if (!runs.length) return <p className="text-sm text-slate-400">No analysis runs stored for this parcel.</p>;
+
+  // Whichever of the two picks is older is shown as the starting point.
+  const picked = runs.filter((run) => run.id === compare.before || run.id === compare.after);
+  const [before, after] = picked.length === 2 ? picked : [null, null];
+
+  const pick = (slot, id) => setCompare((current) => ({ ...current, [slot]: id }));
+
+  return (
+    <div>
+      <ol className="relative border-l-2 border-slate-200 ml-2 space-y-3">
+        {[...runs].reverse().map((run, index) => (
+          <li key={run.id} className="ml-4">
+            <span className={`absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full border-2 border-white ${index === 0 ? 'bg-brand-600' : 'bg-slate-300'}`} />
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <p className="text-sm font-semibold text-slate-900">
+                  {run.report.landUse} · {formatScore(run.report.suitabilityScore)}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {formatRunDate(run.analyzedAt)} · {run.report.provenance?.model || run.report.model || 'unknown model'} · {sceneLabel(run.source)}
+                  {run.analyzedBy && ` · by ${run.analyzedBy}`}
+                </p>
+              </div>
+              {runs.length > 1 && (
+                <div className="flex gap-1 text-[10px] font-semibold shrink-0">
+                  {['before', 'after'].map((slot) => (
+                    <button
+                      key={slot}
+                      onClick={() => pick(slot, run.id)}
+                      className={`px-1.5 py-0.5 rounded border ${compare[slot] === run.id ? 'bg-slate-900 text-white border-slate-900' : 'border-slate-300 text-slate-500 hover:bg-slate-50'}`}
+                    >
+                      {slot === 'before' ? 'A' : 'B'}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {runs.length > 1 && (
+        before
+          ? <RunDiff before={before} after={after} />
+          : <p className="mt-3 text-xs text-slate-400">Pick two different runs (A and B) to compare them.</p>
+      )}
+    </div>
+  );
+};
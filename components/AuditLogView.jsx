@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import { Icons } from './Icons';
+import { listAuditEvents } from '../services/registryService';
+import { exportAuditEvents } from '../services/exportService';
+import { AUDIT_ACTIONS, auditActionLabel } from '../services/auditActions';
+import { roleLabel } from '../services/permissions';
+import { buildPath, navigate } from '../services/routing';
+import { AppView } from '../constants';
+
+const PAGE_SIZE = 500;
+const FILTER_KEYS = ['actor', 'parcelId', 'action', 'from', 'to'];
+
+const inputClass = 'px-3 py-2 text-sm border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-brand-500';
+
+const ACTION_TONES = {
+  LOGIN_FAILED: 'bg-rose-100 text-rose-800',
+  PARCEL_STATUS_CHANGED: 'bg-amber-100 text-amber-800',
+  TRANSFER_APPROVED: 'bg-emerald-100 text-emerald-800',
+  TRANSFER_REJECTED: 'bg-rose-100 text-rose-800',
+  EXPORT: 'bg-brand-50 text-brand-800'
+};
+
+// Digests stand in for boundaries and analyses; see snapshotParcel in server/audit.js.
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value !== 'object') return String(value);
+  if (value.hash) {
+    const headline = [value.landUse, value.suitabilityScore, value.vertices && `${value.vertices} pts`].filter(Boolean).join(', ');
+    return `${headline ? `${headline} ` : ''}${value.hash.slice(0, 10)}…`;
+  }
+  return JSON.stringify(value);
+};
+
+const ChangeList = ({ before, after }) => {
+  const fields = Object.keys({ ...before, ...after });
+  if (!fields.length) return null;
+  return (
+    <ul className="space-y-0.5">
+      {fields.map((field) => (
+        <li key={field} className="break-words">
+          <span className="text-slate-500">{field}:</span>{' '}
+          {before && <><span className="text-rose-700 line-through decoration-rose-300">{formatValue(before[field])}</span> → </>}
+          <span className="text-emerald-800">{formatValue(after?.[field])}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const formatDetails = (details) => {
+  if (!details) return '';
+  const { parcelIds, ...rest } = details;
+  const text = Object.entries(rest)
+    .filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && !value.length))
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+    .join(' · ');
+  return parcelIds?.length > 1 ? `${text} · ${parcelIds.length} parcels` : text;
+};
+
+/**
+ * Every audited action, newest first, for registrars and auditors. Filters
+ * live in the URL (/audit?actor=&parcelId=&action=&from=&to=) and are applied
+ * by the API; the CSV holds every matching event, not just the listed page.
+ */
+export const AuditLogView = ({ query }) => {
+  const filters = Object.fromEntries(FILTER_KEYS.map((key) => [key, query[key] || '']));
+  const filterKey = FILTER_KEYS.map((key) => filters[key]).join('|');
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [actors, setActors] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+
+  const setFilter = (key, value) => {
+    navigate(buildPath(AppView.AUDIT, { query: { ...filters, [key]: value } }), { replace: true });
+  };
+
+  const loadEvents = async (signal) => {
+    setIsLoading(true);
+    setLoadError('');
+    try {
+      const result = await listAuditEvents(filters, { limit: PAGE_SIZE, signal });
+      setEvents(result.events);
+      setTotal(result.total);
+      setActors(result.actors);
+    } catch (err) {
+      if (signal?.aborted) return;
+      console.warn('Audit log load failed.', err);
+      setLoadError(err instanceof Error ? err.message : 'Unknown audit log error');
+    } finally {
+      if (!signal?.aborted) setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadEvents(controller.signal);
+    return () => controller.abort();
+  }, [filterKey]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setExportError('');
+    try {
+      await exportAuditEvents(filters);
+    } catch (err) {
+      console.warn('Audit log export failed.', err);
+      setExportError(err instanceof Error ? err.message : 'Unknown export error');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const hasFilters = FILTER_KEYS.some((key) => filters[key]);
+
+  return (
+    <div className="p-6 space-y-6">
+      <header className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900">Audit Log</h1>
+          <p className="text-slate-500">Who changed, analyzed, exported or signed in, when and from where.</p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={isExporting || !total}
+          className="px-4 py-2 rounded-lg bg-slate-900 text-white text-sm font-medium flex items-center justify-center disabled:opacity-60"
+        >
+          {isExporting ? <Icons.Spinner className="w-4 h-4 mr-2 animate-spin" /> : <Icons.Download className="w-4 h-4 mr-2" />}
+          Export CSV
+        </button>
+      </header>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-xs text-slate-500 flex flex-col gap-1">
+          User
+          <select value={filters.actor} onChange={(event) => setFilter('actor', event.target.value)} className={inputClass}>
+            <option value="">All users</option>
+            {actors.map((actor) => <option key={actor} value={actor}>{actor}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-slate-500 flex flex-col gap-1">
+          Parcel ID
+          <input type="text" value={filters.parcelId} onChange={(event) => setFilter('parcelId', event.target.value.trim())} placeholder="T-882190" className={`${inputClass} w-36`} />
+        </label>
+        <label className="text-xs text-slate-500 flex flex-col gap-1">
+          Action
+          <select value={filters.action} onChange={(event) => setFilter('action', event.target.value)} className={inputClass}>
+            <option value="">All actions</option>
+            {AUDIT_ACTIONS.map((action) => <option key={action.id} value={action.id}>{action.label}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-slate-500 flex flex-col gap-1">
+          From
+          <input type="date" value={filters.from} onChange={(event) => setFilter('from', event.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-slate-500 flex flex-col gap-1">
+          To
+          <input type="date" value={filters.to} onChange={(event) => setFilter('to', event.target.value)} className={inputClass} />
+        </label>
+        {hasFilters && (
+          <button onClick={() => navigate(buildPath(AppView.AUDIT), { replace: true })} className="flex items-center text-sm text-brand-700 hover:text-brand-900 pb-2">
+            <Icons.Close className="w-4 h-4 mr-1" /> Clear filters
+          </button>
+        )}
+      </div>
+
+      {exportError && <p className="text-sm text-rose-600">{exportError}</p>}
+
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full text-left border-collapse text-sm">
+            <thead>
+              <tr className="bg-slate-50 border-b border-slate-200 text-xs uppercase text-slate-500 font-semibold">
+                <th className="px-4 py-3">Time</th>
+                <th className="px-4 py-3">User</th>
+                <th className="px-4 py-3">Action</th>
+                <th className="px-4 py-3">Record</th>
+                <th className="px-4 py-3">Change</th>
+                <th className="px-4 py-3">Source IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {isLoading ? (
+                <tr>
+                  <td colSpan={6} className="px-4 py-12 text-center text-slate-400">
+                    <Icons.Spinner className="w-5 h-5 mx-auto mb-2 animate-spin" />
+                    Loading audit log...
+                  </td>
+                </tr>
+              ) : loadError ? (
+                <tr>
+                  <td colSpan={6} className="px-4 py-12 text-center text-rose-600">
+                    {loadError}
+                    <button onClick={() => loadEvents()} className="block mx-auto mt-2 text-brand-600 hover:text-brand-800 font-medium">
+                      Retry
+                    </button>
+                  </td>
+                </tr>
+              ) : events.length ? events.map((event) => (
+                <tr key={event.id} className="border-b border-slate-100 align-top hover:bg-slate-50">
+                  <td className="px-4 py-3 text-slate-500 whitespace-nowrap" title={event.timestamp}>
+                    {new Date(event.timestamp).toLocaleString()}
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="font-medium text-slate-900">{event.actor || '—'}</div>
+                    {event.role && <div className="text-xs text-slate-500">{roleLabel(event.role)}</div>}
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${ACTION_TONES[event.action] || 'bg-slate-100 text-slate-700'}`}>
+                      {auditActionLabel(event.action)}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 font-mono text-xs whitespace-nowrap">
+                    {event.parcelId && (
+                      <button
+                        onClick={() => navigate(buildPath(AppView.RECORDS, { parcelId: event.parcelId }))}
+                        className="block text-brand-600 hover:text-brand-800"
+                      >
+                        {event.parcelId}
+                      </button>
+                    )}
+                    {event.transferId && <span className="block text-slate-500">{event.transferId}</span>}
+                  </td>
+                  <td className="px-4 py-3 text-xs text-slate-700 max-w-md">
+                    <ChangeList before={event.before} after={event.after} />
+                    {event.details && <p className="text-slate-500 mt-0.5 break-words">{formatDetails(event.details)}</p>}
+                  </td>
+                  <td className="px-4 py-3 font-mono text-xs text-slate-500 whitespace-nowrap">{event.ip || '—'}</td>
+                </tr>
+              )) : (
+                <tr>
+                  <td colSpan={6} className="px-4 py-12 text-center text-slate-400">
+                    No audit events match these filters.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div className="bg-slate-50 px-4 py-3 border-t border-slate-200 text-sm text-slate-500">
+          {total > events.length ? `Showing the newest ${events.length} of ${total} events` : `Showing ${events.length} events`}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { Icons } from './Icons';
+import { verifyCertificateHash } from '../services/registryService';
+import { buildPath, navigate } from '../services/routing';
+import { AppView } from '../constants';
+
+const VERDICTS = {
+  genuine: {
+    title: 'Certificate is genuine',
+    description: 'The hash on this certificate is the current registry hash for the parcel and its ledger chain is intact.',
+    className: 'bg-emerald-50 border-emerald-200 text-emerald-800',
+    icon: 'Verified'
+  },
+  superseded: {
+    title: 'Certificate has been superseded',
+    description: 'This hash was genuinely recorded for the parcel, but the record has changed since the certificate was issued.',
+    className: 'bg-amber-50 border-amber-200 text-amber-800',
+    icon: 'Alert'
+  },
+  invalid: {
+    title: 'Certificate could not be verified',
+    description: 'The hash on this certificate does not match any intact registry record for the parcel.',
+    className: 'bg-rose-50 border-rose-200 text-rose-800',
+    icon: 'Alert'
+  }
+};
+
+/**
+ * Public page opened from a certificate's QR code. It is rendered outside the
+ * app shell so banks and buyers see only the verdict for the scanned parcel.
+ */
+export const CertificateVerification = ({ parcelId, hash }) => {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    verifyCertificateHash(parcelId, hash, { signal: controller.signal })
+      .then(setResult)
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        setError(err instanceof Error ? err.message : 'Unknown verification error');
+      });
+    return () => controller.abort();
+  }, [parcelId, hash]);
+
+  const verdict = result ? VERDICTS[result.verdict] : null;
+  const VerdictIcon = verdict ? Icons[verdict.icon] : null;
+
+  return (
+    <div className="min-h-screen bg-slate-50 flex items-start justify-center p-6">
+      <div className="w-full max-w-lg mt-12">
+        <div className="flex items-center text-brand-700 font-semibold tracking-wider uppercase text-xs mb-4">
+          <Icons.Leaf className="w-4 h-4 mr-1.5" /> TerraTrust Land Registry · Certificate Check
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+          <h1 className="text-xl font-bold text-slate-900">Parcel {parcelId}</h1>
+          <p className="font-mono text-[11px] text-slate-500 break-all mt-1">{hash || 'No hash supplied'}</p>
+
+          {!result && !error && (
+            <div className="mt-6 flex items-center text-slate-500 text-sm">
+              <Icons.Spinner className="w-4 h-4 mr-2 animate-spin" /> Checking against the registry...
+            </div>
+          )}
+
+          {error && <p className="mt-6 text-sm text-rose-600">{error}</p>}
+
+          {verdict && (
+            <>
+              <div className={`mt-6 p-4 rounded-lg border ${verdict.className}`}>
+                <p className="font-semibold flex items-center">
+                  <VerdictIcon className="w-5 h-5 mr-2" /> {verdict.title}
+                </p>
+                <p className="text-sm mt-1">{verdict.description}</p>
+                {result.issues.length > 0 && (
+                  <ul className="mt-2 text-xs list-disc list-inside">
+                    {result.issues.map((issue, i) => <li key={i}>{issue.reason}</li>)}
+                  </ul>
+                )}
+              </div>
+
+              {result.parcel && (
+                <dl className="mt-6 grid grid-cols-2 gap-x-4 gap-y-3 text-sm">
+                  <dt className="text-slate-500">Owner</dt>
+                  <dd className="font-medium text-slate-900">{result.parcel.owner}</dd>
+                  <dt className="text-slate-500">Location</dt>
+                  <dd className="text-slate-900">{result.parcel.location || 'NA'}</dd>
+                  <dt className="text-slate-500">Area</dt>
+                  <dd className="text-slate-900">{result.parcel.area}</dd>
+                  <dt className="text-slate-500">Current status</dt>
+                  <dd className="text-slate-900">{result.parcel.status}</dd>
+                  <dt className="text-slate-500">Hash recorded</dt>
+                  <dd className="text-slate-900">
+                    {result.recordedAt ? `${new Date(result.recordedAt).toLocaleString()} (entry #${result.ledgerIndex})` : 'Never'}
+                  </dd>
+                  {result.currentHash && !result.matchesCurrent && (
+                    <>
+                      <dt className="text-slate-500">Current hash</dt>
+                      <dd className="font-mono text-[11px] text-slate-900 break-all">{result.currentHash}</dd>
+                    </>
+                  )}
+                </dl>
+              )}
+              <p className="mt-6 text-[11px] text-slate-400">Checked {new Date(result.checkedAt).toLocaleString()}</p>
+            </>
+          )}
+        </div>
+
+        <button onClick={() => navigate(buildPath(AppView.VERIFY))} className="mt-4 text-sm text-brand-600 hover:text-brand-800 font-medium">
+          Check another certificate
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { Icons } from './Icons';
+import { DEFAULT_CHANGE_THRESHOLD, runChangeDetection } from '../services/changeDetection';
+import { BarChart, Bar, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+
+const THRESHOLD_OPTIONS = [0.1, 0.15, 0.2, 0.3];
+
+const sceneLabel = (scene) => {
+  const date = new Date(scene.datetime);
+  const label = Number.isNaN(date.getTime()) ? scene.id : date.toLocaleDateString();
+  return `${label} · ${scene.cloudCover.toFixed(0)}% cloud`;
+};
+
+/**
+ * Before/after ΔNDVI comparison for the selected parcel. Scenes come from the
+ * scene picker search, so widening its date range widens the choice here.
+ */
+export const ChangeDetectionPanel = ({ selection, scenes, result, onResult, showOnMap, onToggleShowOnMap, disabled }) => {
+  const [beforeId, setBeforeId] = useState('');
+  const [afterId, setAfterId] = useState('');
+  const [threshold, setThreshold] = useState(DEFAULT_CHANGE_THRESHOLD);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  // Default to the widest span available: oldest scene before, newest after.
+  useEffect(() => {
+    const byDate = [...scenes].sort((a, b) => new Date(a.datetime).getTime() - new Date(b.datetime).getTime());
+    setBeforeId(byDate[0]?.id || '');
+    setAfterId(byDate[byDate.length - 1]?.id || '');
+    setError('');
+  }, [scenes]);
+
+  const beforeScene = scenes.find((scene) => scene.id === beforeId);
+  const afterScene = scenes.find((scene) => scene.id === afterId);
+  const isOrdered = beforeScene && afterScene &&
+    new Date(beforeScene.datetime).getTime() < new Date(afterScene.datetime).getTime();
+
+  const handleCompare = async () => {
+    if (!selection || !isOrdered) return;
+    setIsRunning(true);
+    setError('');
+    onResult(null);
+
+    try {
+      const change = await runChangeDetection(selection, beforeScene, afterScene, { threshold });
+      onResult(change);
+    } catch (err) {
+      console.warn('Change detection failed.', err);
+      setError(err instanceof Error ? err.message : 'Unknown change detection error');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  if (scenes.length < 2) {
+    return (
+      <div className="mb-6 p-3 rounded-lg border border-slate-200 bg-white">
+        <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-1">Change Detection</p>
+        <p className="text-[11px] text-slate-500">Widen the scene search to at least two acquisitions to compare dates.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-6 p-3 rounded-lg border border-slate-200 bg-white">
+      <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Change Detection (ΔNDVI)</p>
+
+      <div className="space-y-2">
+        {[
+          { label: 'Before', value: beforeId, onChange: setBeforeId },
+          { label: 'After', value: afterId, onChange: setAfterId }
+        ].map((field) => (
+          <label key={field.label} className="block text-[10px] text-slate-500">
+            {field.label}
+            <select
+              value={field.value}
+              onChange={(event) => field.onChange(event.target.value)}
+              disabled={isRunning}
+              className="mt-0.5 w-full px-2 py-1.5 text-xs border border-slate-300 rounded-md bg-white"
+            >
+              {scenes.map((scene) => (
+                <option key={scene.id} value={scene.id}>{sceneLabel(scene)}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <label className="flex items-center justify-between text-[10px] text-slate-500">
+          Change threshold
+          <select
+            value={threshold}
+            onChange={(event) => setThreshold(Number(event.target.value))}
+            disabled={isRunning}
+            className="ml-2 px-1 py-0.5 border border-slate-300 rounded bg-white text-slate-700"
+          >
+            {THRESHOLD_OPTIONS.map((value) => (
+              <option key={value} value={value}>|Δ| ≥ {value}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!isOrdered && <p className="mt-2 text-[11px] text-rose-600">The "before" scene must be older than the "after" scene.</p>}
+
+      <button
+        type="button"
+        onClick={handleCompare}
+        disabled={disabled || isRunning || !isOrdered}
+        className="mt-3 w-full py-2 text-xs rounded-md bg-slate-900 text-white disabled:opacity-60 flex items-center justify-center"
+      >
+        {isRunning ? <><Icons.Spinner className="w-3 h-3 mr-1 animate-spin" /> Comparing...</> : 'Compare Scenes'}
+      </button>
+
+      {error && <p className="mt-2 text-[11px] text-rose-600 break-words">{error}</p>}
+
+      {result && (
+        <div className="mt-3">
+          <div className="grid grid-cols-2 gap-2 text-[11px]">
+            <div className="p-2 rounded bg-rose-50 border border-rose-100 text-rose-800">
+              <p className="text-[10px] uppercase font-semibold">Loss</p>
+              <p className="font-bold">{result.lossHectares.toFixed(2)} ha</p>
+            </div>
+            <div className="p-2 rounded bg-emerald-50 border border-emerald-100 text-emerald-800">
+              <p className="text-[10px] uppercase font-semibold">Gain</p>
+              <p className="font-bold">{result.gainHectares.toFixed(2)} ha</p>
+            </div>
+          </div>
+
+          <div className="h-20 w-full mt-2">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={result.stats.histogram}>
+                <Tooltip
+                  cursor={{ fill: 'transparent' }}
+                  contentStyle={{ fontSize: '11px', borderRadius: '4px', border: 'none', boxShadow: '0 2px 5px rgba(0,0,0,0.1)' }}
+                />
+                <Bar dataKey="count" radius={[2, 2, 0, 0]}>
+                  {result.stats.histogram.map((entry, index) => {
+                    const value = Number(entry.bin);
+                    const fill = value <= -result.threshold ? '#d7191c' : value >= result.threshold ? '#1a9641' : '#cbd5e1';
+                    return <Cell key={`delta-${index}`} fill={fill} />;
+                  })}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="grid grid-cols-2 gap-1 mt-1 text-[11px] text-slate-600">
+            <span>Mean Δ: {result.stats.mean.toFixed(3)}</span>
+            <span>StdDev: {result.stats.stdDev.toFixed(3)}</span>
+            <span className="col-span-2">Compared: {result.comparedPercent.toFixed(0)}% of parcel clear in both</span>
+          </div>
+
+          <div
+            className={`mt-2 p-2 rounded-md border text-[11px] ${
+              result.assessment.significantLoss
+                ? 'border-rose-200 bg-rose-50 text-rose-800'
+                : 'border-slate-200 bg-slate-50 text-slate-600'
+            }`}
+          >
+            {result.assessment.significantLoss && (
+              <p className="font-bold uppercase text-[10px] flex items-center mb-0.5">
+                <Icons.Alert className="w-3 h-3 mr-1" /> Flag: significant loss
+              </p>
+            )}
+            {result.assessment.reason}
+          </div>
+
+          <label className="mt-2 flex items-center text-[11px] text-slate-600">
+            <input type="checkbox" checked={showOnMap} onChange={onToggleShowOnMap} className="mr-2 accent-brand-600" />
+            Show ΔNDVI map (red loss, green gain)
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
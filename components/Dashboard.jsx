@@ -1,40 +1,176 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Icons } from './Icons';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line } from 'recharts';
-
-const data = [
-  { name: 'Jan', verified: 400, flagged: 24 },
-  { name: 'Feb', verified: 300, flagged: 13 },
-  { name: 'Mar', verified: 200, flagged: 58 },
-  { name: 'Apr', verified: 278, flagged: 39 },
-  { name: 'May', verified: 189, flagged: 48 },
-  { name: 'Jun', verified: 239, flagged: 38 },
-];
+import { getRegistrySummary, listLedgerEntries } from '../services/registryService';
+import { filterLedgerEntries, summarizeParcels, UNANALYZED_LABEL } from '../services/dashboardMetrics';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line } from 'recharts';
+
+// Enough history for the recent-activity table to survive a narrow date or region filter.
+const LEDGER_WINDOW = 200;
+const RECENT_ENTRY_COUNT = 5;
 
-const agriData = [
-  { name: 'Wheat', value: 400 },
-  { name: 'Corn', value: 300 },
-  { name: 'Soy', value: 300 },
-  { name: 'Rice', value: 200 },
+const TREND_SERIES = [
+  { status: 'Verified', color: '#0ea5e9' },
+  { status: 'Flagged', color: '#f59e0b' },
+  { status: 'Pending', color: '#94a3b8' }
 ];
 
-export const Dashboard = () => {
+const ENTRY_LABELS = {
+  PARCEL_REGISTERED: 'Registered',
+  PARCEL_UPDATED: 'Updated',
+  OWNERSHIP_TRANSFERRED: 'Transferred'
+};
+
+const STATUS_CLASSES = {
+  Verified: 'bg-emerald-100 text-emerald-800',
+  Pending: 'bg-amber-100 text-amber-800',
+  Flagged: 'bg-rose-100 text-rose-800'
+};
+
+const formatRelativeTime = (isoValue) => {
+  const minutes = Math.round((Date.now() - new Date(isoValue).getTime()) / 60000);
+  if (!Number.isFinite(minutes)) return 'NA';
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  return new Date(isoValue).toLocaleDateString();
+};
+
+// Shown until the first summary arrives.
+const EMPTY_SUMMARY = summarizeParcels([]);
+
+export const Dashboard = ({ onDrillDown }) => {
+  const [summary, setSummary] = useState(EMPTY_SUMMARY);
+  const [regions, setRegions] = useState([]);
+  const [ledgerEntries, setLedgerEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [ledgerError, setLedgerError] = useState('');
+  const [range, setRange] = useState({ from: '', to: '', region: '' });
+
+  // The API aggregates the registry; only the figures for the current range come back.
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setLoadError('');
+    getRegistrySummary(range, { signal: controller.signal })
+      .then((result) => {
+        setSummary(result.summary);
+        setRegions(result.regions);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.warn('Dashboard registry load failed.', err);
+        setLoadError(err instanceof Error ? err.message : 'Unknown registry error');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, [range.from, range.to, range.region]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    listLedgerEntries({ limit: LEDGER_WINDOW, signal: controller.signal })
+      .then(({ entries }) => setLedgerEntries(entries))
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        setLedgerError(err instanceof Error ? err.message : 'Unknown ledger error');
+      });
+    return () => controller.abort();
+  }, []);
+
+  const recentEntries = filterLedgerEntries(ledgerEntries, range).slice(0, RECENT_ENTRY_COUNT);
+  const hasRange = Boolean(range.from || range.to || range.region);
+
+  // Every drill-down keeps the dashboard's date and region scope.
+  const drillDown = (filter) => onDrillDown({ ...range, ...filter });
+
+  const shareOf = (count) => (summary.parcelCount ? `${Math.round((count / summary.parcelCount) * 100)}% of ${summary.parcelCount} parcels` : 'No parcels in range');
+
+  const statCards = [
+    {
+      label: 'Total Land Registered',
+      value: `${summary.totalHectares.toLocaleString(undefined, { maximumFractionDigits: 1 })} Ha`,
+      detail: `${summary.analyzedHectares.toLocaleString(undefined, { maximumFractionDigits: 1 })} ha with stored analysis`,
+      icon: Icons.Map,
+      color: 'bg-blue-500',
+      filter: {}
+    },
+    { label: 'Verified Parcels', value: summary.byStatus.Verified, detail: shareOf(summary.byStatus.Verified), icon: Icons.Verified, color: 'bg-emerald-500', filter: { status: 'Verified' } },
+    { label: 'Flagged Anomalies', value: summary.byStatus.Flagged, detail: shareOf(summary.byStatus.Flagged), icon: Icons.Alert, color: 'bg-amber-500', filter: { status: 'Flagged' } },
+    { label: 'Pending Review', value: summary.byStatus.Pending, detail: shareOf(summary.byStatus.Pending), icon: Icons.AI, color: 'bg-purple-500', filter: { status: 'Pending' } }
+  ];
+
+  // Recharts passes the hovered category index; ignore clicks on empty plot space.
+  const handleTrendClick = (state) => {
+    const bucket = summary.monthly[Number(state?.activeIndex)];
+    if (bucket) drillDown({ month: bucket.month });
+  };
+
   return (
     <div className="p-6 space-y-6 animate-fade-in">
-      <header className="mb-8">
-        <h1 className="text-2xl font-bold text-slate-900">Executive Dashboard</h1>
-        <p className="text-slate-500">Overview of land assets, verification status, and AI insights.</p>
+      <header className="mb-8 flex flex-col lg:flex-row lg:items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900">Executive Dashboard</h1>
+          <p className="text-slate-500">Overview of land assets, verification status, and AI insights. Click any figure to open the matching records.</p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2 text-xs text-slate-500">
+          <label>
+            From
+            <input
+              type="date"
+              value={range.from}
+              max={range.to || undefined}
+              onChange={(event) => setRange((current) => ({ ...current, from: event.target.value }))}
+              className="block mt-0.5 px-2 py-1.5 text-sm border border-slate-300 rounded-md bg-white"
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="date"
+              value={range.to}
+              min={range.from || undefined}
+              onChange={(event) => setRange((current) => ({ ...current, to: event.target.value }))}
+              className="block mt-0.5 px-2 py-1.5 text-sm border border-slate-300 rounded-md bg-white"
+            />
+          </label>
+          <label>
+            Region
+            <select
+              value={range.region}
+              onChange={(event) => setRange((current) => ({ ...current, region: event.target.value }))}
+              className="block mt-0.5 px-2 py-1.5 text-sm border border-slate-300 rounded-md bg-white min-w-[10rem]"
+            >
+              <option value="">All regions</option>
+              {regions.map((region) => <option key={region} value={region}>{region}</option>)}
+            </select>
+          </label>
+          {hasRange && (
+            <button
+              onClick={() => setRange({ from: '', to: '', region: '' })}
+              className="px-3 py-1.5 text-sm rounded-md border border-slate-300 text-slate-600 bg-white hover:bg-slate-50"
+            >
+              Reset
+            </button>
+          )}
+        </div>
       </header>
 
+      {loadError && <p className="text-sm text-rose-600">{loadError}</p>}
+      {isLoading && (
+        <p className="text-sm text-slate-400 flex items-center"><Icons.Spinner className="w-4 h-4 mr-2 animate-spin" /> Loading registry...</p>
+      )}
+
       {/* Stats Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-        {[
-          { label: 'Total Land Analyzed', value: '1,240 Ha', change: '+12%', icon: Icons.Map, color: 'bg-blue-500' },
-          { label: 'Verified Parcels', value: '892', change: '+5%', icon: Icons.Verified, color: 'bg-emerald-500' },
-          { label: 'Flagged Anomalies', value: '14', change: '-2%', icon: Icons.Alert, color: 'bg-amber-500' },
-          { label: 'Pending AI Review', value: '45', change: 'New', icon: Icons.AI, color: 'bg-purple-500' },
-        ].map((stat, idx) => (
-          <div key={idx} className="bg-white p-6 rounded-xl shadow-sm border border-slate-100 transition-all hover:shadow-md">
+        {statCards.map((stat) => (
+          <button
+            key={stat.label}
+            onClick={() => drillDown(stat.filter)}
+            className="text-left bg-white p-6 rounded-xl shadow-sm border border-slate-100 transition-all hover:shadow-md"
+          >
             <div className="flex justify-between items-start">
               <div>
                 <p className="text-sm font-medium text-slate-500">{stat.label}</p>
@@ -44,46 +180,74 @@ export const Dashboard = () => {
                 <stat.icon className={`w-6 h-6 ${stat.color.replace('bg-', 'text-')}`} />
               </div>
             </div>
-            <div className="mt-4 flex items-center text-sm">
-              <span className="text-emerald-600 font-medium">{stat.change}</span>
-              <span className="text-slate-400 ml-2">from last month</span>
-            </div>
-          </div>
+            <p className="mt-4 text-sm text-slate-400">{stat.detail}</p>
+          </button>
         ))}
       </div>
 
       {/* Charts Section */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
         <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-100">
-          <h3 className="text-lg font-semibold text-slate-900 mb-6">Verification Activity</h3>
+          <h3 className="text-lg font-semibold text-slate-900">Verification Activity</h3>
+          <p className="text-xs text-slate-400 mb-6">Parcels by registration month and current status</p>
           <div className="h-80 w-full">
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={data}>
-                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
-                <XAxis dataKey="name" axisLine={false} tickLine={false} />
-                <YAxis axisLine={false} tickLine={false} />
-                <Tooltip 
-                  contentStyle={{ backgroundColor: '#fff', borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' }}
-                />
-                <Line type="monotone" dataKey="verified" stroke="#0ea5e9" strokeWidth={3} dot={{ r: 4, fill: '#0ea5e9' }} />
-                <Line type="monotone" dataKey="flagged" stroke="#f59e0b" strokeWidth={3} dot={{ r: 4, fill: '#f59e0b' }} />
-              </LineChart>
-            </ResponsiveContainer>
+            {summary.monthly.length ? (
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={summary.monthly} onClick={handleTrendClick} className="cursor-pointer">
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                  <XAxis dataKey="label" axisLine={false} tickLine={false} />
+                  <YAxis axisLine={false} tickLine={false} allowDecimals={false} />
+                  <Tooltip 
+                    contentStyle={{ backgroundColor: '#fff', borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' }}
+                  />
+                  <Legend />
+                  {TREND_SERIES.map((series) => (
+                    <Line
+                      key={series.status}
+                      type="monotone"
+                      dataKey={series.status}
+                      stroke={series.color}
+                      strokeWidth={3}
+                      dot={{ r: 4, fill: series.color }}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            ) : (
+              <p className="h-full flex items-center justify-center text-sm text-slate-400">No registrations in this range.</p>
+            )}
           </div>
         </div>
 
         <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-100">
-          <h3 className="text-lg font-semibold text-slate-900 mb-6">Agricultural Suitability Index</h3>
+          <h3 className="text-lg font-semibold text-slate-900">Land Use Distribution</h3>
+          <p className="text-xs text-slate-400 mb-6">
+            Hectares by AI-reported land use, or NDVI class when no report was stored · {summary.analyzedCount} of {summary.parcelCount} parcels analyzed
+          </p>
           <div className="h-80 w-full">
-            <ResponsiveContainer width="100%" height="100%">
-              <BarChart data={agriData}>
-                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
-                <XAxis dataKey="name" axisLine={false} tickLine={false} />
-                <YAxis axisLine={false} tickLine={false} />
-                <Tooltip cursor={{ fill: '#f8fafc' }} contentStyle={{ borderRadius: '8px' }} />
-                <Bar dataKey="value" fill="#10b981" radius={[4, 4, 0, 0]} />
-              </BarChart>
-            </ResponsiveContainer>
+            {summary.landUse.length ? (
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={summary.landUse}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                  <XAxis dataKey="landUse" axisLine={false} tickLine={false} interval={0} tick={{ fontSize: 11 }} />
+                  <YAxis axisLine={false} tickLine={false} unit=" ha" />
+                  <Tooltip cursor={{ fill: '#f8fafc' }} contentStyle={{ borderRadius: '8px' }} />
+                  <Bar
+                    dataKey="hectares"
+                    name="Hectares"
+                    radius={[4, 4, 0, 0]}
+                    className="cursor-pointer"
+                    onClick={(_, index) => drillDown({ landUse: summary.landUse[index].landUse })}
+                  >
+                    {summary.landUse.map((bucket) => (
+                      <Cell key={bucket.landUse} fill={bucket.landUse === UNANALYZED_LABEL ? '#cbd5e1' : '#10b981'} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            ) : (
+              <p className="h-full flex items-center justify-center text-sm text-slate-400">No parcels in this range.</p>
+            )}
           </div>
         </div>
       </div>
@@ -97,6 +261,7 @@ export const Dashboard = () => {
           <table className="w-full text-sm text-left">
             <thead className="text-xs text-slate-500 uppercase bg-slate-50">
               <tr>
+                <th className="px-6 py-4 font-medium">Block</th>
                 <th className="px-6 py-4 font-medium">Parcel ID</th>
                 <th className="px-6 py-4 font-medium">Location</th>
                 <th className="px-6 py-4 font-medium">Timestamp</th>
@@ -105,25 +270,37 @@ export const Dashboard = () => {
               </tr>
             </thead>
             <tbody>
-              {[
-                { id: 'P-9021', loc: 'Sacramento Valley, CA', time: '2 mins ago', hash: '0x7f...3a2b', status: 'Verified' },
-                { id: 'P-9022', loc: 'Napa County, CA', time: '15 mins ago', hash: '0x8e...9c1d', status: 'Pending' },
-                { id: 'P-9023', loc: 'Central Coast, CA', time: '1 hour ago', hash: '0x1a...4f5e', status: 'Verified' },
-              ].map((row, i) => (
-                <tr key={i} className="border-b border-slate-50 hover:bg-slate-50">
-                  <td className="px-6 py-4 font-medium text-slate-900">{row.id}</td>
-                  <td className="px-6 py-4 text-slate-600">{row.loc}</td>
-                  <td className="px-6 py-4 text-slate-500">{row.time}</td>
-                  <td className="px-6 py-4 font-mono text-xs text-slate-400">{row.hash}</td>
+              {recentEntries.map((entry) => (
+                <tr
+                  key={entry.hash}
+                  onClick={() => onDrillDown({ parcelId: entry.parcelId })}
+                  className="border-b border-slate-50 hover:bg-slate-50 cursor-pointer"
+                >
+                  <td className="px-6 py-4 text-slate-500">
+                    #{entry.index} <span className="text-xs text-slate-400">{ENTRY_LABELS[entry.type] || entry.type}</span>
+                  </td>
+                  <td className="px-6 py-4 font-medium text-slate-900">{entry.parcelId}</td>
+                  <td className="px-6 py-4 text-slate-600">{entry.summary.location || 'NA'}</td>
+                  <td className="px-6 py-4 text-slate-500">{formatRelativeTime(entry.timestamp)}</td>
+                  <td className="px-6 py-4 font-mono text-xs text-slate-400" title={entry.hash}>
+                    {entry.hash.slice(0, 6)}...{entry.hash.slice(-4)}
+                  </td>
                   <td className="px-6 py-4">
                     <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                      row.status === 'Verified' ? 'bg-emerald-100 text-emerald-800' : 'bg-amber-100 text-amber-800'
+                      STATUS_CLASSES[entry.summary.status] || STATUS_CLASSES.Pending
                     }`}>
-                      {row.status}
+                      {entry.summary.status}
                     </span>
                   </td>
                 </tr>
               ))}
+              {!recentEntries.length && (
+                <tr>
+                  <td colSpan={6} className={`px-6 py-8 text-center ${ledgerError ? 'text-rose-600' : 'text-slate-400'}`}>
+                    {ledgerError || (hasRange ? 'No ledger entries in this range.' : 'No ledger entries yet.')}
+                  </td>
+                </tr>
+              )}
             </tbody>
           </table>
         </div>
@@ -16,7 +16,17 @@ import {
   Upload,
   Cpu,
   Loader2,
-  Layers
+  Layers,
+  Printer,
+  QrCode,
+  Download,
+  MessageSquare,
+  Send,
+  LogOut,
+  ClipboardList,
+  Filter,
+  ArrowUp,
+  ArrowDown
 } from 'lucide-react';
 
 export const Icons = {
@@ -36,5 +46,15 @@ export const Icons = {
   Upload: Upload,
   AI: Cpu,
   Spinner: Loader2,
-  Layers: Layers
+  Layers: Layers,
+  Print: Printer,
+  QrCode: QrCode,
+  Download: Download,
+  Chat: MessageSquare,
+  Send: Send,
+  SignOut: LogOut,
+  Audit: ClipboardList,
+  Filter: Filter,
+  SortAsc: ArrowUp,
+  SortDesc: ArrowDown
 };
\ No newline at end of file
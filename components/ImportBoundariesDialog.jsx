@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useRef } from 'react';
+import L from 'leaflet';
+import { Icons } from './Icons';
+import { describePolygon, formatArea, geodesicArea } from '../services/geometry';
+import { buildParcelPayload, createParcel } from '../services/registryService';
+import { getSettings } from '../services/settingsService';
+import {
+  IMPORT_ACCEPT,
+  buildImportRows,
+  collectPropertyNames,
+  guessFieldMapping,
+  parseBoundaryFiles
+} from '../services/boundaryImport';
+
+const MAPPED_FIELDS = [
+  { id: 'name', label: 'Parcel name' },
+  { id: 'owner', label: 'Owner' },
+  { id: 'location', label: 'Location' }
+];
+
+const PREVIEW_STYLES = {
+  valid: { color: '#059669', weight: 2, fillOpacity: 0.15 },
+  invalid: { color: '#e11d48', weight: 2, dashArray: '4 4', fillOpacity: 0.1 },
+  focused: { color: '#2563eb', weight: 3, fillOpacity: 0.3 }
+};
+
+const selectClass = 'w-full px-2 py-1.5 text-sm border border-slate-300 rounded-md bg-white mt-0.5';
+
+/**
+ * Reads a GeoJSON, KML or Shapefile, previews its boundaries and maps its
+ * attributes onto parcel fields. With `onUseSelection` a feature can be sent
+ * to the explorer; with `onImported` the valid features are registered.
+ */
+export const ImportBoundariesDialog = ({ onClose, onImported, onUseSelection }) => {
+  const [parsed, setParsed] = useState(null);
+  const [parseError, setParseError] = useState('');
+  const [isParsing, setIsParsing] = useState(false);
+  const [mapping, setMapping] = useState({ name: '', owner: '', location: '' });
+  const [focusedIndex, setFocusedIndex] = useState(null);
+  const [outcomes, setOutcomes] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+  const mapContainerRef = useRef(null);
+  const mapInstanceRef = useRef(null);
+  const fittedRef = useRef(null);
+
+  const propertyNames = parsed ? collectPropertyNames(parsed.collection.features) : [];
+  const rows = parsed ? buildImportRows(parsed.collection, mapping) : [];
+  const pendingRows = rows.filter((row) => row.valid && outcomes[row.index]?.status !== 'registered');
+
+  const handleFiles = async (event) => {
+    const { files } = event.target;
+    if (!files?.length) return;
+    setIsParsing(true);
+    setParseError('');
+    setParsed(null);
+    setOutcomes({});
+    setFocusedIndex(null);
+
+    try {
+      const result = await parseBoundaryFiles(files);
+      if (!result.collection.features.length) throw new Error('The file contains no features.');
+      setParsed({ ...result, fileNames: Array.from(files, (file) => file.name).join(', ') });
+      setMapping(guessFieldMapping(collectPropertyNames(result.collection.features)));
+    } catch (err) {
+      console.warn('Boundary import failed to parse.', err);
+      setParseError(err instanceof Error ? err.message : 'Could not read the file.');
+    } finally {
+      setIsParsing(false);
+      event.target.value = '';
+    }
+  };
+
+  // Features are registered one at a time so each gets its own ledger entry and error.
+  const handleRegisterAll = async () => {
+    setIsImporting(true);
+    const registered = [];
+    for (const row of pendingRows) {
+      setOutcomes((current) => ({ ...current, [row.index]: { status: 'saving' } }));
+      try {
+        const parcel = await createParcel(buildParcelPayload({
+          ...row.fields,
+          selection: describePolygon(row.vertices)
+        }));
+        registered.push(parcel);
+        setOutcomes((current) => ({ ...current, [row.index]: { status: 'registered', parcel } }));
+      } catch (err) {
+        console.warn(`Import of feature ${row.index + 1} failed.`, err);
+        const error = err instanceof Error ? err.message : 'Unknown registration error';
+        setOutcomes((current) => ({ ...current, [row.index]: { status: 'failed', error } }));
+      }
+    }
+    setIsImporting(false);
+    if (registered.length) onImported(registered);
+  };
+
+  useEffect(() => {
+    if (!mapContainerRef.current || mapInstanceRef.current) return;
+    const map = L.map(mapContainerRef.current, { attributionControl: false }).setView([0, 0], 2);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', { maxZoom: 19 }).addTo(map);
+    mapInstanceRef.current = map;
+    return () => {
+      map.remove();
+      mapInstanceRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !rows.length) return;
+
+    const group = L.featureGroup();
+    rows.forEach((row) => {
+      if (row.vertices.length < 2) return;
+      const style = row.index === focusedIndex
+        ? PREVIEW_STYLES.focused
+        : row.valid ? PREVIEW_STYLES.valid : PREVIEW_STYLES.invalid;
+      L.polygon(row.vertices, style)
+        .bindTooltip(`#${row.index + 1} ${row.fields.name}`, { sticky: true })
+        .on('click', () => setFocusedIndex(row.index))
+        .addTo(group);
+    });
+    group.addTo(map);
+    // Only a new file moves the view; focusing a row or remapping fields keeps it.
+    if (fittedRef.current !== parsed && group.getLayers().length) {
+      fittedRef.current = parsed;
+      map.fitBounds(group.getBounds(), { padding: [20, 20], maxZoom: 17 });
+    }
+
+    return () => {
+      group.remove();
+    };
+  }, [parsed, mapping, focusedIndex]);
+
+  const validCount = rows.filter((row) => row.valid).length;
+
+  return (
+    <div className="fixed inset-0 z-[950] flex items-center justify-center bg-slate-900/40 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-5xl max-h-full overflow-y-auto bg-white rounded-xl shadow-2xl"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="sticky top-0 z-10 bg-white border-b border-slate-200 px-6 py-4 flex items-start justify-between">
+          <div>
+            <h2 className="text-lg font-bold text-slate-900">Import Boundaries</h2>
+            <p className="text-sm text-slate-500">GeoJSON, KML or zipped Shapefile. Projected files need their .prj.</p>
+          </div>
+          <button onClick={onClose} className="p-1.5 text-slate-400 hover:text-slate-700">
+            <Icons.Close className="w-5 h-5" />
+          </button>
+        </header>
+
+        <div className="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="space-y-4">
+            <label className="block p-4 rounded-lg border-2 border-dashed border-slate-300 text-center cursor-pointer hover:bg-slate-50">
+              <Icons.Upload className="w-6 h-6 mx-auto text-slate-400" />
+              <span className="block mt-1 text-sm text-slate-600">
+                {isParsing ? 'Reading...' : parsed ? parsed.fileNames : 'Choose file(s)'}
+              </span>
+              <span className="block text-[11px] text-slate-400">Loose Shapefile parts: select the .shp, .dbf and .prj together.</span>
+              <input type="file" multiple accept={IMPORT_ACCEPT} onChange={handleFiles} disabled={isParsing || isImporting} className="hidden" />
+            </label>
+            {parseError && <p className="text-sm text-rose-600 break-words">{parseError}</p>}
+
+            {parsed && (
+              <>
+                <p className="text-xs text-slate-500">
+                  {parsed.format} · {rows.length} feature{rows.length === 1 ? '' : 's'} · {validCount} ready · {parsed.crsNote}
+                </p>
+                <div>
+                  <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Attribute Mapping</p>
+                  <div className="grid grid-cols-3 gap-3">
+                    {MAPPED_FIELDS.map((field) => (
+                      <label key={field.id} className="text-xs text-slate-500">
+                        {field.label}
+                        <select
+                          value={mapping[field.id]}
+                          onChange={(event) => setMapping((current) => ({ ...current, [field.id]: event.target.value }))}
+                          className={selectClass}
+                        >
+                          <option value="">(none)</option>
+                          {propertyNames.map((name) => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+
+          <div ref={mapContainerRef} className="h-72 rounded-lg border border-slate-200 z-0" />
+        </div>
+
+        {parsed && (
+          <div className="px-6 pb-6">
+            <div className="border border-slate-200 rounded-lg overflow-hidden">
+              <table className="w-full text-left text-sm">
+                <thead>
+                  <tr className="bg-slate-50 border-b border-slate-200 text-xs uppercase text-slate-500">
+                    <th className="px-3 py-2">#</th>
+                    <th className="px-3 py-2">Name</th>
+                    <th className="px-3 py-2">Owner</th>
+                    <th className="px-3 py-2">Area</th>
+                    <th className="px-3 py-2">Status</th>
+                    <th className="px-3 py-2 text-right"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => {
+                    const outcome = outcomes[row.index];
+                    return (
+                      <tr
+                        key={row.index}
+                        onClick={() => setFocusedIndex(row.index)}
+                        className={`border-b border-slate-100 align-top cursor-pointer ${row.index === focusedIndex ? 'bg-blue-50' : 'hover:bg-slate-50'}`}
+                      >
+                        <td className="px-3 py-2 text-slate-400">{row.index + 1}</td>
+                        <td className="px-3 py-2 text-slate-900">{row.fields.name}</td>
+                        <td className="px-3 py-2 text-slate-600">{row.fields.owner || 'NA'}</td>
+                        <td className="px-3 py-2 text-slate-600 whitespace-nowrap">
+                          {row.geometryValid ? formatArea(geodesicArea(row.vertices), getSettings().areaUnit) : 'NA'}
+                        </td>
+                        <td className="px-3 py-2 text-xs">
+                          {outcome?.status === 'registered' && (
+                            <span className="text-emerald-700 flex items-center">
+                              <Icons.Verified className="w-3 h-3 mr-1" /> {outcome.parcel.id} ({outcome.parcel.status})
+                            </span>
+                          )}
+                          {outcome?.status === 'saving' && <span className="text-slate-400">Registering...</span>}
+                          {outcome?.status === 'failed' && <span className="text-rose-600 break-words">{outcome.error}</span>}
+                          {!outcome && (row.valid ? <span className="text-emerald-700">Ready</span> : (
+                            <ul className="text-rose-600 space-y-0.5">
+                              {row.errors.map((error) => <li key={error}>{error}</li>)}
+                            </ul>
+                          ))}
+                          {row.warnings.map((warning) => <p key={warning} className="text-amber-700">{warning}</p>)}
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          {onUseSelection && (
+                            <button
+                              onClick={(event) => {
+                                event.stopPropagation();
+                                onUseSelection(row.vertices, row.fields);
+                              }}
+                              disabled={!row.geometryValid}
+                              className="px-2.5 py-1 text-xs rounded border border-slate-300 text-brand-700 hover:bg-slate-50 disabled:opacity-50 whitespace-nowrap"
+                            >
+                              Use as selection
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {onImported && (
+              <div className="mt-4 flex items-center justify-end gap-3">
+                <span className="text-xs text-slate-500">Invalid features are skipped; each valid one gets its own ledger entry.</span>
+                <button
+                  onClick={handleRegisterAll}
+                  disabled={!pendingRows.length || isImporting}
+                  className="px-4 py-2 rounded-lg bg-slate-900 text-white text-sm font-medium flex items-center disabled:opacity-60"
+                >
+                  {isImporting && <Icons.Spinner className="w-4 h-4 mr-2 animate-spin" />}
+                  Register {pendingRows.length} parcel{pendingRows.length === 1 ? '' : 's'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Icons } from './Icons';
+
+/** On-map toggle, opacity slider and color legend for the index overlay. */
+export const IndexOverlayControl = ({ index, visible, onToggle, opacity, onOpacityChange, disabled, status }) => {
+  const gradient = `linear-gradient(to right, ${index.colors.join(', ')})`;
+
+  return (
+    <div className="absolute top-4 right-4 z-[400] w-56 bg-white/90 backdrop-blur p-3 rounded-lg shadow-xl border border-white/20">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center text-xs font-bold text-slate-700">
+          <Icons.Layers className="w-4 h-4 mr-1.5 text-brand-600" />
+          {index.id} Overlay
+        </div>
+        <button
+          type="button"
+          onClick={onToggle}
+          disabled={disabled}
+          className={`px-2 py-0.5 text-[10px] font-semibold rounded-full border transition-all disabled:opacity-50 ${
+            visible
+              ? 'bg-brand-600 text-white border-brand-600'
+              : 'bg-white text-slate-600 border-slate-300'
+          }`}
+        >
+          {visible ? 'On' : 'Off'}
+        </button>
+      </div>
+
+      {disabled ? (
+        <p className="mt-2 text-[10px] text-slate-500">Close a parcel and load a scene to render the overlay.</p>
+      ) : (
+        <>
+          <div className="mt-3 h-2.5 w-full rounded" style={{ background: gradient }} />
+          <div className="flex justify-between text-[10px] text-slate-500 mt-1">
+            <span>-1</span>
+            <span>0</span>
+            <span>+1</span>
+          </div>
+          <p className="mt-1 text-[10px] text-slate-500">{index.name}. Masked pixels are transparent.</p>
+
+          <label className="mt-2 block text-[10px] text-slate-500">
+            Opacity {Math.round(opacity * 100)}%
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={opacity}
+              onChange={(event) => onOpacityChange(Number(event.target.value))}
+              className="w-full accent-brand-600"
+            />
+          </label>
+          {status && <p className="mt-1 text-[10px] text-slate-400">{status}</p>}
+        </>
+      )}
+    </div>
+  );
+};
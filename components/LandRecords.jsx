@@ -1,87 +1,454 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Icons } from './Icons';
+import { getParcel, listParcels, verifyLedgerChain } from '../services/registryService';
+import { ParcelCertificate } from './ParcelCertificate';
+import { ParcelDetail } from './ParcelDetail';
+import { ImportBoundariesDialog } from './ImportBoundariesDialog';
+import { EXPORT_FORMATS } from '../services/exportFormats';
+import { exportParcels } from '../services/exportService';
+import { describeDashboardFilter } from '../services/dashboardMetrics';
+import { DEFAULT_PAGE_SIZE, PAGE_SIZES, parseBboxText } from '../services/parcelQuery';
+import { formatParcelArea } from '../services/geometry';
+import { getSettings } from '../services/settingsService';
+import { buildPath, buildRecordsQuery, navigate, parseRecordsQuery, rememberRecordsQuery } from '../services/routing';
+import { AppView } from '../constants';
+import { getCurrentUser } from '../services/authService';
+import { can } from '../services/permissions';
 
-const MOCK_RECORDS = [
-  { id: 'T-882190', owner: 'Green Valley Farms', location: '34.05N, 118.24W', size: '45.2 Ha', verified: true, date: '2023-10-12' },
-  { id: 'T-882191', owner: 'Urban Dev Corp', location: '34.01N, 118.29W', size: '12.5 Ha', verified: true, date: '2023-10-15' },
-  { id: 'T-882192', owner: 'Private Holding', location: '34.12N, 118.35W', size: '2.1 Ha', verified: false, date: '2023-11-01' },
-  { id: 'T-882193', owner: 'State Reserve', location: '34.45N, 118.10W', size: '120.0 Ha', verified: true, date: '2023-11-05' },
-  { id: 'T-882194', owner: 'AgriTech Industries', location: '35.01N, 119.50W', size: '67.8 Ha', verified: true, date: '2023-11-12' },
+const STATUS_BADGES = {
+  Verified: { className: 'bg-emerald-100 text-emerald-800 border-emerald-200', icon: 'Verified' },
+  Pending: { className: 'bg-amber-100 text-amber-800 border-amber-200', icon: 'Alert' },
+  Flagged: { className: 'bg-rose-100 text-rose-800 border-rose-200', icon: 'Alert' }
+};
+
+const SORT_COLUMNS = [
+  { field: 'id', label: 'Transaction ID' },
+  { field: 'owner', label: 'Owner' },
+  { field: 'location', label: 'Location' },
+  { field: 'area', label: 'Size' },
+  { field: 'createdAt', label: 'Date Recorded' },
+  { field: 'status', label: 'Verification' }
 ];
 
-export const LandRecords = () => {
-  const [searchTerm, setSearchTerm] = useState('');
+// Newest and largest first when a column is first clicked; text sorts A–Z.
+const DEFAULT_SORT_ORDERS = { createdAt: 'desc', area: 'desc' };
+
+const ADVANCED_FILTER_KEYS = ['status', 'minHa', 'maxHa', 'from', 'to', 'bbox'];
+
+const filterInputClass = 'px-3 py-2 text-sm border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-brand-500';
+
+/**
+ * Status, area, registration date and bounding box filters, combined with
+ * AND. The bounding box is applied once it parses, so half-typed values stay
+ * in the field without reaching the URL.
+ */
+const AdvancedFilters = ({ query, onChange }) => {
+  const statuses = (query.status || '').split(',').filter(Boolean);
+  const [bboxDraft, setBboxDraft] = useState(query.bbox || '');
+  const bboxInvalid = bboxDraft.trim() !== '' && !parseBboxText(bboxDraft);
+
+  useEffect(() => {
+    setBboxDraft(query.bbox || '');
+  }, [query.bbox]);
+
+  const toggleStatus = (status) => {
+    const next = statuses.includes(status) ? statuses.filter((value) => value !== status) : [...statuses, status];
+    onChange('status', next.join(','));
+  };
+
+  const handleBboxChange = (value) => {
+    setBboxDraft(value);
+    if (!value.trim()) onChange('bbox', '');
+    else if (parseBboxText(value)) onChange('bbox', value.replace(/\s+/g, ''));
+  };
 
-  const filteredRecords = MOCK_RECORDS.filter(r => 
-    r.owner.toLowerCase().includes(searchTerm.toLowerCase()) || 
-    r.id.toLowerCase().includes(searchTerm.toLowerCase())
+  return (
+    <div className="bg-white rounded-xl border border-slate-200 p-4 flex flex-wrap items-end gap-x-6 gap-y-4 text-xs text-slate-500">
+      <fieldset>
+        <legend className="mb-1">Verification status</legend>
+        <div className="flex gap-3 py-2 text-sm text-slate-700">
+          {Object.keys(STATUS_BADGES).map((status) => (
+            <label key={status} className="flex items-center gap-1.5">
+              <input type="checkbox" checked={statuses.includes(status)} onChange={() => toggleStatus(status)} />
+              {status}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      <div className="flex items-end gap-2">
+        <label className="flex flex-col gap-1">
+          Area from (ha)
+          <input type="number" min="0" step="any" value={query.minHa || ''} onChange={(event) => onChange('minHa', event.target.value)} className={`${filterInputClass} w-28`} />
+        </label>
+        <label className="flex flex-col gap-1">
+          to (ha)
+          <input type="number" min="0" step="any" value={query.maxHa || ''} onChange={(event) => onChange('maxHa', event.target.value)} className={`${filterInputClass} w-28`} />
+        </label>
+      </div>
+      <div className="flex items-end gap-2">
+        <label className="flex flex-col gap-1">
+          Registered from
+          <input type="date" value={query.from || ''} onChange={(event) => onChange('from', event.target.value)} className={filterInputClass} />
+        </label>
+        <label className="flex flex-col gap-1">
+          to
+          <input type="date" value={query.to || ''} onChange={(event) => onChange('to', event.target.value)} className={filterInputClass} />
+        </label>
+      </div>
+      <label className="flex flex-col gap-1">
+        Bounding box (min lng, min lat, max lng, max lat)
+        <input
+          type="text"
+          value={bboxDraft}
+          onChange={(event) => handleBboxChange(event.target.value)}
+          placeholder="-118.5,33.9,-118.1,34.2"
+          className={`${filterInputClass} w-72 font-mono ${bboxInvalid ? 'border-rose-400' : ''}`}
+        />
+        {bboxInvalid && <span className="text-rose-600">Enter four comma-separated degrees, min before max.</span>}
+      </label>
+    </div>
   );
+};
+
+const formatRecordDate = (isoValue) => (isoValue ? isoValue.slice(0, 10) : 'NA');
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 10)}…${hash.slice(-6)}` : 'NA');
+
+const ChainVerificationBanner = ({ verification, onDismiss }) => {
+  const { valid, length, headHash, signed, firstInvalid, issues } = verification;
+  return (
+    <div
+      className={`p-4 rounded-xl border text-sm ${
+        valid ? 'bg-emerald-50 border-emerald-200 text-emerald-800' : 'bg-rose-50 border-rose-200 text-rose-800'
+      }`}
+    >
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <p className="font-semibold flex items-center">
+            {valid ? <Icons.Verified className="w-4 h-4 mr-1.5" /> : <Icons.Alert className="w-4 h-4 mr-1.5" />}
+            {valid
+              ? `Chain intact: ${length} entries recomputed${signed ? ', all registrar signatures valid' : ' (unsigned)'}.`
+              : firstInvalid.index === null
+                ? `Parcel ${firstInvalid.parcelId} is missing from the ledger.`
+                : `Chain broken at entry #${firstInvalid.index} (${firstInvalid.type} for ${firstInvalid.parcelId}): ${firstInvalid.reason}.`}
+          </p>
+          <p className="mt-1 font-mono text-xs opacity-80">Head {shortHash(headHash)}</p>
+          {issues.length > 1 && (
+            <ul className="mt-2 text-xs space-y-0.5 list-disc list-inside">
+              {issues.slice(1).map((issue, i) => (
+                <li key={i}>
+                  {issue.index === null ? '' : `#${issue.index} `}{issue.parcelId}: {issue.reason}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <button onClick={onDismiss} className="opacity-60 hover:opacity-100">
+          <Icons.Close className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Filters, search text, sort, page and the open parcel all live in the URL
+ * (/records?status=&q=&sort=&page=, /records/:parcelId) so the view can be
+ * shared. The API filters and pages; only the listed page is held here.
+ */
+export const LandRecords = ({ parcelId, query }) => {
+  const { searchTerm, filter: drillDown } = parseRecordsQuery(query);
+  const sort = query.sort || 'createdAt';
+  const order = query.order || (query.sort ? 'asc' : 'desc');
+  // Hand-edited URLs fall back to values the API accepts instead of failing the load.
+  const page = Math.max(1, Math.floor(Number(query.page)) || 1);
+  const pageSize = PAGE_SIZES.includes(Number(query.pageSize)) ? Number(query.pageSize) : DEFAULT_PAGE_SIZE;
+  const queryKey = JSON.stringify(query);
+  const [records, setRecords] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [detailParcel, setDetailParcel] = useState(null);
+  const [detailError, setDetailError] = useState('');
+  const [verification, setVerification] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [verifyError, setVerifyError] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+  const [areFiltersOpen, setAreFiltersOpen] = useState(false);
+  const [certificateParcel, setCertificateParcel] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+
+  // Typing, filtering and sorting replace the history entry; paging and
+  // opening or closing a parcel add one. Any filter change returns to page 1.
+  const showRecords = (changes, { openParcelId = parcelId, replace = false } = {}) => {
+    navigate(buildPath(AppView.RECORDS, { parcelId: openParcelId, query: { ...query, ...changes } }), { replace });
+  };
+
+  const setSearchTerm = (value) => showRecords({ q: value, page: undefined }, { replace: true });
+  const setFilterValue = (key, value) => showRecords({ [key]: value, page: undefined }, { replace: true });
+  const setDetailParcelId = (id) => showRecords({}, { openParcelId: id });
+  const setPage = (value) => showRecords({ page: value > 1 ? value : undefined });
+  const onClearDrillDown = () => showRecords({ ...buildRecordsQuery(null, searchTerm), page: undefined }, { openParcelId: null });
+
+  const handleSort = (field) => {
+    const nextOrder = field === sort ? (order === 'asc' ? 'desc' : 'asc') : DEFAULT_SORT_ORDERS[field] || 'asc';
+    showRecords({ sort: field, order: nextOrder, page: undefined }, { replace: true });
+  };
+
+  const handleParcelChange = (parcel) => {
+    setRecords((current) => current.map((record) => (record.id === parcel.id ? parcel : record)));
+    setDetailParcel(parcel);
+  };
+
+  const loadRecords = async (signal) => {
+    setIsLoading(true);
+    setLoadError('');
+    try {
+      const result = await listParcels({ query: { ...query, page, pageSize }, signal });
+      setRecords(result.parcels);
+      setTotal(result.total);
+    } catch (err) {
+      if (signal?.aborted) return;
+      console.warn('Registry load failed.', err);
+      setLoadError(err instanceof Error ? err.message : 'Unknown registry error');
+    } finally {
+      if (!signal?.aborted) setIsLoading(false);
+    }
+  };
+
+  // Exports cover every matching record, not only the listed page; the API builds the file.
+  const handleExport = async (formatId) => {
+    setIsExporting(true);
+    setExportError('');
+    try {
+      await exportParcels(query, formatId);
+    } catch (err) {
+      console.warn('Registry export failed.', err);
+      setExportError(err instanceof Error ? err.message : 'Unknown export error');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleVerifyChain = async () => {
+    setIsVerifying(true);
+    setVerifyError('');
+    try {
+      setVerification(await verifyLedgerChain());
+    } catch (err) {
+      console.warn('Ledger verification failed.', err);
+      setVerification(null);
+      setVerifyError(err instanceof Error ? err.message : 'Unknown verification error');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const tamperedIds = new Set(verification?.issues.map((issue) => issue.parcelId) || []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadRecords(controller.signal);
+    rememberRecordsQuery(query);
+    return () => controller.abort();
+  }, [queryKey]);
+
+  // A page past the end (records removed, or an old link) moves to the last page.
+  useEffect(() => {
+    if (!isLoading && !loadError && total > 0 && page > pageCount) showRecords({ page: pageCount }, { replace: true });
+  }, [isLoading, total, page, pageCount]);
+
+  // The open parcel may be on another page, so it is fetched on its own.
+  useEffect(() => {
+    setDetailError('');
+    setDetailParcel(records.find((record) => record.id === parcelId) || null);
+    if (!parcelId) return undefined;
+    const controller = new AbortController();
+    getParcel(parcelId, { signal: controller.signal })
+      .then(setDetailParcel)
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        setDetailParcel(null);
+        setDetailError(err instanceof Error ? err.message : `Parcel ${parcelId} could not be loaded`);
+      });
+    return () => controller.abort();
+  }, [parcelId]);
+
+  const firstShown = total ? (page - 1) * pageSize + 1 : 0;
+  const lastShown = Math.min(total, page * pageSize);
+  const advancedFilterCount = ADVANCED_FILTER_KEYS.filter((key) => query[key]).length;
 
   return (
     <div className="p-6 space-y-6">
       <header className="flex flex-col md:flex-row md:items-center justify-between gap-4">
         <div>
            <h1 className="text-2xl font-bold text-slate-900">Land Registry Ledger</h1>
-           <p className="text-slate-500">Immutable blockchain records of verified land parcels.</p>
+           <p className="text-slate-500">Hash-chained, tamper-evident records of registered land parcels.</p>
         </div>
-        <div className="relative">
-          <input 
-            type="text" 
-            placeholder="Search by Owner or ID..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="pl-10 pr-4 py-2 border border-slate-300 rounded-lg w-full md:w-64 focus:outline-none focus:ring-2 focus:ring-brand-500"
-          />
-          <Icons.Search className="w-5 h-5 text-slate-400 absolute left-3 top-2.5" />
+        <div className="flex flex-col sm:flex-row gap-2">
+          <div className="relative">
+            <input 
+              type="text" 
+              placeholder="Search owner, name, ID or location..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="pl-10 pr-4 py-2 border border-slate-300 rounded-lg w-full md:w-64 focus:outline-none focus:ring-2 focus:ring-brand-500"
+            />
+            <Icons.Search className="w-5 h-5 text-slate-400 absolute left-3 top-2.5" />
+          </div>
+          <button
+            onClick={() => setAreFiltersOpen((open) => !open)}
+            className={`px-4 py-2 rounded-lg border text-sm font-medium flex items-center justify-center ${
+              areFiltersOpen ? 'border-brand-300 bg-brand-50 text-brand-800' : 'border-slate-300 bg-white text-slate-700 hover:bg-slate-50'
+            }`}
+          >
+            <Icons.Filter className="w-4 h-4 mr-2" />
+            Filters{advancedFilterCount > 0 && ` (${advancedFilterCount})`}
+          </button>
+          {can(getCurrentUser(), 'parcels:register') && (
+            <button
+              onClick={() => setIsImportOpen(true)}
+              className="px-4 py-2 rounded-lg border border-slate-300 bg-white text-slate-700 text-sm font-medium flex items-center justify-center hover:bg-slate-50"
+            >
+              <Icons.Upload className="w-4 h-4 mr-2" />
+              Import
+            </button>
+          )}
+          <div className="flex rounded-lg border border-slate-300 bg-white overflow-hidden text-sm">
+            <span className="px-3 py-2 text-slate-500 flex items-center border-r border-slate-200">
+              <Icons.Download className="w-4 h-4 mr-2" /> Export
+            </span>
+            {EXPORT_FORMATS.map((format) => (
+              <button
+                key={format.id}
+                onClick={() => handleExport(format.id)}
+                disabled={!total || isExporting}
+                title={`Download all ${total} matching records as ${format.label}`}
+                className="px-3 py-2 text-slate-700 font-medium hover:bg-slate-50 disabled:opacity-50"
+              >
+                {format.label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={handleVerifyChain}
+            disabled={isVerifying}
+            className="px-4 py-2 rounded-lg bg-slate-900 text-white text-sm font-medium flex items-center justify-center disabled:opacity-60"
+          >
+            {isVerifying ? <Icons.Spinner className="w-4 h-4 mr-2 animate-spin" /> : <Icons.Verified className="w-4 h-4 mr-2" />}
+            Verify chain
+          </button>
         </div>
       </header>
 
+      {areFiltersOpen && <AdvancedFilters query={query} onChange={setFilterValue} />}
+
+      {drillDown && (
+        <div className="flex items-center justify-between px-4 py-2 rounded-lg border border-brand-100 bg-brand-50 text-sm text-brand-800">
+          <span>{drillDown.question ? 'From query assistant' : 'Filtered'}: {describeDashboardFilter(drillDown) || 'all parcels'}</span>
+          <button onClick={onClearDrillDown} className="flex items-center text-brand-700 hover:text-brand-900">
+            <Icons.Close className="w-4 h-4 mr-1" /> Show all records
+          </button>
+        </div>
+      )}
+
+      {detailError && <p className="text-sm text-rose-600">{detailError}</p>}
+      {exportError && <p className="text-sm text-rose-600">{exportError}</p>}
+      {verifyError && <p className="text-sm text-rose-600">{verifyError}</p>}
+      {verification && <ChainVerificationBanner verification={verification} onDismiss={() => setVerification(null)} />}
+
       <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
         <div className="overflow-x-auto">
           <table className="w-full text-left border-collapse">
              <thead>
                <tr className="bg-slate-50 border-b border-slate-200 text-xs uppercase text-slate-500 font-semibold">
-                 <th className="px-6 py-4">Transaction ID</th>
-                 <th className="px-6 py-4">Owner</th>
-                 <th className="px-6 py-4">Coordinates</th>
-                 <th className="px-6 py-4">Size</th>
-                 <th className="px-6 py-4">Date Recorded</th>
-                 <th className="px-6 py-4">Verification</th>
+                 {SORT_COLUMNS.map((column) => (
+                   <th key={column.field} className="px-6 py-4" aria-sort={column.field === sort ? `${order}ending` : undefined}>
+                     <button onClick={() => handleSort(column.field)} className="flex items-center uppercase font-semibold hover:text-slate-800">
+                       {column.label}
+                       {column.field === sort && (order === 'asc'
+                         ? <Icons.SortAsc className="w-3.5 h-3.5 ml-1" />
+                         : <Icons.SortDesc className="w-3.5 h-3.5 ml-1" />)}
+                     </button>
+                   </th>
+                 ))}
                  <th className="px-6 py-4 text-right">Actions</th>
                </tr>
              </thead>
              <tbody>
-               {filteredRecords.length > 0 ? filteredRecords.map((record, index) => (
-                 <tr key={record.id} className="border-b border-slate-100 hover:bg-slate-50 transition-colors">
+               {isLoading ? (
+                 <tr>
+                    <td colSpan={7} className="px-6 py-12 text-center text-slate-400">
+                        <Icons.Spinner className="w-5 h-5 mx-auto mb-2 animate-spin" />
+                        Loading registry...
+                    </td>
+                 </tr>
+               ) : loadError ? (
+                 <tr>
+                    <td colSpan={7} className="px-6 py-12 text-center text-rose-600 text-sm">
+                        {loadError}
+                        <button onClick={() => loadRecords()} className="block mx-auto mt-2 text-brand-600 hover:text-brand-800 font-medium">
+                          Retry
+                        </button>
+                    </td>
+                 </tr>
+               ) : records.length > 0 ? records.map((record) => (
+                 <tr
+                   key={record.id}
+                   className={`border-b border-slate-100 transition-colors ${
+                     tamperedIds.has(record.id) ? 'bg-rose-50 hover:bg-rose-100' : 'hover:bg-slate-50'
+                   }`}
+                 >
                    <td className="px-6 py-4">
                      <div className="flex items-center">
                         <Icons.Database className="w-4 h-4 text-brand-400 mr-2" />
                         <span className="font-mono text-sm text-slate-700">{record.id}</span>
                      </div>
+                     <div className="font-mono text-[10px] text-slate-400 mt-0.5" title={record.hash}>{shortHash(record.hash)}</div>
+                   </td>
+                   <td className="px-6 py-4">
+                     <div className="font-medium text-slate-900">{record.owner}</div>
+                     <div className="text-xs text-slate-500">{record.name}</div>
                    </td>
-                   <td className="px-6 py-4 font-medium text-slate-900">{record.owner}</td>
-                   <td className="px-6 py-4 text-slate-500 text-sm">{record.location}</td>
-                   <td className="px-6 py-4 text-slate-900">{record.size}</td>
-                   <td className="px-6 py-4 text-slate-500 text-sm">{record.date}</td>
+                   <td className="px-6 py-4 text-slate-500 text-sm">{record.location || 'NA'}</td>
+                   <td className="px-6 py-4 text-slate-900">{formatParcelArea(record, getSettings().areaUnit)}</td>
+                   <td className="px-6 py-4 text-slate-500 text-sm">{formatRecordDate(record.createdAt)}</td>
                    <td className="px-6 py-4">
-                     {record.verified ? (
-                       <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-emerald-100 text-emerald-800 border border-emerald-200">
-                         <Icons.Verified className="w-3 h-3 mr-1" /> Verified
-                       </span>
-                     ) : (
-                       <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 border border-amber-200">
-                         <Icons.Alert className="w-3 h-3 mr-1" /> Pending
-                       </span>
-                     )}
+                     {(() => {
+                       const badge = STATUS_BADGES[record.status] || STATUS_BADGES.Pending;
+                       const BadgeIcon = Icons[badge.icon];
+                       return (
+                         <span
+                           title={record.flagReason || undefined}
+                           className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${badge.className}`}
+                         >
+                           <BadgeIcon className="w-3 h-3 mr-1" /> {record.status}
+                         </span>
+                       );
+                     })()}
                    </td>
                    <td className="px-6 py-4 text-right">
-                     <button className="text-brand-600 hover:text-brand-800 font-medium text-sm">View Cert</button>
+                     <button
+                       onClick={() => setDetailParcelId(record.id)}
+                       className="text-slate-600 hover:text-slate-900 font-medium text-sm mr-4"
+                     >
+                       Details
+                     </button>
+                     <button
+                       onClick={() => setCertificateParcel(record)}
+                       className="text-brand-600 hover:text-brand-800 font-medium text-sm"
+                     >
+                       View Cert
+                     </button>
                    </td>
                  </tr>
                )) : (
                  <tr>
                     <td colSpan={7} className="px-6 py-12 text-center text-slate-400">
-                        No records found matching your search.
+                        No records match the search and filters.
                     </td>
                  </tr>
                )}
@@ -89,13 +456,53 @@ export const LandRecords = () => {
           </table>
         </div>
         <div className="bg-slate-50 px-6 py-3 border-t border-slate-200 flex items-center justify-between text-sm text-slate-500">
-          <span>Showing {filteredRecords.length} records</span>
-          <div className="flex gap-2">
-            <button className="px-3 py-1 border border-slate-300 rounded bg-white hover:bg-slate-50 disabled:opacity-50">Previous</button>
-            <button className="px-3 py-1 border border-slate-300 rounded bg-white hover:bg-slate-50 disabled:opacity-50">Next</button>
+          <span>{total ? `Showing ${firstShown}–${lastShown} of ${total} records` : 'No records'}</span>
+          <div className="flex items-center gap-2">
+            <label className="flex items-center gap-1">
+              Per page
+              <select
+                value={pageSize}
+                onChange={(event) => showRecords({ pageSize: event.target.value, page: undefined }, { replace: true })}
+                className="px-2 py-1 border border-slate-300 rounded bg-white text-slate-700"
+              >
+                {PAGE_SIZES.map((size) => <option key={size} value={size}>{size}</option>)}
+              </select>
+            </label>
+            <span className="px-2">Page {Math.min(page, pageCount)} of {pageCount}</span>
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1 || isLoading}
+              className="px-3 py-1 border border-slate-300 rounded bg-white hover:bg-slate-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pageCount || isLoading}
+              className="px-3 py-1 border border-slate-300 rounded bg-white hover:bg-slate-50 disabled:opacity-50"
+            >
+              Next
+            </button>
           </div>
         </div>
       </div>
+
+      {detailParcel && (
+        <ParcelDetail
+          parcel={detailParcel}
+          onClose={() => setDetailParcelId(null)}
+          onParcelChange={handleParcelChange}
+          onViewCertificate={setCertificateParcel}
+        />
+      )}
+
+      {isImportOpen && (
+        <ImportBoundariesDialog onClose={() => setIsImportOpen(false)} onImported={() => loadRecords()} />
+      )}
+
+      {certificateParcel && (
+        <ParcelCertificate parcel={certificateParcel} onClose={() => setCertificateParcel(null)} />
+      )}
     </div>
   );
 };
\ No newline at end of file
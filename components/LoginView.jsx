@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Icons } from './Icons';
+import { login } from '../services/authService';
+import { buildPath, navigate } from '../services/routing';
+import { AppView } from '../constants';
+import { ROLES } from '../services/permissions';
+
+const inputClass = 'w-full px-3 py-2 text-sm border border-slate-300 rounded-lg mt-1 focus:outline-none focus:ring-2 focus:ring-brand-500';
+
+/** Sign-in for registry staff. The URL is kept, so a shared link opens after signing in. */
+export const LoginView = () => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSigningIn(true);
+    setError('');
+    try {
+      await login(username.trim(), password);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Unknown sign in error');
+      setIsSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 flex items-start justify-center p-6">
+      <div className="w-full max-w-sm mt-16">
+        <div className="flex items-center justify-center mb-6">
+          <Icons.Leaf className="w-7 h-7 text-accent-500 mr-2" />
+          <span className="text-2xl font-bold tracking-tight text-slate-900">TerraTrust AI</span>
+        </div>
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 space-y-4">
+          <h1 className="text-lg font-semibold text-slate-900">Sign in to the land registry</h1>
+          <label className="block text-xs text-slate-500">
+            Username
+            <input type="text" autoComplete="username" value={username} onChange={(event) => setUsername(event.target.value)} className={inputClass} />
+          </label>
+          <label className="block text-xs text-slate-500">
+            Password
+            <input type="password" autoComplete="current-password" value={password} onChange={(event) => setPassword(event.target.value)} className={inputClass} />
+          </label>
+          {error && <p className="text-sm text-rose-600 break-words">{error}</p>}
+          <button
+            type="submit"
+            disabled={isSigningIn || !username.trim() || !password}
+            className="w-full px-4 py-2 rounded-lg bg-slate-900 text-white text-sm font-medium flex items-center justify-center disabled:opacity-60"
+          >
+            {isSigningIn && <Icons.Spinner className="w-4 h-4 mr-2 animate-spin" />} Sign in
+          </button>
+          <ul className="pt-2 border-t border-slate-100 text-[11px] text-slate-400 space-y-0.5">
+            {ROLES.map((role) => <li key={role.id}><span className="font-medium text-slate-500">{role.label}:</span> {role.description}</li>)}
+          </ul>
+        </form>
+
+        <button
+          onClick={() => navigate(buildPath(AppView.VERIFY))}
+          className="mt-4 w-full text-sm text-brand-600 hover:text-brand-800 font-medium"
+        >
+          Verify a certificate without an account
+        </button>
+      </div>
+    </div>
+  );
+};
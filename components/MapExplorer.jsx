@@ -1,6 +1,41 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Icons } from './Icons';
 import { analyzeLandData } from '../services/geminiService';
+import {
+  describePolygon,
+  formatArea,
+  formatLength,
+  geodesicArea,
+  geodesicPerimeter,
+  centroidOf,
+  isSelfIntersecting
+} from '../services/geometry';
+import { checkParcelOverlaps } from '../services/registryService';
+import { exportSelection } from '../services/exportService';
+import { analyzeWithRules, classifyLandByNdvi, DEFAULT_ANALYSIS_RULES } from '../services/ruleAnalyzer';
+import { getSettings } from '../services/settingsService';
+import { getCurrentUser } from '../services/authService';
+import { can } from '../services/permissions';
+import { buildExplorerQuery, buildPath, navigate, parseExplorerQuery } from '../services/routing';
+import { AppView } from '../constants';
+import {
+  buildIndexTileUrl,
+  clamp,
+  fetchSceneIndexSet,
+  pickLowestCloudScene,
+  SCL_MASKED_CLASSES,
+  searchScenes,
+  toDatetimeRange
+} from '../services/sentinelService';
+import { SPECTRAL_INDICES, getSpectralIndex, requiredBands } from '../services/spectralIndices';
+import { NdviTimeSeries } from './NdviTimeSeries';
+import { ScenePicker } from './ScenePicker';
+import { IndexOverlayControl } from './IndexOverlayControl';
+import { ChangeDetectionPanel } from './ChangeDetectionPanel';
+import { AnalysisCrossCheck, RuleTrace } from './AnalysisCrossCheck';
+import { RegisterParcelForm } from './RegisterParcelForm';
+import { SaveAnalysisRun } from './SaveAnalysisRun';
+import { ImportBoundariesDialog } from './ImportBoundariesDialog';
 import { BarChart, Bar, Tooltip, ResponsiveContainer, Cell } from 'recharts';
 import L from "leaflet";
 import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
@@ -15,15 +50,6 @@ L.Icon.Default.mergeOptions({
   shadowUrl: markerShadow,
 });
 
-const EARTH_SEARCH_URL = '/earth-search/search';
-const TITILER_STATS_URL = '/titiler/stac/statistics';
-const NOMINATIM_URL = '/nominatim/search';
-
-const DEFAULT_LOCATION = {
-  name: 'Default Location',
-  coords: [36.7378, -119.7871]
-};
-
 const MAP_LAYERS = [
   { id: 'OSM', name: 'OpenStreetMap', url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', attribution: '&copy; OpenStreetMap contributors' },
   { id: 'SAT', name: 'Satellite (Esri)', url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', attribution: 'Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community' }
@@ -31,276 +57,94 @@ const MAP_LAYERS = [
 
 const STAT_COLORS = ['#d7191c', '#fdae61', '#ffffbf', '#a6d96a', '#1a9641'];
 
-const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
-
-const toNumber = (value, fallback = 0) => {
-  const parsed = Number(value);
-  return Number.isFinite(parsed) ? parsed : fallback;
-};
-
-const formatCoord = (coords) => {
-  if (!coords) return 'NA';
-  return `${coords[0].toFixed(5)}, ${coords[1].toFixed(5)}`;
-};
+const toDateInputValue = (date) => date.toISOString().slice(0, 10);
 
-const formatDate = (isoValue) => {
-  if (!isoValue) return 'NA';
-  const date = new Date(isoValue);
-  if (Number.isNaN(date.getTime())) return isoValue;
-  return date.toLocaleDateString();
-};
-
-const extractErrorText = async (response) => {
-  try {
-    const payload = await response.json();
-    if (payload?.detail) {
-      return typeof payload.detail === 'string' ? payload.detail : JSON.stringify(payload.detail);
-    }
-    return JSON.stringify(payload);
-  } catch (_) {
-    try {
-      return await response.text();
-    } catch (__ ) {
-      return 'Unknown API error';
-    }
-  }
-};
-
-const getDateRange = (daysBack = 120) => {
+const createDefaultSceneFilters = (settings) => {
   const end = new Date();
   const start = new Date();
-  start.setDate(end.getDate() - daysBack);
-  return `${start.toISOString()}/${end.toISOString()}`;
+  start.setDate(end.getDate() - settings.sceneWindowDays);
+  return { startDate: toDateInputValue(start), endDate: toDateInputValue(end), maxCloud: settings.maxCloud };
 };
 
-const buildSelectionFeature = (selectionBounds) => {
-  const nw = selectionBounds.northWest;
-  const ne = selectionBounds.northEast;
-  const sw = selectionBounds.southWest;
-  const se = selectionBounds.southEast;
-
-  return {
-    type: 'Feature',
-    properties: {},
-    geometry: {
-      type: 'Polygon',
-      coordinates: [[
-        [nw[1], nw[0]],
-        [ne[1], ne[0]],
-        [se[1], se[0]],
-        [sw[1], sw[0]],
-        [nw[1], nw[0]]
-      ]]
-    }
-  };
-};
-
-const buildBbox = (selectionBounds) => {
-  const lats = [
-    selectionBounds.northWest[0],
-    selectionBounds.northEast[0],
-    selectionBounds.southWest[0],
-    selectionBounds.southEast[0]
-  ];
-  const lngs = [
-    selectionBounds.northWest[1],
-    selectionBounds.northEast[1],
-    selectionBounds.southWest[1],
-    selectionBounds.southEast[1]
-  ];
-
-  return [
-    Math.min(...lngs),
-    Math.min(...lats),
-    Math.max(...lngs),
-    Math.max(...lats)
-  ];
-};
+// The configured default is offered even when it is not one of the presets.
+const validPercentOptions = (defaultPercent) => [...new Set([30, 50, 60, 75, 90, defaultPercent])].sort((a, b) => a - b);
 
-const fallbackHistogram = (mean) => {
-  const buckets = new Array(10).fill(0);
-  const idx = clamp(Math.floor(((mean + 1) / 2) * 10), 0, 9);
-  buckets[idx] = 1;
-  return buckets.map((count, i) => ({
-    bin: (-1 + i * 0.2).toFixed(2),
-    count
-  }));
-};
-
-const histogramFromTitiler = (rawHistogram, min, max, mean) => {
-  if (
-    rawHistogram &&
-    typeof rawHistogram === 'object' &&
-    !Array.isArray(rawHistogram) &&
-    Array.isArray(rawHistogram.bins) &&
-    Array.isArray(rawHistogram.counts)
-  ) {
-    const edges = rawHistogram.bins;
-    const counts = rawHistogram.counts;
-    if (counts.length > 0) {
-      return counts.map((count, idx) => {
-        const hasEdgePairs = edges.length === counts.length + 1;
-        const center = hasEdgePairs
-          ? (toNumber(edges[idx]) + toNumber(edges[idx + 1])) / 2
-          : min + ((idx + 0.5) * (max - min)) / counts.length;
-
-        return {
-          bin: clamp(center, -1, 1).toFixed(2),
-          count: toNumber(count)
-        };
-      });
-    }
-  }
-
-  if (
-    Array.isArray(rawHistogram) &&
-    rawHistogram.length === 2 &&
-    Array.isArray(rawHistogram[0]) &&
-    Array.isArray(rawHistogram[1])
-  ) {
-    const edges = rawHistogram[0];
-    const counts = rawHistogram[1];
-    if (counts.length > 0) {
-      return counts.map((count, idx) => {
-        const hasEdgePairs = edges.length === counts.length + 1;
-        const center = hasEdgePairs
-          ? (toNumber(edges[idx]) + toNumber(edges[idx + 1])) / 2
-          : min + ((idx + 0.5) * (max - min)) / counts.length;
-
-        return {
-          bin: clamp(center, -1, 1).toFixed(2),
-          count: toNumber(count)
-        };
-      });
-    }
-  }
-
-  return fallbackHistogram(mean);
-};
-
-const parseTitilerStats = (payload) => {
-  const candidates = [];
-  const pushCandidate = (value) => {
-    if (!value || typeof value !== 'object' || Array.isArray(value)) return;
-
-    if (
-      Number.isFinite(toNumber(value.mean, NaN)) ||
-      Number.isFinite(toNumber(value.min, NaN)) ||
-      Number.isFinite(toNumber(value.max, NaN))
-    ) {
-      candidates.push(value);
-    }
-  };
-
-  const walk = (node, depth = 0) => {
-    if (!node || depth > 6) return;
-    if (Array.isArray(node)) {
-      node.forEach((value) => walk(value, depth + 1));
-      return;
-    }
-    if (typeof node !== 'object') return;
-
-    pushCandidate(node);
-    Object.values(node).forEach((value) => walk(value, depth + 1));
-  };
-
-  walk(payload, 0);
-
-  const stat = candidates
-    .sort((a, b) => {
-      const aScore =
-        Number.isFinite(toNumber(a.min, NaN)) +
-        Number.isFinite(toNumber(a.max, NaN)) +
-        Number.isFinite(toNumber(a.mean, NaN)) +
-        (a.histogram ? 1 : 0);
-      const bScore =
-        Number.isFinite(toNumber(b.min, NaN)) +
-        Number.isFinite(toNumber(b.max, NaN)) +
-        Number.isFinite(toNumber(b.mean, NaN)) +
-        (b.histogram ? 1 : 0);
-      return bScore - aScore;
-    })[0];
-
-  if (!stat) {
-    throw new Error('Could not parse NDVI statistics response.');
+// A link centres on what it shows; otherwise the explorer opens at the configured default.
+const initialLocation = (settings, linked) => {
+  if (linked.bbox) {
+    const [minLng, minLat, maxLng, maxLat] = linked.bbox;
+    return { name: 'Shared view', coords: [(minLat + maxLat) / 2, (minLng + maxLng) / 2] };
   }
-
-  const min = clamp(toNumber(stat.min, -1), -1, 1);
-  const max = clamp(toNumber(stat.max, 1), -1, 1);
-  const mean = clamp(toNumber(stat.mean, 0), -1, 1);
-  const stdDev = toNumber(stat.std, toNumber(stat.stdev, toNumber(stat.stdDev, 0)));
-  const histogram = histogramFromTitiler(stat.histogram, min, max, mean);
-
-  return { min, max, mean, stdDev, histogram };
-};
-
-const selectAssetPair = (assets = {}) => {
-  const keys = Object.keys(assets);
-  const redCandidates = ['red', 'B04', 'b04', 'red-jp2'];
-  const nirCandidates = ['nir', 'nir08', 'B08', 'b08', 'nir08-jp2', 'nir-jp2'];
-
-  const red = redCandidates.find((key) => keys.includes(key));
-  const nir = nirCandidates.find((key) => keys.includes(key));
-
-  if (!red || !nir) return null;
-  return { red, nir };
+  if (linked.vertices) return { name: 'Shared view', coords: centroidOf(linked.vertices) };
+  const { name, lat, lng } = settings.defaultLocation;
+  return { name, coords: [lat, lng] };
 };
 
-const classifyLandByNdvi = (stats) => {
-  if (!stats?.histogram?.length) return null;
-
-  const total = stats.histogram.reduce((acc, entry) => acc + toNumber(entry.count), 0) || 1;
-  const high = stats.histogram
-    .filter((entry) => toNumber(entry.bin) >= 0.45)
-    .reduce((acc, entry) => acc + toNumber(entry.count), 0);
-  const moderate = stats.histogram
-    .filter((entry) => toNumber(entry.bin) >= 0.2 && toNumber(entry.bin) < 0.45)
-    .reduce((acc, entry) => acc + toNumber(entry.count), 0);
-  const negative = stats.histogram
-    .filter((entry) => toNumber(entry.bin) < 0)
-    .reduce((acc, entry) => acc + toNumber(entry.count), 0);
-
-  const highPct = (high / total) * 100;
-  const moderatePct = (moderate / total) * 100;
-  const negativePct = (negative / total) * 100;
-
-  if (stats.mean >= 0.45 && highPct >= 30) {
-    return {
-      label: 'Forest / Dense Vegetation',
-      confidence: Math.min(95, Math.round(60 + highPct * 0.7)),
-      reason: 'High true NDVI and strong dense-green share indicate forest or dense vegetation.'
-    };
-  }
-
-  if (stats.mean >= 0.25 && (highPct + moderatePct) >= 45) {
-    return {
-      label: 'Agriculture / Cropland',
-      confidence: Math.min(92, Math.round(55 + (highPct + moderatePct) * 0.5)),
-      reason: 'Moderate-to-high true NDVI is typical of active crop cover.'
+const toLatLngBounds = ([minLng, minLat, maxLng, maxLat]) => [[minLat, minLng], [maxLat, maxLng]];
+
+const INDEX_IDS = SPECTRAL_INDICES.map((index) => index.id);
+
+const SELECTION_STYLE = { color: '#22c55e', weight: 2, fillColor: '#22c55e', fillOpacity: 0.15 };
+const DRAFT_STYLE = { color: '#22c55e', weight: 2, dashArray: '6 4' };
+const CONFLICT_PARCEL_STYLE = { color: '#f97316', weight: 2, dashArray: '4 4', fill: false };
+const OVERLAP_STYLE = { color: '#dc2626', weight: 1, fillColor: '#dc2626', fillOpacity: 0.45 };
+
+// Draws TiTiler index tiles onto canvases clipped to the parcel ring, so the
+// overlay never spills onto neighbouring fields.
+const ClippedTileLayer = L.GridLayer.extend({
+  initialize(url, ring, options) {
+    this._url = url;
+    this._ring = ring;
+    L.GridLayer.prototype.initialize.call(this, options);
+  },
+
+  createTile(coords, done) {
+    const tile = document.createElement('canvas');
+    const size = this.getTileSize();
+    tile.width = size.x;
+    tile.height = size.y;
+
+    const image = new Image();
+    image.onload = () => {
+      const ctx = tile.getContext('2d');
+      const origin = coords.scaleBy(size);
+      ctx.beginPath();
+      this._ring.forEach((latlng, idx) => {
+        const point = this._map.project(latlng, coords.z).subtract(origin);
+        if (idx === 0) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+      });
+      ctx.closePath();
+      ctx.clip();
+      ctx.drawImage(image, 0, 0, size.x, size.y);
+      done(null, tile);
     };
+    // Tiles outside the scene footprint 404; leave them blank.
+    image.onerror = () => done(null, tile);
+    image.src = L.Util.template(this._url, coords);
+    return tile;
   }
+});
 
-  if (stats.mean >= 0.1) {
-    return {
-      label: 'Grassland / Shrubland',
-      confidence: 74,
-      reason: 'Medium NDVI indicates sparse-to-moderate vegetation.'
-    };
-  }
+const createVertexIcon = (isClosingHandle) => L.divIcon({
+  className: '',
+  iconSize: [14, 14],
+  iconAnchor: [7, 7],
+  html: isClosingHandle
+    ? '<span class="block w-3.5 h-3.5 rounded-full bg-emerald-500 border-2 border-white shadow cursor-pointer"></span>'
+    : '<span class="block w-3.5 h-3.5 rounded-full bg-white border-2 border-emerald-500 shadow cursor-move"></span>'
+});
 
-  if (stats.mean < 0 && negativePct > 55) {
-    return {
-      label: 'Water / Wet Surface',
-      confidence: 80,
-      reason: 'Negative NDVI dominant share indicates water or saturated surfaces.'
-    };
-  }
+const formatCoord = (coords) => {
+  if (!coords) return 'NA';
+  return `${coords[0].toFixed(5)}, ${coords[1].toFixed(5)}`;
+};
 
-  return {
-    label: 'Barren / Built-up',
-    confidence: 72,
-    reason: 'Low NDVI response suggests bare soil, dry land, or built-up surfaces.'
-  };
+const formatDate = (isoValue) => {
+  if (!isoValue) return 'NA';
+  const date = new Date(isoValue);
+  if (Number.isNaN(date.getTime())) return isoValue;
+  return date.toLocaleDateString();
 };
 
 const createAnalysisPlaceholderImage = (meanNdvi) => {
@@ -319,247 +163,334 @@ const createAnalysisPlaceholderImage = (meanNdvi) => {
   return canvas.toDataURL('image/jpeg').split(',')[1];
 };
 
-export const MapExplorer = () => {
-  const [activeLocation, setActiveLocation] = useState(DEFAULT_LOCATION);
-  const [activeBaseLayer, setActiveBaseLayer] = useState('SAT');
+/**
+ * `query` is the /explorer URL query; it is read once on mount, after which the
+ * URL follows the map view, closed selection, scene, index and search filters.
+ */
+export const MapExplorer = ({ query = {} }) => {
+  // Read once per mount, so saved settings apply the next time the explorer opens.
+  const [settings] = useState(getSettings);
+  const [linked] = useState(() => parseExplorerQuery(query));
+  const [activeLocation, setActiveLocation] = useState(() => initialLocation(settings, linked));
+  const [activeBaseLayer, setActiveBaseLayer] = useState(() => (MAP_LAYERS.some((layer) => layer.id === linked.base) ? linked.base : 'SAT'));
   const [isProcessing, setIsProcessing] = useState(false);
   const [isSearching, setIsSearching] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchError, setSearchError] = useState('');
   const [result, setResult] = useState(null);
   const [computedStats, setComputedStats] = useState(null);
-  const [selectionStart, setSelectionStart] = useState(null);
-  const [selectionEnd, setSelectionEnd] = useState(null);
+  const [indexErrors, setIndexErrors] = useState({});
+  const [activeIndex, setActiveIndex] = useState(() => (INDEX_IDS.includes(linked.layer) ? linked.layer : 'NDVI'));
+  const [minValidPercent, setMinValidPercent] = useState(settings.minValidPercent);
+  const [vertices, setVertices] = useState([]);
+  const [isPolygonClosed, setIsPolygonClosed] = useState(false);
+  const [selectionError, setSelectionError] = useState('');
   const [selectedBounds, setSelectedBounds] = useState(null);
   const [landClassification, setLandClassification] = useState(null);
   const [ndviSource, setNdviSource] = useState(null);
+  const [sceneFilters, setSceneFilters] = useState(() => ({ ...createDefaultSceneFilters(settings), ...linked.filters }));
+  const [candidateScenes, setCandidateScenes] = useState([]);
+  const [activeScene, setActiveScene] = useState(null);
+  const [overlayVisible, setOverlayVisible] = useState(true);
+  const [overlayOpacity, setOverlayOpacity] = useState(0.8);
+  const [overlayStatus, setOverlayStatus] = useState('');
+  const [changeResult, setChangeResult] = useState(null);
+  const [changeVisible, setChangeVisible] = useState(true);
+  const [overlapCheck, setOverlapCheck] = useState({ conflicts: [], status: 'idle', error: '' });
   const [ndviError, setNdviError] = useState('');
+  const [isImportOpen, setIsImportOpen] = useState(false);
   const [analysisImageBase64, setAnalysisImageBase64] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+  const [mapBbox, setMapBbox] = useState(null);
+  const user = getCurrentUser();
+  const canAnalyze = can(user, 'ai:analyze');
 
   const mapContainerRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const tileLayerRef = useRef(null);
-  const selectionRectRef = useRef(null);
-  const selectionStartRef = useRef(null);
-  const selectionEndRef = useRef(null);
-
-  const updateSelectionStart = (coords) => {
-    selectionStartRef.current = coords;
-    setSelectionStart(coords);
+  const selectionLayerRef = useRef(null);
+  const overlayLayerRef = useRef(null);
+  // Leaflet handlers outlive renders, so the drawing state they read lives in refs.
+  const verticesRef = useRef([]);
+  const polygonClosedRef = useRef(false);
+  const isProcessingRef = useRef(false);
+  const mapClickHandlerRef = useRef(null);
+  const sceneFiltersRef = useRef(sceneFilters);
+  const pinnedSceneIdRef = useRef(null);
+
+  isProcessingRef.current = isProcessing;
+
+  const clearAnalysisState = () => {
+    setCandidateScenes([]);
+    setActiveScene(null);
+    setResult(null);
+    setComputedStats(null);
+    setIndexErrors({});
+    setChangeResult(null);
+    setLandClassification(null);
+    setNdviSource(null);
+    setNdviError('');
+    setAnalysisImageBase64('');
   };
 
-  const updateSelectionEnd = (coords) => {
-    selectionEndRef.current = coords;
-    setSelectionEnd(coords);
-  };
+  const drawSelection = (points, closed) => {
+    const map = mapInstanceRef.current;
+    if (!map) return;
 
-  const clearSelectionRectangle = () => {
-    if (selectionRectRef.current) {
-      selectionRectRef.current.remove();
-      selectionRectRef.current = null;
+    if (!selectionLayerRef.current) {
+      selectionLayerRef.current = L.layerGroup().addTo(map);
     }
+    const group = selectionLayerRef.current;
+    group.clearLayers();
+    if (!points.length) return;
+
+    const shape = closed
+      ? L.polygon(points, SELECTION_STYLE).addTo(group)
+      : L.polyline(points, DRAFT_STYLE).addTo(group);
+
+    points.forEach((point, index) => {
+      const isClosingHandle = !closed && index === 0 && points.length >= 3;
+      const marker = L.marker(point, {
+        icon: createVertexIcon(isClosingHandle),
+        draggable: true,
+        keyboard: false
+      }).addTo(group);
+
+      marker.on('drag', (event) => {
+        const { lat, lng } = event.target.getLatLng();
+        const livePoints = verticesRef.current.map((vertex, i) => (i === index ? [lat, lng] : vertex));
+        shape.setLatLngs(livePoints);
+      });
+
+      marker.on('dragend', (event) => {
+        const { lat, lng } = event.target.getLatLng();
+        handleVertexMoved(index, [lat, lng]);
+      });
+
+      if (isClosingHandle) {
+        marker.on('click', () => finishPolygon());
+      }
+    });
+  };
+
+  const updateVertices = (points, closed) => {
+    verticesRef.current = points;
+    polygonClosedRef.current = closed;
+    setVertices(points);
+    setIsPolygonClosed(closed);
+    drawSelection(points, closed);
   };
 
   const resetSelectionState = () => {
-    updateSelectionStart(null);
-    updateSelectionEnd(null);
+    pinnedSceneIdRef.current = null;
+    updateVertices([], false);
     setSelectedBounds(null);
+    setSelectionError('');
+    clearAnalysisState();
+  };
+
+  const handleNdviFailure = (error) => {
+    console.warn('True NDVI processing failed.', error);
+    const hint =
+      error instanceof TypeError && error.message === 'Failed to fetch'
+        ? 'Network or proxy error. Ensure internet is available and restart Vite dev server.'
+        : null;
+    setComputedStats(null);
+    setIndexErrors({});
+    setLandClassification({
+      label: 'Unavailable',
+      confidence: 0,
+      reason: 'True NDVI could not be computed for this area right now.'
+    });
+    setNdviSource(null);
+    setNdviError(hint || (error instanceof Error ? error.message : 'Unknown NDVI error'));
+    setActiveScene(null);
+  };
+
+  const clearSceneStats = () => {
+    setActiveScene(null);
+    setResult(null);
     setComputedStats(null);
+    setIndexErrors({});
     setLandClassification(null);
     setNdviSource(null);
     setNdviError('');
     setAnalysisImageBase64('');
-    clearSelectionRectangle();
   };
 
-  const toBoundsPayload = (bounds) => {
-    const nw = bounds.getNorthWest();
-    const ne = bounds.getNorthEast();
-    const sw = bounds.getSouthWest();
-    const se = bounds.getSouthEast();
-    const center = bounds.getCenter();
-
-    return {
-      northWest: [nw.lat, nw.lng],
-      northEast: [ne.lat, ne.lng],
-      southWest: [sw.lat, sw.lng],
-      southEast: [se.lat, se.lng],
-      center: [center.lat, center.lng]
-    };
-  };
+  const computeSceneStats = async (selection, scene, selectionMode) => {
+    const { stats, errors } = await fetchSceneIndexSet(scene, selection, INDEX_IDS);
+    if (!stats.NDVI) {
+      throw new Error(errors.NDVI || 'NDVI statistics unavailable.');
+    }
+    if (stats.NDVI.validPercent === 0) {
+      throw new Error('The parcel is fully covered by cloud, shadow or snow in this scene. Pick another scene.');
+    }
 
-  const fetchEarthSearchItem = async (selectionBounds) => {
-    const geometry = buildSelectionFeature(selectionBounds).geometry;
-    const response = await fetch(EARTH_SEARCH_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        collections: ['sentinel-2-l2a', 'sentinel-2-c1-l2a'],
-        intersects: geometry,
-        datetime: getDateRange(180),
-        limit: 25
-      })
+    const filters = sceneFiltersRef.current;
+    setActiveScene(scene);
+    setComputedStats(stats);
+    setIndexErrors(errors);
+    setLandClassification(classifyLandByNdvi(stats.NDVI, settings.ndviThresholds));
+    setNdviSource({
+      provider: 'Sentinel-2 L2A (Earth Search + TiTiler)',
+      sceneId: scene.id,
+      acquiredAt: scene.datetime,
+      cloudCover: scene.cloudCover,
+      tileId: scene.tileId,
+      bands: scene.assets,
+      selectionMode,
+      searchWindow: { startDate: filters.startDate, endDate: filters.endDate, maxCloud: filters.maxCloud }
     });
+    setAnalysisImageBase64(createAnalysisPlaceholderImage(stats.NDVI.mean));
+  };
 
-    if (!response.ok) {
-      const detail = await extractErrorText(response);
-      throw new Error(`Sentinel scene search failed: ${detail}`);
-    }
+  const processSelectionNdvi = async (selection) => {
+    setIsProcessing(true);
+    clearSceneStats();
+    setCandidateScenes([]);
 
-    const searchPayload = await response.json();
-    const features = Array.isArray(searchPayload?.features) ? searchPayload.features : [];
-    if (!features.length) {
-      throw new Error('No Sentinel-2 scene found for selected area and date range.');
+    try {
+      const filters = sceneFiltersRef.current;
+      const scenes = await searchScenes(selection, {
+        datetime: toDatetimeRange(filters.startDate, filters.endDate),
+        maxCloud: filters.maxCloud < 100 ? filters.maxCloud : undefined,
+        maxItems: 60,
+        bands: requiredBands(['NDVI'])
+      });
+      const sortedScenes = [...scenes].sort(
+        (a, b) => new Date(b.datetime).getTime() - new Date(a.datetime).getTime()
+      );
+      setCandidateScenes(sortedScenes);
+
+      // Keep a manually pinned acquisition across boundary edits while it still matches the filters.
+      const pinned = sortedScenes.find((scene) => scene.id === pinnedSceneIdRef.current);
+      if (!pinned) pinnedSceneIdRef.current = null;
+      const scene = pinned || pickLowestCloudScene(sortedScenes);
+      if (!scene) {
+        throw new Error('No Sentinel-2 scene with usable red and NIR bands matches the selected area, date range and cloud filter.');
+      }
+
+      await computeSceneStats(selection, scene, pinned ? 'manual' : 'auto');
+    } catch (error) {
+      handleNdviFailure(error);
+    } finally {
+      setIsProcessing(false);
     }
+  };
 
-    const ranked = [...features]
-      .map((item) => ({ item, cloud: toNumber(item?.properties?.['eo:cloud_cover'], 999) }))
-      .sort((a, b) => a.cloud - b.cloud);
+  const handleSelectScene = async (scene) => {
+    if (!selectedBounds || isProcessing) return;
+    pinnedSceneIdRef.current = scene.id;
+    setIsProcessing(true);
+    clearSceneStats();
 
-    const withBands = ranked.find(({ item }) => selectAssetPair(item.assets));
-    if (!withBands) {
-      throw new Error('No Sentinel scene with usable red and NIR bands was found.');
+    try {
+      await computeSceneStats(selectedBounds, scene, 'manual');
+    } catch (error) {
+      handleNdviFailure(error);
+    } finally {
+      setIsProcessing(false);
     }
+  };
 
-    const item = withBands.item;
-    const pair = selectAssetPair(item.assets);
-
-    const itemUrl =
-      item.links?.find((link) => link.rel === 'self')?.href ||
-      `https://earth-search.aws.element84.com/v1/collections/${item.collection}/items/${item.id}`;
+  const handleAutoSelectScene = () => {
+    const scene = pickLowestCloudScene(candidateScenes);
+    if (!selectedBounds || !scene || isProcessing) return;
+    pinnedSceneIdRef.current = null;
+    setIsProcessing(true);
+    clearSceneStats();
 
-    return {
-      id: item.id,
-      itemUrl,
-      datetime: item.properties?.datetime || null,
-      cloudCover: toNumber(item.properties?.['eo:cloud_cover'], 0),
-      redAsset: pair.red,
-      nirAsset: pair.nir
-    };
+    computeSceneStats(selectedBounds, scene, 'auto')
+      .catch(handleNdviFailure)
+      .finally(() => setIsProcessing(false));
   };
 
-  const fetchTrueNdviStats = async (selectionBounds) => {
-    const scene = await fetchEarthSearchItem(selectionBounds);
-    const geometry = buildSelectionFeature(selectionBounds);
-
-    const params = new URLSearchParams();
-    params.set('url', scene.itemUrl);
-    params.append('assets', scene.redAsset);
-    params.append('assets', scene.nirAsset);
-    // Use positional band names (b1, b2) to avoid parser issues with asset key names.
-    // Asset order is red first, nir second.
-    params.set('asset_as_band', 'false');
-    params.set('expression', '(b2-b1)/(b2+b1)');
-
-    const response = await fetch(`${TITILER_STATS_URL}?${params.toString()}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(geometry)
-    });
+  const handleSceneFiltersChange = (filters) => {
+    sceneFiltersRef.current = filters;
+    setSceneFilters(filters);
+  };
 
-    if (!response.ok) {
-      const detail = await extractErrorText(response);
-      throw new Error(`NDVI statistics request failed: ${detail}`);
+  const handleSceneSearch = () => {
+    if (selectedBounds && !isProcessing) {
+      void processSelectionNdvi(selectedBounds);
     }
+  };
 
-    const payload = await response.json();
-    let stats;
-    try {
-      stats = parseTitilerStats(payload);
-    } catch (error) {
-      const snippet = JSON.stringify(payload)?.slice(0, 320) || 'empty response';
-      throw new Error(`Could not parse NDVI statistics response. Payload: ${snippet}`);
+  const completeSelection = (points) => {
+    const selection = describePolygon(points);
+    setSelectedBounds(selection);
+    void processSelectionNdvi(selection);
+  };
+
+  const finishPolygon = () => {
+    const points = verticesRef.current;
+    if (polygonClosedRef.current || points.length < 3) return;
+    if (isSelfIntersecting(points)) {
+      setSelectionError('Boundary edges cross each other. Move or undo a vertex before closing the parcel.');
+      return;
     }
 
-    return {
-      stats,
-      source: {
-        provider: 'Sentinel-2 L2A (Earth Search + TiTiler)',
-        sceneId: scene.id,
-        acquiredAt: scene.datetime,
-        cloudCover: scene.cloudCover,
-        redAsset: scene.redAsset,
-        nirAsset: scene.nirAsset
-      }
-    };
+    setSelectionError('');
+    updateVertices(points, true);
+    completeSelection(points);
   };
 
-  const processSelectionNdvi = async (selectionBounds) => {
-    setIsProcessing(true);
-    setComputedStats(null);
-    setLandClassification(null);
-    setNdviSource(null);
-    setNdviError('');
-    setAnalysisImageBase64('');
+  // An imported boundary replaces whatever is drawn and is analysed like a finished one.
+  const handleUseImportedBoundary = (points) => {
+    setIsImportOpen(false);
+    pinnedSceneIdRef.current = null;
+    setSelectionError('');
+    clearAnalysisState();
+    updateVertices(points, true);
+    completeSelection(points);
+    mapInstanceRef.current?.fitBounds(points, { padding: [40, 40], maxZoom: 17 });
+  };
 
-    try {
-      const { stats, source } = await fetchTrueNdviStats(selectionBounds);
-      setComputedStats(stats);
-      setLandClassification(classifyLandByNdvi(stats));
-      setNdviSource(source);
-      setAnalysisImageBase64(createAnalysisPlaceholderImage(stats.mean));
-    } catch (error) {
-      console.warn('True NDVI processing failed.', error);
-      const hint =
-        error instanceof TypeError && error.message === 'Failed to fetch'
-          ? 'Network or proxy error. Ensure internet is available and restart Vite dev server.'
-          : null;
-      setComputedStats(null);
-      setLandClassification({
-        label: 'Unavailable',
-        confidence: 0,
-        reason: 'True NDVI could not be computed for this area right now.'
-      });
-      setNdviSource(null);
-      setNdviError(hint || (error instanceof Error ? error.message : 'Unknown NDVI error'));
-    } finally {
-      setIsProcessing(false);
+  const undoLastVertex = () => {
+    const points = verticesRef.current;
+    if (!points.length || isProcessingRef.current) return;
+
+    setSelectionError('');
+    setSelectedBounds(null);
+    clearAnalysisState();
+    if (polygonClosedRef.current) {
+      // Reopen the ring so the last edge can be redrawn.
+      updateVertices(points, false);
+      return;
     }
+    updateVertices(points.slice(0, -1), false);
   };
 
-  const handleMapClick = (event) => {
-    if (!event?.latlng || isProcessing) return;
+  const handleVertexMoved = (index, coords) => {
+    const points = verticesRef.current.map((vertex, i) => (i === index ? coords : vertex));
+    const closed = polygonClosedRef.current;
 
-    const clickedPoint = [event.latlng.lat, event.latlng.lng];
-    setResult(null);
-
-    if (!selectionStartRef.current || selectionEndRef.current) {
-      updateSelectionStart(clickedPoint);
-      updateSelectionEnd(null);
-      setSelectedBounds(null);
-      setComputedStats(null);
-      setLandClassification(null);
-      setNdviSource(null);
-      setNdviError('');
-      setAnalysisImageBase64('');
-      clearSelectionRectangle();
+    if (closed && isSelfIntersecting(points)) {
+      setSelectionError('That move makes the boundary cross itself. The vertex was put back.');
+      drawSelection(verticesRef.current, closed);
       return;
     }
 
-    const start = selectionStartRef.current;
-    const end = clickedPoint;
-
-    updateSelectionEnd(end);
-    const bounds = L.latLngBounds(
-      L.latLng(start[0], start[1]),
-      L.latLng(end[0], end[1])
-    );
-
-    const payload = toBoundsPayload(bounds);
-    setSelectedBounds(payload);
-    clearSelectionRectangle();
-    if (mapInstanceRef.current) {
-      selectionRectRef.current = L.rectangle(bounds, {
-        color: '#22c55e',
-        weight: 2,
-        fillColor: '#22c55e',
-        fillOpacity: 0.15
-      }).addTo(mapInstanceRef.current);
+    setSelectionError('');
+    updateVertices(points, closed);
+    if (closed) {
+      clearAnalysisState();
+      completeSelection(points);
     }
+  };
+
+  const handleMapClick = (event) => {
+    if (!event?.latlng || isProcessingRef.current || polygonClosedRef.current) return;
 
-    void processSelectionNdvi(payload);
+    const clickedPoint = [event.latlng.lat, event.latlng.lng];
+    setSelectionError('');
+    updateVertices([...verticesRef.current, clickedPoint], false);
   };
 
+  mapClickHandlerRef.current = handleMapClick;
+
   const handleLocationSearch = async (event) => {
     event.preventDefault();
     const query = searchQuery.trim();
@@ -589,7 +520,7 @@ export const MapExplorer = () => {
       }
 
       const response = await fetch(
-        `${NOMINATIM_URL}?format=jsonv2&addressdetails=1&limit=1&q=${encodeURIComponent(query)}`
+        `${settings.nominatimUrl}?format=jsonv2&addressdetails=1&limit=1&q=${encodeURIComponent(query)}`
       );
       if (!response.ok) {
         const message = await response.text();
@@ -633,19 +564,52 @@ export const MapExplorer = () => {
 
     mapInstanceRef.current = map;
 
-    setTimeout(() => {
+    const onMoveEnd = () => setMapBbox(map.getBounds().toBBoxString().split(',').map(Number));
+    map.on('moveend', onMoveEnd);
+    onMoveEnd();
+
+    // A linked parcel is redrawn and analysed as if it had just been closed, on the linked scene.
+    if (linked.vertices && !isSelfIntersecting(linked.vertices)) {
+      pinnedSceneIdRef.current = linked.sceneId;
+      updateVertices(linked.vertices, true);
+      completeSelection(linked.vertices);
+    }
+
+    // Fitting waits for the container to have its final size.
+    const sizeTimer = setTimeout(() => {
       map.invalidateSize();
+      const fitTo = linked.bbox ? toLatLngBounds(linked.bbox) : linked.vertices;
+      if (fitTo) map.fitBounds(fitTo, { animate: false, maxZoom: 17 });
     }, 100);
 
-    map.on('click', handleMapClick);
+    const onMapClick = (event) => mapClickHandlerRef.current?.(event);
+    map.on('click', onMapClick);
 
     return () => {
-      map.off('click', handleMapClick);
+      clearTimeout(sizeTimer);
+      map.off('moveend', onMoveEnd);
+      map.off('click', onMapClick);
       map.remove();
       mapInstanceRef.current = null;
+      selectionLayerRef.current = null;
     };
   }, []);
 
+  // Replacing (not pushing) keeps panning out of the back button's history.
+  useEffect(() => {
+    if (!mapBbox) return;
+    navigate(buildPath(AppView.EXPLORER, {
+      query: buildExplorerQuery({
+        bbox: mapBbox,
+        vertices: isPolygonClosed ? vertices : null,
+        sceneId: isPolygonClosed ? activeScene?.id || pinnedSceneIdRef.current : null,
+        layer: activeIndex,
+        base: activeBaseLayer,
+        filters: sceneFilters
+      })
+    }), { replace: true });
+  }, [mapBbox, vertices, isPolygonClosed, activeScene, activeIndex, activeBaseLayer, sceneFilters]);
+
   useEffect(() => {
     if (!tileLayerRef.current) return;
     const layerConfig = MAP_LAYERS.find((layer) => layer.id === activeBaseLayer);
@@ -654,22 +618,136 @@ export const MapExplorer = () => {
     }
   }, [activeBaseLayer]);
 
+  // Rebuild the index overlay whenever the scene, parcel or displayed index changes.
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    setOverlayStatus('');
+    if (!map || !overlayVisible || !activeScene || !selectedBounds || !computedStats?.[activeIndex]) return;
+
+    let url;
+    try {
+      url = buildIndexTileUrl(activeScene, activeIndex);
+    } catch (error) {
+      setOverlayStatus(error instanceof Error ? error.message : 'Overlay unavailable for this scene.');
+      return;
+    }
+
+    const [minLng, minLat, maxLng, maxLat] = selectedBounds.bbox;
+    const layer = new ClippedTileLayer(url, selectedBounds.vertices, {
+      bounds: L.latLngBounds([minLat, minLng], [maxLat, maxLng]),
+      opacity: overlayOpacity,
+      maxZoom: 19,
+      zIndex: 5
+    });
+    layer.on('loading', () => setOverlayStatus('Loading tiles...'));
+    layer.on('load', () => setOverlayStatus(`Scene ${formatDate(activeScene.datetime)}`));
+    layer.addTo(map);
+    overlayLayerRef.current = layer;
+
+    return () => {
+      layer.remove();
+      if (overlayLayerRef.current === layer) overlayLayerRef.current = null;
+    };
+  }, [activeScene, selectedBounds, activeIndex, overlayVisible, computedStats]);
+
+  useEffect(() => {
+    overlayLayerRef.current?.setOpacity(overlayOpacity);
+  }, [overlayOpacity]);
+
+  // Every closed parcel is checked against registered boundaries before it can be registered.
+  useEffect(() => {
+    setOverlapCheck({ conflicts: [], status: 'idle', error: '' });
+    if (!selectedBounds) return;
+
+    const controller = new AbortController();
+    setOverlapCheck({ conflicts: [], status: 'checking', error: '' });
+    checkParcelOverlaps(selectedBounds, { signal: controller.signal })
+      .then(({ conflicts }) => setOverlapCheck({ conflicts, status: 'done', error: '' }))
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.warn('Overlap check failed.', error);
+        setOverlapCheck({ conflicts: [], status: 'error', error: error instanceof Error ? error.message : 'Overlap check failed' });
+      });
+    return () => controller.abort();
+  }, [selectedBounds]);
+
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !overlapCheck.conflicts.length) return;
+
+    const group = L.layerGroup();
+    overlapCheck.conflicts.forEach((conflict) => {
+      L.geoJSON(conflict.parcelGeometry, { style: CONFLICT_PARCEL_STYLE, interactive: false }).addTo(group);
+      L.geoJSON(conflict.overlap, { style: OVERLAP_STYLE })
+        .bindTooltip(`Overlaps ${conflict.parcelId} (${conflict.owner}) · ${formatArea(conflict.overlapSqMeters, settings.areaUnit)}`, { sticky: true })
+        .addTo(group);
+    });
+    group.addTo(map);
+
+    return () => {
+      group.remove();
+    };
+  }, [overlapCheck]);
+
+  // The ΔNDVI raster is rendered once per comparison and laid over the parcel bbox.
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !changeResult?.imageUrl || !changeVisible) return;
+
+    const [minLng, minLat, maxLng, maxLat] = changeResult.bbox;
+    const layer = L.imageOverlay(changeResult.imageUrl, [[minLat, minLng], [maxLat, maxLng]], {
+      opacity: 0.9,
+      zIndex: 6
+    }).addTo(map);
+
+    return () => {
+      layer.remove();
+    };
+  }, [changeResult, changeVisible]);
+
+  // The API rebuilds the file from the boundary and records the export.
+  const handleExportSelection = async () => {
+    setIsExporting(true);
+    setExportError('');
+    try {
+      await exportSelection({
+        selection: selectedBounds,
+        locationName: activeLocation.name,
+        stats: computedStats,
+        source: ndviSource,
+        classification: landClassification,
+        report: result
+      });
+    } catch (err) {
+      console.warn('Selection export failed.', err);
+      setExportError(err instanceof Error ? err.message : 'Unknown export error');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const handleAnalyze = async () => {
     if (!computedStats) return;
     setIsProcessing(true);
 
-    const statsToUse = { NDVI: computedStats };
     const sourceText = ndviSource
-      ? `Source: ${ndviSource.provider}, scene ${ndviSource.sceneId}, acquired ${formatDate(ndviSource.acquiredAt)}, cloud cover ${ndviSource.cloudCover.toFixed(1)}%.`
+      ? `Source: ${ndviSource.provider}, scene ${ndviSource.sceneId} (tile ${ndviSource.tileId || 'NA'}), acquired ${formatDate(ndviSource.acquiredAt)}, cloud cover ${ndviSource.cloudCover.toFixed(1)}%, ${ndviSource.selectionMode === 'manual' ? 'chosen by the reviewer' : 'lowest-cloud scene in the search window'}.`
       : 'Source: NDVI dataset metadata unavailable.';
 
+    const ndviValidPercent = computedStats.NDVI.validPercent;
+    const reliabilityText = ndviValidPercent === null
+      ? 'No SCL cloud mask was available for this scene, so cloudy pixels may be included; mention this uncertainty.'
+      : ndviValidPercent < minValidPercent
+        ? `WARNING: only ${ndviValidPercent.toFixed(0)}% of parcel pixels are clear of cloud, shadow and snow (reliability threshold ${minValidPercent}%). Treat the index values as unreliable and say so in the summary and risks.`
+        : `${ndviValidPercent.toFixed(0)}% of parcel pixels are clear after SCL cloud/shadow masking.`;
+
     const locationPrompt = selectedBounds
-      ? `Analyze land for selected parcel with corners NW ${formatCoord(selectedBounds.northWest)} and SE ${formatCoord(selectedBounds.southEast)}. ${sourceText}`
-      : `Analyze land parcel located at ${activeLocation.coords.join(', ')}. ${sourceText}`;
+      ? `Analyze land for the selected parcel polygon with ${selectedBounds.vertices.length} vertices (lat, lng): ${selectedBounds.vertices.map(formatCoord).join('; ')}. Geodesic area ${formatArea(selectedBounds.areaSqMeters)}, perimeter ${formatLength(selectedBounds.perimeterMeters)}. Statistics were computed inside this polygon only. ${sourceText} ${reliabilityText}`
+      : `Analyze land parcel located at ${activeLocation.coords.join(', ')}. ${sourceText} ${reliabilityText}`;
 
     try {
-      const base64 = analysisImageBase64 || createAnalysisPlaceholderImage(computedStats.mean);
-      const analysis = await analyzeLandData(base64, locationPrompt, statsToUse);
+      const base64 = analysisImageBase64 || createAnalysisPlaceholderImage(computedStats.NDVI.mean);
+      const analysis = await analyzeLandData(base64, locationPrompt, computedStats);
       setResult(analysis);
     } catch (error) {
       console.error(error);
@@ -679,11 +757,20 @@ export const MapExplorer = () => {
   };
 
   const activeCoords = selectedBounds?.center || activeLocation.coords;
-  const selectionStatus = selectionStart && !selectionEnd
-    ? 'Corner A selected. Click opposite corner to complete diagonal.'
-    : selectedBounds
-      ? 'Area selected. True NDVI calculated for selected rectangle.'
-      : 'Click map to select first corner of area.';
+  const activeIndexConfig = getSpectralIndex(activeIndex);
+  const activeStats = computedStats?.[activeIndex] || null;
+  const rampColors = activeIndexConfig?.colors || STAT_COLORS;
+  const clearPercent = computedStats?.NDVI?.validPercent ?? null;
+  const isUnreliable = clearPercent !== null && clearPercent < minValidPercent;
+  const draftArea = vertices.length >= 3 ? geodesicArea(vertices) : 0;
+  const draftPerimeter = geodesicPerimeter(vertices, isPolygonClosed);
+  const selectionStatus = isPolygonClosed
+    ? 'Parcel closed. Drag vertices to adjust; statistics cover the polygon only.'
+    : vertices.length >= 3
+      ? 'Keep clicking to add vertices, then click the first vertex or Finish to close.'
+      : vertices.length > 0
+        ? `${vertices.length} vertex${vertices.length === 1 ? '' : 'es'} placed. Add at least ${3 - vertices.length} more.`
+        : 'Click the map to place the first boundary vertex.';
 
   return (
     <div className="h-[calc(100vh-4rem)] flex flex-col md:flex-row bg-slate-50 overflow-hidden">
@@ -717,21 +804,49 @@ export const MapExplorer = () => {
           </form>
 
           <div className="mb-5 p-3 rounded-lg border border-brand-100 bg-brand-50/50">
-            <p className="text-xs font-semibold text-brand-700 mb-1">Area Selection (2 clicks)</p>
+            <p className="text-xs font-semibold text-brand-700 mb-1">Parcel Boundary</p>
             <p className="text-[11px] text-slate-600 mb-2">{selectionStatus}</p>
-            <p className="text-[11px] text-slate-600">Point A: {formatCoord(selectionStart)}</p>
-            <p className="text-[11px] text-slate-600">Point B: {formatCoord(selectionEnd)}</p>
-            {selectedBounds && (
-              <p className="text-[11px] text-slate-600 mt-1">
-                Diagonal NW-SE: {formatCoord(selectedBounds.northWest)} to {formatCoord(selectedBounds.southEast)}
-              </p>
-            )}
+            <div className="grid grid-cols-2 gap-1 text-[11px] text-slate-600">
+              <span>Vertices: {vertices.length}</span>
+              <span>Area: {draftArea ? formatArea(draftArea, settings.areaUnit) : 'NA'}</span>
+              <span className="col-span-2">
+                {isPolygonClosed ? 'Perimeter' : 'Path length'}: {vertices.length >= 2 ? formatLength(draftPerimeter) : 'NA'}
+              </span>
+            </div>
+            {selectionError && <p className="mt-2 text-[11px] text-rose-600">{selectionError}</p>}
+            <div className="mt-3 grid grid-cols-3 gap-2">
+              <button
+                type="button"
+                onClick={undoLastVertex}
+                disabled={!vertices.length || isProcessing}
+                className="py-2 text-xs rounded-md border border-slate-300 text-slate-600 hover:bg-slate-100 transition-all disabled:opacity-50"
+              >
+                Undo
+              </button>
+              <button
+                type="button"
+                onClick={finishPolygon}
+                disabled={isPolygonClosed || vertices.length < 3 || isProcessing}
+                className="py-2 text-xs rounded-md border border-emerald-300 text-emerald-700 hover:bg-emerald-50 transition-all disabled:opacity-50"
+              >
+                Finish
+              </button>
+              <button
+                type="button"
+                onClick={resetSelectionState}
+                disabled={isProcessing}
+                className="py-2 text-xs rounded-md border border-slate-300 text-slate-600 hover:bg-slate-100 transition-all disabled:opacity-50"
+              >
+                Clear
+              </button>
+            </div>
             <button
               type="button"
-              onClick={resetSelectionState}
-              className="mt-3 w-full py-2 text-xs rounded-md border border-slate-300 text-slate-600 hover:bg-slate-100 transition-all"
+              onClick={() => setIsImportOpen(true)}
+              disabled={isProcessing}
+              className="mt-2 w-full py-2 text-xs rounded-md border border-slate-300 text-slate-600 hover:bg-slate-100 transition-all disabled:opacity-50 flex items-center justify-center"
             >
-              Clear Selection
+              <Icons.Upload className="w-3 h-3 mr-1" /> Import boundary file
             </button>
           </div>
 
@@ -754,6 +869,20 @@ export const MapExplorer = () => {
             </div>
           </div>
 
+          {selectedBounds && (
+            <ScenePicker
+              filters={sceneFilters}
+              onFiltersChange={handleSceneFiltersChange}
+              onSearch={handleSceneSearch}
+              scenes={candidateScenes}
+              activeSceneId={ndviSource?.sceneId}
+              isPinned={ndviSource?.selectionMode === 'manual'}
+              onSelectScene={handleSelectScene}
+              onAutoSelect={handleAutoSelectScene}
+              disabled={isProcessing}
+            />
+          )}
+
           {ndviSource && (
             <div className="mb-6 p-3 rounded-lg border border-sky-100 bg-sky-50/70">
               <p className="text-xs font-semibold text-sky-800">NDVI Source</p>
@@ -761,7 +890,13 @@ export const MapExplorer = () => {
               <p className="text-[11px] text-slate-600 mt-1">Scene: {ndviSource.sceneId}</p>
               <p className="text-[11px] text-slate-600">Date: {formatDate(ndviSource.acquiredAt)}</p>
               <p className="text-[11px] text-slate-600">Cloud Cover: {ndviSource.cloudCover.toFixed(1)}%</p>
-              <p className="text-[11px] text-slate-600">Bands: Red={ndviSource.redAsset}, NIR={ndviSource.nirAsset}</p>
+              <p className="text-[11px] text-slate-600">Tile: {ndviSource.tileId || 'NA'}</p>
+              <p className="text-[11px] text-slate-600">
+                Chosen: {ndviSource.selectionMode === 'manual' ? 'Manually by reviewer' : 'Automatically (lowest cloud)'}
+              </p>
+              <p className="text-[11px] text-slate-600 break-words">
+                Bands: {Object.entries(ndviSource.bands).map(([band, asset]) => `${band}=${asset}`).join(', ')}
+              </p>
             </div>
           )}
 
@@ -780,40 +915,170 @@ export const MapExplorer = () => {
               {landClassification.confidence > 0 && (
                 <p className="text-[11px] text-slate-500 mt-1">Confidence: {landClassification.confidence}%</p>
               )}
+              {isUnreliable && (
+                <p className="text-[11px] text-amber-700 mt-1">Low clear-pixel coverage: treat this classification as unreliable.</p>
+              )}
             </div>
           )}
 
           {computedStats && (
             <div className="mb-6 animate-fade-in">
               <div className="flex justify-between items-center mb-2">
-                <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider">True NDVI Distribution</p>
-                <span className="text-[10px] bg-slate-100 px-2 py-0.5 rounded text-slate-600">B08/B04</span>
+                <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Spectral Indices</p>
+                <span className="text-[10px] bg-slate-100 px-2 py-0.5 rounded text-slate-600">{activeIndexConfig.formula}</span>
               </div>
-              <div className="h-32 w-full">
-                <ResponsiveContainer width="100%" height="100%">
-                  <BarChart data={computedStats.histogram}>
-                    <Tooltip
-                      cursor={{ fill: 'transparent' }}
-                      contentStyle={{ fontSize: '12px', borderRadius: '4px', border: 'none', boxShadow: '0 2px 5px rgba(0,0,0,0.1)' }}
-                    />
-                    <Bar dataKey="count" radius={[2, 2, 0, 0]}>
-                      {computedStats.histogram.map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={STAT_COLORS[index % 5]} />
-                      ))}
-                    </Bar>
-                  </BarChart>
-                </ResponsiveContainer>
+              <div
+                className={`mb-3 p-2 rounded-md border text-[11px] ${
+                  isUnreliable
+                    ? 'border-amber-200 bg-amber-50 text-amber-800'
+                    : 'border-slate-200 bg-slate-50 text-slate-600'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold">
+                    {clearPercent === null ? 'Cloud mask unavailable' : `Clear pixels: ${clearPercent.toFixed(1)}%`}
+                  </span>
+                  {isUnreliable && (
+                    <span className="inline-flex items-center px-1.5 py-0.5 rounded bg-amber-100 text-[10px] font-bold uppercase">
+                      <Icons.Alert className="w-3 h-3 mr-1" /> Unreliable
+                    </span>
+                  )}
+                </div>
+                <p className="mt-1 text-[10px] opacity-80">
+                  {clearPercent === null
+                    ? 'Scene has no SCL band; statistics include every pixel.'
+                    : `SCL masked: ${Object.values(SCL_MASKED_CLASSES).join(', ')}.`}
+                </p>
+                <label className="mt-1 flex items-center justify-between text-[10px]">
+                  Reliability threshold
+                  <select
+                    value={minValidPercent}
+                    onChange={(event) => setMinValidPercent(Number(event.target.value))}
+                    className="ml-2 px-1 py-0.5 border border-slate-300 rounded bg-white text-slate-700"
+                  >
+                    {validPercentOptions(settings.minValidPercent).map((value) => (
+                      <option key={value} value={value}>≥ {value}% clear</option>
+                    ))}
+                  </select>
+                </label>
               </div>
-              <div className="grid grid-cols-2 gap-2 mt-2 text-[11px] text-slate-600">
-                <span>Mean: {computedStats.mean.toFixed(3)}</span>
-                <span>StdDev: {computedStats.stdDev.toFixed(3)}</span>
+              <div className="grid grid-cols-3 gap-1 mb-3">
+                {SPECTRAL_INDICES.map((index) => (
+                  <button
+                    key={index.id}
+                    type="button"
+                    onClick={() => setActiveIndex(index.id)}
+                    disabled={!computedStats[index.id]}
+                    title={indexErrors[index.id] || index.description}
+                    className={`py-1 text-[11px] rounded-md border transition-all disabled:opacity-40 ${
+                      activeIndex === index.id
+                        ? 'bg-slate-900 text-white border-slate-900'
+                        : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-50'
+                    }`}
+                  >
+                    {index.id}
+                    {computedStats[index.id] && (
+                      <span className="block text-[10px] opacity-70">{computedStats[index.id].mean.toFixed(2)}</span>
+                    )}
+                  </button>
+                ))}
               </div>
+              {activeStats && (
+                <>
+                  <div className="h-32 w-full">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart data={activeStats.histogram}>
+                        <Tooltip
+                          cursor={{ fill: 'transparent' }}
+                          contentStyle={{ fontSize: '12px', borderRadius: '4px', border: 'none', boxShadow: '0 2px 5px rgba(0,0,0,0.1)' }}
+                        />
+                        <Bar dataKey="count" radius={[2, 2, 0, 0]}>
+                          {activeStats.histogram.map((entry, index) => (
+                            <Cell
+                              key={`cell-${index}`}
+                              fill={rampColors[Math.floor((index * rampColors.length) / activeStats.histogram.length)]}
+                            />
+                          ))}
+                        </Bar>
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2 mt-2 text-[11px] text-slate-600">
+                    <span>Mean: {activeStats.mean.toFixed(3)}</span>
+                    <span>StdDev: {activeStats.stdDev.toFixed(3)}</span>
+                    <span>Min: {activeStats.min.toFixed(3)}</span>
+                    <span>Max: {activeStats.max.toFixed(3)}</span>
+                  </div>
+                </>
+              )}
+              {Object.keys(indexErrors).length > 0 && (
+                <p className="mt-2 text-[10px] text-slate-400">
+                  Unavailable: {Object.keys(indexErrors).join(', ')} (hover an index for details).
+                </p>
+              )}
             </div>
           )}
 
+          {selectedBounds && <NdviTimeSeries selection={selectedBounds} minValidPercent={minValidPercent} />}
+
+          {selectedBounds && (
+            <ChangeDetectionPanel
+              selection={selectedBounds}
+              scenes={candidateScenes}
+              result={changeResult}
+              onResult={setChangeResult}
+              showOnMap={changeVisible}
+              onToggleShowOnMap={() => setChangeVisible((visible) => !visible)}
+              disabled={isProcessing}
+            />
+          )}
+
+          {selectedBounds && can(user, 'parcels:register') && (
+            <RegisterParcelForm
+              selection={selectedBounds}
+              locationName={activeLocation.name}
+              overlapCheck={overlapCheck}
+              analysis={{
+                stats: computedStats,
+                source: ndviSource,
+                classification: landClassification,
+                report: result,
+                change: changeResult
+              }}
+              disabled={isProcessing}
+            />
+          )}
+
+          {selectedBounds && result && overlapCheck.conflicts.length > 0 && can(user, 'parcels:survey') && (
+            <SaveAnalysisRun
+              candidates={overlapCheck.conflicts}
+              analysis={{
+                stats: computedStats,
+                source: ndviSource,
+                classification: landClassification,
+                report: result,
+                change: changeResult
+              }}
+              disabled={isProcessing}
+            />
+          )}
+
+          {selectedBounds && (
+            <button
+              type="button"
+              onClick={handleExportSelection}
+              disabled={isExporting}
+              className={`${exportError ? 'mb-1' : 'mb-4'} w-full py-2 text-xs rounded-md border border-slate-300 text-slate-600 hover:bg-slate-100 transition-all flex items-center justify-center disabled:opacity-50`}
+            >
+              <Icons.Download className="w-3 h-3 mr-1" /> Export selection as GeoJSON
+            </button>
+          )}
+          {selectedBounds && exportError && <p className="mb-4 text-xs text-rose-600">{exportError}</p>}
+
           <button
             onClick={handleAnalyze}
-            disabled={isProcessing || !computedStats}
+            disabled={isProcessing || !computedStats || !canAnalyze}
+            title={canAnalyze ? undefined : 'AI verification is run by surveyors'}
             className="w-full py-3 bg-gradient-to-r from-brand-600 to-brand-500 hover:from-brand-500 hover:to-brand-400 text-white rounded-xl shadow-lg font-semibold flex items-center justify-center transition-all disabled:opacity-70 disabled:grayscale"
           >
             {isProcessing ? (
@@ -822,18 +1087,36 @@ export const MapExplorer = () => {
               <><Icons.AI className="w-5 h-5 mr-2" /> AI Verification</>
             )}
           </button>
+          {!canAnalyze && <p className="mt-2 text-[11px] text-slate-400 text-center">AI verification and registration are done by surveyors.</p>}
         </div>
 
         {result && (
           <div className="p-5 bg-slate-50 flex-1 overflow-y-auto">
             <div className="flex items-center justify-between mb-3">
               <h3 className="font-bold text-slate-800">Verification Report</h3>
-              <div className="px-2 py-1 bg-emerald-100 text-emerald-800 text-xs font-bold rounded uppercase">Verified</div>
+              {result.provider === 'rules' ? (
+                <div className="px-2 py-1 bg-amber-100 text-amber-800 text-xs font-bold rounded uppercase">Rule-based</div>
+              ) : (
+                <div className="px-2 py-1 bg-emerald-100 text-emerald-800 text-xs font-bold rounded uppercase">Verified</div>
+              )}
             </div>
+            {result.fallbackReason && (
+              <p className="mb-3 text-[11px] text-amber-700 break-words">
+                AI unavailable, showing the offline rule engine instead. {result.fallbackReason}
+              </p>
+            )}
 
             <div className="mb-4 text-sm text-slate-600 bg-white p-3 rounded-lg border border-slate-200 shadow-sm leading-relaxed">
               {result.summary}
             </div>
+            {result.provider && result.provider !== 'rules' && (
+              <p className="-mt-2 mb-4 text-[11px] text-slate-400">
+                {result.provider === 'stub' ? 'Offline stub provider' : `Model ${result.model}`}
+                {result.provenance && ` · prompt ${result.provenance.promptVersion}`}
+                {result.provenance?.attempts > 1 && ` · valid on attempt ${result.provenance.attempts}`}
+                {result.cached ? ' · served from cache' : ''}
+              </p>
+            )}
 
             <div className="grid grid-cols-2 gap-3 mb-4">
               <div className="bg-white p-3 rounded border border-slate-200">
@@ -842,7 +1125,9 @@ export const MapExplorer = () => {
               </div>
               <div className="bg-white p-3 rounded border border-slate-200">
                 <div className="text-xs text-slate-500">Score</div>
-                <div className="font-semibold text-brand-600">{result.suitabilityScore}/100</div>
+                <div className="font-semibold text-brand-600">
+                  {Number.isFinite(result.suitabilityScore) ? `${result.suitabilityScore}/100` : 'NA'}
+                </div>
               </div>
             </div>
 
@@ -856,18 +1141,31 @@ export const MapExplorer = () => {
                 ))}
               </div>
             </div>
+
+            {result.provider === 'rules'
+              ? <RuleTrace rules={result} />
+              : result.geoStats && <AnalysisCrossCheck ai={result} rules={analyzeWithRules(result.geoStats, { ...DEFAULT_ANALYSIS_RULES, ndviThresholds: settings.ndviThresholds, minValidPercent })} />}
           </div>
         )}
       </div>
 
       <div className="flex-1 relative bg-slate-900 overflow-hidden">
         <div id="map-container" ref={mapContainerRef} className="w-full h-full" />
+        <IndexOverlayControl
+          index={activeIndexConfig}
+          visible={overlayVisible}
+          onToggle={() => setOverlayVisible((visible) => !visible)}
+          opacity={overlayOpacity}
+          onOpacityChange={setOverlayOpacity}
+          disabled={!activeScene || !computedStats?.[activeIndex]}
+          status={overlayStatus}
+        />
         <div className="absolute bottom-6 left-6 z-[400] bg-white/90 backdrop-blur p-3 rounded-lg shadow-xl border border-white/20">
           <div className="text-xs font-bold text-slate-700 mb-2">Active Region</div>
           <div className="flex items-center gap-2">
             <Icons.Map className="w-4 h-4 text-brand-600" />
             <span className="text-xs text-slate-600">
-              {selectedBounds ? 'Selected Area' : activeLocation.name}
+              {selectedBounds ? `Selected Parcel · ${formatArea(selectedBounds.areaSqMeters, settings.areaUnit)}` : activeLocation.name}
             </span>
             <span className="text-[10px] text-slate-400 font-mono">
               {activeCoords[0].toFixed(2)}, {activeCoords[1].toFixed(2)}
@@ -875,6 +1173,9 @@ export const MapExplorer = () => {
           </div>
         </div>
       </div>
+      {isImportOpen && (
+        <ImportBoundariesDialog onClose={() => setIsImportOpen(false)} onUseSelection={handleUseImportedBoundary} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Icons } from './Icons';
+import { fetchNdviTimeSeries, getDateRange } from '../services/sentinelService';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+
+const PERIOD_OPTIONS = [
+  { years: 1, label: '1 year' },
+  { years: 2, label: '2 years' },
+  { years: 3, label: '3 years' }
+];
+
+const CLOUD_OPTIONS = [20, 40, 60];
+
+const formatShortDate = (isoValue) => {
+  const date = new Date(isoValue);
+  if (Number.isNaN(date.getTime())) return isoValue;
+  return date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+};
+
+const SeriesTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="bg-white px-2 py-1.5 rounded shadow text-[11px] text-slate-600 border border-slate-100">
+      <p className="font-semibold text-slate-800">{new Date(point.datetime).toLocaleDateString()}</p>
+      <p>Mean NDVI: {point.mean.toFixed(3)}</p>
+      <p>Range: {point.min.toFixed(2)} to {point.max.toFixed(2)}</p>
+      <p>Cloud Cover: {point.cloudCover.toFixed(1)}% (scene)</p>
+      {point.validPercent !== null && <p>Clear Pixels: {point.validPercent.toFixed(0)}% (parcel)</p>}
+      <p className="font-mono text-[10px] text-slate-400 truncate max-w-[180px]">{point.sceneId}</p>
+    </div>
+  );
+};
+
+/**
+ * Per-scene NDVI history for the selected parcel. Loading is on demand
+ * because a multi-year series issues one statistics request per scene.
+ */
+export const NdviTimeSeries = ({ selection, minValidPercent }) => {
+  const [years, setYears] = useState(1);
+  const [maxCloud, setMaxCloud] = useState(40);
+  const [series, setSeries] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+
+  const cancel = () => {
+    abortRef.current?.abort();
+    abortRef.current = null;
+  };
+
+  // A new or edited parcel invalidates the loaded history.
+  useEffect(() => {
+    cancel();
+    setSeries(null);
+    setProgress(null);
+    setError('');
+    return cancel;
+  }, [selection]);
+
+  const loadSeries = async () => {
+    if (!selection) return;
+    cancel();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setSeries(null);
+    setError('');
+    setProgress({ done: 0, total: 0, failed: 0 });
+
+    try {
+      const result = await fetchNdviTimeSeries(selection, {
+        datetime: getDateRange(years * 365),
+        maxCloud,
+        minValidPercent,
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+      if (!result.points.length) {
+        setError('No scene in this period returned clear statistics for the parcel.');
+      }
+      setSeries(result);
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.warn('NDVI time series failed.', err);
+      setError(err instanceof Error ? err.message : 'Unknown time series error');
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const isLoading = Boolean(progress);
+
+  return (
+    <div className="mb-6 p-3 rounded-lg border border-slate-200 bg-white">
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider">NDVI Time Series</p>
+        {series?.points.length > 0 && (
+          <span className="text-[10px] bg-slate-100 px-2 py-0.5 rounded text-slate-600">{series.points.length} scenes</span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        <select
+          value={years}
+          onChange={(event) => setYears(Number(event.target.value))}
+          disabled={isLoading}
+          className="px-2 py-1.5 text-xs border border-slate-300 rounded-md bg-white"
+        >
+          {PERIOD_OPTIONS.map((option) => (
+            <option key={option.years} value={option.years}>Last {option.label}</option>
+          ))}
+        </select>
+        <select
+          value={maxCloud}
+          onChange={(event) => setMaxCloud(Number(event.target.value))}
+          disabled={isLoading}
+          className="px-2 py-1.5 text-xs border border-slate-300 rounded-md bg-white"
+        >
+          {CLOUD_OPTIONS.map((value) => (
+            <option key={value} value={value}>Cloud ≤ {value}%</option>
+          ))}
+        </select>
+      </div>
+
+      <button
+        type="button"
+        onClick={isLoading ? cancel : loadSeries}
+        disabled={!selection}
+        className="w-full py-2 text-xs rounded-md border border-slate-300 text-slate-600 hover:bg-slate-100 transition-all disabled:opacity-50 flex items-center justify-center"
+      >
+        {isLoading ? (
+          <><Icons.Spinner className="w-3 h-3 mr-1 animate-spin" /> {progress.done}/{progress.total || '?'} scenes · Cancel</>
+        ) : (
+          'Load History'
+        )}
+      </button>
+
+      {error && <p className="mt-2 text-[11px] text-rose-600 break-words">{error}</p>}
+
+      {series?.points.length > 0 && (
+        <>
+          <div className="h-36 w-full mt-3">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={series.points}>
+                <XAxis dataKey="datetime" tickFormatter={formatShortDate} tick={{ fontSize: 9 }} minTickGap={20} />
+                <YAxis domain={[-0.2, 1]} tick={{ fontSize: 9 }} width={28} />
+                <ReferenceLine y={0.2} stroke="#fdae61" strokeDasharray="3 3" />
+                <ReferenceLine y={0.5} stroke="#1a9641" strokeDasharray="3 3" />
+                <Tooltip content={<SeriesTooltip />} />
+                <Line type="monotone" dataKey="mean" stroke="#1a9641" strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          {series.failed > 0 && (
+            <p className="mt-1 text-[10px] text-slate-400">{series.failed} of {series.sceneCount} scenes skipped (statistics unavailable).</p>
+          )}
+          {series.obscured > 0 && (
+            <p className="mt-1 text-[10px] text-slate-400">
+              {series.obscured} of {series.sceneCount} scenes hidden (parcel less than {minValidPercent}% clear).
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import QRCode from 'qrcode';
+import { Icons } from './Icons';
+import { formatLength } from '../services/geometry';
+import { buildVerificationUrl, issueCertificate } from '../services/registryService';
+
+const SNAPSHOT_WIDTH = 320;
+const SNAPSHOT_HEIGHT = 220;
+const SNAPSHOT_PADDING = 20;
+
+const STATUS_CLASSES = {
+  Verified: 'bg-emerald-100 text-emerald-800 border-emerald-300',
+  Pending: 'bg-amber-100 text-amber-800 border-amber-300',
+  Flagged: 'bg-rose-100 text-rose-800 border-rose-300'
+};
+
+// Web Mercator keeps the outline's shape the same as on the explorer map.
+const projectPoint = ([lng, lat]) => {
+  const clampedLat = Math.max(-85, Math.min(85, lat));
+  const y = Math.log(Math.tan(Math.PI / 4 + (clampedLat * Math.PI) / 360));
+  return [(lng * Math.PI) / 180, y];
+};
+
+/** Vector snapshot of the recorded boundary, fitted to the certificate panel. */
+const BoundarySnapshot = ({ geometry }) => {
+  const ring = geometry?.coordinates?.[0];
+  if (!ring?.length) {
+    return (
+      <div className="h-full flex items-center justify-center text-xs text-slate-400 text-center px-6">
+        No surveyed boundary is on record for this parcel.
+      </div>
+    );
+  }
+
+  const projected = ring.map(projectPoint);
+  const xs = projected.map(([x]) => x);
+  const ys = projected.map(([, y]) => y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const scale = Math.min(
+    (SNAPSHOT_WIDTH - SNAPSHOT_PADDING * 2) / (maxX - minX || 1),
+    (SNAPSHOT_HEIGHT - SNAPSHOT_PADDING * 2) / (maxY - minY || 1)
+  );
+  const offsetX = (SNAPSHOT_WIDTH - (maxX - minX) * scale) / 2;
+  const offsetY = (SNAPSHOT_HEIGHT - (maxY - minY) * scale) / 2;
+  const points = projected
+    .map(([x, y]) => `${(offsetX + (x - minX) * scale).toFixed(1)},${(offsetY + (maxY - y) * scale).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${SNAPSHOT_WIDTH} ${SNAPSHOT_HEIGHT}`} className="w-full h-full">
+      <defs>
+        <pattern id="certificate-grid" width="20" height="20" patternUnits="userSpaceOnUse">
+          <path d="M 20 0 L 0 0 0 20" fill="none" stroke="#e2e8f0" strokeWidth="0.5" />
+        </pattern>
+      </defs>
+      <rect width={SNAPSHOT_WIDTH} height={SNAPSHOT_HEIGHT} fill="url(#certificate-grid)" />
+      <polygon points={points} fill="rgba(16,185,129,0.18)" stroke="#047857" strokeWidth="2" strokeLinejoin="round" />
+      <g transform={`translate(${SNAPSHOT_WIDTH - 18}, 14)`} fill="#475569" fontSize="9" textAnchor="middle">
+        <path d="M 0 0 L 5 12 L 0 9 L -5 12 Z" />
+        <text y="23">N</text>
+      </g>
+    </svg>
+  );
+};
+
+const Field = ({ label, children, mono }) => (
+  <div>
+    <p className="text-[10px] uppercase tracking-wider text-slate-500 font-semibold">{label}</p>
+    <p className={`text-sm text-slate-900 ${mono ? 'font-mono break-all text-xs' : 'font-medium'}`}>{children}</p>
+  </div>
+);
+
+/**
+ * Printable certificate for a registry parcel. The QR code links to the
+ * public verification page with the hash printed here, so a later edit to the
+ * parcel shows up as a superseded certificate. The API issues it (and logs
+ * the issue), so printing waits until the issued record has loaded.
+ */
+export const ParcelCertificate = ({ parcel: listedParcel, onClose }) => {
+  const [qrDataUrl, setQrDataUrl] = useState('');
+  const [certificate, setCertificate] = useState(null);
+  const [issueError, setIssueError] = useState('');
+  const parcel = certificate?.parcel || listedParcel;
+  const ledgerEntry = certificate?.ledgerEntry || null;
+  const issuedAt = certificate ? new Date(certificate.issuedAt) : null;
+  const verificationUrl = buildVerificationUrl(parcel.id, parcel.hash);
+
+  useEffect(() => {
+    document.body.classList.add('certificate-open');
+    return () => document.body.classList.remove('certificate-open');
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(verificationUrl, { margin: 1, width: 220, errorCorrectionLevel: 'M' })
+      .then((url) => !cancelled && setQrDataUrl(url))
+      .catch((err) => console.warn('QR code generation failed.', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [verificationUrl]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    issueCertificate(listedParcel.id, { signal: controller.signal })
+      .then(setCertificate)
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.warn('Certificate issue failed.', err);
+        setIssueError(err instanceof Error ? err.message : 'Unknown certificate error');
+      });
+    return () => controller.abort();
+  }, [listedParcel.id]);
+
+  return createPortal(
+    <div className="fixed inset-0 z-[1000] bg-slate-900/60 overflow-y-auto p-6 print:static print:bg-white print:p-0 print:overflow-visible">
+      <div className="max-w-3xl mx-auto">
+        <div className="flex justify-end items-center gap-2 mb-3 print:hidden">
+          {issueError && <p className="text-sm text-rose-100 mr-auto">{issueError}</p>}
+          <button
+            onClick={() => window.print()}
+            disabled={!certificate}
+            className="px-4 py-2 rounded-lg bg-white text-slate-800 text-sm font-medium flex items-center shadow disabled:opacity-60"
+          >
+            <Icons.Print className="w-4 h-4 mr-2" /> Print / Save as PDF
+          </button>
+          <button onClick={onClose} className="p-2 rounded-lg bg-white text-slate-600 shadow">
+            <Icons.Close className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-2xl p-10 border-8 border-double border-slate-200 print:shadow-none print:rounded-none">
+          <header className="text-center border-b border-slate-200 pb-6">
+            <div className="flex items-center justify-center text-brand-700 font-semibold tracking-wider uppercase text-xs">
+              <Icons.Leaf className="w-4 h-4 mr-1.5" /> TerraTrust Land Registry
+            </div>
+            <h1 className="text-3xl font-bold text-slate-900 mt-2">Certificate of Land Record</h1>
+            <p className="text-sm text-slate-500 mt-1">Parcel {parcel.id}</p>
+          </header>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mt-8 print:grid-cols-2">
+            <div className="space-y-4">
+              <Field label="Registered Owner">{parcel.owner}</Field>
+              <Field label="Parcel Name">{parcel.name}</Field>
+              <Field label="Location">{parcel.location || 'NA'}</Field>
+              <div className="grid grid-cols-2 gap-4">
+                <Field label="Area">{parcel.area}</Field>
+                <Field label="Perimeter">{Number.isFinite(parcel.perimeterMeters) ? formatLength(parcel.perimeterMeters) : 'NA'}</Field>
+              </div>
+              <div>
+                <p className="text-[10px] uppercase tracking-wider text-slate-500 font-semibold">Verification Status</p>
+                <span className={`inline-block mt-1 px-3 py-1 rounded-full border text-sm font-semibold ${STATUS_CLASSES[parcel.status] || STATUS_CLASSES.Pending}`}>
+                  {parcel.status}
+                </span>
+                {parcel.flagReason && <p className="mt-1 text-xs text-rose-700">{parcel.flagReason}</p>}
+              </div>
+              <Field label="Recorded">{new Date(parcel.createdAt).toLocaleDateString()} · last updated {new Date(parcel.updatedAt).toLocaleDateString()}</Field>
+            </div>
+
+            <div className="h-56 rounded-lg border border-slate-200 bg-slate-50 overflow-hidden">
+              <BoundarySnapshot geometry={parcel.geometry} />
+            </div>
+          </div>
+
+          <div className="mt-8 pt-6 border-t border-slate-200 grid grid-cols-1 md:grid-cols-[1fr_auto] gap-6 items-center print:grid-cols-[1fr_auto]">
+            <div className="space-y-3">
+              <Field label="Record Hash (SHA-256)" mono>{parcel.hash}</Field>
+              <Field label="Ledger Entry" mono>
+                {ledgerEntry ? `#${ledgerEntry.index} · ${ledgerEntry.hash}` : 'Looking up ledger entry...'}
+              </Field>
+              {ledgerEntry?.signer && <Field label="Registrar Key" mono>{ledgerEntry.signer}</Field>}
+              <p className="text-[11px] text-slate-500">
+                {issuedAt ? `Issued ${issuedAt.toLocaleString()}.` : 'Issuing...'} Scan the code or open the address below to confirm this certificate
+                against the live registry.
+              </p>
+              <p className="font-mono text-[10px] text-brand-700 break-all">{verificationUrl}</p>
+            </div>
+            <div className="w-36 h-36 mx-auto flex items-center justify-center border border-slate-200 rounded">
+              {qrDataUrl ? (
+                <img src={qrDataUrl} alt={`Verification QR code for ${parcel.id}`} className="w-full h-full" />
+              ) : (
+                <Icons.QrCode className="w-10 h-10 text-slate-300" />
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
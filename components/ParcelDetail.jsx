@@ -0,0 +1,401 @@
+import React, { useState, useEffect } from 'react';
+import { Icons } from './Icons';
+import { TransferForm } from './TransferForm';
+import { AnalysisHistory } from './AnalysisHistory';
+import {
+  advanceTransfer,
+  createTransferDraft,
+  listParcelTransfers,
+  updateParcel,
+  updateTransferDraft
+} from '../services/registryService';
+import { formatParcelArea, fromGeoJsonPolygon } from '../services/geometry';
+import { getSettings } from '../services/settingsService';
+import { buildExplorerQuery, buildPath, navigate } from '../services/routing';
+import { AppView } from '../constants';
+import { getCurrentUser } from '../services/authService';
+import { can } from '../services/permissions';
+
+const TRANSFER_STATUS_CLASSES = {
+  draft: 'bg-slate-100 text-slate-700',
+  submitted: 'bg-blue-100 text-blue-800',
+  approved: 'bg-emerald-100 text-emerald-800',
+  rejected: 'bg-rose-100 text-rose-800'
+};
+
+const ACQUIRED_BY_LABELS = {
+  registration: 'Original registration',
+  sale: 'Sale',
+  inheritance: 'Inheritance',
+  gift: 'Gift'
+};
+
+const formatMoney = (consideration) =>
+  consideration ? `${consideration.amount.toLocaleString()} ${consideration.currency}` : null;
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 10)}…${hash.slice(-6)}` : 'NA');
+
+/** The stored report and what produced it; reports saved before provenance existed say so. */
+const StoredAnalysis = ({ report }) => {
+  const provenance = report.provenance;
+  const rows = provenance ? [
+    ['Model', `${provenance.provider} · ${provenance.model}`],
+    ['Prompt version', provenance.promptVersion || 'NA (no prompt)'],
+    ['Input stats hash', shortHash(provenance.statsHash)],
+    ['Generated', new Date(provenance.generatedAt).toLocaleString()],
+    ['Attempts', provenance.attempts ?? 'NA']
+  ] : [];
+
+  return (
+    <div className="p-3 rounded-lg border border-slate-200 text-sm">
+      <p className="font-semibold text-slate-900">
+        {report.landUse} · {Number.isFinite(report.suitabilityScore) ? `${report.suitabilityScore}/100` : 'NA'}
+      </p>
+      <p className="mt-1 text-xs text-slate-600">{report.summary}</p>
+      {provenance ? (
+        <dl className="mt-3 grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5 text-xs">
+          {rows.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt className="text-slate-400">{label}</dt>
+              <dd className="text-slate-700 font-mono break-all" title={label === 'Input stats hash' ? provenance.statsHash : undefined}>{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      ) : (
+        <p className="mt-2 text-xs text-amber-700">No provenance recorded for this analysis.</p>
+      )}
+    </div>
+  );
+};
+
+/** Registrar decision on a parcel: verify it, or flag it with a reason. */
+const ParcelReview = ({ parcel, onParcelChange }) => {
+  const [flagReason, setFlagReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const review = async (changes) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      onParcelChange(await updateParcel(parcel.id, changes));
+      setFlagReason('');
+    } catch (err) {
+      console.warn('Parcel review failed.', err);
+      setError(err instanceof Error ? err.message : 'Unknown review error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section>
+      <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-3">Review</h3>
+      {parcel.status === 'Flagged' && parcel.flagReason && <p className="mb-2 text-xs text-rose-700">Flagged: {parcel.flagReason}</p>}
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={flagReason}
+          onChange={(event) => setFlagReason(event.target.value)}
+          placeholder="Reason for flagging"
+          className="flex-1 min-w-0 px-2 py-1.5 text-sm border border-slate-300 rounded-md"
+        />
+        <button
+          onClick={() => review({ status: 'Flagged', flagReason: flagReason.trim() })}
+          disabled={isSaving || !flagReason.trim()}
+          className="px-3 py-1.5 text-sm rounded-md border border-rose-300 text-rose-700 disabled:opacity-50"
+        >
+          Flag
+        </button>
+        <button
+          onClick={() => review({ status: 'Verified' })}
+          disabled={isSaving || parcel.status === 'Verified'}
+          className="px-3 py-1.5 text-sm rounded-md bg-emerald-600 text-white disabled:opacity-50 flex items-center"
+        >
+          {isSaving && <Icons.Spinner className="w-3 h-3 mr-1 animate-spin" />} Verify
+        </button>
+      </div>
+      {error && <p className="mt-2 text-sm text-rose-600 break-words">{error}</p>}
+    </section>
+  );
+};
+
+/**
+ * Side panel for one registry parcel: its analyses, chain of title and the
+ * transfers that build it. Approving a transfer is the only way the owner changes.
+ */
+export const ParcelDetail = ({ parcel, onClose, onParcelChange, onViewCertificate }) => {
+  const [transfers, setTransfers] = useState([]);
+  const [chainOfTitle, setChainOfTitle] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null); // 'new' or the draft being edited
+  const [busyId, setBusyId] = useState(null);
+
+  const loadTransfers = async (signal) => {
+    try {
+      const payload = await listParcelTransfers(parcel.id, { signal });
+      setTransfers(payload.transfers);
+      setChainOfTitle(payload.chainOfTitle);
+      setError('');
+    } catch (err) {
+      if (signal?.aborted) return;
+      console.warn('Transfer history load failed.', err);
+      setError(err instanceof Error ? err.message : 'Unknown transfer error');
+    } finally {
+      if (!signal?.aborted) setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setEditing(null);
+    loadTransfers(controller.signal);
+    return () => controller.abort();
+  }, [parcel.id]);
+
+  const runAction = async (id, task) => {
+    setBusyId(id);
+    setError('');
+    try {
+      await task();
+      await loadTransfers();
+    } catch (err) {
+      console.warn('Transfer action failed.', err);
+      setError(err instanceof Error ? err.message : 'Unknown transfer error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSaveDraft = (fields) => runAction('form', async () => {
+    if (editing === 'new') await createTransferDraft(parcel.id, fields);
+    else await updateTransferDraft(editing.id, fields);
+    setEditing(null);
+  });
+
+  const handleAdvance = (transfer, action) => runAction(transfer.id, async () => {
+    let body;
+    if (action === 'reject') {
+      const reason = window.prompt(`Reason for rejecting ${transfer.id}?`);
+      if (!reason) return;
+      body = { reason };
+    }
+    const result = await advanceTransfer(transfer.id, action, body);
+    if (action === 'approve') onParcelChange(result.parcel);
+  });
+
+  const boundary = fromGeoJsonPolygon(parcel.geometry);
+  const user = getCurrentUser();
+  const canManageTransfers = can(user, 'transfers:manage');
+  // The API enforces both; this only explains the disabled button.
+  const approvalBlockedReason = (transfer) => {
+    if (parcel.status === 'Flagged') return 'Flagged parcels cannot change owner until the flag is resolved';
+    if ([transfer.createdBy, transfer.submittedBy].includes(user?.username)) return 'Another registrar must approve a transfer you drafted or submitted';
+    return '';
+  };
+
+  return (
+    <div className="fixed inset-0 z-[900] flex justify-end bg-slate-900/30" onClick={onClose}>
+      <aside
+        className="w-full max-w-xl h-full bg-white shadow-2xl overflow-y-auto"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="sticky top-0 bg-white border-b border-slate-200 px-6 py-4 flex items-start justify-between">
+          <div>
+            <p className="font-mono text-xs text-slate-500">{parcel.id}</p>
+            <h2 className="text-lg font-bold text-slate-900">{parcel.name}</h2>
+            <p className="text-sm text-slate-500">{parcel.location || 'NA'} · {formatParcelArea(parcel, getSettings().areaUnit)} · {parcel.status}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            {boundary && (
+              <button
+                onClick={() => navigate(buildPath(AppView.EXPLORER, {
+                  query: buildExplorerQuery({ vertices: boundary, sceneId: parcel.analysis?.source?.sceneId })
+                }))}
+                className="px-3 py-1.5 text-sm rounded-md border border-slate-300 text-slate-700 hover:bg-slate-50 flex items-center"
+              >
+                <Icons.Map className="w-4 h-4 mr-1" /> Show on map
+              </button>
+            )}
+            {can(user, 'audit:read') && (
+              <button
+                onClick={() => navigate(buildPath(AppView.AUDIT, { query: { parcelId: parcel.id } }))}
+                className="px-3 py-1.5 text-sm rounded-md border border-slate-300 text-slate-700 hover:bg-slate-50 flex items-center"
+              >
+                <Icons.Audit className="w-4 h-4 mr-1" /> Audit trail
+              </button>
+            )}
+            <button
+              onClick={() => onViewCertificate(parcel)}
+              className="px-3 py-1.5 text-sm rounded-md border border-slate-300 text-brand-700 hover:bg-slate-50"
+            >
+              View Cert
+            </button>
+            <button onClick={onClose} className="p-1.5 text-slate-400 hover:text-slate-700">
+              <Icons.Close className="w-5 h-5" />
+            </button>
+          </div>
+        </header>
+
+        <div className="p-6 space-y-8">
+          {can(user, 'parcels:review') && <ParcelReview parcel={parcel} onParcelChange={onParcelChange} />}
+
+          {parcel.analysis?.report && (
+            <section>
+              <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-3">Latest Analysis</h3>
+              <StoredAnalysis report={parcel.analysis.report} />
+            </section>
+          )}
+
+          <section>
+            <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-3">Analysis History</h3>
+            <AnalysisHistory parcelId={parcel.id} refreshKey={parcel.lastAnalysis} />
+          </section>
+
+          <section>
+            <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-3">Chain of Title</h3>
+            {isLoading ? (
+              <p className="text-sm text-slate-400 flex items-center"><Icons.Spinner className="w-4 h-4 mr-2 animate-spin" /> Loading...</p>
+            ) : (
+              <ol className="relative border-l-2 border-slate-200 ml-2 space-y-4">
+                {chainOfTitle.map((link, index) => {
+                  const isCurrent = index === chainOfTitle.length - 1;
+                  return (
+                    <li key={`${link.owner}-${link.from}-${index}`} className="ml-4">
+                      <span
+                        className={`absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full border-2 border-white ${
+                          isCurrent ? 'bg-brand-600' : 'bg-slate-300'
+                        }`}
+                      />
+                      <p className="text-sm font-semibold text-slate-900">
+                        {link.owner}
+                        {isCurrent && <span className="ml-2 text-[10px] uppercase text-brand-700">Current owner</span>}
+                      </p>
+                      <p className="text-xs text-slate-500">
+                        {link.from} → {link.to || 'present'} · {ACQUIRED_BY_LABELS[link.acquiredBy] || link.acquiredBy}
+                        {link.transferId && ` (${link.transferId})`}
+                        {formatMoney(link.consideration) && ` · ${formatMoney(link.consideration)}`}
+                      </p>
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+          </section>
+
+          <section>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Transfers</h3>
+              {!editing && canManageTransfers && (
+                <button onClick={() => setEditing('new')} className="text-sm text-brand-600 hover:text-brand-800 font-medium">
+                  + New transfer
+                </button>
+              )}
+            </div>
+
+            {error && <p className="mb-3 text-sm text-rose-600 break-words">{error}</p>}
+
+            {editing && (
+              <div className="mb-4">
+                <TransferForm
+                  key={editing === 'new' ? 'new' : editing.id}
+                  transfer={editing === 'new' ? null : editing}
+                  currentOwner={parcel.owner}
+                  onSave={handleSaveDraft}
+                  onCancel={() => setEditing(null)}
+                  isSaving={busyId === 'form'}
+                />
+              </div>
+            )}
+
+            {!isLoading && !transfers.length && !editing && (
+              <p className="text-sm text-slate-400">No transfers recorded for this parcel.</p>
+            )}
+
+            <ul className="space-y-3">
+              {[...transfers].reverse().map((transfer) => (
+                <li key={transfer.id} className="p-3 rounded-lg border border-slate-200">
+                  <div className="flex items-start justify-between gap-3">
+                    <div>
+                      <p className="text-sm font-semibold text-slate-900">
+                        {transfer.seller} → {transfer.buyer || '(buyer not set)'}
+                      </p>
+                      <p className="text-xs text-slate-500">
+                        <span className="font-mono">{transfer.id}</span> · {ACQUIRED_BY_LABELS[transfer.kind]} · {transfer.transferDate}
+                        {formatMoney(transfer.consideration) && ` · ${formatMoney(transfer.consideration)}`}
+                      </p>
+                      {transfer.createdBy && (
+                        <p className="text-[11px] text-slate-400">
+                          Drafted by {transfer.createdBy}
+                          {transfer.submittedBy && ` · submitted by ${transfer.submittedBy}`}
+                          {transfer.decidedBy && ` · ${transfer.status} by ${transfer.decidedBy}`}
+                        </p>
+                      )}
+                    </div>
+                    <span className={`px-2 py-0.5 rounded-full text-[10px] font-semibold uppercase ${TRANSFER_STATUS_CLASSES[transfer.status]}`}>
+                      {transfer.status}
+                    </span>
+                  </div>
+                  {transfer.documents.length > 0 && (
+                    <ul className="mt-2 text-xs text-slate-600 space-y-0.5">
+                      {transfer.documents.map((doc, i) => (
+                        <li key={i} className="flex items-center">
+                          <Icons.Report className="w-3 h-3 mr-1 text-slate-400" /> {doc.type}: <span className="font-mono ml-1">{doc.reference}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {transfer.rejectionReason && <p className="mt-2 text-xs text-rose-700">Rejected: {transfer.rejectionReason}</p>}
+
+                  {canManageTransfers && (transfer.status === 'draft' || transfer.status === 'submitted') && (
+                    <div className="mt-3 flex gap-2 text-xs">
+                      {transfer.status === 'draft' ? (
+                        <>
+                          <button
+                            onClick={() => setEditing(transfer)}
+                            disabled={Boolean(busyId)}
+                            className="px-2.5 py-1 rounded border border-slate-300 text-slate-600 disabled:opacity-50"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleAdvance(transfer, 'submit')}
+                            disabled={Boolean(busyId)}
+                            className="px-2.5 py-1 rounded bg-slate-900 text-white disabled:opacity-50"
+                          >
+                            Submit for approval
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button
+                            onClick={() => handleAdvance(transfer, 'approve')}
+                            disabled={Boolean(busyId) || Boolean(approvalBlockedReason(transfer))}
+                            title={approvalBlockedReason(transfer) || undefined}
+                            className="px-2.5 py-1 rounded bg-emerald-600 text-white disabled:opacity-50"
+                          >
+                            Approve
+                          </button>
+                          <button
+                            onClick={() => handleAdvance(transfer, 'reject')}
+                            disabled={Boolean(busyId)}
+                            className="px-2.5 py-1 rounded border border-rose-300 text-rose-700 disabled:opacity-50"
+                          >
+                            Reject
+                          </button>
+                        </>
+                      )}
+                      {busyId === transfer.id && <Icons.Spinner className="w-4 h-4 animate-spin text-slate-400" />}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        </div>
+      </aside>
+    </div>
+  );
+};
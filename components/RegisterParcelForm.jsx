@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { Icons } from './Icons';
+import { formatArea } from '../services/geometry';
+import { buildParcelPayload, createParcel } from '../services/registryService';
+import { getSettings } from '../services/settingsService';
+
+/**
+ * Registers the closed selection as a new registry parcel. Whatever analysis
+ * is on screen (index stats, AI report, change detection) is attached as-is.
+ */
+export const RegisterParcelForm = ({ selection, locationName, overlapCheck, analysis, disabled }) => {
+  const [name, setName] = useState('');
+  const [owner, setOwner] = useState('');
+  const [location, setLocation] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [registered, setRegistered] = useState(null);
+
+  // A different parcel starts a fresh registration.
+  useEffect(() => {
+    setRegistered(null);
+    setError('');
+    setLocation(
+      locationName && locationName !== 'Custom Coordinates'
+        ? locationName
+        : `${selection.center[0].toFixed(4)}, ${selection.center[1].toFixed(4)}`
+    );
+  }, [selection, locationName]);
+
+  const canSubmit = name.trim() && owner.trim() && !isSaving && !disabled;
+  const attached = [
+    analysis.stats && 'index stats',
+    analysis.report && 'AI report',
+    analysis.change && 'change detection'
+  ].filter(Boolean);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!canSubmit) return;
+    setIsSaving(true);
+    setError('');
+
+    try {
+      const parcel = await createParcel(buildParcelPayload({
+        name: name.trim(),
+        owner: owner.trim(),
+        location: location.trim(),
+        selection,
+        ...analysis
+      }));
+      setRegistered(parcel);
+      setName('');
+      setOwner('');
+    } catch (err) {
+      console.warn('Parcel registration failed.', err);
+      setError(err instanceof Error ? err.message : 'Unknown registration error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-3 rounded-lg border border-slate-200 bg-white">
+      <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Register Parcel</p>
+
+      <div className="space-y-2">
+        <input
+          type="text"
+          placeholder="Parcel name"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          className="w-full px-2 py-1.5 text-xs border border-slate-300 rounded-md"
+        />
+        <input
+          type="text"
+          placeholder="Owner"
+          value={owner}
+          onChange={(event) => setOwner(event.target.value)}
+          className="w-full px-2 py-1.5 text-xs border border-slate-300 rounded-md"
+        />
+        <input
+          type="text"
+          placeholder="Location"
+          value={location}
+          onChange={(event) => setLocation(event.target.value)}
+          className="w-full px-2 py-1.5 text-xs border border-slate-300 rounded-md"
+        />
+      </div>
+
+      <p className="mt-2 text-[10px] text-slate-500">
+        {formatArea(selection.areaSqMeters, getSettings().areaUnit)} · {selection.vertices.length} vertices
+        {attached.length > 0 ? ` · with ${attached.join(', ')}` : ' · no analysis attached yet'}
+      </p>
+      {overlapCheck.status === 'checking' && (
+        <p className="mt-1 text-[10px] text-slate-400">Checking registered boundaries for overlaps...</p>
+      )}
+      {overlapCheck.status === 'error' && (
+        <p className="mt-1 text-[10px] text-amber-700 break-words">{overlapCheck.error}</p>
+      )}
+      {!registered && overlapCheck.conflicts.length > 0 && (
+        <div className="mt-2 p-2 rounded-md border border-rose-200 bg-rose-50 text-[11px] text-rose-800">
+          <p className="font-bold uppercase text-[10px] flex items-center mb-0.5">
+            <Icons.Alert className="w-3 h-3 mr-1" /> Overlaps registered land
+          </p>
+          <ul className="space-y-0.5">
+            {overlapCheck.conflicts.map((conflict) => (
+              <li key={conflict.parcelId}>
+                {conflict.parcelId} ({conflict.owner}): {formatArea(conflict.overlapSqMeters, getSettings().areaUnit)}, {conflict.overlapPercent.toFixed(1)}% of this parcel
+              </li>
+            ))}
+          </ul>
+          <p className="mt-1">Registering will mark this parcel Flagged. Overlaps are shown in red on the map.</p>
+        </div>
+      )}
+      {analysis.change?.assessment.status === 'Flagged' && (
+        <p className="mt-1 text-[10px] text-rose-600">Will be registered as Flagged: {analysis.change.assessment.reason}</p>
+      )}
+
+      <button
+        type="submit"
+        disabled={!canSubmit}
+        className="mt-3 w-full py-2 text-xs rounded-md bg-slate-900 text-white disabled:opacity-60 flex items-center justify-center"
+      >
+        {isSaving ? <><Icons.Spinner className="w-3 h-3 mr-1 animate-spin" /> Registering...</> : 'Register in Ledger'}
+      </button>
+
+      {error && <p className="mt-2 text-[11px] text-rose-600 break-words">{error}</p>}
+      {registered && (
+        <div className="mt-2 p-2 rounded-md border border-emerald-200 bg-emerald-50 text-[11px] text-emerald-800">
+          <p className="font-semibold flex items-center">
+            <Icons.Verified className="w-3 h-3 mr-1" /> Registered as {registered.id} ({registered.status})
+          </p>
+          <p className="font-mono text-[10px] truncate">{registered.hash}</p>
+          {registered.flagReason && <p className="mt-1 text-rose-700">{registered.flagReason}</p>}
+        </div>
+      )}
+    </form>
+  );
+};
@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useRef } from 'react';
+import L from 'leaflet';
+import { Icons } from './Icons';
+import { queryRegistry } from '../services/geminiService';
+import { listParcels } from '../services/registryService';
+import { PAGE_SIZES } from '../services/parcelQuery';
+
+const EXAMPLE_QUESTIONS = [
+  'Flagged parcels over 50 ha registered after March',
+  'Which parcels owned by Green Valley Farms have declining NDVI?',
+  'Pending parcels under 10 ha'
+];
+
+const MAP_STYLES = {
+  context: { color: '#94a3b8', weight: 1, fillOpacity: 0.05 },
+  match: { color: '#16a34a', weight: 2, fillOpacity: 0.35 },
+  focused: { color: '#f59e0b', weight: 3, fillOpacity: 0.45 }
+};
+
+// Neighbouring parcels drawn around an answer's matches: one page of the
+// largest size, from a box half again as wide as the matches.
+const CONTEXT_PAGE_SIZE = PAGE_SIZES[PAGE_SIZES.length - 1];
+const CONTEXT_PADDING = 0.5;
+
+const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+
+const contextBbox = (parcels) => {
+  const bounds = L.geoJSON(parcels.map((parcel) => parcel.geometry)).getBounds().pad(CONTEXT_PADDING);
+  return [
+    clamp(bounds.getWest(), 180), clamp(bounds.getSouth(), 90),
+    clamp(bounds.getEast(), 180), clamp(bounds.getNorth(), 90)
+  ].map((value) => value.toFixed(6)).join(',');
+};
+
+const TREND_LABELS = { declining: '↓ declining', improving: '↑ improving', stable: '→ stable' };
+
+const AnswerTable = ({ answer, focusedId, onFocus }) => (
+  <div className="max-h-64 overflow-auto border border-slate-200 rounded">
+    <table className="w-full text-xs">
+      <thead className="sticky top-0 bg-slate-50 text-slate-500 text-left">
+        <tr>
+          <th className="px-2 py-1 font-medium">ID</th>
+          <th className="px-2 py-1 font-medium">Name</th>
+          <th className="px-2 py-1 font-medium">Owner</th>
+          <th className="px-2 py-1 font-medium">Status</th>
+          <th className="px-2 py-1 font-medium text-right">Ha</th>
+          <th className="px-2 py-1 font-medium">Registered</th>
+          <th className="px-2 py-1 font-medium">NDVI</th>
+        </tr>
+      </thead>
+      <tbody>
+        {answer.parcels.map((parcel) => (
+          <tr
+            key={parcel.id}
+            onClick={() => onFocus(parcel.id)}
+            className={`border-t border-slate-100 cursor-pointer hover:bg-slate-50 ${focusedId === parcel.id ? 'bg-amber-50' : ''}`}
+          >
+            <td className="px-2 py-1 font-mono text-slate-500">{parcel.id}</td>
+            <td className="px-2 py-1 text-slate-900">{parcel.name}</td>
+            <td className="px-2 py-1 text-slate-700">{parcel.owner}</td>
+            <td className="px-2 py-1 text-slate-700">{parcel.status}</td>
+            <td className="px-2 py-1 text-right text-slate-700">{parcel.hectares.toLocaleString()}</td>
+            <td className="px-2 py-1 text-slate-500">{parcel.createdAt ? parcel.createdAt.slice(0, 10) : 'NA'}</td>
+            <td className="px-2 py-1 text-slate-500">{TREND_LABELS[parcel.ndviTrend] || 'NA'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * Chat-style registry search. Each answer is the filter set the model chose
+ * plus the registry rows it matched, listed in a table and drawn on the map;
+ * there is no free-text reply to trust or distrust.
+ */
+export const RegistryAssistant = ({ onClose, onShowInRecords }) => {
+  const [question, setQuestion] = useState('');
+  const [answers, setAnswers] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(null);
+  const [focusedId, setFocusedId] = useState(null);
+  const [isAsking, setIsAsking] = useState(false);
+  const [error, setError] = useState('');
+  const [registry, setRegistry] = useState([]);
+  const mapContainerRef = useRef(null);
+  const mapInstanceRef = useRef(null);
+  const listEndRef = useRef(null);
+
+  const activeAnswer = activeIndex === null ? null : answers[activeIndex];
+
+  useEffect(() => {
+    const mapped = (activeAnswer?.parcels || []).filter((parcel) => parcel.geometry);
+    setRegistry([]);
+    if (!mapped.length) return;
+    const controller = new AbortController();
+    listParcels({ query: { bbox: contextBbox(mapped), pageSize: CONTEXT_PAGE_SIZE }, signal: controller.signal })
+      .then(({ parcels }) => setRegistry(parcels))
+      .catch((err) => {
+        if (!controller.signal.aborted) console.warn('Assistant map context load failed.', err);
+      });
+    return () => controller.abort();
+  }, [activeAnswer]);
+
+  useEffect(() => {
+    if (!mapContainerRef.current || mapInstanceRef.current) return;
+    const map = L.map(mapContainerRef.current, { attributionControl: false }).setView([20, 0], 2);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', { maxZoom: 19 }).addTo(map);
+    mapInstanceRef.current = map;
+    return () => {
+      map.remove();
+      mapInstanceRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map) return;
+
+    const matchedIds = new Set(activeAnswer?.parcels.map((parcel) => parcel.id));
+    const context = L.featureGroup();
+    registry
+      .filter((parcel) => parcel.geometry && !matchedIds.has(parcel.id))
+      .forEach((parcel) => L.geoJSON(parcel.geometry, { style: MAP_STYLES.context, interactive: false }).addTo(context));
+    context.addTo(map);
+
+    const matches = L.featureGroup();
+    (activeAnswer?.parcels || []).filter((parcel) => parcel.geometry).forEach((parcel) => {
+      L.geoJSON(parcel.geometry, { style: parcel.id === focusedId ? MAP_STYLES.focused : MAP_STYLES.match })
+        .bindTooltip(`${parcel.id} · ${parcel.name}`, { sticky: true })
+        .on('click', () => setFocusedId(parcel.id))
+        .addTo(matches);
+    });
+    matches.addTo(map);
+
+    const focused = focusedId && activeAnswer?.parcels.find((parcel) => parcel.id === focusedId && parcel.geometry);
+    const target = focused ? L.geoJSON(focused.geometry) : matches.getLayers().length ? matches : context;
+    if (target.getLayers().length) map.fitBounds(target.getBounds(), { padding: [20, 20], maxZoom: 16 });
+
+    return () => {
+      context.remove();
+      matches.remove();
+    };
+  }, [registry, activeAnswer, focusedId]);
+
+  useEffect(() => {
+    listEndRef.current?.scrollIntoView({ block: 'end' });
+  }, [answers.length, isAsking]);
+
+  const handleAsk = async (text) => {
+    const trimmed = text.trim();
+    if (!trimmed || isAsking) return;
+    setIsAsking(true);
+    setError('');
+    try {
+      const answer = await queryRegistry(trimmed);
+      setActiveIndex(answers.length);
+      setAnswers((current) => [...current, answer]);
+      setFocusedId(null);
+      setQuestion('');
+    } catch (err) {
+      console.warn('Registry query failed.', err);
+      setError(err instanceof Error ? err.message : 'Unknown query error');
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  // Pages re-ask the same question; the plan is cached, the rows are read fresh.
+  const handlePage = async (index, page) => {
+    if (isAsking) return;
+    setIsAsking(true);
+    setError('');
+    try {
+      const answer = await queryRegistry(answers[index].question, { page });
+      setAnswers((current) => current.map((existing, position) => (position === index ? answer : existing)));
+      setActiveIndex(index);
+      setFocusedId(null);
+    } catch (err) {
+      console.warn('Registry query page failed.', err);
+      setError(err instanceof Error ? err.message : 'Unknown query error');
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[900] flex justify-end bg-slate-900/30" onClick={onClose}>
+      <aside
+        className="w-full max-w-3xl h-full bg-white shadow-2xl flex flex-col"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="border-b border-slate-200 px-6 py-4 flex items-start justify-between">
+          <div>
+            <h2 className="text-lg font-bold text-slate-900 flex items-center">
+              <Icons.Chat className="w-5 h-5 mr-2 text-brand-600" /> Registry Assistant
+            </h2>
+            <p className="text-sm text-slate-500">Ask in plain language; answers are registry records matched by the filters shown.</p>
+          </div>
+          <button onClick={onClose} className="p-1.5 text-slate-400 hover:text-slate-700">
+            <Icons.Close className="w-5 h-5" />
+          </button>
+        </header>
+
+        <div ref={mapContainerRef} className="h-56 shrink-0 border-b border-slate-200" />
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-5">
+          {!answers.length && (
+            <div className="text-sm text-slate-500">
+              <p className="mb-2">Try:</p>
+              <div className="flex flex-wrap gap-2">
+                {EXAMPLE_QUESTIONS.map((example) => (
+                  <button
+                    key={example}
+                    onClick={() => handleAsk(example)}
+                    disabled={isAsking}
+                    className="px-3 py-1.5 rounded-full border border-slate-300 text-slate-600 hover:bg-slate-50 disabled:opacity-50"
+                  >
+                    {example}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {answers.map((answer, index) => (
+            <div key={index} className="space-y-2">
+              <p className="ml-auto w-fit max-w-[80%] px-3 py-2 rounded-lg bg-brand-600 text-white text-sm">{answer.question}</p>
+              <div className={`p-3 rounded-lg border ${index === activeIndex ? 'border-brand-300' : 'border-slate-200'}`}>
+                <div className="flex flex-wrap items-center gap-1.5 mb-2">
+                  {answer.description.length ? answer.description.map((chip) => (
+                    <span key={chip} className="px-2 py-0.5 rounded-full bg-slate-100 text-slate-700 text-[11px]">{chip}</span>
+                  )) : <span className="text-[11px] text-slate-500">No filters: every parcel</span>}
+                </div>
+                <p className="text-sm font-semibold text-slate-900 mb-2">
+                  {answer.total} parcel{answer.total === 1 ? '' : 's'} match
+                  <span className="ml-2 text-[11px] font-normal text-slate-400">
+                    {answer.provider === 'stub' ? 'keyword planner' : `via ${answer.model}`}{answer.cached ? ' · cached plan' : ''}
+                  </span>
+                </p>
+                {answer.total > 0 && (
+                  <>
+                    <AnswerTable answer={answer} focusedId={index === activeIndex ? focusedId : null} onFocus={(id) => {
+                      setActiveIndex(index);
+                      setFocusedId(id);
+                    }} />
+                    <div className="mt-2 flex items-center gap-3 text-xs">
+                      {answer.total > answer.pageSize && (
+                        <span className="flex items-center gap-2 text-slate-500">
+                          {(answer.page - 1) * answer.pageSize + 1}–{(answer.page - 1) * answer.pageSize + answer.parcels.length} of {answer.total}
+                          <button
+                            onClick={() => handlePage(index, answer.page - 1)}
+                            disabled={answer.page <= 1 || isAsking}
+                            className="px-2 py-0.5 border border-slate-300 rounded bg-white hover:bg-slate-50 disabled:opacity-50"
+                          >
+                            Previous
+                          </button>
+                          <button
+                            onClick={() => handlePage(index, answer.page + 1)}
+                            disabled={answer.page * answer.pageSize >= answer.total || isAsking}
+                            className="px-2 py-0.5 border border-slate-300 rounded bg-white hover:bg-slate-50 disabled:opacity-50"
+                          >
+                            Next
+                          </button>
+                        </span>
+                      )}
+                      {index !== activeIndex && (
+                        <button onClick={() => { setActiveIndex(index); setFocusedId(null); }} className="text-brand-600 hover:text-brand-800 font-medium">
+                          Show on map
+                        </button>
+                      )}
+                      <button
+                        onClick={() => onShowInRecords({ question: answer.question, parcelIds: answer.parcels.map((parcel) => parcel.id) })}
+                        className="text-brand-600 hover:text-brand-800 font-medium"
+                      >
+                        Open in Land Records
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {isAsking && (
+            <p className="text-sm text-slate-400 flex items-center"><Icons.Spinner className="w-4 h-4 mr-2 animate-spin" /> Searching the registry...</p>
+          )}
+          {error && <p className="text-sm text-rose-600 break-words">{error}</p>}
+          <div ref={listEndRef} />
+        </div>
+
+        <form
+          onSubmit={(event) => {
+            event.preventDefault();
+            handleAsk(question);
+          }}
+          className="border-t border-slate-200 px-6 py-3 flex gap-2"
+        >
+          <input
+            value={question}
+            onChange={(event) => setQuestion(event.target.value)}
+            placeholder="e.g. verified parcels in Punjab larger than 20 ha"
+            maxLength={1000}
+            className="flex-1 px-3 py-2 text-sm border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-brand-500"
+          />
+          <button
+            type="submit"
+            disabled={isAsking || !question.trim()}
+            className="px-4 py-2 rounded-md bg-brand-600 text-white text-sm font-medium flex items-center disabled:opacity-50"
+          >
+            <Icons.Send className="w-4 h-4 mr-1" /> Ask
+          </button>
+        </form>
+      </aside>
+    </div>
+  );
+};
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { Icons } from './Icons';
+import { saveParcelAnalysis } from '../services/registryService';
+
+/**
+ * Stores the on-screen analysis as a new run of a registered parcel. The
+ * candidates are the parcels the selection overlaps, largest overlap first,
+ * so redrawing a parcel and analysing it again lands in its history.
+ */
+export const SaveAnalysisRun = ({ candidates, analysis, disabled }) => {
+  const [parcelId, setParcelId] = useState(candidates[0].parcelId);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(null);
+
+  // A new report or a different selection is a different run.
+  useEffect(() => {
+    setSaved(null);
+    setError('');
+  }, [analysis.report]);
+
+  useEffect(() => {
+    if (!candidates.some((candidate) => candidate.parcelId === parcelId)) setParcelId(candidates[0].parcelId);
+  }, [candidates]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const parcel = await saveParcelAnalysis(parcelId, analysis);
+      setSaved(parcel);
+    } catch (err) {
+      console.warn('Saving analysis run failed.', err);
+      setError(err instanceof Error ? err.message : 'Unknown save error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 rounded-lg border border-slate-200 bg-white">
+      <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Save Run to Registered Parcel</p>
+      <div className="flex gap-2">
+        <select
+          value={parcelId}
+          onChange={(event) => {
+            setParcelId(event.target.value);
+            setSaved(null);
+          }}
+          className="flex-1 min-w-0 px-2 py-1.5 text-xs border border-slate-300 rounded-md bg-white"
+        >
+          {candidates.map((candidate) => (
+            <option key={candidate.parcelId} value={candidate.parcelId}>
+              {candidate.parcelId} · {candidate.parcelName} ({candidate.overlapPercent.toFixed(0)}% overlap)
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={isSaving || disabled || Boolean(saved)}
+          className="px-3 py-1.5 text-xs rounded-md bg-slate-900 text-white disabled:opacity-50 flex items-center"
+        >
+          {isSaving && <Icons.Spinner className="w-3 h-3 mr-1 animate-spin" />} Save run
+        </button>
+      </div>
+      {saved && <p className="mt-2 text-[11px] text-emerald-700">Stored as the latest analysis of {saved.id}; see its analysis history in Land Records.</p>}
+      {error && <p className="mt-2 text-[11px] text-rose-600 break-words">{error}</p>}
+    </div>
+  );
+};
@@ -0,0 +1,133 @@
+import React from 'react';
+import { Icons } from './Icons';
+
+const CLOUD_OPTIONS = [10, 20, 40, 60, 100];
+
+const formatSceneDate = (isoValue) => {
+  const date = new Date(isoValue);
+  if (Number.isNaN(date.getTime())) return isoValue || 'NA';
+  return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Date window, cloud filter and candidate list for the Sentinel-2 search.
+ * Selecting a row pins that acquisition; "Auto" falls back to the lowest-cloud scene.
+ */
+export const ScenePicker = ({
+  filters,
+  onFiltersChange,
+  onSearch,
+  scenes,
+  activeSceneId,
+  isPinned,
+  onSelectScene,
+  onAutoSelect,
+  disabled
+}) => {
+  const rangeInvalid = filters.startDate > filters.endDate;
+
+  return (
+    <div className="mb-6 p-3 rounded-lg border border-slate-200 bg-white">
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Sentinel-2 Scenes</p>
+        {scenes.length > 0 && (
+          <span className="text-[10px] bg-slate-100 px-2 py-0.5 rounded text-slate-600">{scenes.length} found</span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        <label className="text-[10px] text-slate-500">
+          From
+          <input
+            type="date"
+            value={filters.startDate}
+            max={filters.endDate}
+            onChange={(event) => onFiltersChange({ ...filters, startDate: event.target.value })}
+            className="mt-0.5 w-full px-2 py-1 text-xs border border-slate-300 rounded-md"
+          />
+        </label>
+        <label className="text-[10px] text-slate-500">
+          To
+          <input
+            type="date"
+            value={filters.endDate}
+            min={filters.startDate}
+            onChange={(event) => onFiltersChange({ ...filters, endDate: event.target.value })}
+            className="mt-0.5 w-full px-2 py-1 text-xs border border-slate-300 rounded-md"
+          />
+        </label>
+      </div>
+
+      <div className="flex gap-2">
+        <select
+          value={filters.maxCloud}
+          onChange={(event) => onFiltersChange({ ...filters, maxCloud: Number(event.target.value) })}
+          className="flex-1 px-2 py-1.5 text-xs border border-slate-300 rounded-md bg-white"
+        >
+          {CLOUD_OPTIONS.map((value) => (
+            <option key={value} value={value}>{value === 100 ? 'Any cloud cover' : `Cloud ≤ ${value}%`}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={onSearch}
+          disabled={disabled || rangeInvalid}
+          className="px-3 py-1.5 text-xs rounded-md bg-slate-900 text-white disabled:opacity-60"
+        >
+          Search
+        </button>
+      </div>
+      {rangeInvalid && <p className="mt-2 text-[11px] text-rose-600">Start date must be before end date.</p>}
+
+      {scenes.length > 0 && (
+        <>
+          <button
+            type="button"
+            onClick={onAutoSelect}
+            disabled={disabled || !isPinned}
+            className="mt-3 w-full text-left text-[11px] text-brand-700 disabled:text-slate-400"
+          >
+            {isPinned ? 'Use lowest-cloud scene instead' : 'Auto: lowest-cloud scene selected'}
+          </button>
+          <ul className="mt-2 max-h-56 overflow-y-auto space-y-1.5 pr-1">
+            {scenes.map((scene) => {
+              const isActive = scene.id === activeSceneId;
+              return (
+                <li key={scene.id}>
+                  <button
+                    type="button"
+                    onClick={() => onSelectScene(scene)}
+                    disabled={disabled}
+                    className={`w-full flex items-center gap-2 p-1.5 rounded-md border text-left transition-all disabled:opacity-60 ${
+                      isActive ? 'border-brand-500 bg-brand-50' : 'border-slate-200 hover:bg-slate-50'
+                    }`}
+                  >
+                    {scene.thumbnailUrl ? (
+                      <img
+                        src={scene.thumbnailUrl}
+                        alt=""
+                        loading="lazy"
+                        className="w-10 h-10 rounded object-cover bg-slate-200 shrink-0"
+                      />
+                    ) : (
+                      <div className="w-10 h-10 rounded bg-slate-100 flex items-center justify-center shrink-0">
+                        <Icons.Layers className="w-4 h-4 text-slate-400" />
+                      </div>
+                    )}
+                    <div className="min-w-0">
+                      <p className="text-[11px] font-semibold text-slate-800">{formatSceneDate(scene.datetime)}</p>
+                      <p className="text-[10px] text-slate-500">
+                        Cloud {scene.cloudCover.toFixed(1)}% · Tile {scene.tileId || 'NA'}
+                      </p>
+                    </div>
+                    {isActive && <Icons.Verified className="w-4 h-4 text-brand-600 ml-auto shrink-0" />}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import { Icons } from './Icons';
+import { AREA_UNITS, DEFAULT_SETTINGS, getSettings, resetSettings, saveSettings, validateSettings } from '../services/settingsService';
+import { getAiStatus } from '../services/geminiService';
+
+const inputClass = 'w-full px-2 py-1.5 text-sm border border-slate-300 rounded-md mt-0.5';
+
+const NDVI_FIELDS = [
+  { id: 'water', label: 'Water (NDVI below)' },
+  { id: 'sparse', label: 'Bare / sparse (below)' },
+  { id: 'moderate', label: 'Moderate green cover (from)' },
+  { id: 'cropland', label: 'Cropland (from)' },
+  { id: 'dense', label: 'Dense vegetation (from)' }
+];
+
+// Numbers are edited as text so a half-typed value ("-0.") is not lost.
+const toDraft = (settings) => ({
+  ...settings,
+  defaultLocation: {
+    name: settings.defaultLocation.name,
+    lat: String(settings.defaultLocation.lat),
+    lng: String(settings.defaultLocation.lng)
+  },
+  sceneWindowDays: String(settings.sceneWindowDays),
+  maxCloud: String(settings.maxCloud),
+  minValidPercent: String(settings.minValidPercent),
+  collections: settings.collections.join(', '),
+  ndviThresholds: Object.fromEntries(Object.entries(settings.ndviThresholds).map(([key, value]) => [key, String(value)]))
+});
+
+const toNumber = (text) => (String(text).trim() === '' ? NaN : Number(text));
+
+const fromDraft = (draft) => ({
+  earthSearchUrl: draft.earthSearchUrl.trim(),
+  titilerUrl: draft.titilerUrl.trim().replace(/\/+$/, ''),
+  nominatimUrl: draft.nominatimUrl.trim(),
+  defaultLocation: {
+    name: draft.defaultLocation.name.trim(),
+    lat: toNumber(draft.defaultLocation.lat),
+    lng: toNumber(draft.defaultLocation.lng)
+  },
+  sceneWindowDays: toNumber(draft.sceneWindowDays),
+  maxCloud: toNumber(draft.maxCloud),
+  minValidPercent: toNumber(draft.minValidPercent),
+  collections: draft.collections.split(/[\s,]+/).filter(Boolean),
+  ndviThresholds: Object.fromEntries(Object.entries(draft.ndviThresholds).map(([key, value]) => [key, toNumber(value)])),
+  areaUnit: draft.areaUnit,
+  aiModel: draft.aiModel
+});
+
+const Field = ({ label, error, hint, children }) => (
+  <label className="block text-xs text-slate-500">
+    {label}
+    {children}
+    {error
+      ? <span className="block mt-0.5 text-[11px] text-rose-600">{error}</span>
+      : hint && <span className="block mt-0.5 text-[11px] text-slate-400">{hint}</span>}
+  </label>
+);
+
+const Section = ({ title, description, children }) => (
+  <section className="bg-white rounded-xl border border-slate-200 shadow-sm p-5">
+    <h2 className="text-sm font-semibold text-slate-900">{title}</h2>
+    {description && <p className="text-xs text-slate-500 mb-4">{description}</p>}
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">{children}</div>
+  </section>
+);
+
+/**
+ * Edits the settings in services/settingsService.js. Saved values apply to the
+ * next search, analysis or view that reads them; nothing needs a rebuild.
+ */
+export const SettingsView = () => {
+  const [draft, setDraft] = useState(() => toDraft(getSettings()));
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState('');
+  const [aiStatus, setAiStatus] = useState(null);
+  const [aiStatusError, setAiStatusError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getAiStatus({ signal: controller.signal })
+      .then(setAiStatus)
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.warn('AI status load failed.', err);
+        setAiStatusError(err instanceof Error ? err.message : 'Unknown AI status error');
+      });
+    return () => controller.abort();
+  }, []);
+
+  const update = (path, value) => {
+    const [key, nested] = path.split('.');
+    setDraft((current) => (nested ? { ...current, [key]: { ...current[key], [nested]: value } } : { ...current, [key]: value }));
+    setNotice('');
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    const settings = fromDraft(draft);
+    const fieldErrors = validateSettings(settings);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length) {
+      setNotice('');
+      return;
+    }
+    saveSettings(settings);
+    setDraft(toDraft(settings));
+    setNotice('Settings saved. They apply to the next scene search, analysis and view you open.');
+  };
+
+  const handleReset = () => {
+    setDraft(toDraft(resetSettings()));
+    setErrors({});
+    setNotice('Defaults restored.');
+  };
+
+  const textInput = (path, props = {}) => {
+    const [key, nested] = path.split('.');
+    return (
+      <input
+        type="text"
+        value={nested ? draft[key][nested] : draft[key]}
+        onChange={(event) => update(path, event.target.value)}
+        className={`${inputClass} ${errors[path] ? 'border-rose-400' : ''}`}
+        {...props}
+      />
+    );
+  };
+
+  // A model saved earlier stays selectable even if the API no longer lists it,
+  // but is flagged: analyses and queries use the server default instead.
+  const models = [...new Set([...(aiStatus?.models || []), draft.aiModel].filter(Boolean))];
+  const isStaleModel = Boolean(aiStatus && draft.aiModel && !aiStatus.models.includes(draft.aiModel));
+  const staleModelError = isStaleModel ? `${draft.aiModel} is no longer offered; the server default ${aiStatus.model} is used instead` : '';
+
+  return (
+    <form onSubmit={handleSave} className="p-6 space-y-6 animate-fade-in max-w-4xl">
+      <header className="mb-8 flex flex-col md:flex-row md:items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900">Settings</h1>
+          <p className="text-slate-500">Data sources, scene search defaults, classification thresholds and display units. Stored in this browser.</p>
+        </div>
+        <div className="flex gap-2">
+          <button type="button" onClick={handleReset} className="px-3 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-50">
+            Reset to defaults
+          </button>
+          <button type="submit" className="px-4 py-2 text-sm rounded-lg bg-slate-900 text-white hover:bg-slate-800">
+            Save settings
+          </button>
+        </div>
+      </header>
+
+      {notice && <p className="p-3 rounded-lg bg-emerald-50 border border-emerald-200 text-sm text-emerald-800">{notice}</p>}
+      {Object.keys(errors).length > 0 && (
+        <p className="p-3 rounded-lg bg-rose-50 border border-rose-200 text-sm text-rose-700 flex items-center">
+          <Icons.Alert className="w-4 h-4 mr-2 shrink-0" /> Fix the highlighted fields; nothing was saved.
+        </p>
+      )}
+
+      <Section title="Data Sources" description="Paths starting with / go through the dev proxy; absolute URLs must allow cross-origin requests.">
+        <Field label="STAC search (Earth Search)" error={errors.earthSearchUrl} hint={`Default ${DEFAULT_SETTINGS.earthSearchUrl}`}>
+          {textInput('earthSearchUrl')}
+        </Field>
+        <Field label="TiTiler base URL" error={errors.titilerUrl} hint={`Default ${DEFAULT_SETTINGS.titilerUrl}; /stac/statistics and tiles are appended`}>
+          {textInput('titilerUrl')}
+        </Field>
+        <Field label="Geocoder (Nominatim search)" error={errors.nominatimUrl} hint={`Default ${DEFAULT_SETTINGS.nominatimUrl}`}>
+          {textInput('nominatimUrl')}
+        </Field>
+        <Field label="STAC collections" error={errors.collections} hint="Comma separated, searched in this order">
+          {textInput('collections')}
+        </Field>
+      </Section>
+
+      <Section title="Map Explorer Defaults" description="Where the map opens and how scenes are searched.">
+        <Field label="Default location name" error={errors['defaultLocation.name']}>
+          {textInput('defaultLocation.name')}
+        </Field>
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="Latitude" error={errors['defaultLocation.lat']}>
+            {textInput('defaultLocation.lat', { inputMode: 'decimal' })}
+          </Field>
+          <Field label="Longitude" error={errors['defaultLocation.lng']}>
+            {textInput('defaultLocation.lng', { inputMode: 'decimal' })}
+          </Field>
+        </div>
+        <Field label="Scene search window (days back)" error={errors.sceneWindowDays}>
+          {textInput('sceneWindowDays', { inputMode: 'numeric' })}
+        </Field>
+        <Field label="Maximum cloud cover (%)" error={errors.maxCloud}>
+          {textInput('maxCloud', { inputMode: 'numeric' })}
+        </Field>
+        <Field label="Reliability threshold (% clear pixels)" error={errors.minValidPercent} hint="Index stats below this share of clear pixels are flagged">
+          {textInput('minValidPercent', { inputMode: 'numeric' })}
+        </Field>
+      </Section>
+
+      <Section title="NDVI Classification" description="Cut-offs used by the land cover class and the rule-based analyzer. They must rise from water to dense vegetation.">
+        {NDVI_FIELDS.map((field) => (
+          <Field key={field.id} label={field.label} error={errors[`ndviThresholds.${field.id}`]} hint={`Default ${DEFAULT_SETTINGS.ndviThresholds[field.id]}`}>
+            {textInput(`ndviThresholds.${field.id}`, { inputMode: 'decimal' })}
+          </Field>
+        ))}
+      </Section>
+
+      <Section title="Display and AI">
+        <Field label="Area unit" error={errors.areaUnit}>
+          <select value={draft.areaUnit} onChange={(event) => update('areaUnit', event.target.value)} className={`${inputClass} bg-white`}>
+            {AREA_UNITS.map((unit) => <option key={unit.id} value={unit.id}>{unit.label}</option>)}
+          </select>
+        </Field>
+        <Field
+          label="AI model"
+          error={errors.aiModel || aiStatusError || staleModelError}
+          hint={aiStatus ? `Provider ${aiStatus.provider}; server default ${aiStatus.model}` : 'Loading models...'}
+        >
+          <select value={draft.aiModel} onChange={(event) => update('aiModel', event.target.value)} className={`${inputClass} bg-white`}>
+            <option value="">Server default</option>
+            {models.map((model) => (
+              <option key={model} value={model}>{model}{isStaleModel && model === draft.aiModel ? ' (no longer offered)' : ''}</option>
+            ))}
+          </select>
+        </Field>
+      </Section>
+    </form>
+  );
+};
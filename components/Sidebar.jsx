@@ -1,14 +1,19 @@
 import React from 'react';
-import { AppView } from '../constants';
+import { AppView, VIEW_PERMISSIONS } from '../constants';
+import { can, roleLabel } from '../services/permissions';
 import { Icons } from './Icons';
 
-export const Sidebar = ({ currentView, onChangeView, isOpen, setIsOpen }) => {
+const initialsOf = (name) => name.split(/\s+/).filter(Boolean).slice(0, 2).map((part) => part[0].toUpperCase()).join('');
+
+export const Sidebar = ({ currentView, onChangeView, isOpen, setIsOpen, user, onSignOut }) => {
   const menuItems = [
     { id: AppView.DASHBOARD, label: 'Dashboard', icon: Icons.Dashboard },
     { id: AppView.EXPLORER, label: 'Geo-Explorer', icon: Icons.Map },
     { id: AppView.RECORDS, label: 'Land Registry', icon: Icons.Database },
+    { id: AppView.VERIFY, label: 'Verify Certificate', icon: Icons.Verified },
+    { id: AppView.AUDIT, label: 'Audit Log', icon: Icons.Audit },
     { id: AppView.SETTINGS, label: 'Settings', icon: Icons.Settings },
-  ];
+  ].filter((item) => !VIEW_PERMISSIONS[item.id] || can(user, VIEW_PERMISSIONS[item.id]));
 
   return (
     <>
@@ -51,13 +56,16 @@ export const Sidebar = ({ currentView, onChangeView, isOpen, setIsOpen }) => {
 
         <div className="p-4 border-t border-slate-800">
           <div className="flex items-center p-3 rounded-lg bg-slate-800/50">
-             <div className="w-10 h-10 rounded-full bg-gradient-to-br from-brand-400 to-accent-500 flex items-center justify-center text-white font-bold">
-               JD
+             <div className="w-10 h-10 shrink-0 rounded-full bg-gradient-to-br from-brand-400 to-accent-500 flex items-center justify-center text-white font-bold">
+               {initialsOf(user.name)}
              </div>
-             <div className="ml-3 overflow-hidden">
-               <p className="text-sm font-medium text-white truncate">John Doe</p>
-               <p className="text-xs text-slate-400 truncate">Senior Surveyor</p>
+             <div className="ml-3 flex-1 overflow-hidden">
+               <p className="text-sm font-medium text-white truncate">{user.name}</p>
+               <p className="text-xs text-slate-400 truncate">{roleLabel(user.role)} · {user.username}</p>
              </div>
+             <button onClick={onSignOut} title="Sign out" className="ml-2 p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700">
+               <Icons.SignOut className="w-4 h-4" />
+             </button>
           </div>
         </div>
       </div>
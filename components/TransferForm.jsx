@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Icons } from './Icons';
+
+const KIND_OPTIONS = [
+  { id: 'sale', label: 'Sale' },
+  { id: 'inheritance', label: 'Inheritance' },
+  { id: 'gift', label: 'Gift' }
+];
+
+const DOCUMENT_TYPES = ['Sale deed', 'Gift deed', 'Will / probate', 'Succession certificate', 'Tax receipt', 'Survey plan', 'Other'];
+
+const inputClass = 'w-full px-2 py-1.5 text-sm border border-slate-300 rounded-md';
+
+/** Draft editor for an ownership transfer; saving never submits it. */
+export const TransferForm = ({ transfer, currentOwner, onSave, onCancel, isSaving }) => {
+  const [kind, setKind] = useState(transfer?.kind || 'sale');
+  const [seller, setSeller] = useState(transfer?.seller || currentOwner);
+  const [buyer, setBuyer] = useState(transfer?.buyer || '');
+  const [transferDate, setTransferDate] = useState(transfer?.transferDate || new Date().toISOString().slice(0, 10));
+  const [amount, setAmount] = useState(transfer?.consideration ? String(transfer.consideration.amount) : '');
+  const [currency, setCurrency] = useState(transfer?.consideration?.currency || 'USD');
+  const [documents, setDocuments] = useState(transfer?.documents?.length ? transfer.documents : [{ type: DOCUMENT_TYPES[0], reference: '' }]);
+
+  const updateDocument = (index, changes) => {
+    setDocuments((docs) => docs.map((doc, i) => (i === index ? { ...doc, ...changes } : doc)));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave({
+      kind,
+      seller,
+      buyer,
+      transferDate,
+      consideration: amount.trim() ? { amount: Number(amount), currency: currency.trim().toUpperCase() } : null,
+      documents: documents.filter((doc) => doc.reference.trim())
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 p-4 rounded-lg border border-slate-200 bg-slate-50">
+      <div className="grid grid-cols-2 gap-3">
+        <label className="text-xs text-slate-500">
+          Type
+          <select value={kind} onChange={(event) => setKind(event.target.value)} className={`${inputClass} bg-white mt-0.5`}>
+            {KIND_OPTIONS.map((option) => <option key={option.id} value={option.id}>{option.label}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-slate-500">
+          Transfer date
+          <input type="date" value={transferDate} onChange={(event) => setTransferDate(event.target.value)} className={`${inputClass} mt-0.5`} />
+        </label>
+        <label className="text-xs text-slate-500">
+          {kind === 'inheritance' ? 'Deceased owner' : 'Seller / donor'}
+          <input type="text" value={seller} onChange={(event) => setSeller(event.target.value)} className={`${inputClass} mt-0.5`} />
+        </label>
+        <label className="text-xs text-slate-500">
+          {kind === 'sale' ? 'Buyer' : 'Recipient'}
+          <input type="text" value={buyer} onChange={(event) => setBuyer(event.target.value)} className={`${inputClass} mt-0.5`} />
+        </label>
+        <label className="text-xs text-slate-500">
+          Consideration{kind === 'sale' ? '' : ' (optional)'}
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={amount}
+            onChange={(event) => setAmount(event.target.value)}
+            className={`${inputClass} mt-0.5`}
+          />
+        </label>
+        <label className="text-xs text-slate-500">
+          Currency
+          <input type="text" maxLength={3} value={currency} onChange={(event) => setCurrency(event.target.value)} className={`${inputClass} mt-0.5 uppercase`} />
+        </label>
+      </div>
+      {seller.trim() && seller.trim() !== currentOwner && (
+        <p className="text-[11px] text-amber-700">The registered owner is {currentOwner}; approval will fail unless the seller matches.</p>
+      )}
+
+      <div>
+        <p className="text-xs text-slate-500 mb-1">Supporting documents</p>
+        <div className="space-y-2">
+          {documents.map((doc, index) => (
+            <div key={index} className="flex gap-2">
+              <select
+                value={doc.type}
+                onChange={(event) => updateDocument(index, { type: event.target.value })}
+                className="px-2 py-1.5 text-sm border border-slate-300 rounded-md bg-white"
+              >
+                {DOCUMENT_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <input
+                type="text"
+                placeholder="Reference / registration no."
+                value={doc.reference}
+                onChange={(event) => updateDocument(index, { reference: event.target.value })}
+                className={inputClass}
+              />
+              <button
+                type="button"
+                onClick={() => setDocuments((docs) => docs.filter((_, i) => i !== index))}
+                className="p-1.5 text-slate-400 hover:text-rose-600"
+              >
+                <Icons.Close className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setDocuments((docs) => [...docs, { type: DOCUMENT_TYPES[0], reference: '' }])}
+          className="mt-2 text-xs text-brand-600 hover:text-brand-800 font-medium"
+        >
+          + Add document
+        </button>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm rounded-md border border-slate-300 text-slate-600 bg-white">
+          Cancel
+        </button>
+        <button type="submit" disabled={isSaving} className="px-3 py-1.5 text-sm rounded-md bg-slate-900 text-white disabled:opacity-60">
+          {isSaving ? 'Saving...' : 'Save draft'}
+        </button>
+      </div>
+    </form>
+  );
+};
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Icons } from './Icons';
+import { navigate } from '../services/routing';
+
+const inputClass = 'w-full px-3 py-2 text-sm border border-slate-300 rounded-lg mt-1 focus:outline-none focus:ring-2 focus:ring-brand-500';
+
+// A pasted certificate link (the QR code target) carries both values.
+const parseVerificationLink = (text) => {
+  try {
+    const url = new URL(text.trim());
+    const match = url.pathname.match(/^\/verify\/([^/]+)\/?$/);
+    return match ? { parcelId: decodeURIComponent(match[1]), hash: url.searchParams.get('hash') || '' } : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Certificate check by parcel id and hash, for visitors without a scanner.
+ * It is all the public can reach; the verdict opens on the QR code's page.
+ */
+export const VerifyLookup = () => {
+  const [parcelId, setParcelId] = useState('');
+  const [hash, setHash] = useState('');
+  const [error, setError] = useState('');
+
+  const handleParcelIdChange = (value) => {
+    const link = parseVerificationLink(value);
+    setParcelId(link ? link.parcelId : value);
+    if (link) setHash(link.hash);
+    setError('');
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!parcelId.trim() || !hash.trim()) {
+      setError('Enter the parcel ID and the hash printed on the certificate, or paste its verification link.');
+      return;
+    }
+    navigate(`/verify/${encodeURIComponent(parcelId.trim())}?hash=${encodeURIComponent(hash.trim())}`);
+  };
+
+  return (
+    <div className="p-6 flex justify-center">
+      <form onSubmit={handleSubmit} className="w-full max-w-lg mt-6 bg-white rounded-xl shadow-sm border border-slate-200 p-6 space-y-4">
+        <div>
+          <h1 className="text-xl font-bold text-slate-900 flex items-center">
+            <Icons.Verified className="w-5 h-5 mr-2 text-brand-600" /> Verify a Land Certificate
+          </h1>
+          <p className="text-sm text-slate-500 mt-1">Checks the certificate hash against the tamper-evident registry ledger.</p>
+        </div>
+        <label className="block text-xs text-slate-500">
+          Parcel ID or verification link
+          <input type="text" value={parcelId} onChange={(event) => handleParcelIdChange(event.target.value)} placeholder="T-882190" className={inputClass} />
+        </label>
+        <label className="block text-xs text-slate-500">
+          Certificate hash
+          <input type="text" value={hash} onChange={(event) => setHash(event.target.value)} placeholder="0x…" className={`${inputClass} font-mono`} />
+        </label>
+        {error && <p className="text-sm text-rose-600">{error}</p>}
+        <button type="submit" className="w-full px-4 py-2 rounded-lg bg-slate-900 text-white text-sm font-medium hover:bg-slate-800">
+          Check certificate
+        </button>
+      </form>
+    </div>
+  );
+};
@@ -2,5 +2,17 @@ export const AppView = {
   DASHBOARD: 'DASHBOARD',
   EXPLORER: 'EXPLORER',
   RECORDS: 'RECORDS',
-  SETTINGS: 'SETTINGS'
+  SETTINGS: 'SETTINGS',
+  AUDIT: 'AUDIT',
+  VERIFY: 'VERIFY'
+};
+
+// Permission (services/permissions.js) needed to open each view; null means everyone.
+export const VIEW_PERMISSIONS = {
+  [AppView.DASHBOARD]: 'registry:read',
+  [AppView.EXPLORER]: 'registry:read',
+  [AppView.RECORDS]: 'registry:read',
+  [AppView.SETTINGS]: 'registry:read',
+  [AppView.AUDIT]: 'audit:read',
+  [AppView.VERIFY]: null
 };
\ No newline at end of file
@@ -0,0 +1,238 @@
+import { ANALYSIS_PROMPT_VERSION, parseAnalysisText } from '../services/analysisSchema.js';
+import { parseParcelQuery, queryParcels } from '../services/parcelQuery.js';
+import { describeRegistryQuery, matchesRegistryQuery, normalizeRegistryQuery, toQueryResultRow } from '../services/registryQuery.js';
+import { isStatsRecord } from './analyses.js';
+import { recordAuditEvent } from './audit.js';
+import { canonicalJson, sha256 } from './hashing.js';
+import { HttpError, readJsonBody, sendJson } from './http.js';
+import { requirePermission } from './auth.js';
+
+const DEFAULT_RATE_LIMIT = 10; // Requests per client per window
+const DEFAULT_RATE_WINDOW_MS = 60 * 1000;
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 200;
+const MAX_QUESTION_LENGTH = 1000;
+const DEFAULT_MAX_ATTEMPTS = 3; // Model calls per analysis, first try included
+const DEFAULT_RETRY_BASE_MS = 500;
+
+/** Sliding-window limiter keyed by client; timestamps older than the window are dropped on each call. */
+export const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const hits = new Map();
+
+  return (key) => {
+    const time = now();
+    const recent = (hits.get(key) || []).filter((stamp) => time - stamp < windowMs);
+    if (recent.length >= limit) {
+      hits.set(key, recent);
+      return { allowed: false, retryAfterSeconds: Math.ceil((recent[0] + windowMs - time) / 1000) };
+    }
+    recent.push(time);
+    hits.set(key, recent);
+    return { allowed: true, remaining: limit - recent.length };
+  };
+};
+
+/** Map-backed LRU with expiry; only successful model answers are stored. */
+export const createResponseCache = ({ ttlMs, maxEntries = MAX_CACHE_ENTRIES, now = Date.now }) => {
+  const entries = new Map();
+
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (now() - entry.storedAt > ttlMs) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: (key, value) => {
+      entries.delete(key);
+      entries.set(key, { value, storedAt: now() });
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    }
+  };
+};
+
+// Every AI route requires a signed-in account, so the allowance is per
+// account and shared across its browsers and sessions.
+const clientKeyOf = (user) => `user:${user.username}`;
+
+const validateAnalyzeBody = (body) => {
+  const errors = [];
+  if (typeof body.imageBase64 !== 'string' || !body.imageBase64) errors.push('imageBase64 is required');
+  if (typeof body.context !== 'string') errors.push('context must be a string');
+  if (!isStatsRecord(body.stats) || !body.stats.NDVI) errors.push('stats must map index ids to {mean,min,max,stdDev} and include NDVI');
+  if (errors.length) throw new HttpError(400, 'Invalid analysis request', errors);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Asks the provider until its answer passes the schema, feeding the previous
+ * problems back into the prompt. Waits base * 2^n (plus up to 50% jitter)
+ * between attempts; provider exceptions are not retried.
+ */
+export const analyzeWithRetries = async (provider, input, { maxAttempts, retryBaseMs }) => {
+  let feedback = [];
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const text = await provider.analyzeLand({ ...input, feedback });
+    const { result, errors } = parseAnalysisText(text, input.stats);
+    if (!errors.length) return { result, attempts: attempt };
+
+    console.warn(`AI provider ${provider.name} attempt ${attempt}/${maxAttempts} rejected: ${errors.join('; ')}`);
+    feedback = errors;
+    if (attempt < maxAttempts) {
+      const delay = retryBaseMs * 2 ** (attempt - 1);
+      await sleep(delay + Math.random() * delay * 0.5);
+    }
+  }
+  const error = new Error(`answer failed validation after ${maxAttempts} attempts`);
+  error.details = feedback;
+  throw error;
+};
+
+/**
+ * Model-backed routes. The provider holds the API key, so the browser never
+ * sees it; each client is rate limited and identical requests are answered
+ * from cache without counting against the limit.
+ */
+export const registerAiRoutes = (router, store, provider, env = process.env) => {
+  const takeToken = createRateLimiter({
+    limit: Number(env.AI_RATE_LIMIT) || DEFAULT_RATE_LIMIT,
+    windowMs: Number(env.AI_RATE_WINDOW_MS) || DEFAULT_RATE_WINDOW_MS
+  });
+  const cache = createResponseCache({ ttlMs: Number(env.AI_CACHE_TTL_MS) || DEFAULT_CACHE_TTL_MS });
+  const retryOptions = {
+    maxAttempts: Math.max(1, Number(env.AI_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS),
+    retryBaseMs: Number(env.AI_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS
+  };
+
+  // Settings may pick any model the provider lists; nothing picked means its default.
+  const resolveModel = (requested) => {
+    if (requested === undefined || requested === null || requested === '') return provider.model;
+    if (!provider.models.includes(requested)) {
+      throw new HttpError(400, `Unknown model "${requested}"`, [`model must be one of ${provider.models.join(', ')}`]);
+    }
+    return requested;
+  };
+
+  const answer = async ({ res, user }, model, cacheInput, run) => {
+    const key = sha256(canonicalJson({ provider: provider.name, model, ...cacheInput }));
+    const cached = cache.get(key);
+    if (cached !== undefined) return { ...cached, cached: true };
+
+    const verdict = takeToken(clientKeyOf(user));
+    if (!verdict.allowed) {
+      res.setHeader('Retry-After', String(verdict.retryAfterSeconds));
+      throw new HttpError(429, `AI rate limit reached; try again in ${verdict.retryAfterSeconds}s`);
+    }
+
+    let payload;
+    try {
+      payload = { ...(await run()), provider: provider.name, model };
+    } catch (error) {
+      console.error(`AI provider ${provider.name} failed.`, error);
+      throw new HttpError(502, `AI provider ${provider.name} failed: ${error.message}`, error.details);
+    }
+    cache.set(key, payload);
+    return { ...payload, cached: false };
+  };
+
+  // Failed runs are audited too (rate limits, provider errors), then rethrown.
+  const answerAudited = async (ctx, model, cacheInput, run, describe) => {
+    let payload;
+    try {
+      payload = await answer(ctx, model, cacheInput, run);
+    } catch (error) {
+      await store.update((data) => recordAuditEvent(data, ctx, {
+        action: describe.action,
+        details: { ...describe.details, provider: provider.name, model, outcome: 'failed', error: error.message }
+      }));
+      throw error;
+    }
+    await store.update((data) => recordAuditEvent(data, ctx, {
+      action: describe.action,
+      details: { ...describe.details, provider: provider.name, model, outcome: payload.cached ? 'cached' : 'answered' }
+    }));
+    return payload;
+  };
+
+  router.get('/api/ai/status', ({ res, user }) => {
+    requirePermission(user, 'registry:read');
+    sendJson(res, 200, { provider: provider.name, model: provider.model, models: provider.models });
+  });
+
+  router.post('/api/ai/analyze', async (ctx) => {
+    requirePermission(ctx.user, 'ai:analyze');
+    const body = await readJsonBody(ctx.req);
+    validateAnalyzeBody(body);
+    const { imageBase64, context, stats } = body;
+    const model = resolveModel(body.model);
+    const imageHash = sha256(imageBase64);
+
+    // Provenance is fixed when the answer is generated; cache hits repeat it unchanged.
+    const payload = await answerAudited(
+      ctx,
+      model,
+      { task: 'analyze', promptVersion: ANALYSIS_PROMPT_VERSION, context, stats, image: imageHash },
+      async () => {
+        const { result, attempts } = await analyzeWithRetries(provider, { imageBase64, context, stats, model }, retryOptions);
+        return {
+          result,
+          provenance: {
+            provider: provider.name,
+            model,
+            promptVersion: ANALYSIS_PROMPT_VERSION,
+            statsHash: sha256(canonicalJson(stats)),
+            imageHash,
+            generatedAt: new Date().toISOString(),
+            attempts
+          }
+        };
+      },
+      { action: 'AI_ANALYSIS', details: { context: context.slice(0, 200), statsHash: sha256(canonicalJson(stats)), imageHash } }
+    );
+    sendJson(ctx.res, 200, payload);
+  });
+
+  // The model only picks search_parcels arguments; the rows are read from the
+  // registry on every request, so a cached plan never serves stale parcels.
+  // Matches come one page at a time, newest first, like GET /api/parcels.
+  router.post('/api/ai/query', async (ctx) => {
+    requirePermission(ctx.user, 'registry:read');
+    const { question, model: requestedModel, page, pageSize } = await readJsonBody(ctx.req);
+    if (typeof question !== 'string' || !question.trim()) throw new HttpError(400, 'question is required');
+    if (question.length > MAX_QUESTION_LENGTH) throw new HttpError(400, `question must be at most ${MAX_QUESTION_LENGTH} characters`);
+    // As URL strings, so page 0 is refused as ?page=0 is rather than read as absent.
+    const paging = { ...parseParcelQuery({ page: page?.toString(), pageSize: pageSize?.toString() }), paged: true };
+    if (paging.errors.length) throw new HttpError(400, 'Invalid page', paging.errors);
+
+    const model = resolveModel(requestedModel);
+    const today = new Date().toISOString().slice(0, 10);
+    const plan = await answerAudited(ctx, model, { task: 'query', question: question.trim(), today }, async () => {
+      const { filters, errors } = normalizeRegistryQuery(await provider.planRegistryQuery({ question: question.trim(), today, model }));
+      if (errors.length) {
+        const error = new Error('search_parcels arguments were invalid');
+        error.details = errors;
+        throw error;
+      }
+      return { filters };
+    }, { action: 'AI_QUERY', details: { question: question.trim() } });
+
+    const data = await store.read();
+    const matching = data.parcels.filter((parcel) => matchesRegistryQuery(parcel, plan.filters));
+    const { parcels, total } = queryParcels(matching, paging);
+    sendJson(ctx.res, 200, {
+      question: question.trim(),
+      filters: plan.filters,
+      description: describeRegistryQuery(plan.filters),
+      parcels: parcels.map(toQueryResultRow),
+      total,
+      page: paging.page,
+      pageSize: paging.pageSize,
+      provider: plan.provider,
+      model: plan.model,
+      cached: plan.cached
+    });
+  });
+};
@@ -0,0 +1,232 @@
+import { GoogleGenAI, Type } from '@google/genai';
+import { REGISTRY_QUERY_FIELDS } from '../services/registryQuery.js';
+import { getSpectralIndex } from '../services/spectralIndices.js';
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-3-flash-preview';
+// Models clients may pick in Settings; GEMINI_MODELS (comma-separated) replaces the list.
+const DEFAULT_GEMINI_MODELS = [DEFAULT_GEMINI_MODEL, 'gemini-2.5-flash', 'gemini-2.5-pro'];
+
+const ANALYSIS_SCHEMA = {
+  type: Type.OBJECT,
+  properties: {
+    suitabilityScore: { type: Type.NUMBER },
+    landUse: { type: Type.STRING },
+    cropRecommendations: { type: Type.ARRAY, items: { type: Type.STRING } },
+    risks: { type: Type.ARRAY, items: { type: Type.STRING } },
+    soilTypeEstimation: { type: Type.STRING },
+    summary: { type: Type.STRING }
+  }
+};
+
+const indexEntries = (stats) => Object.entries(stats).filter(([key]) => key !== 'RGB');
+
+/**
+ * Grounds the model in the computed index values rather than the image alone.
+ * `feedback` lists what was wrong with the previous attempt, if any. Changes
+ * here need a new ANALYSIS_PROMPT_VERSION.
+ */
+export const buildAnalysisPrompt = (context, stats, feedback = []) => {
+  const entries = indexEntries(stats);
+  const statsDescription = entries
+    .map(([key, stat]) =>
+      `${key}: Mean ${stat.mean.toFixed(2)}, Max ${stat.max.toFixed(2)}, Min ${stat.min.toFixed(2)}, StdDev ${stat.stdDev.toFixed(2)}` +
+      (Number.isFinite(stat.validPercent) ? `, Clear pixels ${stat.validPercent.toFixed(0)}%` : '')
+    ).join('\n');
+  const indexGuide = entries
+    .map(([key]) => getSpectralIndex(key))
+    .filter(Boolean)
+    .map((index) => `- ${index.id} = ${index.formula}. ${index.description}`)
+    .join('\n');
+
+  return `
+    Analyze this land parcel image and the following computed geospatial indices:
+
+    ${statsDescription}
+
+    Context: ${context}
+
+    All indices were computed from Sentinel-2 L2A surface reflectance over the parcel:
+    ${indexGuide}
+
+    Based on the visual features and these calculated metrics, provide a land intelligence report.
+
+    Return JSON matching this schema:
+    - suitabilityScore (0-100 number)
+    - landUse (string)
+    - cropRecommendations (array of strings)
+    - risks (array of strings)
+    - soilTypeEstimation (string)
+    - summary (string, max 60 words, referencing the specific index values)
+  ${feedback.length ? `
+    Your previous answer was rejected because:
+    ${feedback.map((problem) => `- ${problem}`).join('\n    ')}
+    Return a corrected answer.
+  ` : ''}`;
+};
+
+const SEARCH_PARCELS_TOOL = {
+  name: 'search_parcels',
+  description: 'Search the land registry. Every parameter narrows the result; leave out the ones the question does not mention.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: Object.fromEntries(REGISTRY_QUERY_FIELDS.map((field) => [field.id, {
+      type: field.type === 'number' ? Type.NUMBER : Type.STRING,
+      description: field.description,
+      ...(field.enum ? { enum: field.enum } : {})
+    }]))
+  }
+};
+
+const buildQueryInstruction = (today) => `
+  You translate land registry questions into a single search_parcels call.
+  Today is ${today}. Resolve relative dates ("after March", "last year") to YYYY-MM-DD
+  bounds; a month without a year means its most recent occurrence.
+  Areas are in hectares (1 ha = 10,000 m², 1 acre = 0.4047 ha).
+  Only set parameters the question asks for.
+`;
+
+/** `model` is the default; `models` lists every model a request may ask for. */
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL, models = DEFAULT_GEMINI_MODELS }) => {
+  const ai = new GoogleGenAI({ apiKey });
+  const defaultModel = model;
+
+  return {
+    name: 'gemini',
+    model: defaultModel,
+    models: [...new Set([defaultModel, ...models])],
+    // Returns the raw answer text; server/ai.js parses and validates it.
+    analyzeLand: async ({ imageBase64, context, stats, feedback, model = defaultModel }) => {
+      const response = await ai.models.generateContent({
+        model,
+        contents: {
+          parts: [
+            { inlineData: { mimeType: 'image/jpeg', data: imageBase64 } },
+            { text: buildAnalysisPrompt(context, stats, feedback) }
+          ]
+        },
+        config: { responseMimeType: 'application/json', responseSchema: ANALYSIS_SCHEMA }
+      });
+      if (!response.text) throw new Error('Model returned an empty response');
+      return response.text;
+    },
+    // Returns the search_parcels arguments; server/ai.js validates and runs them.
+    planRegistryQuery: async ({ question, today, model = defaultModel }) => {
+      const response = await ai.models.generateContent({
+        model,
+        contents: question,
+        config: {
+          systemInstruction: buildQueryInstruction(today),
+          tools: [{ functionDeclarations: [SEARCH_PARCELS_TOOL] }],
+          toolConfig: { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [SEARCH_PARCELS_TOOL.name] } }
+        }
+      });
+      const call = response.functionCalls?.find((candidate) => candidate.name === SEARCH_PARCELS_TOOL.name);
+      if (!call) throw new Error('Model did not call search_parcels');
+      return call.args || {};
+    }
+  };
+};
+
+const describeNdvi = (mean) => {
+  if (mean >= 0.5) return { landUse: 'Dense Vegetation', score: 80, soil: 'Loam with high organic matter' };
+  if (mean >= 0.3) return { landUse: 'Agriculture / Cropland', score: 70, soil: 'Loam' };
+  if (mean >= 0.15) return { landUse: 'Sparse Vegetation / Grassland', score: 50, soil: 'Sandy loam' };
+  if (mean >= 0) return { landUse: 'Bare Soil / Built-up', score: 25, soil: 'Exposed mineral soil' };
+  return { landUse: 'Water / Wetland', score: 5, soil: 'Saturated sediment' };
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = `(${MONTHS.map((month) => `${month.slice(0, 3)}(?:${month.slice(3)})?`).join('|')})\\b\\.?(?:\\s+(\\d{4}))?`;
+const AREA_TO_HECTARES = { ha: 1, hectare: 1, hectares: 1, acre: 0.404686, acres: 0.404686, ac: 0.404686 };
+
+const monthBounds = (match, today) => {
+  const monthIndex = MONTHS.findIndex((month) => month.startsWith(match[1].toLowerCase().slice(0, 3)));
+  const [year, currentMonth] = today.split('-').map(Number);
+  const resolvedYear = match[2] ? Number(match[2]) : (monthIndex + 1 > currentMonth ? year - 1 : year);
+  const day = (date) => date.toISOString().slice(0, 10);
+  return {
+    dayBefore: day(new Date(Date.UTC(resolvedYear, monthIndex, 0))),
+    first: day(new Date(Date.UTC(resolvedYear, monthIndex, 1))),
+    last: day(new Date(Date.UTC(resolvedYear, monthIndex + 1, 0)))
+  };
+};
+
+/**
+ * The stub's search planner: keyword rules covering the common phrasings
+ * (status, area bounds, month bounds, owner, NDVI trend), so the assistant
+ * works end to end without a model.
+ */
+export const planQueryByKeywords = (question, today) => {
+  const text = question.toLowerCase();
+  const args = {};
+
+  const status = ['flagged', 'verified', 'pending'].find((word) => text.includes(word));
+  if (status) args.status = status[0].toUpperCase() + status.slice(1);
+
+  const area = (words) => text.match(new RegExp(`(?:${words})\\s+([\\d.,]+)\\s*(ha|hectares?|acres?|ac)\\b`));
+  const toHectares = (match) => Number(match[1].replace(/,/g, '')) * AREA_TO_HECTARES[match[2]];
+  const over = area('over|above|more than|larger than|bigger than|at least|>=?');
+  const under = area('under|below|less than|smaller than|at most|<=?');
+  if (over) args.minHectares = toHectares(over);
+  if (under) args.maxHectares = toHectares(under);
+
+  // Bounds are exclusive: "after March" starts in April, "since March" includes it.
+  const after = text.match(new RegExp(`(after|since)\\s+${MONTH_PATTERN}`));
+  const before = text.match(new RegExp(`before\\s+${MONTH_PATTERN}`));
+  if (after) {
+    const bounds = monthBounds(after.slice(1), today);
+    args.registeredAfter = after[1] === 'since' ? bounds.dayBefore : bounds.last;
+  }
+  if (before) args.registeredBefore = monthBounds(before, today).first;
+
+  const owner = question.match(/owned by\s+(.+?)(?=\s+(?:that|which|with|have|has|registered|in|over|under|and)\b|[?.,]|$)/i);
+  if (owner) args.owner = owner[1];
+
+  if (/ndvi|vegetation|green/.test(text)) {
+    if (/declin|drop|los[st]|decreas|fall/.test(text)) args.ndviTrend = 'declining';
+    else if (/improv|increas|gain|ris/.test(text)) args.ndviTrend = 'improving';
+  }
+  return args;
+};
+
+/**
+ * Deterministic offline stand-in for Gemini: the answer depends only on the
+ * input, so the full request path (limits, cache, UI) works without network.
+ */
+export const createStubProvider = () => ({
+  name: 'stub',
+  model: 'stub-v1',
+  models: ['stub-v1'],
+  analyzeLand: async ({ stats }) => {
+    const ndvi = stats.NDVI?.mean ?? 0;
+    const clear = stats.NDVI?.validPercent;
+    const profile = describeNdvi(ndvi);
+    const risks = [];
+    if (Number.isFinite(clear) && clear < 60) risks.push(`Only ${clear.toFixed(0)}% clear pixels`);
+    if (Number.isFinite(stats.NDMI?.mean) && stats.NDMI.mean < 0) risks.push('Low canopy moisture (NDMI < 0)');
+    if (Number.isFinite(stats.NBR?.mean) && stats.NBR.mean < 0.1) risks.push('Possible burn scar or bare ground (low NBR)');
+
+    return JSON.stringify({
+      suitabilityScore: Math.max(0, Math.min(100, Math.round(profile.score + (ndvi - 0.3) * 20))),
+      landUse: profile.landUse,
+      cropRecommendations: ndvi >= 0.15 ? ['Wheat', 'Sorghum', 'Pulses'] : [],
+      risks: risks.length ? risks : ['No index-based risks detected'],
+      soilTypeEstimation: profile.soil,
+      summary: `Stub analysis (no model called): mean NDVI ${ndvi.toFixed(2)} suggests ${profile.landUse.toLowerCase()}.`
+    });
+  },
+  planRegistryQuery: async ({ question, today }) => planQueryByKeywords(question, today)
+});
+
+/** `AI_PROVIDER` picks explicitly; otherwise Gemini when a key is configured, else the stub. */
+export const createAiProvider = (env = process.env) => {
+  const choice = env.AI_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'stub');
+  if (choice === 'stub') return createStubProvider();
+  if (choice !== 'gemini') throw new Error(`Unknown AI_PROVIDER "${choice}" (expected gemini or stub)`);
+  if (!env.GEMINI_API_KEY) throw new Error('AI_PROVIDER=gemini requires GEMINI_API_KEY');
+  return createGeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL,
+    models: env.GEMINI_MODELS ? env.GEMINI_MODELS.split(',').map((name) => name.trim()).filter(Boolean) : DEFAULT_GEMINI_MODELS
+  });
+};
@@ -0,0 +1,115 @@
+import { validateAnalysisResult } from '../services/analysisSchema.js';
+import { canonicalJson, sha256 } from './hashing.js';
+import { HttpError, sendJson } from './http.js';
+import { requirePermission } from './auth.js';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/** Index id → `{ mean, min, max, stdDev }`, as the explorer computes and the prompt reads them. */
+export const isStatsRecord = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+  Object.values(value).every((stat) => Number.isFinite(stat?.mean) && Number.isFinite(stat?.min) &&
+    Number.isFinite(stat?.max) && Number.isFinite(stat?.stdDev));
+
+const nextAnalysisId = (analyses) => `AN-${String(analyses.length + 1).padStart(5, '0')}`;
+
+// A stored report must say what produced it, and its stats hash must match the
+// stats stored beside it, so the analysis can be reproduced and audited later.
+const validateProvenance = ({ report, stats }) => {
+  const provenance = report.provenance;
+  if (!provenance || typeof provenance !== 'object') return ['analysis.report.provenance is required'];
+  const errors = ['provider', 'model', 'generatedAt']
+    .filter((field) => !isNonEmptyString(provenance[field]))
+    .map((field) => `analysis.report.provenance.${field} is required`);
+  if (provenance.statsHash && stats && provenance.statsHash !== sha256(canonicalJson(stats))) {
+    errors.push('analysis.report.provenance.statsHash does not match analysis.stats');
+  }
+  return errors;
+};
+
+const REPORT_PROVIDERS = ['gemini', 'stub', 'rules'];
+const PROVENANCE_FIELDS = ['provider', 'model', 'promptVersion', 'statsHash', 'imageHash', 'generatedAt', 'attempts'];
+
+const isOptional = (value, check) => value === undefined || value === null || check(value);
+const isClassification = (value) => typeof value === 'object' && !Array.isArray(value) &&
+  isNonEmptyString(value.label) && Number.isFinite(value.confidence) && typeof value.reason === 'string';
+const isExplanation = (value) => Array.isArray(value) &&
+  value.every((step) => ['ruleId', 'effect', 'reason'].every((field) => typeof step?.[field] === 'string'));
+
+/**
+ * `{ report, errors }` for a report about to be stored on a parcel: the checks
+ * every model answer passes (services/analysisSchema.js), its provenance, and
+ * the fields the client adds after generation. `report` keeps only known fields.
+ */
+export const validateStoredReport = ({ report, stats }) => {
+  // The rule engine leaves a parcel it could not classify unscored.
+  const unscored = report.provider === 'rules';
+  const { result, errors } = validateAnalysisResult(report, stats, { unscored });
+  const problems = errors.map((error) => `analysis.report.${error}`);
+
+  if (!REPORT_PROVIDERS.includes(report.provider)) problems.push(`analysis.report.provider must be one of ${REPORT_PROVIDERS.join(', ')}`);
+  if (!isNonEmptyString(report.model)) problems.push('analysis.report.model is required');
+  if (!isOptional(report.cached, (value) => typeof value === 'boolean')) problems.push('analysis.report.cached must be a boolean');
+  if (!isOptional(report.fallbackReason, (value) => typeof value === 'string')) problems.push('analysis.report.fallbackReason must be a string');
+  if (!isOptional(report.classification, isClassification)) problems.push('analysis.report.classification must have a label, confidence and reason');
+  if (!isOptional(report.explanation, isExplanation)) problems.push('analysis.report.explanation must list {ruleId,effect,reason} strings');
+  if (!isOptional(report.geoStats, isStatsRecord)) problems.push('analysis.report.geoStats must map index ids to {mean,min,max,stdDev}');
+  problems.push(...validateProvenance({ report, stats }));
+  if (problems.length) return { report: null, errors: problems };
+
+  const extras = ['cached', 'fallbackReason', 'classification', 'explanation', 'geoStats'].filter((field) => report[field] !== undefined);
+  return {
+    report: {
+      ...result,
+      provider: report.provider,
+      model: report.model,
+      ...Object.fromEntries(extras.map((field) => [field, report[field]])),
+      provenance: Object.fromEntries(PROVENANCE_FIELDS.filter((field) => field in report.provenance).map((field) => [field, report.provenance[field]]))
+    },
+    errors: []
+  };
+};
+
+/**
+ * Appends one run to `data.analyses` when `analysis` carries a report; stats
+ * without a report (e.g. a registration before "Analyze") are not a run. The
+ * report is stored without its `geoStats` copy, which `geoStats` holds.
+ * `analyzedBy` is the account that stored it (null for backfilled runs).
+ */
+export const recordAnalysisRun = (data, parcel, analysis, analyzedAt, analyzedBy = null) => {
+  if (!analysis?.report) return null;
+  const { geoStats: _geoStats, ...report } = analysis.report;
+  const run = {
+    id: nextAnalysisId(data.analyses),
+    parcelId: parcel.id,
+    analyzedAt,
+    analyzedBy,
+    report,
+    geoStats: analysis.stats || null,
+    source: analysis.source || null,
+    classification: analysis.classification || null,
+    change: analysis.change || null
+  };
+  data.analyses.push(run);
+  return run;
+};
+
+/** Registries written before analysis history existed get one run per stored report. */
+export const backfillAnalysisRuns = (data) => {
+  const recorded = new Set(data.analyses.map((run) => run.parcelId));
+  data.parcels
+    .filter((parcel) => parcel.analysis?.report && !recorded.has(parcel.id))
+    .forEach((parcel) => recordAnalysisRun(data, parcel, parcel.analysis, parcel.lastAnalysis || parcel.updatedAt));
+};
+
+export const registerAnalysisRoutes = (router, store) => {
+  // Runs are written by parcel create/update (server/parcels.js); this lists them oldest first.
+  router.get('/api/parcels/:id/analyses', async ({ res, params, user }) => {
+    requirePermission(user, 'registry:read');
+    const data = await store.read();
+    if (!data.parcels.some((parcel) => parcel.id === params.id)) throw new HttpError(404, `Parcel ${params.id} not found`);
+    const analyses = data.analyses
+      .filter((run) => run.parcelId === params.id)
+      .sort((a, b) => a.analyzedAt.localeCompare(b.analyzedAt));
+    sendJson(res, 200, { analyses });
+  });
+};
@@ -0,0 +1,56 @@
+import http from 'node:http';
+import { registerAiRoutes } from './ai.js';
+import { bootstrapUsers, createSessionStore, createUserResolver, registerAuthRoutes } from './auth.js';
+import { backfillAnalysisRuns, registerAnalysisRoutes } from './analyses.js';
+import { registerAuditRoutes } from './audit.js';
+import { createJsonStore } from './jsonStore.js';
+import { digestParcel } from './hashing.js';
+import { createRouter, sendError } from './http.js';
+import { bootstrapLedger, registerLedgerRoutes } from './ledger.js';
+import { registerParcelRoutes, SEED_PARCELS } from './parcels.js';
+import { registerTransferRoutes } from './transfers.js';
+
+/**
+ * The registry API over the JSON store at `dataFile`, not yet listening.
+ * `seededUsers` lists the demo accounts created with `seedPassword` (empty
+ * when the store already had users).
+ */
+export const createRegistryServer = async ({ dataFile, registrarKey = null, aiProvider, seedPassword, sessionTtlMs }) => {
+  const store = createJsonStore(dataFile, () => ({
+    parcels: SEED_PARCELS.map((parcel) => ({ ...parcel, hash: digestParcel(parcel) })),
+    transfers: [],
+    analyses: [],
+    audit: []
+  }));
+
+  // Fresh stores and registries written before the ledger, analysis history,
+  // user accounts or the audit log existed get their genesis entries, first runs,
+  // users and an empty log here.
+  const seededUsers = await store.update((data) => {
+    data.transfers ??= [];
+    data.analyses ??= [];
+    data.audit ??= [];
+    backfillAnalysisRuns(data);
+    bootstrapLedger(data, registrarKey);
+    return bootstrapUsers(data, seedPassword);
+  });
+
+  const sessions = createSessionStore({ ttlMs: sessionTtlMs });
+  const router = createRouter({ resolveUser: createUserResolver(store, sessions) });
+  registerAuthRoutes(router, store, sessions);
+  registerParcelRoutes(router, store, { registrarKey });
+  registerLedgerRoutes(router, store, registrarKey);
+  registerTransferRoutes(router, store, { registrarKey });
+  registerAnalysisRoutes(router, store);
+  registerAiRoutes(router, store, aiProvider);
+  registerAuditRoutes(router, store);
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      await router.handle(req, res);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  return { server, store, seededUsers };
+};
@@ -0,0 +1,133 @@
+import { AUDIT_ACTION_IDS } from '../services/auditActions.js';
+import { serializeAuditEvents } from '../services/exportFormats.js';
+import { canonicalJson, sha256 } from './hashing.js';
+import { clientIpOf, HttpError, sendFile, sendJson } from './http.js';
+import { requirePermission } from './auth.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 10000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parcel fields an inspector compares before and after a change.
+const AUDITED_PARCEL_FIELDS = ['name', 'owner', 'location', 'status', 'flagReason', 'imageUrl', 'area', 'geometry', 'analysis'];
+
+const nextAuditId = (audit) => `AU-${String(audit.length + 1).padStart(6, '0')}`;
+
+// Boundaries and analyses are too large to copy into every event; a digest
+// still shows whether they changed, and the analysis keeps its headline values.
+const auditValue = (field, value) => {
+  if (value === null || value === undefined) return null;
+  if (field === 'geometry') return { vertices: value.coordinates?.[0]?.length ?? null, hash: sha256(canonicalJson(value)) };
+  if (field === 'analysis') {
+    return {
+      landUse: value.report?.landUse ?? null,
+      suitabilityScore: value.report?.suitabilityScore ?? null,
+      model: value.report?.provenance?.model ?? null,
+      hash: sha256(canonicalJson(value))
+    };
+  }
+  return value;
+};
+
+/** The audited fields of a parcel, reduced as above; compare two with `diffSnapshots`. */
+export const snapshotParcel = (parcel) =>
+  Object.fromEntries(AUDITED_PARCEL_FIELDS.map((field) => [field, auditValue(field, parcel[field])]));
+
+/** `{ before, after }` holding only the fields whose value differs. */
+export const diffSnapshots = (before, after) => {
+  const fields = Object.keys({ ...before, ...after })
+    .filter((field) => canonicalJson(before[field] ?? null) !== canonicalJson(after[field] ?? null));
+  return {
+    before: Object.fromEntries(fields.map((field) => [field, before[field] ?? null])),
+    after: Object.fromEntries(fields.map((field) => [field, after[field] ?? null]))
+  };
+};
+
+/**
+ * Appends one event to `data.audit`. Call inside the store update that makes
+ * the change, so the event and the change are written (or rolled back) together.
+ * `actor` defaults to the signed-in user; failed sign-ins pass the name tried.
+ */
+export const recordAuditEvent = (data, { req, user }, {
+  action,
+  actor = user?.username ?? null,
+  parcelId = null,
+  transferId = null,
+  before = null,
+  after = null,
+  details = null,
+  timestamp = new Date().toISOString()
+}) => {
+  const event = {
+    id: nextAuditId(data.audit),
+    action,
+    actor,
+    role: user?.role ?? null,
+    ip: clientIpOf(req),
+    timestamp,
+    parcelId,
+    transferId,
+    before,
+    after,
+    details
+  };
+  data.audit.push(event);
+  return event;
+};
+
+const parseDay = (query, name) => {
+  const value = query.get(name);
+  if (!value) return null;
+  if (!DATE_PATTERN.test(value)) throw new HttpError(400, `${name} must be a YYYY-MM-DD date`);
+  return value;
+};
+
+// Filters match exactly; `from` and `to` are inclusive UTC days.
+const parseAuditFilters = (query) => {
+  const action = query.get('action');
+  if (action && !AUDIT_ACTION_IDS.includes(action)) throw new HttpError(400, `action must be one of ${AUDIT_ACTION_IDS.join(', ')}`);
+  return {
+    actor: query.get('actor'),
+    parcelId: query.get('parcelId'),
+    action,
+    from: parseDay(query, 'from'),
+    to: parseDay(query, 'to')
+  };
+};
+
+const matchesAuditFilters = (event, { actor, parcelId, action, from, to }) =>
+  (!actor || event.actor === actor) &&
+  (!parcelId || event.parcelId === parcelId) &&
+  (!action || event.action === action) &&
+  (!from || event.timestamp.slice(0, 10) >= from) &&
+  (!to || event.timestamp.slice(0, 10) <= to);
+
+export const registerAuditRoutes = (router, store) => {
+  // Newest first.
+  router.get('/api/audit', async ({ res, query, user }) => {
+    requirePermission(user, 'audit:read');
+    const filters = parseAuditFilters(query);
+    const limit = Number(query.get('limit')) || DEFAULT_LIMIT;
+    if (limit < 1 || limit > MAX_LIMIT) throw new HttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+
+    const data = await store.read();
+    const matching = data.audit.filter((event) => matchesAuditFilters(event, filters));
+    const actors = [...new Set(data.audit.map((event) => event.actor).filter(Boolean))].sort();
+    sendJson(res, 200, { events: matching.slice(-limit).reverse(), total: matching.length, actors });
+  });
+
+  // Every matching event as CSV, newest first; the export is itself audited.
+  router.get('/api/audit/export', async (ctx) => {
+    requirePermission(ctx.user, 'audit:read');
+    const filters = parseAuditFilters(ctx.query);
+    const { events, timestamp } = await store.update((data) => {
+      const matching = data.audit.filter((event) => matchesAuditFilters(event, filters)).reverse();
+      const event = recordAuditEvent(data, ctx, {
+        action: 'EXPORT',
+        details: { kind: 'audit', format: 'csv', count: matching.length, query: ctx.query.toString() }
+      });
+      return { events: matching, timestamp: event.timestamp };
+    });
+    sendFile(ctx.res, `audit-log-${timestamp.slice(0, 10)}.csv`, 'text/csv', serializeAuditEvents(events));
+  });
+};
@@ -0,0 +1,200 @@
+import { randomBytes, scrypt, scryptSync, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { can, ROLE_IDS, roleLabel } from '../services/permissions.js';
+import { recordAuditEvent } from './audit.js';
+import { clientIpOf, HttpError, readJsonBody, sendJson } from './http.js';
+
+const scryptAsync = promisify(scrypt);
+
+const DEFAULT_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_FAILURES_PER_USER = 5; // Failed sign-ins per username per window
+const MAX_FAILURES_PER_IP = 20; // Failed sign-ins per source address per window
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_THROTTLE_KEYS = 10000;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/** `scrypt$salt$hash`, both base64; the salt is per user. */
+export const hashPassword = (password) => {
+  const salt = randomBytes(16);
+  return `scrypt$${salt.toString('base64')}$${scryptSync(password, salt, 64).toString('base64')}`;
+};
+
+// Asynchronous so a burst of sign-ins does not stall every other request.
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  return timingSafeEqual(await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length), expected);
+};
+
+// Answers for unknown users take as long as for known ones.
+const DUMMY_PASSWORD_HASH = hashPassword(randomBytes(16).toString('hex'));
+
+/** What the API and UI see of an account; never the password hash. */
+export const toPublicUser = ({ username, name, role }) => ({ username, name, role });
+
+export const validateUser = ({ username, name, role, password }, { requirePassword = true } = {}) => {
+  const errors = [];
+  if (!USERNAME_PATTERN.test(username || '')) errors.push('username must be 2-32 lowercase letters, digits, ".", "_" or "-"');
+  if (typeof name !== 'string' || !name.trim()) errors.push('name is required');
+  if (!ROLE_IDS.includes(role)) errors.push(`role must be one of ${ROLE_IDS.join(', ')}`);
+  if ((requirePassword || password !== undefined) && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return errors;
+};
+
+export const createUserRecord = ({ username, name, role, password }) => ({
+  username,
+  name: name.trim(),
+  role,
+  passwordHash: hashPassword(password),
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Registries without a user store get one account per role, all sharing
+ * `password`. Returns the created usernames (empty when users already exist).
+ */
+export const bootstrapUsers = (data, password) => {
+  if (Array.isArray(data.users)) return [];
+  data.users = ROLE_IDS.map((role) => createUserRecord({ username: role, name: `Demo ${roleLabel(role)}`, role, password }));
+  return data.users.map((user) => user.username);
+};
+
+/**
+ * Bearer-token sessions held in memory: a restart signs everyone out, which
+ * keeps tokens out of the registry file.
+ */
+export const createSessionStore = ({ ttlMs = DEFAULT_SESSION_TTL_MS } = {}) => {
+  const sessions = new Map();
+
+  return {
+    create: (username) => {
+      const token = randomBytes(32).toString('base64url');
+      const expiresAt = Date.now() + ttlMs;
+      sessions.set(token, { username, expiresAt });
+      return { token, expiresAt: new Date(expiresAt).toISOString() };
+    },
+    lookup: (token) => {
+      const session = token && sessions.get(token);
+      if (!session) return null;
+      if (session.expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return null;
+      }
+      return session;
+    },
+    revoke: (token) => sessions.delete(token)
+  };
+};
+
+/**
+ * Failed sign-ins per key in a sliding window. `retryAfterSeconds(key)` is 0
+ * while the key is under `limit`; `forgive` takes back one failure and
+ * `clear` all of them. Stale keys are dropped once more than
+ * MAX_THROTTLE_KEYS are tracked.
+ */
+export const createFailureThrottle = ({ limit, windowMs, now = Date.now }) => {
+  const failures = new Map();
+  const recent = (key, time) => (failures.get(key) || []).filter((stamp) => time - stamp < windowMs);
+
+  return {
+    retryAfterSeconds: (key) => {
+      const time = now();
+      const stamps = recent(key, time);
+      if (stamps.length) failures.set(key, stamps);
+      else failures.delete(key);
+      return stamps.length >= limit ? Math.ceil((stamps[0] + windowMs - time) / 1000) : 0;
+    },
+    fail: (key) => {
+      const time = now();
+      if (failures.size >= MAX_THROTTLE_KEYS) {
+        failures.forEach((stamps, tracked) => {
+          if (!stamps.length || time - stamps[stamps.length - 1] >= windowMs) failures.delete(tracked);
+        });
+      }
+      failures.set(key, [...recent(key, time), time]);
+    },
+    forgive: (key) => {
+      failures.get(key)?.pop();
+    },
+    clear: (key) => failures.delete(key)
+  };
+};
+
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Resolves the signed-in user for a request, or null for the public. An
+ * account deleted or re-roled since login takes effect on its next request.
+ */
+export const createUserResolver = (store, sessions) => async (req) => {
+  const session = sessions.lookup(bearerToken(req));
+  if (!session) return null;
+  const data = await store.read();
+  const user = data.users.find((candidate) => candidate.username === session.username);
+  return user ? toPublicUser(user) : null;
+};
+
+/** 401 for the public, 403 for an account whose role lacks `permission`. */
+export const requirePermission = (user, permission) => {
+  if (!user) throw new HttpError(401, 'Sign in to continue');
+  if (!can(user, permission)) throw new HttpError(403, `${roleLabel(user.role)} accounts are not allowed to do this (${permission})`);
+};
+
+export const registerAuthRoutes = (router, store, sessions) => {
+  const userFailures = createFailureThrottle({ limit: MAX_FAILURES_PER_USER, windowMs: FAILURE_WINDOW_MS });
+  const ipFailures = createFailureThrottle({ limit: MAX_FAILURES_PER_IP, windowMs: FAILURE_WINDOW_MS });
+
+  // Failed attempts are audited under the name tried, so guessing shows up in the
+  // log. Once a name or address is throttled its attempts are refused unchecked
+  // and unaudited, which also caps the failures written to the log per window.
+  // Every attempt counts as a failure until its password checks out, so
+  // concurrent guesses cannot all slip in under the limit.
+  router.post('/api/auth/login', async ({ req, res }) => {
+    const { username, password } = await readJsonBody(req);
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw new HttpError(400, 'username and password are required');
+    }
+
+    const name = username.trim().toLowerCase().slice(0, 64);
+    const ip = clientIpOf(req) || 'unknown';
+    const retryAfterSeconds = Math.max(userFailures.retryAfterSeconds(name), ipFailures.retryAfterSeconds(ip));
+    if (retryAfterSeconds) {
+      res.setHeader('Retry-After', String(retryAfterSeconds));
+      throw new HttpError(429, `Too many failed sign-ins; try again in ${retryAfterSeconds}s`);
+    }
+    userFailures.fail(name);
+    ipFailures.fail(ip);
+
+    const data = await store.read();
+    const account = data.users.find((candidate) => candidate.username === name);
+    const valid = await verifyPassword(password, account ? account.passwordHash : DUMMY_PASSWORD_HASH);
+    const user = account && valid ? toPublicUser(account) : null;
+    if (user) {
+      userFailures.clear(name);
+      ipFailures.forgive(ip);
+    }
+
+    await store.update((current) => recordAuditEvent(current, { req, user }, { action: user ? 'LOGIN' : 'LOGIN_FAILED', actor: name || null }));
+    if (!user) throw new HttpError(401, 'Unknown username or wrong password');
+
+    sendJson(res, 200, { ...sessions.create(user.username), user });
+  });
+
+  router.post('/api/auth/logout', async ({ req, res, user }) => {
+    sessions.revoke(bearerToken(req));
+    if (user) await store.update((data) => recordAuditEvent(data, { req, user }, { action: 'LOGOUT' }));
+    sendJson(res, 200, { signedOut: true });
+  });
+
+  router.get('/api/auth/me', async ({ res, user }) => {
+    if (!user) throw new HttpError(401, 'Sign in to continue');
+    sendJson(res, 200, { user });
+  });
+};
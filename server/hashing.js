@@ -0,0 +1,12 @@
+import { createHash } from 'node:crypto';
+import { canonicalJson } from '../services/canonicalJson.js';
+
+export { canonicalJson };
+
+export const sha256 = (text) => `0x${createHash('sha256').update(text).digest('hex')}`;
+
+/** SHA-256 over the recorded content, so any later edit to the parcel changes its hash. */
+export const digestParcel = (parcel) => {
+  const { hash: _hash, updatedAt: _updatedAt, ...content } = parcel;
+  return sha256(canonicalJson(content));
+};
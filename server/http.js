@@ -0,0 +1,127 @@
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/** Error carrying the HTTP status the router should answer with. */
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export const sendJson = (res, status, payload) => {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+};
+
+/** A download; `fileName` becomes the browser's suggested name. */
+export const sendFile = (res, fileName, mimeType, text) => {
+  res.writeHead(200, {
+    'Content-Type': `${mimeType}; charset=utf-8`,
+    'Content-Length': Buffer.byteLength(text),
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.end(text);
+};
+
+export const sendError = (res, error) => {
+  const status = error instanceof HttpError ? error.status : 500;
+  if (status >= 500) console.error(error);
+  const message = status >= 500 ? 'Internal server error' : error.message;
+  sendJson(res, status, {
+    // Clients surface `detail` verbatim, so validation errors are folded into it.
+    detail: Array.isArray(error.details) ? `${message}: ${error.details.join('; ')}` : message,
+    ...(error.details ? { errors: error.details } : {})
+  });
+};
+
+const LOOPBACK_ADDRESS = /^(127\.|::1$|::ffff:127\.)/;
+
+/**
+ * Source address of a request. X-Forwarded-For is only believed from a proxy
+ * on this machine (the Vite dev server), and only its last hop, which that
+ * proxy appended; earlier hops are whatever the client sent.
+ */
+export const clientIpOf = (req) => {
+  const remote = req.socket.remoteAddress || null;
+  const forwarded = req.headers['x-forwarded-for'];
+  if (!forwarded || !LOOPBACK_ADDRESS.test(remote || '')) return remote;
+  return forwarded.split(',').pop().trim() || remote;
+};
+
+/** The parsed body, which must be a JSON object; an empty body reads as `{}`. */
+export const readJsonBody = async (req) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  if (!chunks.length) return {};
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (_) {
+    throw new HttpError(400, 'Request body must be valid JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Request body must be a JSON object');
+  return body;
+};
+
+// A malformed escape such as %E0 is the client's mistake, not a server error.
+const decodePathSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (_) {
+    throw new HttpError(400, `Malformed path segment ${segment}`);
+  }
+};
+
+/**
+ * Minimal path router: patterns like `/api/parcels/:id` match one segment per
+ * parameter. Handlers receive `{ req, res, params, query, user }`, where
+ * `user` comes from `resolveUser(req)` (null when signed out).
+ */
+export const createRouter = ({ resolveUser = async () => null } = {}) => {
+  const routes = [];
+
+  const add = (method, pattern, handler) => {
+    const keys = [];
+    const source = pattern.replace(/:([A-Za-z]+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+    routes.push({ method, regex: new RegExp(`^${source}/?$`), keys, handler });
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const candidates = routes.filter((route) => route.regex.test(url.pathname));
+    if (!candidates.length) throw new HttpError(404, `No route for ${url.pathname}`);
+
+    const route = candidates.find((candidate) => candidate.method === req.method);
+    if (!route) throw new HttpError(405, `${req.method} is not allowed on ${url.pathname}`);
+
+    const match = url.pathname.match(route.regex);
+    const params = Object.fromEntries(route.keys.map((key, i) => [key, decodePathSegment(match[i + 1])]));
+    const user = await resolveUser(req);
+    await route.handler({ req, res, params, query: url.searchParams, user });
+  };
+
+  return {
+    get: (pattern, handler) => add('GET', pattern, handler),
+    post: (pattern, handler) => add('POST', pattern, handler),
+    patch: (pattern, handler) => add('PATCH', pattern, handler),
+    delete: (pattern, handler) => add('DELETE', pattern, handler),
+    handle
+  };
+};
@@ -0,0 +1,40 @@
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { createAiProvider } from './aiProviders.js';
+import { createRegistryServer } from './app.js';
+import { loadRegistrarKey } from './ledger.js';
+
+// Same file Vite reads, so GEMINI_API_KEY only has to be set once; it never reaches the bundle.
+try {
+  process.loadEnvFile('.env.local');
+} catch (error) {
+  if (error.code !== 'ENOENT') throw error;
+}
+
+const PORT = Number(process.env.REGISTRY_PORT) || 3001;
+const DATA_FILE = process.env.REGISTRY_DATA_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'registry.json');
+
+const registrarKey = loadRegistrarKey();
+const aiProvider = createAiProvider();
+
+// Demo accounts share REGISTRY_SEED_PASSWORD; without it a random one is printed once below.
+const seedPassword = process.env.REGISTRY_SEED_PASSWORD || randomBytes(9).toString('base64url');
+
+const { server, seededUsers } = await createRegistryServer({
+  dataFile: DATA_FILE,
+  registrarKey,
+  aiProvider,
+  seedPassword,
+  sessionTtlMs: Number(process.env.SESSION_TTL_MS) || undefined
+});
+
+server.listen(PORT, () => {
+  console.log(`Land registry API listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+  console.log(`AI provider: ${aiProvider.name} (${aiProvider.model})`);
+  if (seededUsers.length) {
+    console.log(`Created demo accounts ${seededUsers.join(', ')} with password ${process.env.REGISTRY_SEED_PASSWORD ? 'from REGISTRY_SEED_PASSWORD' : seedPassword}`);
+  }
+  console.log(registrarKey ? `Ledger entries signed with registrar key ${registrarKey.keyId}` : 'Ledger entries are unsigned (REGISTRAR_KEY_FILE not set)');
+});
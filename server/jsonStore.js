@@ -0,0 +1,54 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Single-file JSON persistence. The document is cached in memory and every
+ * update is serialized, then written to a temp file and renamed into place so
+ * a crash mid-write never leaves a truncated registry behind.
+ */
+export const createJsonStore = (filePath, createInitialData) => {
+  let data = null;
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = createInitialData();
+      await persist();
+    }
+    return data;
+  };
+
+  const persist = async () => {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(data, null, 2));
+    await rename(tempPath, filePath);
+  };
+
+  const run = (task) => {
+    const next = queue.then(task);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    read: () => run(load),
+    /** `mutator` edits the document in place; its return value is passed through. */
+    update: (mutator) => run(async () => {
+      const current = await load();
+      const snapshot = JSON.stringify(current);
+      try {
+        const result = await mutator(current);
+        await persist();
+        return result;
+      } catch (error) {
+        data = JSON.parse(snapshot);
+        throw error;
+      }
+    })
+  };
+};
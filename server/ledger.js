@@ -0,0 +1,233 @@
+import { createPrivateKey, createPublicKey, sign, verify } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { canonicalJson, digestParcel, sha256 } from './hashing.js';
+import { HttpError, sendJson } from './http.js';
+import { requirePermission } from './auth.js';
+import { can } from '../services/permissions.js';
+
+export const GENESIS_HASH = `0x${'0'.repeat(64)}`;
+
+/**
+ * Optional Ed25519 registrar key, read from the PEM file named by
+ * REGISTRAR_KEY_FILE (e.g. `openssl genpkey -algorithm ed25519`). Without it
+ * entries are hash-chained but unsigned.
+ */
+export const loadRegistrarKey = (keyFile = process.env.REGISTRAR_KEY_FILE) => {
+  if (!keyFile) return null;
+  const privateKey = createPrivateKey(readFileSync(keyFile));
+  const publicKey = createPublicKey(privateKey);
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+  return { privateKey, publicKey, keyId: sha256(publicPem).slice(0, 18) };
+};
+
+/** Fields covered by an entry's hash; everything except the hash and signature themselves. */
+const hashedContent = (entry) => ({
+  index: entry.index,
+  type: entry.type,
+  parcelId: entry.parcelId,
+  parcelHash: entry.parcelHash,
+  changes: entry.changes,
+  transferId: entry.transferId, // Only on OWNERSHIP_TRANSFERRED; undefined keys are left out of the hash
+  actor: entry.actor, // Absent on entries written before accounts existed
+  summary: entry.summary,
+  timestamp: entry.timestamp,
+  prevHash: entry.prevHash
+});
+
+export const hashEntry = (entry) => sha256(canonicalJson(hashedContent(entry)));
+
+/**
+ * Appends one transaction for `parcel` to `data.ledger`. Call inside the same
+ * store update that changed the parcel so the two are persisted together.
+ */
+export const appendLedgerEntry = (data, { type, parcel, changes, transferId, actor, timestamp = new Date().toISOString() }, registrarKey) => {
+  const previous = data.ledger[data.ledger.length - 1];
+  const entry = {
+    index: data.ledger.length,
+    type,
+    parcelId: parcel.id,
+    parcelHash: parcel.hash,
+    changes,
+    ...(transferId ? { transferId } : {}),
+    ...(actor ? { actor } : {}),
+    summary: { name: parcel.name, owner: parcel.owner, location: parcel.location, status: parcel.status },
+    timestamp,
+    prevHash: previous ? previous.hash : GENESIS_HASH
+  };
+  entry.hash = hashEntry(entry);
+
+  if (registrarKey) {
+    entry.signature = sign(null, Buffer.from(entry.hash), registrarKey.privateKey).toString('base64');
+    entry.signer = registrarKey.keyId;
+  }
+
+  data.ledger.push(entry);
+  return entry;
+};
+
+/** Records that predate the ledger are entered once, oldest first, as registrations. */
+export const bootstrapLedger = (data, registrarKey) => {
+  if (Array.isArray(data.ledger)) return false;
+  data.ledger = [];
+  [...data.parcels]
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach((parcel) => {
+      appendLedgerEntry(data, { type: 'PARCEL_REGISTERED', parcel, changes: null, timestamp: parcel.createdAt }, registrarKey);
+    });
+  return true;
+};
+
+// Problems with the entry at `position` itself: its sequence, link, content hash and signature.
+const entryIssues = (ledger, position, registrarKey) => {
+  const entry = ledger[position];
+  const reasons = [];
+  const expectedPrev = position === 0 ? GENESIS_HASH : ledger[position - 1].hash;
+
+  if (entry.index !== position) reasons.push(`Entry index ${entry.index} is out of sequence (expected ${position})`);
+  if (entry.prevHash !== expectedPrev) reasons.push('Previous-hash link does not match the preceding entry');
+
+  const recomputed = hashEntry(entry);
+  if (recomputed !== entry.hash) reasons.push(`Content hash mismatch: stored ${entry.hash.slice(0, 12)}…, recomputed ${recomputed.slice(0, 12)}…`);
+
+  if (entry.signature) {
+    if (!registrarKey) {
+      reasons.push('Entry is signed but no registrar key is configured to check it');
+    } else if (entry.signer !== registrarKey.keyId) {
+      reasons.push(`Signed by unknown key ${entry.signer}`);
+    } else if (!verify(null, Buffer.from(entry.hash), registrarKey.publicKey, Buffer.from(entry.signature, 'base64'))) {
+      reasons.push('Registrar signature is invalid');
+    }
+  } else if (registrarKey) {
+    reasons.push('Entry is not signed by the registrar');
+  }
+  return reasons;
+};
+
+// Why a parcel's stored record no longer matches its latest ledger entry, or null.
+const parcelRecordIssue = (parcel, latestEntry) => {
+  if (digestParcel(parcel) !== parcel.hash) return 'Parcel record was modified outside the ledger (content no longer matches its hash)';
+  if (parcel.hash !== latestEntry.parcelHash) return 'Parcel hash differs from the one recorded in its latest ledger entry';
+  return null;
+};
+
+/**
+ * Recomputes every link in order and checks that each parcel's stored content
+ * still matches the hash of its latest ledger entry. Reports the first broken
+ * entry and every issue found.
+ */
+export const verifyLedger = (data, registrarKey) => {
+  const issues = [];
+  const latestByParcel = new Map();
+
+  data.ledger.forEach((entry, position) => {
+    entryIssues(data.ledger, position, registrarKey).forEach((reason) => {
+      issues.push({ index: position, parcelId: entry.parcelId, type: entry.type, reason });
+    });
+    latestByParcel.set(entry.parcelId, { entry, position });
+  });
+
+  data.parcels.forEach((parcel) => {
+    const latest = latestByParcel.get(parcel.id);
+    if (!latest) {
+      issues.push({ index: null, parcelId: parcel.id, type: null, reason: 'Parcel has no ledger entry' });
+      return;
+    }
+    const { entry, position } = latest;
+    const reason = parcelRecordIssue(parcel, entry);
+    if (reason) issues.push({ index: position, parcelId: parcel.id, type: entry.type, reason });
+  });
+
+  const ordered = [...issues].sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+  return {
+    valid: issues.length === 0,
+    length: data.ledger.length,
+    headHash: data.ledger.length ? data.ledger[data.ledger.length - 1].hash : GENESIS_HASH,
+    signed: Boolean(registrarKey),
+    checkedAt: new Date().toISOString(),
+    firstInvalid: ordered[0] || null,
+    issues: ordered
+  };
+};
+
+/**
+ * Checks a certificate's parcel hash against the registry: `genuine` when it
+ * is the parcel's current, intact, correctly chained hash; `superseded` when
+ * it was recorded for the parcel but the record has changed since; otherwise
+ * `invalid`. Only the parcel's own entries are checked. Parcel details come
+ * back only for a hash the ledger recorded for that parcel, so unknown ids and
+ * made-up hashes reveal nothing; the current hash only with `includeCurrentHash`.
+ */
+export const verifyCertificate = (data, parcelId, certificateHash, registrarKey, { includeCurrentHash = false } = {}) => {
+  const checkedAt = new Date().toISOString();
+  const parcel = data.parcels.find((candidate) => candidate.id === parcelId);
+  const positions = [];
+  data.ledger.forEach((entry, position) => {
+    if (entry.parcelId === parcelId) positions.push(position);
+  });
+  const recorded = positions.filter((position) => data.ledger[position].parcelHash === certificateHash);
+
+  if (!parcel || !certificateHash || !recorded.length) {
+    return { verdict: 'invalid', parcelId, certificateHash, matchesCurrent: false, recordedAt: null, ledgerIndex: null, issues: [], parcel: null, checkedAt };
+  }
+
+  const issues = positions.flatMap((position) =>
+    entryIssues(data.ledger, position, registrarKey).map((reason) => ({ index: position, parcelId, type: data.ledger[position].type, reason }))
+  );
+  const latest = data.ledger[positions[positions.length - 1]];
+  const recordIssue = parcelRecordIssue(parcel, latest);
+  if (recordIssue) issues.push({ index: latest.index, parcelId, type: latest.type, reason: recordIssue });
+
+  const matchesCurrent = certificateHash === parcel.hash;
+  let verdict = 'invalid';
+  if (!issues.length) verdict = matchesCurrent ? 'genuine' : 'superseded';
+  const lastRecorded = data.ledger[recorded[recorded.length - 1]];
+
+  return {
+    verdict,
+    parcelId,
+    certificateHash,
+    ...(includeCurrentHash ? { currentHash: parcel.hash } : {}),
+    matchesCurrent,
+    recordedAt: lastRecorded.timestamp,
+    ledgerIndex: lastRecorded.index,
+    issues,
+    parcel: {
+      name: parcel.name,
+      owner: parcel.owner,
+      location: parcel.location,
+      area: parcel.area,
+      status: parcel.status,
+      updatedAt: parcel.updatedAt
+    },
+    checkedAt
+  };
+};
+
+export const registerLedgerRoutes = (router, store, registrarKey) => {
+  router.get('/api/ledger', async ({ res, query, user }) => {
+    requirePermission(user, 'registry:read');
+    const data = await store.read();
+    const parcelId = query.get('parcelId');
+    const limit = Number(query.get('limit')) || 50;
+    if (limit < 1) throw new HttpError(400, 'limit must be positive');
+
+    const entries = data.ledger
+      .filter((entry) => !parcelId || entry.parcelId === parcelId)
+      .slice(-limit)
+      .reverse();
+    sendJson(res, 200, { entries, length: data.ledger.length });
+  });
+
+  router.get('/api/ledger/verify', async ({ res, user }) => {
+    requirePermission(user, 'registry:read');
+    const data = await store.read();
+    sendJson(res, 200, verifyLedger(data, registrarKey));
+  });
+
+  // Open to everyone: certificate QR codes are checked by banks and buyers without accounts.
+  router.get('/api/parcels/:id/verify', async ({ res, params, query, user }) => {
+    const data = await store.read();
+    const includeCurrentHash = can(user, 'registry:read');
+    sendJson(res, 200, verifyCertificate(data, params.id, query.get('hash'), registrarKey, { includeCurrentHash }));
+  });
+};
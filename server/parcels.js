@@ -0,0 +1,371 @@
+import { bboxOf, centroidOf, describePolygon, formatArea, geodesicPerimeter, isSelfIntersecting } from '../services/geometry.js';
+import { buildSelectionFeature, EXPORT_FORMATS, serializeParcels } from '../services/exportFormats.js';
+import { describeOverlaps, findOverlaps, multiPolygonArea } from '../services/overlap.js';
+import { listRegions, matchesDashboardFilter, summarizeParcels } from '../services/dashboardMetrics.js';
+import { parseParcelQuery, queryParcels } from '../services/parcelQuery.js';
+import { isStatsRecord, recordAnalysisRun, validateStoredReport } from './analyses.js';
+import { diffSnapshots, recordAuditEvent, snapshotParcel } from './audit.js';
+import { digestParcel } from './hashing.js';
+import { HttpError, readJsonBody, sendFile, sendJson } from './http.js';
+import { appendLedgerEntry } from './ledger.js';
+import { requirePermission } from './auth.js';
+import { PARCEL_FIELD_PERMISSIONS } from '../services/permissions.js';
+
+export const PARCEL_STATUSES = ['Verified', 'Pending', 'Flagged'];
+
+// `owner` is deliberately absent: after registration it only changes through an approved transfer.
+const EDITABLE_FIELDS = ['name', 'location', 'status', 'flagReason', 'imageUrl', 'analysis', 'geometry'];
+
+/** Records the registry starts with, carried over from the original mock table. */
+export const SEED_PARCELS = [
+  { id: 'T-882190', owner: 'Green Valley Farms', location: '34.05N, 118.24W', area: '45.20 ha', status: 'Verified', createdAt: '2023-10-12T00:00:00.000Z' },
+  { id: 'T-882191', owner: 'Urban Dev Corp', location: '34.01N, 118.29W', area: '12.50 ha', status: 'Verified', createdAt: '2023-10-15T00:00:00.000Z' },
+  { id: 'T-882192', owner: 'Private Holding', location: '34.12N, 118.35W', area: '2.10 ha', status: 'Pending', createdAt: '2023-11-01T00:00:00.000Z' },
+  { id: 'T-882193', owner: 'State Reserve', location: '34.45N, 118.10W', area: '120.00 ha', status: 'Verified', createdAt: '2023-11-05T00:00:00.000Z' },
+  { id: 'T-882194', owner: 'AgriTech Industries', location: '35.01N, 119.50W', area: '67.80 ha', status: 'Verified', createdAt: '2023-11-12T00:00:00.000Z' }
+].map((record) => ({
+  name: `${record.owner} Parcel`,
+  imageUrl: '',
+  geometry: null,
+  areaSqMeters: null,
+  perimeterMeters: null,
+  center: null,
+  bbox: null,
+  analysis: null,
+  lastAnalysis: null,
+  flagReason: null,
+  updatedAt: record.createdAt,
+  ...record
+}));
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Below this a ring is a line or a point (1e-12 square degrees is about 0.01 m²).
+const MIN_RING_AREA_SQ_DEGREES = 1e-12;
+
+const isPosition = (point) => Array.isArray(point) &&
+  Number.isFinite(point[0]) && Math.abs(point[0]) <= 180 &&
+  Number.isFinite(point[1]) && Math.abs(point[1]) <= 90;
+
+// Shoelace area in square degrees. The geodesic area of three points on one
+// line is not zero, so it cannot tell a collapsed ring from a thin one.
+const planarArea = (vertices) => Math.abs(vertices.reduce((sum, [lat1, lng1], i) => {
+  const [lat2, lng2] = vertices[(i + 1) % vertices.length];
+  return sum + lng1 * lat2 - lng2 * lat1;
+}, 0)) / 2;
+
+/** One GeoJSON ring to open [lat, lng] vertices; `label` names the ring in errors. */
+const ringToVertices = (ring, label) => {
+  if (!Array.isArray(ring) || !ring.every(isPosition)) {
+    throw new HttpError(400, `${label} coordinates must be [lng, lat] pairs in degrees`);
+  }
+
+  const vertices = ring.map(([lng, lat]) => [lat, lng]);
+  const [first, last] = [vertices[0], vertices[vertices.length - 1]];
+  if (vertices.length > 1 && first[0] === last[0] && first[1] === last[1]) vertices.pop();
+
+  if (new Set(vertices.map((vertex) => vertex.join(','))).size < 3) throw new HttpError(400, `${label} needs at least three distinct vertices`);
+  if (planarArea(vertices) < MIN_RING_AREA_SQ_DEGREES) throw new HttpError(400, `${label} must enclose an area`);
+  if (isSelfIntersecting(vertices)) throw new HttpError(400, `${label} must not self-intersect`);
+  return vertices;
+};
+
+/** GeoJSON Polygon to the app's open [lat, lng] vertex list of its outer ring; holes are checked alike. */
+const polygonToVertices = (geometry) => {
+  if (geometry?.type !== 'Polygon' || !Array.isArray(geometry.coordinates) || !geometry.coordinates.length) {
+    throw new HttpError(400, 'geometry must be a GeoJSON Polygon');
+  }
+
+  const [outer, ...holes] = geometry.coordinates;
+  const vertices = ringToVertices(outer, 'geometry');
+  holes.forEach((hole, position) => ringToVertices(hole, `geometry hole ${position + 1}`));
+  return vertices;
+};
+
+const closeRing = (ring) => {
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+/**
+ * Area, perimeter and extent are always recomputed here rather than trusted
+ * from the client; the area leaves out holes. Rings are stored closed, as
+ * GeoJSON requires, whether or not the client repeated the first position.
+ */
+const describeGeometry = (geometry) => {
+  if (!geometry) {
+    return { geometry: null, areaSqMeters: null, perimeterMeters: null, center: null, bbox: null, area: '' };
+  }
+  const vertices = polygonToVertices(geometry);
+  const areaSqMeters = multiPolygonArea([geometry.coordinates]);
+  return {
+    geometry: { type: 'Polygon', coordinates: geometry.coordinates.map(closeRing) },
+    areaSqMeters,
+    perimeterMeters: geodesicPerimeter(vertices),
+    center: centroidOf(vertices),
+    bbox: bboxOf(vertices),
+    area: formatArea(areaSqMeters)
+  };
+};
+
+/** Overlaps as stored on the record; the other parcel's boundary is looked up, not copied. */
+const toStoredConflicts = (conflicts) => conflicts.map(({ parcelId, overlapSqMeters, overlapPercent, overlap }) => ({
+  parcelId,
+  overlapSqMeters,
+  overlapPercent,
+  overlap
+}));
+
+/** Any overlap with a registered boundary flags the record, keeping an earlier flag reason alongside. */
+const applyConflicts = (record, conflicts) => {
+  record.conflicts = toStoredConflicts(conflicts);
+  if (!conflicts.length) return;
+  const reason = describeOverlaps(conflicts);
+  record.flagReason = record.status === 'Flagged' && record.flagReason && !record.flagReason.startsWith('Boundary overlaps')
+    ? `${reason} ${record.flagReason}`
+    : reason;
+  record.status = 'Flagged';
+};
+
+/** Throws a 400 listing every problem; a valid report is replaced by its checked copy. */
+const validateFields = (input, { partial }) => {
+  const errors = [];
+  let storedReport = null;
+  if (!partial || 'name' in input) {
+    if (!isNonEmptyString(input.name)) errors.push('name is required');
+  }
+  if (!partial && !isNonEmptyString(input.owner)) errors.push('owner is required');
+  if (partial && 'owner' in input) errors.push('owner can only change through an approved transfer');
+  if ('location' in input && input.location !== null && typeof input.location !== 'string') {
+    errors.push('location must be a string');
+  }
+  if ('status' in input && !PARCEL_STATUSES.includes(input.status)) {
+    errors.push(`status must be one of ${PARCEL_STATUSES.join(', ')}`);
+  }
+  if ('flagReason' in input && input.flagReason !== null && typeof input.flagReason !== 'string') {
+    errors.push('flagReason must be a string');
+  }
+  if ('imageUrl' in input && input.imageUrl !== null && typeof input.imageUrl !== 'string') {
+    errors.push('imageUrl must be a string');
+  }
+  if ('analysis' in input && input.analysis !== null && (typeof input.analysis !== 'object' || Array.isArray(input.analysis))) {
+    errors.push('analysis must be an object');
+  } else if (input.analysis) {
+    if (input.analysis.stats != null && !isStatsRecord(input.analysis.stats)) {
+      errors.push('analysis.stats must map index ids to {mean,min,max,stdDev}');
+    }
+    if (input.analysis.report != null && (typeof input.analysis.report !== 'object' || Array.isArray(input.analysis.report))) {
+      errors.push('analysis.report must be an object');
+    } else if (input.analysis.report) {
+      const checked = validateStoredReport(input.analysis);
+      errors.push(...checked.errors);
+      storedReport = checked.report;
+    }
+  }
+  if (!partial && !input.geometry) errors.push('geometry is required');
+  if (errors.length) throw new HttpError(400, 'Invalid parcel', errors);
+  if (storedReport) input.analysis = { ...input.analysis, report: storedReport };
+};
+
+const nextParcelId = (parcels) => {
+  const highest = parcels.reduce((max, parcel) => {
+    const numeric = Number(String(parcel.id).replace(/^T-/, ''));
+    return Number.isFinite(numeric) ? Math.max(max, numeric) : max;
+  }, 882189);
+  return `T-${highest + 1}`;
+};
+
+export const findParcel = (data, id) => {
+  const parcel = data.parcels.find((candidate) => candidate.id === id);
+  if (!parcel) throw new HttpError(404, `Parcel ${id} not found`);
+  return parcel;
+};
+
+/** Every create and update is written to the parcel table, the ledger and the audit log in one store update. */
+export const registerParcelRoutes = (router, store, { registrarKey } = {}) => {
+  // Filters, sort and paging use the /records URL keys (services/parcelQuery.js),
+  // newest first by default. Always one page: the whole registry only leaves
+  // through the audited export below.
+  router.get('/api/parcels', async ({ res, query, user }) => {
+    requirePermission(user, 'registry:read');
+    const options = { ...parseParcelQuery(Object.fromEntries(query)), paged: true };
+    if (options.errors.length) throw new HttpError(400, 'Invalid parcel query', options.errors);
+    const data = await store.read();
+    const { parcels, total } = queryParcels(data.parcels, options);
+    sendJson(res, 200, { parcels, total, page: options.page, pageSize: options.pageSize, registryTotal: data.parcels.length });
+  });
+
+  // Dashboard figures for a date range and region, computed here so the
+  // browser never loads the registry; `regions` lists every region on record.
+  router.get('/api/parcels/summary', async ({ res, query, user }) => {
+    requirePermission(user, 'registry:read');
+    const { from, to, region } = Object.fromEntries(query);
+    const { filter, errors } = parseParcelQuery({ from, to, region });
+    if (errors.length) throw new HttpError(400, 'Invalid summary range', errors);
+    const data = await store.read();
+    sendJson(res, 200, {
+      summary: summarizeParcels(data.parcels.filter((parcel) => matchesDashboardFilter(parcel, filter))),
+      regions: listRegions(data.parcels)
+    });
+  });
+
+  // Every match of the list filters, sorted but never paged, as a file. Built
+  // here rather than in the browser so each export is in the audit log.
+  router.get('/api/parcels/export', async (ctx) => {
+    requirePermission(ctx.user, 'registry:read');
+    const { format: formatId, ...listQuery } = Object.fromEntries(ctx.query);
+    const format = EXPORT_FORMATS.find((candidate) => candidate.id === formatId);
+    const options = parseParcelQuery({ ...listQuery, page: undefined, pageSize: undefined });
+    if (!format) options.errors.push(`format must be one of ${EXPORT_FORMATS.map((candidate) => candidate.id).join(', ')}`);
+    if (options.errors.length) throw new HttpError(400, 'Invalid export query', options.errors);
+
+    const { parcels, timestamp } = await store.update((data) => {
+      const matching = queryParcels(data.parcels, options).parcels;
+      const event = recordAuditEvent(data, ctx, {
+        action: 'EXPORT',
+        parcelId: matching.length === 1 ? matching[0].id : null,
+        details: { kind: 'parcels', format: format.id, count: matching.length, query: new URLSearchParams(listQuery).toString() }
+      });
+      return { parcels: matching, timestamp: event.timestamp };
+    });
+    sendFile(ctx.res, `land-registry-${timestamp.slice(0, 10)}.${format.extension}`, format.mimeType, serializeParcels(parcels, format.id));
+  });
+
+  // The explorer's unsaved selection as a GeoJSON Feature. Its measurements are
+  // recomputed from the boundary; the rest is what the explorer showed.
+  router.post('/api/parcels/export/selection', async (ctx) => {
+    requirePermission(ctx.user, 'registry:read');
+    const { geometry, locationName = null, stats = null, source = null, classification = null, report = null } = await readJsonBody(ctx.req);
+    const selection = describePolygon(polygonToVertices(geometry));
+    const errors = geometry.coordinates.length > 1 ? ['a selection has no holes'] : [];
+    if (locationName !== null && typeof locationName !== 'string') errors.push('locationName must be a string');
+    if (stats !== null && !isStatsRecord(stats)) errors.push('stats must map index ids to {mean,min,max,stdDev}');
+    Object.entries({ source, classification, report }).forEach(([field, value]) => {
+      if (value !== null && (typeof value !== 'object' || Array.isArray(value))) errors.push(`${field} must be an object`);
+    });
+    if (errors.length) throw new HttpError(400, 'Invalid selection export', errors);
+
+    const timestamp = await store.update((data) => recordAuditEvent(data, ctx, {
+      action: 'EXPORT',
+      details: { kind: 'selection', format: 'geojson', count: 1, areaSqMeters: Math.round(selection.areaSqMeters) }
+    }).timestamp);
+    const feature = buildSelectionFeature({ selection, locationName, stats, source, classification, report });
+    sendFile(ctx.res, `parcel-selection-${timestamp.slice(0, 10)}.geojson`, 'application/geo+json', JSON.stringify(feature, null, 2));
+  });
+
+  router.get('/api/parcels/:id', async ({ res, params, user }) => {
+    requirePermission(user, 'registry:read');
+    const data = await store.read();
+    sendJson(res, 200, findParcel(data, params.id));
+  });
+
+  // The certified record and its latest ledger entry. Each issue is audited,
+  // which is why the browser fetches the record here rather than printing its own copy.
+  router.post('/api/parcels/:id/certificates', async (ctx) => {
+    requirePermission(ctx.user, 'registry:read');
+    const certificate = await store.update((data) => {
+      const parcel = findParcel(data, ctx.params.id);
+      const ledgerEntry = data.ledger.findLast((entry) => entry.parcelId === parcel.id) || null;
+      const event = recordAuditEvent(data, ctx, {
+        action: 'EXPORT',
+        parcelId: parcel.id,
+        details: { kind: 'certificate', format: 'print', count: 1, hash: parcel.hash }
+      });
+      return { parcel, ledgerEntry, issuedAt: event.timestamp };
+    });
+    sendJson(ctx.res, 201, certificate);
+  });
+
+  // Dry run of the registration check, used by the explorer before a parcel is saved.
+  router.post('/api/parcels/overlaps', async ({ req, res, user }) => {
+    requirePermission(user, 'registry:read');
+    const { geometry, excludeId } = await readJsonBody(req);
+    polygonToVertices(geometry);
+    const data = await store.read();
+    sendJson(res, 200, { conflicts: findOverlaps(geometry, data.parcels, { excludeId }) });
+  });
+
+  router.post('/api/parcels', async (ctx) => {
+    const { req, res, user } = ctx;
+    requirePermission(user, 'parcels:register');
+    const input = await readJsonBody(req);
+    validateFields(input, { partial: false });
+    // Capture may arrive flagged by change detection, but only a review can verify.
+    if (input.status === 'Verified') requirePermission(user, 'parcels:review');
+
+    const parcel = await store.update((data) => {
+      const now = new Date().toISOString();
+      const record = {
+        id: nextParcelId(data.parcels),
+        name: input.name.trim(),
+        owner: input.owner.trim(),
+        location: input.location?.trim() || '',
+        status: input.status || 'Pending',
+        flagReason: input.flagReason || null,
+        imageUrl: input.imageUrl || '',
+        ...describeGeometry(input.geometry),
+        analysis: input.analysis || null,
+        lastAnalysis: input.analysis ? now : null,
+        conflicts: [],
+        registeredBy: user.username,
+        createdAt: now,
+        updatedAt: now
+      };
+      applyConflicts(record, findOverlaps(record.geometry, data.parcels));
+      record.hash = digestParcel(record);
+      data.parcels.push(record);
+      recordAnalysisRun(data, record, record.analysis, now, user.username);
+      appendLedgerEntry(data, { type: 'PARCEL_REGISTERED', parcel: record, changes: null, actor: user.username, timestamp: now }, registrarKey);
+      recordAuditEvent(data, ctx, { action: 'PARCEL_REGISTERED', parcelId: record.id, after: snapshotParcel(record), timestamp: now });
+      return record;
+    });
+
+    sendJson(res, 201, parcel);
+  });
+
+  router.patch('/api/parcels/:id', async (ctx) => {
+    const { req, res, params, user } = ctx;
+    const input = await readJsonBody(req);
+    // Each field needs its own permission; an empty update still needs some edit right.
+    const fields = EDITABLE_FIELDS.filter((field) => field in input);
+    (fields.length ? fields.map((field) => PARCEL_FIELD_PERMISSIONS[field]) : ['parcels:edit'])
+      .forEach((permission) => requirePermission(user, permission));
+    validateFields(input, { partial: true });
+
+    const parcel = await store.update((data) => {
+      const record = findParcel(data, params.id);
+      const before = snapshotParcel(record);
+      const now = new Date().toISOString();
+      const changes = EDITABLE_FIELDS.filter((field) => field in input);
+
+      changes.forEach((field) => {
+        record[field] = typeof input[field] === 'string' ? input[field].trim() : input[field];
+      });
+      if ('analysis' in input) {
+        record.lastAnalysis = input.analysis ? now : null;
+        recordAnalysisRun(data, record, input.analysis, now, user.username);
+      }
+      if (record.status !== 'Flagged') record.flagReason = null;
+      if ('geometry' in input) {
+        Object.assign(record, describeGeometry(input.geometry));
+        applyConflicts(record, record.geometry ? findOverlaps(record.geometry, data.parcels, { excludeId: record.id }) : []);
+      }
+
+      record.updatedAt = now;
+      record.hash = digestParcel(record);
+      appendLedgerEntry(data, { type: 'PARCEL_UPDATED', parcel: record, changes, actor: user.username, timestamp: now }, registrarKey);
+      // Boundary overlaps can flag a parcel too, so the status is compared rather than the input.
+      const diff = diffSnapshots(before, snapshotParcel(record));
+      recordAuditEvent(data, ctx, {
+        action: 'status' in diff.after ? 'PARCEL_STATUS_CHANGED' : 'PARCEL_UPDATED',
+        parcelId: record.id,
+        ...diff,
+        details: { fields: changes },
+        timestamp: now
+      });
+      return record;
+    });
+
+    sendJson(res, 200, parcel);
+  });
+};
@@ -0,0 +1,313 @@
+import { recordAuditEvent } from './audit.js';
+import { digestParcel } from './hashing.js';
+import { HttpError, readJsonBody, sendJson } from './http.js';
+import { appendLedgerEntry } from './ledger.js';
+import { requirePermission } from './auth.js';
+import { findParcel } from './parcels.js';
+
+export const TRANSFER_KINDS = ['sale', 'inheritance', 'gift'];
+
+const EDITABLE_FIELDS = ['kind', 'seller', 'buyer', 'transferDate', 'consideration', 'documents'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const validateTransfer = (transfer) => {
+  const errors = [];
+  if (!TRANSFER_KINDS.includes(transfer.kind)) errors.push(`kind must be one of ${TRANSFER_KINDS.join(', ')}`);
+  if (!isNonEmptyString(transfer.seller)) errors.push('seller is required');
+  if (!isNonEmptyString(transfer.buyer)) errors.push('buyer is required');
+  if (isNonEmptyString(transfer.seller) && transfer.seller.trim() === transfer.buyer?.trim()) {
+    errors.push('buyer must differ from seller');
+  }
+  if (!DATE_PATTERN.test(transfer.transferDate || '') || Number.isNaN(Date.parse(transfer.transferDate))) {
+    errors.push('transferDate must be a YYYY-MM-DD date');
+  }
+
+  const { consideration } = transfer;
+  if (consideration !== null && consideration !== undefined) {
+    if (!Number.isFinite(consideration.amount) || consideration.amount < 0) errors.push('consideration.amount must be a non-negative number');
+    if (!isNonEmptyString(consideration.currency)) errors.push('consideration.currency is required');
+  }
+  if (transfer.kind === 'sale' && !consideration) errors.push('a sale needs a consideration');
+
+  if (!Array.isArray(transfer.documents) ||
+    !transfer.documents.every((doc) => isNonEmptyString(doc?.type) && isNonEmptyString(doc?.reference))) {
+    errors.push('documents must be a list of { type, reference }');
+  }
+  return errors;
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Drafts may be incomplete (submit runs validateTransfer), but every field
+// that is present must already have the type the record stores.
+const validateDraftFields = (input) => {
+  const errors = [];
+  if ('kind' in input && !TRANSFER_KINDS.includes(input.kind)) errors.push(`kind must be one of ${TRANSFER_KINDS.join(', ')}`);
+  ['seller', 'buyer', 'transferDate'].forEach((field) => {
+    if (field in input && typeof input[field] !== 'string') errors.push(`${field} must be a string`);
+  });
+  const { consideration } = input;
+  if (consideration !== null && consideration !== undefined &&
+    (!isPlainObject(consideration) || typeof consideration.amount !== 'number' || typeof consideration.currency !== 'string')) {
+    errors.push('consideration must be null or { amount: number, currency: string }');
+  }
+  if ('documents' in input && (!Array.isArray(input.documents) ||
+    !input.documents.every((doc) => isPlainObject(doc) && typeof doc.type === 'string' && typeof doc.reference === 'string'))) {
+    errors.push('documents must be a list of { type, reference } strings');
+  }
+  if (errors.length) throw new HttpError(400, 'Invalid transfer', errors);
+};
+
+const normalizeFields = (input) => Object.fromEntries(
+  EDITABLE_FIELDS.filter((field) => field in input).map((field) => {
+    const value = input[field];
+    if (typeof value === 'string') return [field, value.trim()];
+    if (field === 'documents') return [field, value.map((doc) => ({ type: doc.type.trim(), reference: doc.reference.trim() }))];
+    if (field === 'consideration' && value) return [field, { amount: value.amount, currency: value.currency.trim() }];
+    return [field, value ?? null];
+  })
+);
+
+const pickFields = (record, fields) => Object.fromEntries(fields.map((field) => [field, record[field] ?? null]));
+
+const recordStatusChange = (data, ctx, record, action, previousStatus, timestamp, extra = {}) =>
+  recordAuditEvent(data, ctx, {
+    action,
+    parcelId: record.parcelId,
+    transferId: record.id,
+    before: { status: previousStatus },
+    after: { status: record.status, ...extra },
+    timestamp
+  });
+
+const nextTransferId = (transfers) => `TR-${String(transfers.length + 1).padStart(5, '0')}`;
+
+const findTransfer = (data, id) => {
+  const transfer = data.transfers.find((candidate) => candidate.id === id);
+  if (!transfer) throw new HttpError(404, `Transfer ${id} not found`);
+  return transfer;
+};
+
+const requireStatus = (transfer, ...allowed) => {
+  if (!allowed.includes(transfer.status)) {
+    throw new HttpError(409, `Transfer ${transfer.id} is ${transfer.status}; expected ${allowed.join(' or ')}`);
+  }
+};
+
+// A Flagged parcel has a disputed boundary or record; its owner stays put until the flag is resolved.
+const requireTransferable = (parcel) => {
+  if (parcel.status === 'Flagged') {
+    throw new HttpError(409, `Parcel ${parcel.id} is Flagged${parcel.flagReason ? ` (${parcel.flagReason})` : ''}; resolve the flag before transferring it`);
+  }
+};
+
+const approvedTransfersFor = (data, parcelId) => data.transfers
+  .filter((transfer) => transfer.parcelId === parcelId && transfer.status === 'approved')
+  .sort((a, b) => a.transferDate.localeCompare(b.transferDate) || a.approvedAt.localeCompare(b.approvedAt));
+
+/**
+ * Chronological owners of a parcel: the registered owner first, then the
+ * buyer of each approved transfer. The last link is the current owner.
+ */
+export const buildChainOfTitle = (data, parcel) => {
+  const approved = approvedTransfersFor(data, parcel.id);
+  const registeredOwner = approved.length ? approved[0].seller : parcel.owner;
+  const links = [{
+    owner: registeredOwner,
+    from: parcel.createdAt.slice(0, 10),
+    to: null,
+    acquiredBy: 'registration',
+    transferId: null,
+    consideration: null
+  }];
+
+  approved.forEach((transfer) => {
+    links[links.length - 1].to = transfer.transferDate;
+    links.push({
+      owner: transfer.buyer,
+      from: transfer.transferDate,
+      to: null,
+      acquiredBy: transfer.kind,
+      transferId: transfer.id,
+      consideration: transfer.consideration
+    });
+  });
+  return links;
+};
+
+export const registerTransferRoutes = (router, store, { registrarKey } = {}) => {
+  router.get('/api/parcels/:id/transfers', async ({ res, params, user }) => {
+    requirePermission(user, 'registry:read');
+    const data = await store.read();
+    const parcel = findParcel(data, params.id);
+    const transfers = data.transfers
+      .filter((transfer) => transfer.parcelId === parcel.id)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    sendJson(res, 200, { transfers, chainOfTitle: buildChainOfTitle(data, parcel) });
+  });
+
+  router.post('/api/parcels/:id/transfers', async (ctx) => {
+    const { req, res, params, user } = ctx;
+    requirePermission(user, 'transfers:manage');
+    const input = await readJsonBody(req);
+    validateDraftFields(input);
+
+    const transfer = await store.update((data) => {
+      const parcel = findParcel(data, params.id);
+      const now = new Date().toISOString();
+      const record = {
+        id: nextTransferId(data.transfers),
+        parcelId: parcel.id,
+        kind: 'sale',
+        seller: parcel.owner,
+        buyer: '',
+        transferDate: now.slice(0, 10),
+        consideration: null,
+        documents: [],
+        ...normalizeFields(input),
+        status: 'draft',
+        createdBy: user.username,
+        submittedBy: null,
+        decidedBy: null,
+        createdAt: now,
+        updatedAt: now,
+        submittedAt: null,
+        decidedAt: null,
+        approvedAt: null,
+        rejectionReason: null
+      };
+      data.transfers.push(record);
+      recordAuditEvent(data, ctx, {
+        action: 'TRANSFER_DRAFTED',
+        parcelId: parcel.id,
+        transferId: record.id,
+        after: pickFields(record, EDITABLE_FIELDS),
+        timestamp: now
+      });
+      return record;
+    });
+
+    sendJson(res, 201, transfer);
+  });
+
+  router.patch('/api/transfers/:id', async (ctx) => {
+    const { req, res, params, user } = ctx;
+    requirePermission(user, 'transfers:manage');
+    const input = await readJsonBody(req);
+    validateDraftFields(input);
+
+    const transfer = await store.update((data) => {
+      const record = findTransfer(data, params.id);
+      requireStatus(record, 'draft');
+      const fields = normalizeFields(input);
+      const before = pickFields(record, Object.keys(fields));
+      const now = new Date().toISOString();
+      Object.assign(record, fields, { updatedAt: now });
+      recordAuditEvent(data, ctx, {
+        action: 'TRANSFER_UPDATED',
+        parcelId: record.parcelId,
+        transferId: record.id,
+        before,
+        after: pickFields(record, Object.keys(fields)),
+        timestamp: now
+      });
+      return record;
+    });
+
+    sendJson(res, 200, transfer);
+  });
+
+  router.post('/api/transfers/:id/submit', async (ctx) => {
+    const { res, params, user } = ctx;
+    requirePermission(user, 'transfers:manage');
+    const transfer = await store.update((data) => {
+      const record = findTransfer(data, params.id);
+      requireStatus(record, 'draft');
+      const errors = validateTransfer(record);
+      if (!record.documents.length) errors.push('at least one supporting document is required');
+      if (errors.length) throw new HttpError(400, 'Transfer is incomplete', errors);
+      requireTransferable(findParcel(data, record.parcelId));
+
+      const now = new Date().toISOString();
+      Object.assign(record, { status: 'submitted', submittedAt: now, submittedBy: user.username, updatedAt: now });
+      recordStatusChange(data, ctx, record, 'TRANSFER_SUBMITTED', 'draft', now);
+      return record;
+    });
+
+    sendJson(res, 200, transfer);
+  });
+
+  router.post('/api/transfers/:id/reject', async (ctx) => {
+    const { req, res, params, user } = ctx;
+    requirePermission(user, 'transfers:manage');
+    const { reason } = await readJsonBody(req);
+    if (!isNonEmptyString(reason)) throw new HttpError(400, 'A rejection reason is required');
+
+    const transfer = await store.update((data) => {
+      const record = findTransfer(data, params.id);
+      requireStatus(record, 'submitted');
+      const now = new Date().toISOString();
+      Object.assign(record, { status: 'rejected', rejectionReason: reason.trim(), decidedAt: now, decidedBy: user.username, updatedAt: now });
+      recordStatusChange(data, ctx, record, 'TRANSFER_REJECTED', 'submitted', now, { rejectionReason: record.rejectionReason });
+      return record;
+    });
+
+    sendJson(res, 200, transfer);
+  });
+
+  /**
+   * Approval is the only path that changes `parcel.owner`, and it is written to
+   * the ledger. It takes a second registrar: whoever drafted or submitted the
+   * transfer cannot approve it.
+   */
+  router.post('/api/transfers/:id/approve', async (ctx) => {
+    const { res, params, user } = ctx;
+    requirePermission(user, 'transfers:manage');
+    const result = await store.update((data) => {
+      const record = findTransfer(data, params.id);
+      requireStatus(record, 'submitted');
+      if (record.createdBy === user.username || record.submittedBy === user.username) {
+        throw new HttpError(403, `${record.id} was drafted or submitted by you; another registrar must approve it`);
+      }
+      const parcel = findParcel(data, record.parcelId);
+      requireTransferable(parcel);
+
+      if (record.seller !== parcel.owner) {
+        throw new HttpError(409, `Seller ${record.seller} is not the current owner (${parcel.owner})`);
+      }
+      const latest = approvedTransfersFor(data, parcel.id).pop();
+      if (latest && record.transferDate < latest.transferDate) {
+        throw new HttpError(409, `Transfer date precedes the latest approved transfer (${latest.transferDate})`);
+      }
+
+      const now = new Date().toISOString();
+      Object.assign(record, { status: 'approved', approvedAt: now, decidedAt: now, decidedBy: user.username, updatedAt: now });
+
+      recordAuditEvent(data, ctx, {
+        action: 'TRANSFER_APPROVED',
+        parcelId: parcel.id,
+        transferId: record.id,
+        before: { status: 'submitted', owner: parcel.owner },
+        after: { status: 'approved', owner: record.buyer },
+        timestamp: now
+      });
+      parcel.owner = record.buyer;
+      parcel.updatedAt = now;
+      parcel.hash = digestParcel(parcel);
+      appendLedgerEntry(data, {
+        type: 'OWNERSHIP_TRANSFERRED',
+        parcel,
+        changes: ['owner'],
+        transferId: record.id,
+        actor: user.username,
+        timestamp: now
+      }, registrarKey);
+
+      return { transfer: record, parcel };
+    });
+
+    sendJson(res, 200, result);
+  });
+};
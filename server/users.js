@@ -0,0 +1,85 @@
+// Account maintenance for the local user store (`users` in the registry file).
+// The API caches the file in memory, so stop it before running this.
+//
+//   npm run users -- list
+//   npm run users -- add <username> <role> "<full name>"
+//   npm run users -- passwd <username>
+//   npm run users -- remove <username>
+//
+// Passwords are read from USER_PASSWORD or prompted for.
+import path from 'node:path';
+import { createInterface } from 'node:readline/promises';
+import { fileURLToPath } from 'node:url';
+import { ROLE_IDS } from '../services/permissions.js';
+import { createUserRecord, hashPassword, validateUser } from './auth.js';
+import { createJsonStore } from './jsonStore.js';
+
+const DATA_FILE = process.env.REGISTRY_DATA_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'registry.json');
+
+const store = createJsonStore(DATA_FILE, () => {
+  throw new Error(`${DATA_FILE} does not exist; start the API once to create it`);
+});
+
+const readPassword = async () => {
+  if (process.env.USER_PASSWORD) return process.env.USER_PASSWORD;
+  const prompt = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await prompt.question('Password: ');
+  } finally {
+    prompt.close();
+  }
+};
+
+const findUser = (data, username) => {
+  const user = data.users.find((candidate) => candidate.username === username);
+  if (!user) throw new Error(`No user ${username}`);
+  return user;
+};
+
+const commands = {
+  list: async () => {
+    const data = await store.read();
+    data.users.forEach((user) => console.log(`${user.username}\t${user.role}\t${user.name}`));
+  },
+  add: async (username, role, ...nameParts) => {
+    const input = { username, role, name: nameParts.join(' '), password: await readPassword() };
+    const errors = validateUser(input);
+    if (errors.length) throw new Error(errors.join('; '));
+    await store.update((data) => {
+      if (data.users.some((user) => user.username === username)) throw new Error(`User ${username} already exists`);
+      data.users.push(createUserRecord(input));
+    });
+    console.log(`Added ${username} (${role})`);
+  },
+  passwd: async (username) => {
+    const password = await readPassword();
+    const data = await store.read();
+    const errors = validateUser({ ...findUser(data, username), password });
+    if (errors.length) throw new Error(errors.join('; '));
+    await store.update((current) => {
+      findUser(current, username).passwordHash = hashPassword(password);
+    });
+    console.log(`Password changed for ${username}`);
+  },
+  remove: async (username) => {
+    await store.update((data) => {
+      findUser(data, username);
+      data.users = data.users.filter((user) => user.username !== username);
+    });
+    console.log(`Removed ${username}`);
+  }
+};
+
+const [command, ...args] = process.argv.slice(2);
+if (!commands[command]) {
+  console.error(`Usage: users <list | add <username> <${ROLE_IDS.join('|')}> <name> | passwd <username> | remove <username>>`);
+  process.exit(1);
+}
+
+try {
+  await commands[command](...args);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,49 @@
+// Comparison between two stored analysis runs of one parcel (server/analyses.js).
+
+const normalize = (text) => text.trim().toLowerCase();
+
+// Risks and crops are free text, so set differences ignore case and spacing.
+const difference = (items, others) => {
+  const seen = new Set((others || []).map(normalize));
+  return (items || []).filter((item) => !seen.has(normalize(item)));
+};
+
+/**
+ * What changed from `before` to `after`. Scores are null-safe because rule
+ * runs on unclassified parcels have no score; index deltas cover the indices
+ * both runs computed.
+ */
+export const diffAnalysisRuns = (before, after) => {
+  const scoreFrom = before.report.suitabilityScore;
+  const scoreTo = after.report.suitabilityScore;
+  const sharedIndices = Object.keys(after.geoStats || {})
+    .filter((id) => id !== 'RGB' && Number.isFinite(before.geoStats?.[id]?.mean) && Number.isFinite(after.geoStats[id].mean));
+
+  return {
+    days: Math.round((Date.parse(after.analyzedAt) - Date.parse(before.analyzedAt)) / 86400000),
+    score: {
+      from: scoreFrom,
+      to: scoreTo,
+      delta: Number.isFinite(scoreFrom) && Number.isFinite(scoreTo) ? scoreTo - scoreFrom : null
+    },
+    landUse: normalize(before.report.landUse) === normalize(after.report.landUse)
+      ? null
+      : { from: before.report.landUse, to: after.report.landUse },
+    newRisks: difference(after.report.risks, before.report.risks),
+    resolvedRisks: difference(before.report.risks, after.report.risks),
+    cropsAdded: difference(after.report.cropRecommendations, before.report.cropRecommendations),
+    cropsRemoved: difference(before.report.cropRecommendations, after.report.cropRecommendations),
+    indices: sharedIndices.map((id) => ({
+      id,
+      from: before.geoStats[id].mean,
+      to: after.geoStats[id].mean,
+      delta: after.geoStats[id].mean - before.geoStats[id].mean
+    })),
+    scene: before.source?.sceneId === after.source?.sceneId
+      ? null
+      : { from: before.source, to: after.source },
+    model: before.report.provenance?.model === after.report.provenance?.model
+      ? null
+      : { from: before.report.provenance?.model || before.report.model || null, to: after.report.provenance?.model || after.report.model || null }
+  };
+};
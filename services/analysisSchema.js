@@ -0,0 +1,100 @@
+// Runtime contract for AI land reports. The API validates every model answer
+// against it before anything is cached, shown or stored on a parcel.
+
+// Bump whenever buildAnalysisPrompt (server/aiProviders.js) changes meaning,
+// so stored reports can be traced to the wording that produced them.
+export const ANALYSIS_PROMPT_VERSION = 'land-analysis/2';
+
+const MAX_SUMMARY_WORDS = 90; // The prompt asks for 60; leave room before rejecting
+const MAX_LIST_ITEMS = 12;
+const MAX_TEXT_LENGTH = 200;
+const VALUE_TOLERANCE = 0.015; // Rounding slack when matching quoted index values
+
+const isText = (value, maxLength = MAX_TEXT_LENGTH) =>
+  typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+const checkList = (value, field, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be an array of strings`);
+    return [];
+  }
+  if (value.length > MAX_LIST_ITEMS) errors.push(`${field} has more than ${MAX_LIST_ITEMS} items`);
+  if (!value.every((item) => isText(item))) errors.push(`${field} items must be non-empty strings under ${MAX_TEXT_LENGTH} characters`);
+  return value.map((item) => (typeof item === 'string' ? item.trim() : item));
+};
+
+/** Index values the summary may quote: mean, min and max of each supplied index. */
+const quotableValues = (stats) => Object.entries(stats || {})
+  .filter(([key]) => key !== 'RGB')
+  .flatMap(([, stat]) => [stat.mean, stat.min, stat.max])
+  .filter(Number.isFinite);
+
+const referencesIndexValues = (summary, stats) => {
+  const indexIds = Object.keys(stats || {}).filter((key) => key !== 'RGB');
+  const mentionsIndex = indexIds.some((id) => new RegExp(`\\b${id}\\b`, 'i').test(summary));
+  const numbers = (summary.match(/-?\d*\.\d+|-?\d+/g) || []).map(Number);
+  const values = quotableValues(stats);
+  const quotesValue = numbers.some((number) => values.some((value) => Math.abs(number - value) <= VALUE_TOLERANCE));
+  return mentionsIndex && quotesValue;
+};
+
+/**
+ * Checks a parsed model answer. Returns the report with only the schema's
+ * fields (strings trimmed) and a list of problems; the report is usable only
+ * when `errors` is empty. `unscored` accepts a null score and a summary that
+ * quotes nothing, as the rule engine writes for a parcel it cannot classify.
+ */
+export const validateAnalysisResult = (value, stats, { unscored = false } = {}) => {
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { result: null, errors: ['answer must be a JSON object'] };
+  }
+
+  const { suitabilityScore, landUse, soilTypeEstimation, summary } = value;
+  const leftUnscored = unscored && suitabilityScore === null;
+  // Nothing was classified, so there is no score to range-check or value to quote.
+  if (!leftUnscored) {
+    if (typeof suitabilityScore !== 'number' || !Number.isFinite(suitabilityScore)) {
+      errors.push('suitabilityScore must be a number');
+    } else if (suitabilityScore < 0 || suitabilityScore > 100) {
+      errors.push(`suitabilityScore ${suitabilityScore} is outside 0-100`);
+    }
+  }
+  if (!isText(landUse)) errors.push('landUse must be a non-empty string');
+  if (!isText(soilTypeEstimation)) errors.push('soilTypeEstimation must be a non-empty string');
+  const cropRecommendations = checkList(value.cropRecommendations, 'cropRecommendations', errors);
+  const risks = checkList(value.risks, 'risks', errors);
+
+  if (!isText(summary, 1000)) {
+    errors.push('summary must be a non-empty string');
+  } else {
+    const words = summary.trim().split(/\s+/).length;
+    if (words > MAX_SUMMARY_WORDS) errors.push(`summary has ${words} words (limit ${MAX_SUMMARY_WORDS})`);
+    if (!leftUnscored && !referencesIndexValues(summary, stats)) {
+      errors.push('summary must name an index and quote one of the supplied index values');
+    }
+  }
+
+  return {
+    result: {
+      suitabilityScore,
+      landUse: typeof landUse === 'string' ? landUse.trim() : landUse,
+      cropRecommendations,
+      risks,
+      soilTypeEstimation: typeof soilTypeEstimation === 'string' ? soilTypeEstimation.trim() : soilTypeEstimation,
+      summary: typeof summary === 'string' ? summary.trim() : summary
+    },
+    errors
+  };
+};
+
+/** Raw model text to a validated report; malformed JSON is just another error. */
+export const parseAnalysisText = (text, stats) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (_) {
+    return { result: null, errors: ['answer is not valid JSON'] };
+  }
+  return validateAnalysisResult(parsed, stats);
+};
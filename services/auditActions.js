@@ -0,0 +1,27 @@
+// Audit event types, shared by the API (server/audit.js writes them) and the
+// Audit Log view. Unlike the ledger, the audit trail covers every user action,
+// including reads that leave the registry (exports) and sign-ins.
+
+export const AUDIT_ACTIONS = [
+  { id: 'LOGIN', label: 'Signed in' },
+  { id: 'LOGIN_FAILED', label: 'Sign in failed' },
+  { id: 'LOGOUT', label: 'Signed out' },
+  { id: 'PARCEL_REGISTERED', label: 'Parcel registered' },
+  { id: 'PARCEL_UPDATED', label: 'Parcel updated' },
+  { id: 'PARCEL_STATUS_CHANGED', label: 'Status changed' },
+  { id: 'TRANSFER_DRAFTED', label: 'Transfer drafted' },
+  { id: 'TRANSFER_UPDATED', label: 'Transfer edited' },
+  { id: 'TRANSFER_SUBMITTED', label: 'Transfer submitted' },
+  { id: 'TRANSFER_APPROVED', label: 'Transfer approved' },
+  { id: 'TRANSFER_REJECTED', label: 'Transfer rejected' },
+  { id: 'AI_ANALYSIS', label: 'AI analysis' },
+  { id: 'AI_QUERY', label: 'Registry query' },
+  { id: 'EXPORT', label: 'Export' }
+];
+
+export const AUDIT_ACTION_IDS = AUDIT_ACTIONS.map((action) => action.id);
+
+/** `details.kind` of an EXPORT event: a registry file, an explorer selection, an issued certificate or an audit log file. */
+export const EXPORT_KINDS = ['parcels', 'selection', 'certificate', 'audit'];
+
+export const auditActionLabel = (actionId) => AUDIT_ACTIONS.find((action) => action.id === actionId)?.label || actionId;
@@ -0,0 +1,73 @@
+// The signed-in account and its API token, kept in localStorage so a reload
+// stays signed in until the token expires or the API forgets it (restart).
+import { extractErrorText } from './sentinelService';
+
+const SESSION_STORAGE_KEY = 'land-record.session';
+const AUTH_API_URL = '/api/auth';
+
+export const AUTH_CHANGE_EVENT = 'land-record:auth';
+
+let currentSession;
+
+const readStoredSession = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+  } catch (_) {
+    return null;
+  }
+};
+
+const setSession = (session) => {
+  currentSession = session;
+  if (session) window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  else window.localStorage.removeItem(SESSION_STORAGE_KEY);
+  window.dispatchEvent(new Event(AUTH_CHANGE_EVENT));
+};
+
+/** `{ token, expiresAt, user }`, or null when signed out or expired. */
+export const getSession = () => {
+  if (currentSession === undefined) currentSession = readStoredSession();
+  if (currentSession && Date.parse(currentSession.expiresAt) <= Date.now()) setSession(null);
+  return currentSession;
+};
+
+export const getCurrentUser = () => getSession()?.user || null;
+
+export const authHeaders = () => {
+  const session = getSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+};
+
+/** Called when the API answers 401: the token expired or the API restarted. */
+export const clearSession = () => {
+  if (getSession()) setSession(null);
+};
+
+export const login = async (username, password) => {
+  let response;
+  try {
+    response = await fetch(`${AUTH_API_URL}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+  } catch (_) {
+    throw new Error('Sign in failed: registry API unreachable. Start it with "npm run server".');
+  }
+  if (!response.ok) throw new Error(await extractErrorText(response));
+
+  const session = await response.json();
+  setSession(session);
+  return session.user;
+};
+
+export const logout = async () => {
+  const headers = authHeaders();
+  setSession(null);
+  try {
+    await fetch(`${AUTH_API_URL}/logout`, { method: 'POST', headers });
+  } catch (error) {
+    // The token expires on its own; signing out locally is what matters.
+    console.warn('Sign out request failed.', error);
+  }
+};
@@ -0,0 +1,205 @@
+import shp from 'shpjs';
+import proj4 from 'proj4';
+import { kml } from '@tmcw/togeojson';
+import { geodesicArea, isSelfIntersecting } from './geometry';
+
+export const IMPORT_ACCEPT = '.geojson,.json,.kml,.zip,.shp,.dbf,.prj,.cpg';
+
+const WGS84_NAMES = ['EPSG:4326', 'urn:ogc:def:crs:OGC:1.3:CRS84', 'urn:ogc:def:crs:EPSG::4326', 'CRS84'];
+
+// Attribute names survey exports commonly use for each LandParcel field.
+const FIELD_PATTERNS = {
+  name: /^(name|title|parcel_?name|plot_?name|label)$|name/i,
+  owner: /owner|holder|proprietor|khatedar|titleholder/i,
+  location: /location|address|village|district|locality|place|county/i
+};
+
+const extensionOf = (fileName) => fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase();
+
+const readText = (file) => file.text();
+const readBuffer = (file) => file.arrayBuffer();
+
+const isLngLat = ([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat) && Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+
+const reprojectCoordinates = (coordinates, project) => (
+  typeof coordinates[0] === 'number'
+    ? project(coordinates.slice(0, 2))
+    : coordinates.map((child) => reprojectCoordinates(child, project))
+);
+
+/** Reprojects every geometry in place using a proj4 definition (WKT, PROJ string or known EPSG code). */
+const reprojectCollection = (collection, definition) => {
+  const converter = proj4(definition, 'EPSG:4326');
+  collection.features.forEach((feature) => {
+    if (feature.geometry?.coordinates) {
+      feature.geometry.coordinates = reprojectCoordinates(feature.geometry.coordinates, (point) => converter.forward(point));
+    }
+  });
+};
+
+const parseGeoJson = (text, prjText) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (_) {
+    throw new Error('File is not valid JSON.');
+  }
+
+  const collection = parsed.type === 'FeatureCollection'
+    ? parsed
+    : { type: 'FeatureCollection', features: parsed.type === 'Feature' ? [parsed] : [{ type: 'Feature', properties: {}, geometry: parsed }] };
+  if (!Array.isArray(collection.features)) throw new Error('GeoJSON has no features.');
+
+  // Legacy GeoJSON may name its CRS; a sidecar .prj takes precedence.
+  const crsName = parsed.crs?.properties?.name;
+  if (prjText) {
+    reprojectCollection(collection, prjText);
+    return { collection, crsNote: 'Reprojected to WGS84 using the supplied .prj.' };
+  }
+  if (crsName && !WGS84_NAMES.includes(crsName)) {
+    const code = crsName.match(/EPSG:{1,2}(\d+)/i)?.[1];
+    if (!code || !proj4.defs(`EPSG:${code}`)) {
+      throw new Error(`Unsupported coordinate system ${crsName}. Re-export as WGS84 or add its .prj file.`);
+    }
+    reprojectCollection(collection, `EPSG:${code}`);
+    return { collection, crsNote: `Reprojected from EPSG:${code} to WGS84.` };
+  }
+  return { collection, crsNote: 'Coordinates read as WGS84.' };
+};
+
+const parseKml = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('File is not valid KML.');
+  return { collection: kml(doc), crsNote: 'KML coordinates are WGS84.' };
+};
+
+const parseShapefile = async (files) => {
+  const zip = files.find((file) => extensionOf(file.name) === 'zip');
+  if (zip) {
+    const result = await shp(await readBuffer(zip));
+    // A zip holding several shapefiles yields one collection per layer.
+    const layers = Array.isArray(result) ? result : [result];
+    return {
+      collection: { type: 'FeatureCollection', features: layers.flatMap((layer) => layer.features) },
+      crsNote: 'Shapefile coordinates reprojected to WGS84 from the bundled .prj, when present.'
+    };
+  }
+
+  const byExtension = Object.fromEntries(files.map((file) => [extensionOf(file.name), file]));
+  const prj = byExtension.prj ? await readText(byExtension.prj) : undefined;
+  const collection = await shp({
+    shp: await readBuffer(byExtension.shp),
+    dbf: byExtension.dbf ? await readBuffer(byExtension.dbf) : undefined,
+    cpg: byExtension.cpg ? await readText(byExtension.cpg) : undefined,
+    prj
+  });
+  return {
+    collection,
+    crsNote: prj ? 'Reprojected to WGS84 using the supplied .prj.' : 'No .prj supplied; coordinates read as WGS84.'
+  };
+};
+
+/**
+ * Parses the selected file(s) into a FeatureCollection. Accepts one GeoJSON,
+ * KML or zipped Shapefile, or loose .shp/.dbf/.prj/.cpg parts together.
+ */
+export const parseBoundaryFiles = async (fileList) => {
+  const files = Array.from(fileList);
+  const extensions = files.map((file) => extensionOf(file.name));
+  const prjFile = files.find((file) => extensionOf(file.name) === 'prj');
+
+  if (extensions.includes('zip') || extensions.includes('shp')) {
+    return { format: 'Shapefile', ...(await parseShapefile(files)) };
+  }
+  const kmlFile = files.find((file) => extensionOf(file.name) === 'kml');
+  if (kmlFile) return { format: 'KML', ...parseKml(await readText(kmlFile)) };
+
+  const jsonFile = files.find((file) => ['geojson', 'json'].includes(extensionOf(file.name)));
+  if (jsonFile) {
+    return { format: 'GeoJSON', ...parseGeoJson(await readText(jsonFile), prjFile ? await readText(prjFile) : null) };
+  }
+  throw new Error('Choose a .geojson, .kml or zipped Shapefile (.zip), or the .shp with its .dbf and .prj.');
+};
+
+/**
+ * Turns one imported feature into an open [lat, lng] ring and explains why it
+ * cannot become a parcel, if it can't. The ring is kept for invalid but
+ * drawable boundaries so the preview can show them. Holes and altitude are
+ * dropped with a warning.
+ */
+export const validateImportedFeature = (feature) => {
+  const errors = [];
+  const warnings = [];
+  const geometry = feature?.geometry;
+
+  let rings = null;
+  if (!geometry) {
+    errors.push('Feature has no geometry.');
+  } else if (geometry.type === 'Polygon') {
+    rings = geometry.coordinates;
+  } else if (geometry.type === 'MultiPolygon') {
+    if (geometry.coordinates.length === 1) rings = geometry.coordinates[0];
+    else errors.push(`MultiPolygon with ${geometry.coordinates.length} parts; split it into separate parcels first.`);
+  } else {
+    errors.push(`${geometry.type} geometry is not a parcel boundary (Polygon required).`);
+  }
+
+  let vertices = [];
+  if (rings) {
+    const outer = rings[0] || [];
+    if (rings.length > 1) warnings.push(`${rings.length - 1} interior ring(s) ignored.`);
+    if (outer.some((point) => point.length > 2)) warnings.push('Altitude values dropped.');
+
+    if (!outer.every(isLngLat)) {
+      errors.push('Coordinates are outside WGS84 longitude/latitude; the file may be projected without a .prj.');
+    } else {
+      vertices = outer.map(([lng, lat]) => [lat, lng]);
+      const first = vertices[0];
+      const last = vertices[vertices.length - 1];
+      if (vertices.length > 1 && first[0] === last[0] && first[1] === last[1]) vertices.pop();
+
+      if (vertices.length < 3) errors.push('Boundary needs at least three distinct vertices.');
+      else if (isSelfIntersecting(vertices)) errors.push('Boundary edges cross each other.');
+      else if (geodesicArea(vertices) < 1) errors.push('Boundary encloses no area.');
+    }
+  }
+
+  return { vertices, errors, warnings };
+};
+
+/** Property name most likely to hold each LandParcel field, or '' when nothing matches. */
+export const guessFieldMapping = (propertyNames) => {
+  const used = new Set();
+  return Object.fromEntries(Object.entries(FIELD_PATTERNS).map(([field, pattern]) => {
+    const match = propertyNames.find((name) => !used.has(name) && pattern.test(name)) || '';
+    if (match) used.add(match);
+    return [field, match];
+  }));
+};
+
+export const collectPropertyNames = (features) =>
+  [...new Set(features.flatMap((feature) => Object.keys(feature.properties || {})))];
+
+/** Features with their validation result and mapped LandParcel fields, in file order. */
+export const buildImportRows = (collection, mapping) => collection.features.map((feature, index) => {
+  const properties = feature.properties || {};
+  const valueOf = (field) => (mapping[field] ? String(properties[mapping[field]] ?? '').trim() : '');
+  const { vertices, errors: geometryErrors, warnings } = validateImportedFeature(feature);
+  const errors = [...geometryErrors];
+  const fields = {
+    name: valueOf('name') || `Imported parcel ${index + 1}`,
+    owner: valueOf('owner'),
+    location: valueOf('location')
+  };
+  if (!fields.owner) errors.push('No owner value; map an owner attribute or fill it in the source file.');
+
+  return {
+    index,
+    vertices,
+    fields,
+    errors,
+    warnings,
+    geometryValid: geometryErrors.length === 0,
+    valid: errors.length === 0
+  };
+});
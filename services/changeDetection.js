@@ -0,0 +1,179 @@
+import { haversineDistance } from './geometry';
+import { fetchIndexRaster } from './sentinelService';
+
+export const DEFAULT_CHANGE_THRESHOLD = 0.2; // Minimum |ΔNDVI| counted as real change
+export const DEFAULT_LOSS_FLAG_PERCENT = 10; // Loss share of the compared area that flags the parcel
+const MIN_COMPARED_PERCENT = 50;
+const TARGET_PIXEL_METERS = 10; // Sentinel-2 visible/NIR resolution
+const MAX_GRID_SIZE = 512;
+const HISTOGRAM_BINS = 20;
+
+/** Raster grid over the selection bbox at roughly Sentinel-2 resolution. */
+export const planChangeGrid = (selection) => {
+  const [minLng, minLat, maxLng, maxLat] = selection.bbox;
+  const midLat = (minLat + maxLat) / 2;
+  const midLng = (minLng + maxLng) / 2;
+  const widthMeters = haversineDistance([midLat, minLng], [midLat, maxLng]);
+  const heightMeters = haversineDistance([minLat, midLng], [maxLat, midLng]);
+
+  const width = Math.max(8, Math.min(MAX_GRID_SIZE, Math.round(widthMeters / TARGET_PIXEL_METERS)));
+  const height = Math.max(8, Math.min(MAX_GRID_SIZE, Math.round(heightMeters / TARGET_PIXEL_METERS)));
+
+  return {
+    width,
+    height,
+    pixelAreaSqMeters: (widthMeters * heightMeters) / (width * height)
+  };
+};
+
+/** Per-pixel difference (after - before) and its summary over pixels clear in both scenes. */
+export const computeIndexChange = (before, after, { threshold, pixelAreaSqMeters }) => {
+  const size = before.values.length;
+  const delta = new Float32Array(size);
+  const counts = new Array(HISTOGRAM_BINS).fill(0);
+
+  let insidePixels = 0;
+  let compared = 0;
+  let gain = 0;
+  let loss = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (let i = 0; i < size; i += 1) {
+    if (before.inside[i] || after.inside[i]) insidePixels += 1;
+
+    const value = after.values[i] - before.values[i];
+    delta[i] = value;
+    if (!Number.isFinite(value)) continue;
+
+    compared += 1;
+    sum += value;
+    sumSquares += value * value;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    if (value >= threshold) gain += 1;
+    if (value <= -threshold) loss += 1;
+
+    const bin = Math.floor(((Math.max(-1, Math.min(1, value)) + 1) / 2) * HISTOGRAM_BINS);
+    counts[Math.min(HISTOGRAM_BINS - 1, bin)] += 1;
+  }
+
+  const mean = compared ? sum / compared : 0;
+  const stdDev = compared ? Math.sqrt(Math.max(0, sumSquares / compared - mean * mean)) : 0;
+
+  return {
+    delta,
+    width: before.width,
+    height: before.height,
+    stats: {
+      min: compared ? min : 0,
+      max: compared ? max : 0,
+      mean,
+      stdDev,
+      histogram: counts.map((count, idx) => ({
+        bin: (-1 + ((idx + 0.5) * 2) / HISTOGRAM_BINS).toFixed(2),
+        count
+      })),
+      validPercent: insidePixels ? (compared / insidePixels) * 100 : 0
+    },
+    comparedPercent: insidePixels ? (compared / insidePixels) * 100 : 0,
+    comparedHectares: (compared * pixelAreaSqMeters) / 10000,
+    gainHectares: (gain * pixelAreaSqMeters) / 10000,
+    lossHectares: (loss * pixelAreaSqMeters) / 10000
+  };
+};
+
+/**
+ * Maps a change summary onto the parcel statuses in `types.ts`: significant
+ * loss yields `Flagged`, too few clear pixels yields no verdict.
+ */
+export const assessChange = (change, { lossFlagPercent = DEFAULT_LOSS_FLAG_PERCENT } = {}) => {
+  if (change.comparedPercent < MIN_COMPARED_PERCENT) {
+    return {
+      status: null,
+      significantLoss: false,
+      reason: `Only ${change.comparedPercent.toFixed(0)}% of the parcel is clear in both scenes; change is inconclusive.`
+    };
+  }
+
+  const lossPercent = change.comparedHectares ? (change.lossHectares / change.comparedHectares) * 100 : 0;
+  if (lossPercent >= lossFlagPercent) {
+    return {
+      status: 'Flagged',
+      significantLoss: true,
+      reason: `Vegetation loss on ${change.lossHectares.toFixed(2)} ha (${lossPercent.toFixed(0)}% of the compared area) between the two scenes.`
+    };
+  }
+
+  return {
+    status: null,
+    significantLoss: false,
+    reason: `Loss on ${lossPercent.toFixed(1)}% of the compared area is below the ${lossFlagPercent}% flag threshold.`
+  };
+};
+
+/** Loss in red, gain in green, unchanged pixels faint grey and masked pixels transparent. */
+export const renderChangeImage = (change, { threshold }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = change.width;
+  canvas.height = change.height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return '';
+
+  const image = ctx.createImageData(change.width, change.height);
+  change.delta.forEach((value, i) => {
+    if (!Number.isFinite(value)) return;
+    const strength = Math.min(1, Math.abs(value) / (threshold * 2));
+    let rgba = [148, 163, 184, 60];
+    if (value <= -threshold) rgba = [215, 25, 28, Math.round(140 + 115 * strength)];
+    if (value >= threshold) rgba = [26, 150, 65, Math.round(140 + 115 * strength)];
+    image.data.set(rgba, i * 4);
+  });
+
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL('image/png');
+};
+
+const describeScene = (scene) => ({
+  sceneId: scene.id,
+  acquiredAt: scene.datetime,
+  cloudCover: scene.cloudCover
+});
+
+/** Fetches both rasters on a shared grid and returns the ΔNDVI result for the inspector and registry. */
+export const runChangeDetection = async (
+  selection,
+  beforeScene,
+  afterScene,
+  {
+    indexId = 'NDVI',
+    threshold = DEFAULT_CHANGE_THRESHOLD,
+    lossFlagPercent = DEFAULT_LOSS_FLAG_PERCENT,
+    signal
+  } = {}
+) => {
+  const grid = planChangeGrid(selection);
+  const [before, after] = await Promise.all([
+    fetchIndexRaster(beforeScene, selection, indexId, { width: grid.width, height: grid.height, signal }),
+    fetchIndexRaster(afterScene, selection, indexId, { width: grid.width, height: grid.height, signal })
+  ]);
+
+  const change = computeIndexChange(before, after, { threshold, pixelAreaSqMeters: grid.pixelAreaSqMeters });
+
+  return {
+    indexId,
+    before: describeScene(beforeScene),
+    after: describeScene(afterScene),
+    threshold,
+    stats: change.stats,
+    comparedPercent: change.comparedPercent,
+    comparedHectares: change.comparedHectares,
+    gainHectares: change.gainHectares,
+    lossHectares: change.lossHectares,
+    assessment: assessChange(change, { lossFlagPercent }),
+    imageUrl: renderChangeImage(change, { threshold }),
+    bbox: selection.bbox
+  };
+};
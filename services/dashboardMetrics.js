@@ -0,0 +1,138 @@
+// Aggregations behind the dashboard widgets, plus the filter that drill-downs
+// hand to the registry table so both views agree on which parcels match.
+
+export const UNANALYZED_LABEL = 'Not analyzed';
+export const UNKNOWN_REGION = 'Unspecified';
+
+const COORDINATE_LOCATION = /^\s*(-?\d+(?:\.\d+)?)\s*°?\s*([NS])?\s*,\s*(-?\d+(?:\.\d+)?)\s*°?\s*([EW])?\s*$/i;
+
+const AREA_UNITS_TO_HECTARES = { ha: 1, 'm²': 0.0001, m2: 0.0001, 'km²': 100, km2: 100, ac: 0.404686 };
+
+/** `[lat, lng]` for locations written as coordinates ("34.05N, 118.24W"), else null. */
+export const locationCoordinates = (location) => {
+  const match = (location || '').match(COORDINATE_LOCATION);
+  if (!match) return null;
+  return [
+    Number(match[1]) * (match[2]?.toUpperCase() === 'S' ? -1 : 1),
+    Number(match[3]) * (match[4]?.toUpperCase() === 'W' ? -1 : 1)
+  ];
+};
+
+/**
+ * Region used for filtering. Place names keep the administrative level above
+ * the locality (usually state or province); bare coordinates fall into the
+ * whole-degree cell that contains them.
+ */
+export const regionOf = (location) => {
+  const text = (location || '').trim();
+  if (!text) return UNKNOWN_REGION;
+
+  const coordinates = locationCoordinates(text);
+  if (coordinates) {
+    const [lat, lng] = coordinates;
+    return `${Math.floor(Math.abs(lat))}°${lat < 0 ? 'S' : 'N'} ${Math.floor(Math.abs(lng))}°${lng < 0 ? 'W' : 'E'}`;
+  }
+
+  // Nominatim names run locality → county → state → postcode → country.
+  const parts = text.split(',').map((part) => part.trim()).filter((part) => part && !/^[\d\s-]+$/.test(part));
+  if (parts.length >= 3) return parts[parts.length - 2];
+  return parts[parts.length - 1] || UNKNOWN_REGION;
+};
+
+/** Hectares from the recomputed geometry area, else from the formatted `area` of older records. */
+export const parcelHectares = (parcel) => {
+  if (Number.isFinite(parcel.areaSqMeters)) return parcel.areaSqMeters / 10000;
+  const match = (parcel.area || '').replace(/,/g, '').match(/([\d.]+)\s*(ha|m²|m2|km²|km2|ac)(?![a-z])/i);
+  return match ? Number(match[1]) * AREA_UNITS_TO_HECTARES[match[2].toLowerCase()] : 0;
+};
+
+export const landUseOf = (parcel) =>
+  parcel.analysis?.report?.landUse || parcel.analysis?.classification?.label || UNANALYZED_LABEL;
+
+export const monthKeyOf = (isoValue) => (isoValue ? isoValue.slice(0, 7) : null);
+
+export const formatMonthKey = (key) =>
+  new Date(`${key}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * True when the parcel satisfies every set field of `filter`. `from`/`to` are
+ * inclusive YYYY-MM-DD bounds on the registration date; `status` may list
+ * several statuses separated by commas.
+ */
+export const matchesDashboardFilter = (parcel, filter) => {
+  if (!filter) return true;
+  const day = parcel.createdAt?.slice(0, 10);
+  if (filter.from && (!day || day < filter.from)) return false;
+  if (filter.to && (!day || day > filter.to)) return false;
+  if (filter.region && regionOf(parcel.location) !== filter.region) return false;
+  if (filter.status && !filter.status.split(',').includes(parcel.status)) return false;
+  if (filter.month && monthKeyOf(parcel.createdAt) !== filter.month) return false;
+  if (filter.landUse && landUseOf(parcel) !== filter.landUse) return false;
+  if (filter.parcelId && parcel.id !== filter.parcelId) return false;
+  if (filter.parcelIds && !filter.parcelIds.includes(parcel.id)) return false;
+  return true;
+};
+
+export const describeDashboardFilter = (filter) => [
+  filter.question && `"${filter.question}"`,
+  filter.status?.split(',').join(' or '),
+  filter.landUse,
+  filter.month && `registered ${formatMonthKey(filter.month)}`,
+  filter.parcelId,
+  filter.region,
+  (filter.from || filter.to) && `${filter.from || 'start'} → ${filter.to || 'today'}`,
+  (filter.minHa || filter.maxHa) && `${filter.minHa || 0}–${filter.maxHa || '∞'} ha`,
+  filter.bbox && `within ${filter.bbox}`
+].filter(Boolean).join(' · ');
+
+export const listRegions = (parcels) =>
+  [...new Set(parcels.map((parcel) => regionOf(parcel.location)))].sort((a, b) => a.localeCompare(b));
+
+/** Figures for the stat cards and charts; `parcels` should already be filtered. */
+export const summarizeParcels = (parcels) => {
+  const byStatus = { Verified: 0, Pending: 0, Flagged: 0 };
+  const months = new Map();
+  const landUse = new Map();
+  let totalHectares = 0;
+  let analyzedHectares = 0;
+
+  parcels.forEach((parcel) => {
+    const hectares = parcelHectares(parcel);
+    totalHectares += hectares;
+    if (parcel.analysis) analyzedHectares += hectares;
+    byStatus[parcel.status] = (byStatus[parcel.status] || 0) + 1;
+
+    const month = monthKeyOf(parcel.createdAt);
+    if (month) {
+      const bucket = months.get(month) || { month, label: formatMonthKey(month), Verified: 0, Pending: 0, Flagged: 0 };
+      bucket[parcel.status] = (bucket[parcel.status] || 0) + 1;
+      months.set(month, bucket);
+    }
+
+    const use = landUseOf(parcel);
+    const useBucket = landUse.get(use) || { landUse: use, parcels: 0, hectares: 0 };
+    useBucket.parcels += 1;
+    useBucket.hectares += hectares;
+    landUse.set(use, useBucket);
+  });
+
+  return {
+    parcelCount: parcels.length,
+    totalHectares,
+    analyzedHectares,
+    analyzedCount: parcels.filter((parcel) => parcel.analysis).length,
+    byStatus,
+    monthly: [...months.values()].sort((a, b) => a.month.localeCompare(b.month)),
+    landUse: [...landUse.values()]
+      .map((bucket) => ({ ...bucket, hectares: Number(bucket.hectares.toFixed(2)) }))
+      .sort((a, b) => b.hectares - a.hectares)
+  };
+};
+
+/** Ledger entries inside the dashboard's date range and region, newest first as listed. */
+export const filterLedgerEntries = (entries, { from, to, region }) => entries.filter((entry) => {
+  const day = entry.timestamp.slice(0, 10);
+  if (from && day < from) return false;
+  if (to && day > to) return false;
+  return !region || regionOf(entry.summary.location) === region;
+});
@@ -0,0 +1,168 @@
+// File formats for registry exports. The API builds the files (see
+// GET /api/parcels/export, POST /api/parcels/export/selection and
+// GET /api/audit/export) so every export passes through it and is audited;
+// properties are kept flat and scalar so QGIS and spreadsheets read them as columns.
+import { toPolygonFeature } from './geometry.js';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  { id: 'kml', label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+];
+
+const round = (value, digits) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+const statsProperties = (stats) => Object.fromEntries(
+  Object.entries(stats || {}).flatMap(([indexId, indexStats]) => {
+    const prefix = indexId.toLowerCase();
+    return [
+      [`${prefix}_mean`, round(indexStats.mean, 4)],
+      [`${prefix}_min`, round(indexStats.min, 4)],
+      [`${prefix}_max`, round(indexStats.max, 4)],
+      [`${prefix}_std_dev`, round(indexStats.stdDev, 4)],
+      [`${prefix}_valid_percent`, round(indexStats.validPercent, 1)]
+    ];
+  })
+);
+
+/**
+ * The explorer's closed selection as one GeoJSON Feature carrying its index
+ * statistics, source scene, NDVI classification and AI report.
+ */
+export const buildSelectionFeature = ({ selection, locationName, stats, source, classification, report }) =>
+  toPolygonFeature(selection.vertices, {
+    location: locationName,
+    area_sq_m: round(selection.areaSqMeters, 1),
+    perimeter_m: round(selection.perimeterMeters, 1),
+    vertex_count: selection.vertices.length,
+    center_lat: round(selection.center[0], 6),
+    center_lng: round(selection.center[1], 6),
+    ...statsProperties(stats),
+    scene_id: source?.sceneId ?? null,
+    scene_acquired_at: source?.acquiredAt ?? null,
+    scene_cloud_cover: round(source?.cloudCover, 1),
+    scene_tile: source?.tileId ?? null,
+    scene_provider: source?.provider ?? null,
+    scene_selection: source?.selectionMode ?? null,
+    land_class: classification?.label ?? null,
+    land_class_confidence: classification?.confidence ?? null,
+    ai_land_use: report?.landUse ?? null,
+    ai_suitability_score: report?.suitabilityScore ?? null,
+    ai_soil_type: report?.soilTypeEstimation ?? null,
+    ai_crops: Array.isArray(report?.cropRecommendations) ? report.cropRecommendations.join('; ') : null,
+    ai_risks: Array.isArray(report?.risks) ? report.risks.join('; ') : null,
+    ai_summary: report?.summary ?? null,
+    exported_at: new Date().toISOString()
+  });
+
+const parcelProperties = (parcel) => ({
+  id: parcel.id,
+  name: parcel.name,
+  owner: parcel.owner,
+  location: parcel.location,
+  status: parcel.status,
+  area: parcel.area,
+  area_sq_m: round(parcel.areaSqMeters, 1),
+  perimeter_m: round(parcel.perimeterMeters, 1),
+  center_lat: round(parcel.center?.[0], 6),
+  center_lng: round(parcel.center?.[1], 6),
+  flag_reason: parcel.flagReason ?? null,
+  conflicts: parcel.conflicts?.length ? parcel.conflicts.map((conflict) => conflict.parcelId).join('; ') : null,
+  hash: parcel.hash,
+  created_at: parcel.createdAt ?? null,
+  updated_at: parcel.updatedAt ?? null
+});
+
+const polygonToWkt = (geometry) =>
+  `POLYGON(${geometry.coordinates.map((ring) => `(${ring.map(([lng, lat]) => `${lng} ${lat}`).join(', ')})`).join(', ')})`;
+
+// Leading =, +, - or @ would run as a formula when the CSV is opened in a spreadsheet.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const parcelsToCsv = (parcels) => {
+  const rows = parcels.map((parcel) => ({
+    ...parcelProperties(parcel),
+    wkt: parcel.geometry ? polygonToWkt(parcel.geometry) : null
+  }));
+  const columns = Object.keys(rows[0] || { ...parcelProperties({}), wkt: null });
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(','))
+    .join('\r\n');
+};
+
+/** Records without a boundary (older mock entries) keep a null geometry. */
+export const parcelsToGeoJson = (parcels) => ({
+  type: 'FeatureCollection',
+  features: parcels.map((parcel) => ({
+    type: 'Feature',
+    id: parcel.id,
+    properties: parcelProperties(parcel),
+    geometry: parcel.geometry || null
+  }))
+});
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const kmlRing = (ring) => ring.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+const kmlPlacemark = (parcel) => {
+  const properties = parcelProperties(parcel);
+  const data = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+    .join('');
+  const [outer, ...holes] = parcel.geometry?.coordinates || [];
+  const polygon = outer
+    ? `<Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlRing(outer)}</coordinates></LinearRing></outerBoundaryIs>${
+      holes.map((hole) => `<innerBoundaryIs><LinearRing><coordinates>${kmlRing(hole)}</coordinates></LinearRing></innerBoundaryIs>`).join('')
+    }</Polygon>`
+    : '';
+
+  return `    <Placemark id="${escapeXml(parcel.id)}"><name>${escapeXml(`${parcel.id} ${parcel.name}`)}</name>`
+    + `<description>${escapeXml(`${parcel.owner} · ${parcel.status}`)}</description>`
+    + `<ExtendedData>${data}</ExtendedData>${polygon}</Placemark>`;
+};
+
+export const parcelsToKml = (parcels) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<kml xmlns="http://www.opengis.net/kml/2.2">',
+  '  <Document>',
+  '    <name>Land registry export</name>',
+  ...parcels.map(kmlPlacemark),
+  '  </Document>',
+  '</kml>'
+].join('\n');
+
+// The byte-order mark makes Excel read the file as UTF-8.
+const withByteOrderMark = (csv) => `\uFEFF${csv}`;
+
+const PARCEL_SERIALIZERS = {
+  csv: (parcels) => withByteOrderMark(parcelsToCsv(parcels)),
+  geojson: (parcels) => JSON.stringify(parcelsToGeoJson(parcels), null, 2),
+  kml: parcelsToKml
+};
+
+/** File contents of `parcels` in one of EXPORT_FORMATS. */
+export const serializeParcels = (parcels, formatId) => PARCEL_SERIALIZERS[formatId](parcels);
+
+const AUDIT_COLUMNS = ['id', 'timestamp', 'actor', 'role', 'ip', 'action', 'parcelId', 'transferId', 'before', 'after', 'details'];
+
+/** One row per event; before, after and details stay JSON so nothing is lost in flattening. */
+export const auditEventsToCsv = (events) =>
+  [AUDIT_COLUMNS, ...events.map((event) => AUDIT_COLUMNS.map((column) => {
+    const value = event[column];
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  }))]
+    .map((cells) => cells.map(csvCell).join(','))
+    .join('\r\n');
+
+export const serializeAuditEvents = (events) => withByteOrderMark(auditEventsToCsv(events));
@@ -0,0 +1,36 @@
+// File downloads. Every file is built by the API, which audits each one
+// (services/exportFormats.js); the explorer sends its selection along.
+import { fetchAuditExport, fetchParcelExport, fetchSelectionExport } from './registryService';
+
+/** Saves a blob through a temporary object URL; the browser picks the folder. */
+export const downloadBlob = (fileName, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * The explorer's closed selection as one GeoJSON Feature carrying its index
+ * statistics, source scene, NDVI classification and AI report.
+ */
+export const exportSelection = async (analysis) => {
+  const { fileName, blob } = await fetchSelectionExport(analysis);
+  downloadBlob(fileName, blob);
+};
+
+/** Every parcel matching `query` (the /records URL keys), in one of EXPORT_FORMATS. */
+export const exportParcels = async (query, formatId) => {
+  const { fileName, blob } = await fetchParcelExport(query, formatId);
+  downloadBlob(fileName, blob);
+};
+
+/** Every audit event matching `filters`, as CSV. */
+export const exportAuditEvents = async (filters) => {
+  const { fileName, blob } = await fetchAuditExport(filters);
+  downloadBlob(fileName, blob);
+};
@@ -1,17 +1,53 @@
-import { GoogleGenAI, Type } from "@google/genai";
+import { canonicalJson } from './canonicalJson';
+import { requestJson } from './registryService';
+import { analyzeWithRules, DEFAULT_ANALYSIS_RULES, RULES_MODEL } from './ruleAnalyzer';
+import { getSettings } from './settingsService';
 
-const getClient = () => {
-    const apiKey = process.env.API_KEY;
-    if (!apiKey) {
-        console.warn("API_KEY not found in environment variables");
+// Gemini is called by the local API (server/ai.js), which holds the key.
+export const AI_API_URL = '/api/ai';
+
+// Same format as sha256 in server/hashing.js, so the API can check the hash
+// when the report is stored on a parcel. Null outside secure contexts.
+const hashStats = async (stats) => {
+    if (!globalThis.crypto?.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalJson(stats)));
+    return `0x${Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// A failed call falls back to the rule engine and says so, rather than
+// returning a placeholder score that reads like a real one.
+const fallbackAnalysis = async (message, computedStats) => ({
+    ...analyzeWithRules(computedStats, { ...DEFAULT_ANALYSIS_RULES, ndviThresholds: getSettings().ndviThresholds, minValidPercent: getSettings().minValidPercent }),
+    fallbackReason: message || 'AI analysis unavailable',
+    geoStats: computedStats,
+    provenance: {
+        provider: 'rules',
+        model: RULES_MODEL,
+        promptVersion: null,
+        statsHash: await hashStats(computedStats),
+        imageHash: null,
+        generatedAt: new Date().toISOString(),
+        attempts: 1
     }
-    return new GoogleGenAI({ apiKey: apiKey || 'dummy-key' });
+});
+
+let offeredModels = null;
+
+// The model saved in Settings, or undefined (the API's default) once the API
+// no longer offers it. The status is fetched once per page load; if it can't
+// be read the saved model is sent as is and the API decides.
+const selectedModel = async () => {
+    const { aiModel } = getSettings();
+    if (!aiModel) return undefined;
+    offeredModels ??= getAiStatus().then(({ models }) => models).catch(() => (offeredModels = null));
+    const models = await offeredModels;
+    return !models || models.includes(aiModel) ? aiModel : undefined;
 };
 
 /**
  * Analyzes land data combining visual input and computed geospatial statistics.
  * This effectively simulates a "Grounding" process where the AI interprets the 
- * hard data calculated by our "GEE" engine.
+ * hard data calculated by our "GEE" engine. The prompt is assembled server-side.
  */
 export const analyzeLandData = async (
     base64Image, 
@@ -19,108 +55,36 @@ export const analyzeLandData = async (
     computedStats
 ) => {
     try {
-        const ai = getClient();
-        
-        // Construct a prompt that includes the hard data
-        const statsDescription = Object.entries(computedStats)
-            .filter(([key]) => key !== 'RGB')
-            .map(([key, stat]) => 
-                `${key}: Mean ${stat.mean.toFixed(2)}, Max ${stat.max.toFixed(2)}, Min ${stat.min.toFixed(2)}`
-            ).join('\n');
+        const { result, provider, model, cached, provenance } = await requestJson(
+            `${AI_API_URL}/analyze`,
+            { method: 'POST', body: { imageBase64: base64Image, context: promptText, stats: computedStats, model: await selectedModel() } },
+            'AI analysis'
+        );
 
-        const prompt = `
-            Analyze this land parcel image and the following computed geospatial indices:
-            
-            ${statsDescription}
-            
-            Context: ${promptText}
-
-            The NDVI (Normalized Difference Vegetation Index) indicates vegetation density.
-            - > 0.5: Dense healthy vegetation
-            - 0.2 - 0.5: Moderate vegetation / shrubs
-            - < 0.2: Barren rock, sand, or snow
-            
-            Based on the visual features and these calculated metrics, provide a land intelligence report.
-            
-            Return JSON matching this schema:
-            - suitabilityScore (0-100 number)
-            - landUse (string)
-            - cropRecommendations (array of strings)
-            - risks (array of strings)
-            - soilTypeEstimation (string)
-            - summary (string, max 60 words, referencing the specific index values)
-        `;
-
-        const response = await ai.models.generateContent({
-            model: 'gemini-3-flash-preview',
-            contents: {
-                parts: [
-                    {
-                        inlineData: {
-                            mimeType: 'image/jpeg',
-                            data: base64Image
-                        }
-                    },
-                    { text: prompt }
-                ]
-            },
-            config: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: Type.OBJECT,
-                    properties: {
-                        suitabilityScore: { type: Type.NUMBER },
-                        landUse: { type: Type.STRING },
-                        cropRecommendations: { 
-                            type: Type.ARRAY,
-                            items: { type: Type.STRING }
-                        },
-                        risks: {
-                            type: Type.ARRAY,
-                            items: { type: Type.STRING }
-                        },
-                        soilTypeEstimation: { type: Type.STRING },
-                        summary: { type: Type.STRING }
-                    }
-                }
-            }
-        });
-
-        const text = response.text;
-        if (!text) return null;
-        
-        const partialResult = JSON.parse(text);
-        
         // Merge the AI insights with our hard computed stats
         return {
-            ...partialResult,
+            ...result,
+            provider,
+            model,
+            cached,
+            provenance,
             geoStats: computedStats
         };
 
     } catch (error) {
         console.error("Error analyzing land data:", error);
-        return {
-            suitabilityScore: 0,
-            landUse: "Error",
-            cropRecommendations: [],
-            risks: ["Analysis Failed"],
-            soilTypeEstimation: "Unknown",
-            summary: "Failed to generate analysis.",
-            geoStats: computedStats
-        };
+        return fallbackAnalysis(error instanceof Error ? error.message : '', computedStats);
     }
 };
 
-export const getGeneralInsights = async (query) => {
-    try {
-        const ai = getClient();
-        const response = await ai.models.generateContent({
-            model: 'gemini-3-flash-preview',
-            contents: query,
-        });
-        return response.text || "No insights available.";
-    } catch (error) {
-        console.error("Error getting insights:", error);
-        return "Unable to retrieve insights at this time.";
-    }
-}
\ No newline at end of file
+/**
+ * Answers a registry question with real records: the model picks search
+ * filters (see services/registryQuery.js) and the API returns one page of
+ * the parcels that match them, with their `total`. Errors propagate so the
+ * assistant can show them.
+ */
+export const queryRegistry = async (question, { page = 1, signal } = {}) =>
+    requestJson(`${AI_API_URL}/query`, { method: 'POST', body: { question, model: await selectedModel(), page }, signal }, 'Registry query');
+
+/** Provider, default model and the models Settings may choose from. */
+export const getAiStatus = ({ signal } = {}) => requestJson(`${AI_API_URL}/status`, { signal }, 'AI status');
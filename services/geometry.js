@@ -0,0 +1,151 @@
+// Polygon helpers shared by the explorer and the registry.
+// Vertices are Leaflet-style [lat, lng] pairs; GeoJSON output is [lng, lat].
+
+const EARTH_RADIUS_METERS = 6378137;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const toGeoJsonPolygon = (vertices) => {
+  const ring = vertices.map(([lat, lng]) => [lng, lat]);
+  if (ring.length) ring.push([...ring[0]]);
+  return {
+    type: 'Polygon',
+    coordinates: [ring]
+  };
+};
+
+/** Outer ring of a stored GeoJSON Polygon as open [lat, lng] vertices; null for anything else. */
+export const fromGeoJsonPolygon = (geometry) => {
+  if (geometry?.type !== 'Polygon' || !Array.isArray(geometry.coordinates?.[0])) return null;
+  const vertices = geometry.coordinates[0].map(([lng, lat]) => [lat, lng]);
+  const [first] = vertices;
+  const last = vertices[vertices.length - 1];
+  if (vertices.length > 1 && first[0] === last[0] && first[1] === last[1]) vertices.pop();
+  return vertices;
+};
+
+export const toPolygonFeature = (vertices, properties = {}) => ({
+  type: 'Feature',
+  properties,
+  geometry: toGeoJsonPolygon(vertices)
+});
+
+/**
+ * Area on the sphere using the spherical-excess approximation
+ * (same formula as Leaflet.draw's geodesicArea). Returns square meters.
+ */
+export const geodesicArea = (vertices) => {
+  if (!vertices || vertices.length < 3) return 0;
+
+  let area = 0;
+  for (let i = 0; i < vertices.length; i += 1) {
+    const [lat1, lng1] = vertices[i];
+    const [lat2, lng2] = vertices[(i + 1) % vertices.length];
+    area += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+
+  return Math.abs((area * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS) / 2);
+};
+
+export const haversineDistance = ([lat1, lng1], [lat2, lng2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/** Length of the boundary in meters. Open paths are not closed back to the start. */
+export const geodesicPerimeter = (vertices, closed = true) => {
+  if (!vertices || vertices.length < 2) return 0;
+
+  let length = 0;
+  const segments = closed ? vertices.length : vertices.length - 1;
+  for (let i = 0; i < segments; i += 1) {
+    length += haversineDistance(vertices[i], vertices[(i + 1) % vertices.length]);
+  }
+  return length;
+};
+
+/** [minLng, minLat, maxLng, maxLat], the STAC/GeoJSON bbox order. */
+export const bboxOf = (vertices) => {
+  const lats = vertices.map(([lat]) => lat);
+  const lngs = vertices.map(([, lng]) => lng);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+};
+
+export const centroidOf = (vertices) => {
+  const sum = vertices.reduce((acc, [lat, lng]) => [acc[0] + lat, acc[1] + lng], [0, 0]);
+  return [sum[0] / vertices.length, sum[1] / vertices.length];
+};
+
+const orientation = (p, q, r) => {
+  const value = (q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]);
+  if (Math.abs(value) < 1e-15) return 0;
+  return value > 0 ? 1 : 2;
+};
+
+const onSegment = (p, q, r) =>
+  q[0] <= Math.max(p[0], r[0]) && q[0] >= Math.min(p[0], r[0]) &&
+  q[1] <= Math.max(p[1], r[1]) && q[1] >= Math.min(p[1], r[1]);
+
+export const segmentsIntersect = (p1, q1, p2, q2) => {
+  const o1 = orientation(p1, q1, p2);
+  const o2 = orientation(p1, q1, q2);
+  const o3 = orientation(p2, q2, p1);
+  const o4 = orientation(p2, q2, q1);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  if (o1 === 0 && onSegment(p1, p2, q1)) return true;
+  if (o2 === 0 && onSegment(p1, q2, q1)) return true;
+  if (o3 === 0 && onSegment(p2, p1, q2)) return true;
+  if (o4 === 0 && onSegment(p2, q1, q2)) return true;
+  return false;
+};
+
+/** True when two non-adjacent edges of the closed ring cross each other. */
+export const isSelfIntersecting = (vertices) => {
+  const n = vertices.length;
+  if (n < 4) return false;
+
+  for (let i = 0; i < n; i += 1) {
+    const a1 = vertices[i];
+    const a2 = vertices[(i + 1) % n];
+    for (let j = i + 1; j < n; j += 1) {
+      const adjacent = j === i + 1 || (i === 0 && j === n - 1);
+      if (adjacent) continue;
+      if (segmentsIntersect(a1, a2, vertices[j], vertices[(j + 1) % n])) return true;
+    }
+  }
+  return false;
+};
+
+/** Everything the inspector and downstream requests need to know about a drawn parcel. */
+export const describePolygon = (vertices) => ({
+  vertices: vertices.map(([lat, lng]) => [lat, lng]),
+  bbox: bboxOf(vertices),
+  center: centroidOf(vertices),
+  areaSqMeters: geodesicArea(vertices),
+  perimeterMeters: geodesicPerimeter(vertices)
+});
+
+/** `unit` is one of AREA_UNITS in services/settingsService.js; `auto` switches to ha from 1 ha up. */
+export const formatArea = (squareMeters, unit = 'auto') => {
+  if (!Number.isFinite(squareMeters)) return 'NA';
+  if (unit === 'ha' || (unit === 'auto' && squareMeters >= 10000)) return `${(squareMeters / 10000).toFixed(2)} ha`;
+  if (unit === 'km2') return `${(squareMeters / 1e6).toFixed(3)} km²`;
+  if (unit === 'ac') return `${(squareMeters / 4046.8564224).toFixed(2)} ac`;
+  return `${Math.round(squareMeters).toLocaleString()} m²`;
+};
+
+// Seeded and hand-entered records only have the stored `area` text.
+export const formatParcelArea = (parcel, unit = 'auto') => (
+  Number.isFinite(parcel.areaSqMeters) ? formatArea(parcel.areaSqMeters, unit) : parcel.area
+);
+
+export const formatLength = (meters) => {
+  if (!Number.isFinite(meters)) return 'NA';
+  if (meters >= 1000) return `${(meters / 1000).toFixed(2)} km`;
+  return `${Math.round(meters).toLocaleString()} m`;
+};
@@ -0,0 +1,58 @@
+// Boundary conflict checks shared by the registry API and the explorer.
+// Explicit extensions keep this module importable from plain Node as well.
+import polygonClipping from 'polygon-clipping';
+import { formatArea, geodesicArea } from './geometry.js';
+
+// Shared edges between neighbours produce float slivers; ignore anything smaller.
+export const MIN_OVERLAP_SQ_METERS = 1;
+
+// GeoJSON rings repeat the first position at the end; only that repeat is dropped.
+const ringToVertices = (ring) => {
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  const closed = ring.length > 1 && first[0] === last[0] && first[1] === last[1];
+  return (closed ? ring.slice(0, -1) : ring).map(([lng, lat]) => [lat, lng]);
+};
+
+/** Geodesic area of GeoJSON MultiPolygon coordinates, holes subtracted. */
+export const multiPolygonArea = (coordinates) => coordinates.reduce((total, polygon) => {
+  const [outer, ...holes] = polygon;
+  const holeArea = holes.reduce((sum, hole) => sum + geodesicArea(ringToVertices(hole)), 0);
+  return total + geodesicArea(ringToVertices(outer)) - holeArea;
+}, 0);
+
+/**
+ * Intersections of `geometry` (GeoJSON Polygon) with each registered parcel
+ * that has a boundary, largest overlap first.
+ */
+export const findOverlaps = (geometry, parcels, { excludeId } = {}) => {
+  const subjectArea = multiPolygonArea([geometry.coordinates]);
+
+  return parcels
+    .filter((parcel) => parcel.id !== excludeId && parcel.geometry?.type === 'Polygon')
+    .map((parcel) => {
+      const intersection = polygonClipping.intersection(geometry.coordinates, parcel.geometry.coordinates);
+      if (!intersection.length) return null;
+
+      const overlapSqMeters = multiPolygonArea(intersection);
+      if (overlapSqMeters < MIN_OVERLAP_SQ_METERS) return null;
+
+      return {
+        parcelId: parcel.id,
+        parcelName: parcel.name,
+        owner: parcel.owner,
+        overlapSqMeters,
+        overlapPercent: subjectArea ? (overlapSqMeters / subjectArea) * 100 : 0,
+        parcelGeometry: parcel.geometry,
+        overlap: { type: 'MultiPolygon', coordinates: intersection }
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.overlapSqMeters - a.overlapSqMeters);
+};
+
+export const describeOverlaps = (conflicts) => {
+  const parts = conflicts.map((conflict) =>
+    `${conflict.parcelId} (${formatArea(conflict.overlapSqMeters)}, ${conflict.overlapPercent.toFixed(1)}% of this parcel)`
+  );
+  return `Boundary overlaps registered parcel${conflicts.length > 1 ? 's' : ''} ${parts.join(', ')}.`;
+};
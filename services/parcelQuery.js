@@ -0,0 +1,120 @@
+// Search, filters, sorting and paging for the registry table. The API applies
+// them (GET /api/parcels) so the browser only holds one page; the parameters
+// are the /records URL keys, so a shared link and its API request agree.
+import { locationCoordinates, matchesDashboardFilter, parcelHectares } from './dashboardMetrics.js';
+
+export const PARCEL_SORT_FIELDS = ['createdAt', 'id', 'owner', 'location', 'area', 'status'];
+export const PAGE_SIZES = [25, 50, 100, 200];
+export const DEFAULT_PAGE_SIZE = 25;
+
+/** Keys GET /api/parcels understands; everything else in the URL is view state. */
+export const PARCEL_QUERY_KEYS = [
+  'q', 'status', 'landUse', 'region', 'month', 'from', 'to', 'parcelId', 'ids',
+  'minHa', 'maxHa', 'bbox', 'sort', 'order', 'page', 'pageSize'
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const SORT_VALUES = {
+  createdAt: (parcel) => parcel.createdAt || '',
+  id: (parcel) => parcel.id,
+  owner: (parcel) => parcel.owner || '',
+  location: (parcel) => parcel.location || '',
+  area: parcelHectares,
+  status: (parcel) => parcel.status
+};
+
+/** minLng,minLat,maxLng,maxLat (the explorer's bbox order), or null when malformed. */
+export const parseBboxText = (text) => {
+  const values = String(text).split(',').map((part) => (part.trim() === '' ? NaN : Number(part)));
+  if (values.length !== 4 || !values.every(Number.isFinite)) return null;
+  const [minLng, minLat, maxLng, maxLat] = values;
+  const inRange = Math.abs(minLat) <= 90 && Math.abs(maxLat) <= 90 && Math.abs(minLng) <= 180 && Math.abs(maxLng) <= 180;
+  return inRange && minLng < maxLng && minLat < maxLat ? values : null;
+};
+
+/**
+ * Validated list options from a query object (URL keys, string values).
+ * `paged` is false when neither `page` nor `pageSize` is given; only the
+ * export asks for every match, the list endpoint always pages.
+ */
+export const parseParcelQuery = (query) => {
+  const errors = [];
+  const filter = {};
+  ['status', 'landUse', 'region', 'month', 'parcelId'].forEach((key) => {
+    if (query[key]) filter[key] = query[key];
+  });
+  ['from', 'to'].forEach((key) => {
+    if (!query[key]) return;
+    if (DATE_PATTERN.test(query[key])) filter[key] = query[key];
+    else errors.push(`${key} must be a YYYY-MM-DD date`);
+  });
+  const parcelIds = (query.ids || '').split(',').filter(Boolean);
+  if (parcelIds.length) filter.parcelIds = parcelIds;
+  ['minHa', 'maxHa'].forEach((key) => {
+    if (query[key] === undefined || query[key] === '') return;
+    const value = Number(query[key]);
+    if (Number.isFinite(value) && value >= 0) filter[key] = value;
+    else errors.push(`${key} must be a non-negative number of hectares`);
+  });
+  if (query.bbox) {
+    filter.bbox = parseBboxText(query.bbox);
+    if (!filter.bbox) errors.push('bbox must be minLng,minLat,maxLng,maxLat in degrees');
+  }
+
+  const sort = query.sort || 'createdAt';
+  if (!PARCEL_SORT_FIELDS.includes(sort)) errors.push(`sort must be one of ${PARCEL_SORT_FIELDS.join(', ')}`);
+  const order = query.order || (query.sort ? 'asc' : 'desc');
+  if (order !== 'asc' && order !== 'desc') errors.push('order must be asc or desc');
+
+  const paged = Boolean(query.page || query.pageSize);
+  const page = Number(query.page || 1);
+  const pageSize = Number(query.pageSize || DEFAULT_PAGE_SIZE);
+  if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive integer');
+  if (!PAGE_SIZES.includes(pageSize)) errors.push(`pageSize must be one of ${PAGE_SIZES.join(', ')}`);
+
+  return { search: (query.q || '').trim().toLowerCase(), filter, sort, order, paged, page, pageSize, errors };
+};
+
+// Parcels without a boundary are placed by their coordinate location, if it has one.
+const parcelBbox = (parcel) => {
+  if (Array.isArray(parcel.bbox)) return parcel.bbox;
+  const point = parcel.center || locationCoordinates(parcel.location);
+  return point ? [point[1], point[0], point[1], point[0]] : null;
+};
+
+const intersects = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+export const matchesParcelQuery = (parcel, { search, filter }) => {
+  if (search && ![parcel.id, parcel.owner, parcel.name, parcel.location].some((value) => (value || '').toLowerCase().includes(search))) {
+    return false;
+  }
+  if (!matchesDashboardFilter(parcel, filter)) return false;
+  const hectares = parcelHectares(parcel);
+  if (filter.minHa !== undefined && hectares < filter.minHa) return false;
+  if (filter.maxHa !== undefined && hectares > filter.maxHa) return false;
+  if (filter.bbox) {
+    const bbox = parcelBbox(parcel);
+    if (!bbox || !intersects(bbox, filter.bbox)) return false;
+  }
+  return true;
+};
+
+/** `{ parcels, total }`: the requested page of matches (all of them when not paged), ids breaking ties. */
+export const queryParcels = (parcels, options) => {
+  const value = SORT_VALUES[options.sort];
+  const direction = options.order === 'desc' ? -1 : 1;
+  const collator = new Intl.Collator(undefined, { numeric: true });
+  // Sort values are computed once per parcel; area parses text for older records.
+  const matching = parcels
+    .filter((parcel) => matchesParcelQuery(parcel, options))
+    .map((parcel) => ({ parcel, key: value(parcel) }))
+    .sort((a, b) => {
+      const order = typeof a.key === 'number' ? a.key - b.key : collator.compare(String(a.key), String(b.key));
+      return order * direction || collator.compare(a.parcel.id, b.parcel.id);
+    })
+    .map(({ parcel }) => parcel);
+  if (!options.paged) return { parcels: matching, total: matching.length };
+  const start = (options.page - 1) * options.pageSize;
+  return { parcels: matching.slice(start, start + options.pageSize), total: matching.length };
+};
@@ -0,0 +1,39 @@
+// Role permissions shared by the API (server/auth.js enforces them) and the UI
+// (which only hides what the API would refuse anyway).
+
+export const ROLES = [
+  { id: 'registrar', label: 'Registrar', description: 'Verifies, flags and transfers parcels' },
+  { id: 'surveyor', label: 'Surveyor', description: 'Captures, registers and analyzes parcels' },
+  { id: 'auditor', label: 'Auditor', description: 'Read-only access to records, the ledger and the audit log' },
+  { id: 'public', label: 'Public', description: 'Certificate verification only' }
+];
+
+export const ROLE_IDS = ROLES.map((role) => role.id);
+
+/** Roles granted each permission. Certificate verification needs none. */
+export const PERMISSIONS = {
+  'registry:read': ['registrar', 'surveyor', 'auditor'],
+  'parcels:register': ['surveyor'],
+  'parcels:survey': ['surveyor'], // Boundary and analysis changes
+  'parcels:review': ['registrar'], // Verify or flag
+  'parcels:edit': ['registrar', 'surveyor'], // Name, location and image
+  'transfers:manage': ['registrar'],
+  'ai:analyze': ['surveyor'],
+  'audit:read': ['registrar', 'auditor']
+};
+
+/** Which permission each editable parcel field needs on update. */
+export const PARCEL_FIELD_PERMISSIONS = {
+  name: 'parcels:edit',
+  location: 'parcels:edit',
+  imageUrl: 'parcels:edit',
+  status: 'parcels:review',
+  flagReason: 'parcels:review',
+  analysis: 'parcels:survey',
+  geometry: 'parcels:survey'
+};
+
+/** False for signed-out visitors, who are treated as the public. */
+export const can = (user, permission) => Boolean(user) && (PERMISSIONS[permission] || []).includes(user.role);
+
+export const roleLabel = (roleId) => ROLES.find((role) => role.id === roleId)?.label || roleId;
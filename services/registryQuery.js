@@ -0,0 +1,117 @@
+// Structured registry search behind the query assistant. The model only
+// chooses these filters (server/ai.js exposes them as a function call); the
+// matching parcels always come from the registry itself.
+import { landUseOf, parcelHectares } from './dashboardMetrics.js';
+
+export const NDVI_TRENDS = ['declining', 'improving', 'stable'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Filter fields the model may set. Text fields match case-insensitive
+ * substrings; date bounds are exclusive and compare the registration day.
+ */
+export const REGISTRY_QUERY_FIELDS = [
+  { id: 'status', type: 'string', enum: ['Verified', 'Pending', 'Flagged'], description: 'Registry status' },
+  { id: 'owner', type: 'string', description: 'Part of the owner name' },
+  { id: 'name', type: 'string', description: 'Part of the parcel name or id' },
+  { id: 'location', type: 'string', description: 'Part of the location, e.g. a town, state or country' },
+  { id: 'landUse', type: 'string', description: 'Part of the analysed land use, e.g. cropland or forest' },
+  { id: 'minHectares', type: 'number', description: 'Smallest area in hectares, inclusive' },
+  { id: 'maxHectares', type: 'number', description: 'Largest area in hectares, inclusive' },
+  { id: 'registeredAfter', type: 'date', description: 'Registered after this day, YYYY-MM-DD, exclusive' },
+  { id: 'registeredBefore', type: 'date', description: 'Registered before this day, YYYY-MM-DD, exclusive' },
+  { id: 'ndviTrend', type: 'string', enum: NDVI_TRENDS, description: 'NDVI direction from the stored change detection' }
+];
+
+/**
+ * NDVI direction from the change detection stored with the parcel, or null
+ * when none was run on NDVI. Compares the area that lost and gained vegetation.
+ */
+export const ndviTrendOf = (parcel) => {
+  const change = parcel.analysis?.change;
+  if (!change || change.indexId !== 'NDVI') return null;
+  if (change.assessment?.significantLoss || change.lossHectares > change.gainHectares) return 'declining';
+  if (change.gainHectares > change.lossHectares) return 'improving';
+  return 'stable';
+};
+
+/**
+ * Checks function-call arguments against REGISTRY_QUERY_FIELDS. Unknown and
+ * empty fields are dropped; a wrong type or value is an error, not a guess.
+ */
+export const normalizeRegistryQuery = (args) => {
+  const filters = {};
+  const errors = [];
+  if (!args || typeof args !== 'object' || Array.isArray(args)) return { filters, errors: ['query must be an object'] };
+
+  REGISTRY_QUERY_FIELDS.forEach((field) => {
+    const value = args[field.id];
+    if (value === undefined || value === null || value === '') return;
+
+    if (field.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) errors.push(`${field.id} must be a non-negative number`);
+      else filters[field.id] = value;
+    } else if (field.type === 'date') {
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) errors.push(`${field.id} must be a YYYY-MM-DD date`);
+      else filters[field.id] = value;
+    } else if (typeof value !== 'string') {
+      errors.push(`${field.id} must be a string`);
+    } else if (field.enum && !field.enum.includes(value)) {
+      errors.push(`${field.id} must be one of ${field.enum.join(', ')}`);
+    } else {
+      filters[field.id] = value.trim();
+    }
+  });
+
+  if (filters.minHectares !== undefined && filters.maxHectares !== undefined && filters.minHectares > filters.maxHectares) {
+    errors.push('minHectares is larger than maxHectares');
+  }
+  return { filters, errors };
+};
+
+const includesText = (haystack, needle) => (haystack || '').toLowerCase().includes(needle.toLowerCase());
+
+export const matchesRegistryQuery = (parcel, filters) => {
+  const day = parcel.createdAt?.slice(0, 10);
+  const hectares = parcelHectares(parcel);
+  if (filters.status && parcel.status !== filters.status) return false;
+  if (filters.owner && !includesText(parcel.owner, filters.owner)) return false;
+  if (filters.name && !includesText(parcel.name, filters.name) && !includesText(parcel.id, filters.name)) return false;
+  if (filters.location && !includesText(parcel.location, filters.location)) return false;
+  if (filters.landUse && !includesText(landUseOf(parcel), filters.landUse)) return false;
+  if (filters.minHectares !== undefined && hectares < filters.minHectares) return false;
+  if (filters.maxHectares !== undefined && hectares > filters.maxHectares) return false;
+  if (filters.registeredAfter && (!day || day <= filters.registeredAfter)) return false;
+  if (filters.registeredBefore && (!day || day >= filters.registeredBefore)) return false;
+  if (filters.ndviTrend && ndviTrendOf(parcel) !== filters.ndviTrend) return false;
+  return true;
+};
+
+/** One chip per filter, in REGISTRY_QUERY_FIELDS order. */
+export const describeRegistryQuery = (filters) => [
+  filters.status,
+  filters.owner && `owner ~ "${filters.owner}"`,
+  filters.name && `name ~ "${filters.name}"`,
+  filters.location && `location ~ "${filters.location}"`,
+  filters.landUse && `land use ~ "${filters.landUse}"`,
+  filters.minHectares !== undefined && `≥ ${filters.minHectares} ha`,
+  filters.maxHectares !== undefined && `≤ ${filters.maxHectares} ha`,
+  filters.registeredAfter && `registered after ${filters.registeredAfter}`,
+  filters.registeredBefore && `registered before ${filters.registeredBefore}`,
+  filters.ndviTrend && `NDVI ${filters.ndviTrend}`
+].filter(Boolean);
+
+/** The fields the assistant's table and map need, so answers stay small. */
+export const toQueryResultRow = (parcel) => ({
+  id: parcel.id,
+  name: parcel.name,
+  owner: parcel.owner,
+  location: parcel.location,
+  status: parcel.status,
+  hectares: Number(parcelHectares(parcel).toFixed(2)),
+  landUse: landUseOf(parcel),
+  ndviTrend: ndviTrendOf(parcel),
+  createdAt: parcel.createdAt || null,
+  geometry: parcel.geometry || null
+});
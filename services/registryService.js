@@ -0,0 +1,228 @@
+import { extractErrorText } from './sentinelService';
+import { toGeoJsonPolygon } from './geometry';
+import { authHeaders, clearSession } from './authService';
+import { PARCEL_QUERY_KEYS } from './parcelQuery';
+
+export const REGISTRY_API_URL = '/api/parcels';
+export const LEDGER_API_URL = '/api/ledger';
+
+const sendRequest = async (url, { method = 'GET', body, signal } = {}, action) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      signal,
+      headers: {
+        ...authHeaders(),
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw new Error(`${action} failed: registry API unreachable. Start it with "npm run server".`);
+  }
+
+  if (!response.ok) {
+    // An expired or forgotten token sends the app back to the sign-in screen.
+    if (response.status === 401) clearSession();
+    const detail = await extractErrorText(response);
+    throw new Error(`${action} failed: ${detail}`);
+  }
+  return response;
+};
+
+export const requestJson = async (url, options, action) => (await sendRequest(url, options, action)).json();
+
+// The API names export files (Content-Disposition) so the date is the server's.
+const requestFile = async (url, options, action) => {
+  const response = await sendRequest(url, options, action);
+  const fileName = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || 'export';
+  return { fileName, blob: await response.blob() };
+};
+
+const toSearchParams = (query, keys) =>
+  new URLSearchParams(keys.filter((key) => query[key]).map((key) => [key, String(query[key])]));
+
+/**
+ * One page of parcels; `query` takes the /records URL keys (see
+ * services/parcelQuery.js), others are dropped. Without page or pageSize the
+ * API returns the first page at the default size.
+ */
+export const listParcels = ({ query = {}, signal } = {}) => {
+  const search = toSearchParams(query, PARCEL_QUERY_KEYS).toString();
+  return requestJson(`${REGISTRY_API_URL}${search ? `?${search}` : ''}`, { signal }, 'Loading registry');
+};
+
+/** `{ summary, regions }` for the dashboard: `summarizeParcels` of the parcels in `from`–`to` and `region`. */
+export const getRegistrySummary = ({ from, to, region } = {}, { signal } = {}) => {
+  const params = new URLSearchParams(Object.entries({ from, to, region }).filter(([, value]) => value));
+  const query = params.toString();
+  return requestJson(`${REGISTRY_API_URL}/summary${query ? `?${query}` : ''}`, { signal }, 'Loading registry summary');
+};
+
+/** Every parcel matching `query`, sorted but not paged, as a file; the API audits the export. */
+export const fetchParcelExport = (query, format) => {
+  const params = toSearchParams({ ...query, page: undefined, pageSize: undefined }, PARCEL_QUERY_KEYS);
+  params.set('format', format);
+  return requestFile(`${REGISTRY_API_URL}/export?${params}`, {}, 'Exporting registry');
+};
+
+/**
+ * The explorer selection with its statistics, scene, classification and
+ * report as a GeoJSON Feature. The API recomputes the measurements from the
+ * boundary and audits the export.
+ */
+export const fetchSelectionExport = ({ selection, locationName, stats, source, classification, report }) =>
+  requestFile(
+    `${REGISTRY_API_URL}/export/selection`,
+    {
+      method: 'POST',
+      body: {
+        geometry: toGeoJsonPolygon(selection.vertices),
+        locationName: locationName ?? null,
+        stats: stats ?? null,
+        source: source ?? null,
+        classification: classification ?? null,
+        report: report ?? null
+      }
+    },
+    'Exporting selection'
+  );
+
+export const getParcel = (id, { signal } = {}) =>
+  requestJson(`${REGISTRY_API_URL}/${encodeURIComponent(id)}`, { signal }, `Loading parcel ${id}`);
+
+export const createParcel = (parcel) =>
+  requestJson(REGISTRY_API_URL, { method: 'POST', body: parcel }, 'Registering parcel');
+
+export const updateParcel = (id, changes) =>
+  requestJson(`${REGISTRY_API_URL}/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes }, `Updating parcel ${id}`);
+
+/** Overlaps the server would flag if `selection` were registered now. */
+export const checkParcelOverlaps = (selection, { excludeId, signal } = {}) =>
+  requestJson(
+    `${REGISTRY_API_URL}/overlaps`,
+    { method: 'POST', body: { geometry: toGeoJsonPolygon(selection.vertices), excludeId }, signal },
+    'Checking boundary overlaps'
+  );
+
+export const listLedgerEntries = ({ parcelId, limit, signal } = {}) => {
+  const params = new URLSearchParams();
+  if (parcelId) params.set('parcelId', parcelId);
+  if (limit) params.set('limit', String(limit));
+  const query = params.toString();
+  return requestJson(`${LEDGER_API_URL}${query ? `?${query}` : ''}`, { signal }, 'Loading ledger');
+};
+
+/** Server-side recomputation of every hash link; see `verifyLedger` in server/ledger.js. */
+export const verifyLedgerChain = ({ signal } = {}) =>
+  requestJson(`${LEDGER_API_URL}/verify`, { signal }, 'Verifying ledger');
+
+export const TRANSFERS_API_URL = '/api/transfers';
+
+export const listParcelTransfers = (parcelId, { signal } = {}) =>
+  requestJson(`${REGISTRY_API_URL}/${encodeURIComponent(parcelId)}/transfers`, { signal }, 'Loading transfers');
+
+export const createTransferDraft = (parcelId, fields) =>
+  requestJson(`${REGISTRY_API_URL}/${encodeURIComponent(parcelId)}/transfers`, { method: 'POST', body: fields }, 'Creating transfer');
+
+export const updateTransferDraft = (transferId, fields) =>
+  requestJson(`${TRANSFERS_API_URL}/${encodeURIComponent(transferId)}`, { method: 'PATCH', body: fields }, `Updating transfer ${transferId}`);
+
+/** `action` is one of submit, approve or reject; approval returns `{ transfer, parcel }`. */
+export const advanceTransfer = (transferId, action, body) =>
+  requestJson(
+    `${TRANSFERS_API_URL}/${encodeURIComponent(transferId)}/${action}`,
+    { method: 'POST', body: body || {} },
+    `Transfer ${transferId} ${action}`
+  );
+
+/**
+ * `{ parcel, ledgerEntry, issuedAt }` for a printable certificate. The API
+ * records each issue in the audit log, so call it once per certificate shown.
+ */
+export const issueCertificate = (parcelId, { signal } = {}) =>
+  requestJson(`${REGISTRY_API_URL}/${encodeURIComponent(parcelId)}/certificates`, { method: 'POST', signal }, 'Issuing certificate');
+
+export const verifyCertificateHash = (parcelId, hash, { signal } = {}) =>
+  requestJson(
+    `${REGISTRY_API_URL}/${encodeURIComponent(parcelId)}/verify?hash=${encodeURIComponent(hash || '')}`,
+    { signal },
+    'Verifying certificate'
+  );
+
+/** Public page a certificate's QR code opens; see `CertificateVerification`. */
+export const buildVerificationUrl = (parcelId, hash) =>
+  `${window.location.origin}/verify/${encodeURIComponent(parcelId)}?hash=${encodeURIComponent(hash)}`;
+
+/**
+ * The `analysis` object stored on a parcel. A change detection result is
+ * reduced to its summary; the server records a history run when a report is present.
+ */
+export const buildAnalysisPayload = ({ stats, source, classification, report, change }) => {
+  const changeSummary = change
+    ? {
+      indexId: change.indexId,
+      before: change.before,
+      after: change.after,
+      threshold: change.threshold,
+      meanDelta: change.stats.mean,
+      comparedPercent: change.comparedPercent,
+      gainHectares: change.gainHectares,
+      lossHectares: change.lossHectares,
+      assessment: change.assessment
+    }
+    : null;
+  if (!stats && !report && !changeSummary) return null;
+
+  return {
+    stats: stats || null,
+    source: source || null,
+    classification: classification || null,
+    report: report || null,
+    change: changeSummary
+  };
+};
+
+/**
+ * Registration payload for the current MapExplorer selection. The server
+ * recomputes area and extent from `geometry`; the rest is the analysis as
+ * shown in the inspector when the parcel was registered.
+ */
+export const buildParcelPayload = ({ name, owner, location, selection, ...analysis }) => {
+  const flagged = analysis.change?.assessment.status === 'Flagged';
+
+  return {
+    name,
+    owner,
+    location,
+    geometry: toGeoJsonPolygon(selection.vertices),
+    status: flagged ? 'Flagged' : 'Pending',
+    flagReason: flagged ? analysis.change.assessment.reason : null,
+    analysis: buildAnalysisPayload(analysis)
+  };
+};
+
+/** Stores the explorer's current analysis as the parcel's latest run. */
+export const saveParcelAnalysis = (parcelId, analysis) =>
+  updateParcel(parcelId, { analysis: buildAnalysisPayload(analysis) });
+
+export const listParcelAnalyses = (parcelId, { signal } = {}) =>
+  requestJson(`${REGISTRY_API_URL}/${encodeURIComponent(parcelId)}/analyses`, { signal }, 'Loading analysis history');
+
+export const AUDIT_API_URL = '/api/audit';
+
+/** Newest first; `filters` holds any of actor, parcelId, action, from and to. */
+export const listAuditEvents = (filters = {}, { limit, signal } = {}) => {
+  const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+  if (limit) params.set('limit', String(limit));
+  const query = params.toString();
+  return requestJson(`${AUDIT_API_URL}${query ? `?${query}` : ''}`, { signal }, 'Loading audit log');
+};
+
+/** Every event matching `filters` as CSV; the API audits the export. */
+export const fetchAuditExport = (filters = {}) => {
+  const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+  return requestFile(`${AUDIT_API_URL}/export?${params}`, {}, 'Exporting audit log');
+};
@@ -0,0 +1,138 @@
+// Path and query codecs for the shareable app URLs, plus history navigation.
+// /explorer?bbox=&sel=&scene=&layer=, /records?status=&q=, /records/:parcelId
+// and /audit?actor=&parcelId=&action=.
+import { AppView } from '../constants.js';
+import { parseBboxText } from './parcelQuery.js';
+
+export const ROUTE_CHANGE_EVENT = 'land-record:route';
+
+const VIEW_PATHS = {
+  [AppView.DASHBOARD]: '/',
+  [AppView.EXPLORER]: '/explorer',
+  [AppView.RECORDS]: '/records',
+  [AppView.SETTINGS]: '/settings',
+  [AppView.AUDIT]: '/audit',
+  [AppView.VERIFY]: '/verify'
+};
+
+const RECORD_PATH = /^\/records\/([^/]+)\/?$/;
+
+// Commas and semicolons are legal in a query string and keep coordinates readable.
+const encodeValue = (value) => encodeURIComponent(value).replace(/%2C/g, ',').replace(/%3B/g, ';');
+
+const toSearch = (query) => {
+  const pairs = Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${encodeValue(value)}`);
+  return pairs.length ? `?${pairs.join('&')}` : '';
+};
+
+/** `{ view, parcelId, query }` for a location; unknown paths fall back to the dashboard. */
+export const parseRoute = ({ pathname, search }) => {
+  const query = Object.fromEntries(new URLSearchParams(search));
+  const recordMatch = pathname.match(RECORD_PATH);
+  if (recordMatch) return { view: AppView.RECORDS, parcelId: decodeURIComponent(recordMatch[1]), query };
+
+  const path = pathname.replace(/\/+$/, '') || '/';
+  const view = Object.keys(VIEW_PATHS).find((id) => VIEW_PATHS[id] === path) || AppView.DASHBOARD;
+  return { view, parcelId: null, query };
+};
+
+export const buildPath = (view, { parcelId = null, query = {} } = {}) => {
+  const path = parcelId ? `${VIEW_PATHS[AppView.RECORDS]}/${encodeURIComponent(parcelId)}` : VIEW_PATHS[view];
+  return `${path}${toSearch(query)}`;
+};
+
+/**
+ * Pushes (or replaces) a history entry and tells the app to re-read the
+ * location; `popstate` covers the browser's own back/forward.
+ */
+export const navigate = (path, { replace = false } = {}) => {
+  if (path === `${window.location.pathname}${window.location.search}`) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+  window.dispatchEvent(new Event(ROUTE_CHANGE_EVENT));
+};
+
+// Land Records: the drill-down and advanced filter fields plus the free-text
+// search `q`; sort, order, page and pageSize ride along in the same query.
+const RECORD_FILTER_KEYS = ['status', 'landUse', 'region', 'month', 'from', 'to', 'parcelId', 'minHa', 'maxHa', 'bbox', 'question'];
+const RECORDS_QUERY_KEY = 'land-record.recordsQuery';
+
+/** Splits a records query into the search text and the drill-down filter (null when unfiltered). */
+export const parseRecordsQuery = (query) => {
+  const filter = {};
+  RECORD_FILTER_KEYS.forEach((key) => {
+    if (query[key]) filter[key] = query[key];
+  });
+  const parcelIds = (query.ids || '').split(',').filter(Boolean);
+  if (parcelIds.length) filter.parcelIds = parcelIds;
+  return { searchTerm: query.q || '', filter: Object.keys(filter).length ? filter : null };
+};
+
+export const buildRecordsQuery = (filter, searchTerm = '') => ({
+  ...Object.fromEntries(RECORD_FILTER_KEYS.map((key) => [key, filter?.[key]])),
+  ids: filter?.parcelIds?.join(','),
+  q: searchTerm
+});
+
+/** Kept per browser, so Land Records reopens from the sidebar as it was left. */
+export const rememberRecordsQuery = (query) => {
+  window.localStorage.setItem(RECORDS_QUERY_KEY, JSON.stringify(query));
+};
+
+export const rememberedRecordsQuery = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(RECORDS_QUERY_KEY) || '{}') || {};
+  } catch (_) {
+    return {};
+  }
+};
+
+// Map Explorer: bbox is the map view as minLng,minLat,maxLng,maxLat (STAC order);
+// sel is the closed parcel as lat,lng pairs separated by ";".
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseNumbers = (text) => {
+  const values = text.split(',').map((part) => (part.trim() === '' ? NaN : Number(part)));
+  return values.every(Number.isFinite) ? values : null;
+};
+
+const parseVertices = (text) => {
+  if (!text) return null;
+  const points = text.split(';').map(parseNumbers);
+  const valid = points.every((point) => point && point.length === 2 && Math.abs(point[0]) <= 90 && Math.abs(point[1]) <= 180);
+  return valid && points.length >= 3 ? points : null;
+};
+
+/**
+ * The explorer state a link asks for. Invalid parts are dropped rather than
+ * rejected, so a mangled link still opens the rest of the view.
+ */
+export const parseExplorerQuery = (query) => {
+  const cloud = Number(query.cloud);
+  return {
+    bbox: query.bbox ? parseBboxText(query.bbox) : null,
+    vertices: parseVertices(query.sel),
+    sceneId: query.scene || null,
+    layer: query.layer || null,
+    base: query.base || null,
+    filters: {
+      ...(DATE_VALUE.test(query.from || '') && { startDate: query.from }),
+      ...(DATE_VALUE.test(query.to || '') && { endDate: query.to }),
+      ...(query.cloud && Number.isInteger(cloud) && cloud >= 0 && cloud <= 100 && { maxCloud: cloud })
+    }
+  };
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+export const buildExplorerQuery = ({ bbox, vertices, sceneId, layer, base, filters }) => ({
+  bbox: bbox?.map((value) => round(value, 5)).join(','),
+  sel: vertices?.length ? vertices.map(([lat, lng]) => `${round(lat, 6)},${round(lng, 6)}`).join(';') : undefined,
+  scene: sceneId,
+  layer,
+  base,
+  from: filters?.startDate,
+  to: filters?.endDate,
+  cloud: filters?.maxCloud
+});
@@ -0,0 +1,265 @@
+// Deterministic land analysis from the computed indices. Every number it
+// produces traces back to a row in the tables below, so reviewers can see why
+// and compare it against the model's answer.
+import { toNumber } from './sentinelService';
+import { DEFAULT_SETTINGS } from './settingsService';
+import { DEFAULT_NDVI_THRESHOLDS } from './spectralIndices';
+
+export const RULES_MODEL = 'rules-v1';
+
+/** Starting point for each NDVI class from classifyLandByNdvi. */
+export const LAND_USE_PROFILES = {
+  'Forest / Dense Vegetation': {
+    baseScore: 45,
+    soil: 'Humus-rich forest soil',
+    crops: ['Agroforestry', 'Shade-tolerant tree crops']
+  },
+  'Agriculture / Cropland': {
+    baseScore: 75,
+    soil: 'Cultivated loam',
+    crops: ['Wheat', 'Maize', 'Soybean']
+  },
+  'Grassland / Shrubland': {
+    baseScore: 55,
+    soil: 'Sandy loam',
+    crops: ['Sorghum', 'Millet', 'Pasture grasses']
+  },
+  'Water / Wet Surface': {
+    baseScore: 5,
+    soil: 'Saturated sediment',
+    crops: []
+  },
+  'Barren / Built-up': {
+    baseScore: 20,
+    soil: 'Exposed mineral soil or sealed surface',
+    crops: []
+  }
+};
+
+/**
+ * Adjustments applied on top of the profile. `stat` defaults to `mean`; rules
+ * whose index was not computed are skipped. A `risk` is reported when it fires.
+ */
+export const SCORE_RULES = [
+  { id: 'moist-canopy', index: 'NDMI', op: '>=', value: 0.2, delta: 10, reason: 'Good canopy moisture (NDMI ≥ 0.2)' },
+  { id: 'dry-canopy', index: 'NDMI', op: '<', value: 0, delta: -15, reason: 'Dry canopy (NDMI < 0)', risk: 'Moisture stress: NDMI below 0' },
+  { id: 'surface-water', index: 'NDWI', op: '>', value: 0.2, delta: -20, reason: 'Open water signal (NDWI > 0.2)', risk: 'Surface water or waterlogging' },
+  { id: 'low-burn-ratio', index: 'NBR', op: '<', value: 0.1, delta: -10, reason: 'Low burn ratio (NBR < 0.1)', risk: 'Possible burn scar or bare ground' },
+  { id: 'strong-savi', index: 'SAVI', op: '>=', value: 0.4, delta: 5, reason: 'Strong soil-adjusted vegetation (SAVI ≥ 0.4)' },
+  { id: 'uneven-cover', index: 'NDVI', stat: 'stdDev', op: '>', value: 0.2, delta: -5, reason: 'Uneven cover (NDVI std dev > 0.2)', risk: 'Vegetation is patchy across the parcel' }
+];
+
+/** Applied after SCORE_RULES, at the reliability threshold the explorer and prompt use. */
+export const cloudySceneRule = (minValidPercent) => ({
+  id: 'cloudy-scene',
+  index: 'NDVI',
+  stat: 'validPercent',
+  op: '<',
+  value: minValidPercent,
+  delta: 0,
+  reason: `Under ${minValidPercent}% clear pixels`,
+  risk: `Under ${minValidPercent}% of the parcel is clear of cloud, shadow and snow, so the index values are unreliable`
+});
+
+/** Crop list edits for profiles that have crops at all. */
+export const CROP_RULES = [
+  { id: 'drought-crops', index: 'NDMI', op: '<', value: 0, add: ['Millet', 'Sorghum'], remove: ['Maize', 'Soybean'], reason: 'Dry canopy favours drought-tolerant crops' },
+  { id: 'paddy', index: 'NDWI', op: '>', value: 0.1, add: ['Rice'], remove: [], reason: 'Wet surface suits paddy rice' }
+];
+
+export const DEFAULT_ANALYSIS_RULES = {
+  profiles: LAND_USE_PROFILES,
+  scoreRules: SCORE_RULES,
+  cropRules: CROP_RULES,
+  ndviThresholds: DEFAULT_NDVI_THRESHOLDS,
+  minValidPercent: DEFAULT_SETTINGS.minValidPercent
+};
+
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+const ruleFires = (rule, stats) => {
+  const value = stats[rule.index]?.[rule.stat || 'mean'];
+  return Number.isFinite(value) && OPERATORS[rule.op](value, rule.value);
+};
+
+export const classifyLandByNdvi = (stats, thresholds = DEFAULT_NDVI_THRESHOLDS) => {
+  if (!stats?.histogram?.length) return null;
+  const { water, sparse, moderate: moderateFloor, cropland, dense } = thresholds;
+
+  const total = stats.histogram.reduce((acc, entry) => acc + toNumber(entry.count), 0) || 1;
+  const high = stats.histogram
+    .filter((entry) => toNumber(entry.bin) >= dense)
+    .reduce((acc, entry) => acc + toNumber(entry.count), 0);
+  const moderate = stats.histogram
+    .filter((entry) => toNumber(entry.bin) >= moderateFloor && toNumber(entry.bin) < dense)
+    .reduce((acc, entry) => acc + toNumber(entry.count), 0);
+  const negative = stats.histogram
+    .filter((entry) => toNumber(entry.bin) < water)
+    .reduce((acc, entry) => acc + toNumber(entry.count), 0);
+
+  const highPct = (high / total) * 100;
+  const moderatePct = (moderate / total) * 100;
+  const negativePct = (negative / total) * 100;
+
+  if (stats.mean >= dense && highPct >= 30) {
+    return {
+      label: 'Forest / Dense Vegetation',
+      confidence: Math.min(95, Math.round(60 + highPct * 0.7)),
+      reason: 'High true NDVI and strong dense-green share indicate forest or dense vegetation.'
+    };
+  }
+
+  if (stats.mean >= cropland && (highPct + moderatePct) >= 45) {
+    return {
+      label: 'Agriculture / Cropland',
+      confidence: Math.min(92, Math.round(55 + (highPct + moderatePct) * 0.5)),
+      reason: 'Moderate-to-high true NDVI is typical of active crop cover.'
+    };
+  }
+
+  if (stats.mean >= sparse) {
+    return {
+      label: 'Grassland / Shrubland',
+      confidence: 74,
+      reason: 'Medium NDVI indicates sparse-to-moderate vegetation.'
+    };
+  }
+
+  if (stats.mean < water && negativePct > 55) {
+    return {
+      label: 'Water / Wet Surface',
+      confidence: 80,
+      reason: 'Negative NDVI dominant share indicates water or saturated surfaces.'
+    };
+  }
+
+  return {
+    label: 'Barren / Built-up',
+    confidence: 72,
+    reason: 'Low NDVI response suggests bare soil, dry land, or built-up surfaces.'
+  };
+};
+
+/**
+ * Builds a full AnalysisResult from index statistics alone. `explanation`
+ * lists each rule that fired and its effect, in the order applied.
+ */
+export const analyzeWithRules = (stats, rules = DEFAULT_ANALYSIS_RULES) => {
+  const classification = classifyLandByNdvi(stats?.NDVI, rules.ndviThresholds);
+  const profile = classification ? rules.profiles[classification.label] : null;
+  const explanation = [];
+
+  if (!profile) {
+    return {
+      suitabilityScore: null,
+      landUse: 'Unclassified',
+      cropRecommendations: [],
+      risks: ['No NDVI histogram was available, so the parcel could not be classified'],
+      soilTypeEstimation: 'Unknown',
+      summary: 'Rule-based analysis needs NDVI statistics with a histogram.',
+      provider: 'rules',
+      model: RULES_MODEL,
+      classification: null,
+      explanation
+    };
+  }
+
+  explanation.push({ ruleId: 'profile', effect: `base ${profile.baseScore}`, reason: `${classification.label}: ${classification.reason}` });
+
+  let score = profile.baseScore;
+  const risks = [];
+  const scoreRules = [...rules.scoreRules, cloudySceneRule(rules.minValidPercent ?? DEFAULT_SETTINGS.minValidPercent)];
+  const firedScoreRules = scoreRules.filter((rule) => ruleFires(rule, stats));
+  firedScoreRules.forEach((rule) => {
+    score += rule.delta;
+    if (rule.risk) risks.push(rule.risk);
+    explanation.push({ ruleId: rule.id, effect: rule.delta ? `${rule.delta > 0 ? '+' : ''}${rule.delta}` : 'risk only', reason: rule.reason });
+  });
+
+  let crops = [...profile.crops];
+  if (crops.length) {
+    rules.cropRules.filter((rule) => ruleFires(rule, stats)).forEach((rule) => {
+      crops = [...new Set([...crops.filter((crop) => !rule.remove.includes(crop)), ...rule.add])];
+      explanation.push({ ruleId: rule.id, effect: 'crops', reason: rule.reason });
+    });
+  }
+
+  const suitabilityScore = Math.max(0, Math.min(100, score));
+  const ndviMean = stats.NDVI.mean;
+  return {
+    suitabilityScore,
+    landUse: classification.label,
+    cropRecommendations: crops,
+    risks,
+    soilTypeEstimation: profile.soil,
+    summary: `Rule-based: ${classification.label.toLowerCase()} from mean NDVI ${ndviMean.toFixed(2)} (${classification.confidence}% confidence). ` +
+      `Base score ${profile.baseScore}, ${firedScoreRules.length} rule${firedScoreRules.length === 1 ? '' : 's'} applied, final ${suitabilityScore}/100.`,
+    provider: 'rules',
+    model: RULES_MODEL,
+    classification,
+    explanation
+  };
+};
+
+// Coarse categories so differently worded land uses can still be compared.
+const LAND_USE_CATEGORIES = [
+  { id: 'water', pattern: /water|wet|lake|river|marsh|swamp|pond/i },
+  { id: 'forest', pattern: /forest|dense veg|woodland|jungle|tree/i },
+  { id: 'cropland', pattern: /crop|agri|farm|cultivat|orchard|plantation|paddy/i },
+  { id: 'grassland', pattern: /grass|shrub|pasture|range|savann|meadow|scrub/i },
+  { id: 'bare', pattern: /barren|bare|built|urban|desert|rock|residential|industrial|settlement/i }
+];
+
+const categoryOf = (landUse) => LAND_USE_CATEGORIES.find((category) => category.pattern.test(landUse || ''))?.id || null;
+
+/**
+ * Points where the model disagrees with the rules. Severity `high` marks
+ * answers the index data contradicts outright.
+ */
+export const compareAnalyses = (ai, rules) => {
+  const findings = [];
+  if (!ai || !rules || rules.suitabilityScore === null) return findings;
+
+  const aiCategory = categoryOf(ai.landUse);
+  const ruleCategory = categoryOf(rules.landUse);
+  if (aiCategory && ruleCategory && aiCategory !== ruleCategory) {
+    findings.push({
+      field: 'landUse',
+      severity: 'high',
+      message: `Model says "${ai.landUse}" but NDVI classifies the parcel as ${rules.landUse}.`
+    });
+  }
+
+  const scoreGap = Math.abs(toNumber(ai.suitabilityScore) - rules.suitabilityScore);
+  if (scoreGap > 25) {
+    findings.push({
+      field: 'suitabilityScore',
+      severity: scoreGap > 40 ? 'high' : 'medium',
+      message: `Suitability differs by ${Math.round(scoreGap)} points (${ai.suitabilityScore} vs ${rules.suitabilityScore}).`
+    });
+  }
+
+  if (!rules.cropRecommendations.length && ai.cropRecommendations?.length) {
+    findings.push({
+      field: 'cropRecommendations',
+      severity: 'high',
+      message: `Model recommends crops for land the indices show as ${rules.landUse.toLowerCase()}.`
+    });
+  }
+
+  const cloudy = rules.explanation.find((step) => step.ruleId === 'cloudy-scene');
+  if (cloudy && !(ai.risks || []).some((risk) => /cloud|clear|shadow|reliab|uncertain/i.test(risk))) {
+    findings.push({
+      field: 'risks',
+      severity: 'medium',
+      message: `${cloudy.reason}, but the model does not mention cloud cover.`
+    });
+  }
+
+  return findings;
+};
@@ -0,0 +1,621 @@
+import { toGeoJsonPolygon, toPolygonFeature } from './geometry';
+import { getSettings } from './settingsService';
+import { BAND_ASSET_CANDIDATES, getSpectralIndex } from './spectralIndices';
+
+// Service URLs and collections come from Settings on every call.
+const titilerUrl = (path) => `${getSettings().titilerUrl.replace(/\/+$/, '')}/stac/${path}`;
+const SEARCH_PAGE_SIZE = 100;
+
+const SCL_ASSET_CANDIDATES = ['scl', 'SCL', 'scl-jp2'];
+
+// Scene Classification Layer classes excluded from parcel statistics.
+export const SCL_MASKED_CLASSES = {
+  0: 'No data',
+  1: 'Saturated / defective',
+  3: 'Cloud shadow',
+  8: 'Cloud (medium probability)',
+  9: 'Cloud (high probability)',
+  10: 'Thin cirrus',
+  11: 'Snow / ice'
+};
+
+const MASK_SENTINEL = -9999;
+
+// Overlay tiles stretch index -1..1 onto bytes 1..255 so byte 0, where the mask
+// sentinel clamps, can stay transparent in the colormap.
+const OVERLAY_RESCALE_MIN = -256 / 254;
+const OVERLAY_COLOR_STEPS = 32;
+
+export const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+export const toNumber = (value, fallback = 0) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const extractErrorText = async (response) => {
+  try {
+    const payload = await response.json();
+    if (payload?.detail) {
+      return typeof payload.detail === 'string' ? payload.detail : JSON.stringify(payload.detail);
+    }
+    return JSON.stringify(payload);
+  } catch (_) {
+    try {
+      return await response.text();
+    } catch (__ ) {
+      return 'Unknown API error';
+    }
+  }
+};
+
+export const getDateRange = (daysBack = 120) => {
+  const end = new Date();
+  const start = new Date();
+  start.setDate(end.getDate() - daysBack);
+  return `${start.toISOString()}/${end.toISOString()}`;
+};
+
+/** STAC datetime interval covering whole days, from `YYYY-MM-DD` inputs. */
+export const toDatetimeRange = (startDate, endDate) =>
+  `${startDate}T00:00:00Z/${endDate}T23:59:59Z`;
+
+const fallbackHistogram = (mean) => {
+  const buckets = new Array(10).fill(0);
+  const idx = clamp(Math.floor(((mean + 1) / 2) * 10), 0, 9);
+  buckets[idx] = 1;
+  return buckets.map((count, i) => ({
+    bin: (-1 + i * 0.2).toFixed(2),
+    count
+  }));
+};
+
+/**
+ * TiTiler returns `[counts, edges]`; older responses and other servers use
+ * `{ bins, counts }` or `[edges, counts]`. The edges array is the one with n+1 entries.
+ */
+const splitHistogram = (rawHistogram) => {
+  if (
+    rawHistogram &&
+    typeof rawHistogram === 'object' &&
+    !Array.isArray(rawHistogram) &&
+    Array.isArray(rawHistogram.bins) &&
+    Array.isArray(rawHistogram.counts)
+  ) {
+    return { edges: rawHistogram.bins, counts: rawHistogram.counts };
+  }
+
+  if (
+    Array.isArray(rawHistogram) &&
+    rawHistogram.length === 2 &&
+    Array.isArray(rawHistogram[0]) &&
+    Array.isArray(rawHistogram[1])
+  ) {
+    const [first, second] = rawHistogram;
+    return second.length === first.length + 1
+      ? { counts: first, edges: second }
+      : { edges: first, counts: second };
+  }
+
+  return null;
+};
+
+/** Clamps to an index's catalog `range`; indices without one pass through. */
+const clampToRange = (value, range) => (range ? clamp(value, range[0], range[1]) : value);
+
+const histogramFromTitiler = (rawHistogram, min, max, mean, range) => {
+  const split = splitHistogram(rawHistogram);
+  if (split && split.counts.length > 0) {
+    const { edges, counts } = split;
+    const hasEdgePairs = edges.length === counts.length + 1;
+    return counts.map((count, idx) => {
+      const center = hasEdgePairs
+        ? (toNumber(edges[idx]) + toNumber(edges[idx + 1])) / 2
+        : min + ((idx + 0.5) * (max - min)) / counts.length;
+
+      return {
+        bin: clampToRange(center, range).toFixed(2),
+        count: toNumber(count)
+      };
+    });
+  }
+
+  return fallbackHistogram(mean);
+};
+
+// Every statistics object in the payload, in band order.
+const collectTitilerStats = (payload) => {
+  const candidates = [];
+  const pushCandidate = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return;
+
+    if (
+      Number.isFinite(toNumber(value.mean, NaN)) ||
+      Number.isFinite(toNumber(value.min, NaN)) ||
+      Number.isFinite(toNumber(value.max, NaN))
+    ) {
+      candidates.push(value);
+    }
+  };
+
+  const walk = (node, depth = 0) => {
+    if (!node || depth > 6) return;
+    if (Array.isArray(node)) {
+      node.forEach((value) => walk(value, depth + 1));
+      return;
+    }
+    if (typeof node !== 'object') return;
+
+    pushCandidate(node);
+    Object.values(node).forEach((value) => walk(value, depth + 1));
+  };
+
+  walk(payload, 0);
+  return candidates;
+};
+
+const findTitilerStat = (payload) => {
+  const stat = collectTitilerStats(payload)
+    .sort((a, b) => {
+      const aScore =
+        Number.isFinite(toNumber(a.min, NaN)) +
+        Number.isFinite(toNumber(a.max, NaN)) +
+        Number.isFinite(toNumber(a.mean, NaN)) +
+        (a.histogram ? 1 : 0);
+      const bScore =
+        Number.isFinite(toNumber(b.min, NaN)) +
+        Number.isFinite(toNumber(b.max, NaN)) +
+        Number.isFinite(toNumber(b.mean, NaN)) +
+        (b.histogram ? 1 : 0);
+      return bScore - aScore;
+    })[0];
+
+  if (!stat) {
+    throw new Error('Could not parse index statistics response.');
+  }
+  return stat;
+};
+
+const statStdDev = (stat) => toNumber(stat.std, toNumber(stat.stdev, toNumber(stat.stdDev, 0)));
+
+/** `range` is the index's catalog range (see services/spectralIndices.js); null leaves values unclamped. */
+export const parseTitilerStats = (payload, range = null) => {
+  const stat = findTitilerStat(payload);
+  const min = clampToRange(toNumber(stat.min, -1), range);
+  const max = clampToRange(toNumber(stat.max, 1), range);
+  const mean = clampToRange(toNumber(stat.mean, 0), range);
+  const stdDev = statStdDev(stat);
+  const histogram = histogramFromTitiler(stat.histogram, min, max, mean, range);
+
+  return { min, max, mean, stdDev, histogram };
+};
+
+/**
+ * Statistics of the clear pixels from a masked request with two bands: the index
+ * with masked pixels filled with MASK_SENTINEL, then with -MASK_SENTINEL. Both
+ * bands count every pixel inside the polygon, so their means give the number of
+ * masked pixels and the clear sum exactly; max comes from the first band, min
+ * from the second and the spread from the first band's second moment.
+ */
+export const parseMaskedTitilerStats = (payload, range = null) => {
+  const [low, high] = collectTitilerStats(payload);
+  if (!low || !high) {
+    throw new Error('Masked statistics response needs both fill bands.');
+  }
+
+  const totalPixels = toNumber(low.count, 0);
+  const lowMean = toNumber(low.mean);
+  const highMean = toNumber(high.mean);
+  const maskedPixels = clamp(Math.round((totalPixels * (highMean - lowMean)) / (-2 * MASK_SENTINEL)), 0, totalPixels);
+  const validPixels = totalPixels - maskedPixels;
+
+  if (!validPixels) {
+    return { min: 0, max: 0, mean: 0, stdDev: 0, histogram: fallbackHistogram(0), validPixels: 0, totalPixels, validPercent: 0, masked: true };
+  }
+
+  const mean = (totalPixels * (lowMean + highMean)) / 2 / validPixels;
+  const lowSquares = totalPixels * (statStdDev(low) ** 2 + lowMean ** 2);
+  const variance = (lowSquares - maskedPixels * MASK_SENTINEL ** 2) / validPixels - mean ** 2;
+  const min = clampToRange(toNumber(high.min), range);
+  const max = clampToRange(toNumber(low.max), range);
+
+  return {
+    min,
+    max,
+    mean: clampToRange(mean, range),
+    stdDev: Math.sqrt(Math.max(variance, 0)),
+    histogram: histogramFromTitiler(low.histogram, min, max, mean, range),
+    validPixels,
+    totalPixels,
+    validPercent: (validPixels / totalPixels) * 100,
+    masked: true
+  };
+};
+
+/**
+ * Resolves the STAC asset key for each requested band, e.g.
+ * `{ red: 'red', nir: 'nir' }`. Returns null when any band is missing.
+ */
+export const selectBandAssets = (assets = {}, bands = ['red', 'nir']) => {
+  const keys = Object.keys(assets);
+  const resolved = {};
+
+  for (const band of bands) {
+    const key = (BAND_ASSET_CANDIDATES[band] || []).find((candidate) => keys.includes(candidate));
+    if (!key) return null;
+    resolved[band] = key;
+  }
+  return resolved;
+};
+
+// L2A assets are scaled integers; `raster:bands` carries the reflectance scale and offset.
+const readBandScaling = (asset) => {
+  const rasterBand = asset?.['raster:bands']?.[0];
+  return {
+    scale: toNumber(rasterBand?.scale, 0.0001),
+    offset: toNumber(rasterBand?.offset, 0)
+  };
+};
+
+const toScene = (item) => {
+  // Resolve bands one by one so a scene missing e.g. SWIR still serves NDVI.
+  const assets = {};
+  Object.keys(BAND_ASSET_CANDIDATES).forEach((band) => {
+    const resolved = selectBandAssets(item.assets, [band]);
+    if (resolved) assets[band] = resolved[band];
+  });
+  const bandScaling = Object.fromEntries(
+    Object.entries(assets).map(([band, key]) => [band, readBandScaling(item.assets[key])])
+  );
+  const itemUrl =
+    item.links?.find((link) => link.rel === 'self')?.href ||
+    `https://earth-search.aws.element84.com/v1/collections/${item.collection}/items/${item.id}`;
+
+  return {
+    id: item.id,
+    collection: item.collection,
+    itemUrl,
+    datetime: item.properties?.datetime || null,
+    cloudCover: toNumber(item.properties?.['eo:cloud_cover'], 0),
+    tileId: item.properties?.['s2:mgrs_tile'] || item.properties?.['grid:code'] || null,
+    thumbnailUrl: item.assets?.thumbnail?.href || null,
+    sclAsset: SCL_ASSET_CANDIDATES.find((key) => item.assets?.[key]) || null,
+    assets,
+    bandScaling
+  };
+};
+
+// Both collections carry the same acquisitions; keep one entry per tile and day.
+const dedupeScenes = (scenes) => {
+  const byKey = new Map();
+  scenes.forEach((scene) => {
+    const key = `${scene.tileId || scene.id}|${(scene.datetime || '').slice(0, 10)}`;
+    const existing = byKey.get(key);
+    if (!existing || scene.collection === 'sentinel-2-c1-l2a') {
+      byKey.set(key, scene);
+    }
+  });
+  return [...byKey.values()];
+};
+
+/**
+ * Searches Earth Search for Sentinel-2 L2A scenes covering the selection.
+ * Follows STAC `next` links until `maxItems` raw items have been read.
+ * Scenes missing any of `bands` are dropped.
+ */
+export const searchScenes = async (
+  selection,
+  { datetime, maxCloud, maxItems = 25, bands = ['red', 'nir'], signal } = {}
+) => {
+  const body = {
+    collections: getSettings().collections,
+    intersects: toGeoJsonPolygon(selection.vertices),
+    datetime: datetime || getDateRange(getSettings().sceneWindowDays),
+    limit: Math.min(maxItems, SEARCH_PAGE_SIZE)
+  };
+  if (Number.isFinite(maxCloud)) {
+    body.query = { 'eo:cloud_cover': { lte: maxCloud } };
+  }
+
+  const items = [];
+  const { earthSearchUrl } = getSettings();
+  let request = { url: earthSearchUrl, method: 'POST', body };
+
+  while (request && items.length < maxItems) {
+    const response = await fetch(request.url, {
+      method: request.method,
+      headers: { 'Content-Type': 'application/json' },
+      body: request.method === 'POST' ? JSON.stringify(request.body) : undefined,
+      signal
+    });
+
+    if (!response.ok) {
+      const detail = await extractErrorText(response);
+      throw new Error(`Sentinel scene search failed: ${detail}`);
+    }
+
+    const payload = await response.json();
+    const features = Array.isArray(payload?.features) ? payload.features : [];
+    items.push(...features);
+
+    const next = payload?.links?.find((link) => link.rel === 'next');
+    request = next && features.length
+      ? {
+        // Keep requests on the dev proxy rather than the absolute upstream host.
+        url: next.href.replace(/^https?:\/\/[^/]+\/v1\/search/, earthSearchUrl),
+        method: next.method || 'GET',
+        body: next.merge ? { ...body, ...next.body } : next.body
+      }
+      : null;
+  }
+
+  return dedupeScenes(items.slice(0, maxItems).map(toScene))
+    .filter((scene) => bands.every((band) => scene.assets[band]));
+};
+
+export const pickLowestCloudScene = (scenes) =>
+  [...scenes].sort((a, b) => a.cloudCover - b.cloudCover)[0] || null;
+
+const buildIndexExpression = (scene, index) => {
+  // Assets are read with positional band names (b1, b2, ...) in `index.bands` order
+  // to avoid parser issues with asset key names.
+  const terms = {};
+  index.bands.forEach((band, position) => {
+    const { scale, offset } = scene.bandScaling[band] || { scale: 0.0001, offset: 0 };
+    terms[band] = offset
+      ? `(b${position + 1}*${scale}${offset < 0 ? '-' : '+'}${Math.abs(offset)})`
+      : `(b${position + 1}*${scale})`;
+  });
+  return index.expression(terms);
+};
+
+const buildClearPixelCondition = (sclBand) =>
+  Object.keys(SCL_MASKED_CLASSES).map((sclClass) => `(${sclBand}!=${sclClass})`).join('&');
+
+// Query shared by the statistics and tile endpoints: assets in positional order plus
+// the index expression, wrapped in the SCL clear-pixel mask when the scene has one.
+// With the mask, each value in `fills` adds an output band with masked pixels set to it.
+const buildIndexQuery = (scene, index, mask, fills = [MASK_SENTINEL]) => {
+  const missing = index.bands.filter((band) => !scene.assets[band]);
+  if (missing.length) {
+    throw new Error(`${index.id} needs ${missing.join(', ')} band(s) that scene ${scene.id} does not provide.`);
+  }
+
+  const params = new URLSearchParams();
+  params.set('url', scene.itemUrl);
+  index.bands.forEach((band) => params.append('assets', scene.assets[band]));
+  params.set('asset_as_band', 'false');
+
+  const useMask = mask && Boolean(scene.sclAsset);
+  let expression = buildIndexExpression(scene, index);
+  if (useMask) {
+    // SCL is appended after the index bands, so it is the next positional band.
+    params.append('assets', scene.sclAsset);
+    const clear = buildClearPixelCondition(`b${index.bands.length + 1}`);
+    expression = fills.map((fill) => `where(${clear},${expression},${fill})`).join(';');
+  }
+  params.set('expression', expression);
+
+  return { params, useMask };
+};
+
+/**
+ * Zonal statistics of one catalog index for one scene, clipped to the selection polygon.
+ * When the scene has an SCL asset, cloud, shadow, snow and saturated pixels are
+ * excluded and the result reports `validPercent`; otherwise `validPercent` is null.
+ */
+export const fetchSceneIndexStats = async (scene, selection, indexId, { signal, mask = true } = {}) => {
+  const index = getSpectralIndex(indexId);
+  if (!index) {
+    throw new Error(`Unknown spectral index: ${indexId}`);
+  }
+
+  const { params, useMask } = buildIndexQuery(scene, index, mask, [MASK_SENTINEL, -MASK_SENTINEL]);
+  // The histogram is for display; bounding it leaves the fills out of it.
+  if (useMask) params.set('histogram_range', (index.range || [-1, 1]).join(','));
+
+  const response = await fetch(`${titilerUrl('statistics')}?${params.toString()}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(toPolygonFeature(selection.vertices)),
+    signal
+  });
+
+  if (!response.ok) {
+    const detail = await extractErrorText(response);
+    throw new Error(`${index.id} statistics request failed: ${detail}`);
+  }
+
+  const payload = await response.json();
+  try {
+    return useMask
+      ? parseMaskedTitilerStats(payload, index.range)
+      : { ...parseTitilerStats(payload, index.range), validPercent: null, masked: false };
+  } catch (error) {
+    const snippet = JSON.stringify(payload)?.slice(0, 320) || 'empty response';
+    throw new Error(`Could not parse ${index.id} statistics response. Payload: ${snippet}`);
+  }
+};
+
+/**
+ * Statistics for several catalog indices of one scene, requested in parallel.
+ * Failures are collected per index so one missing band does not lose the rest.
+ */
+export const fetchSceneIndexSet = async (scene, selection, indexIds, { signal } = {}) => {
+  const settled = await Promise.allSettled(
+    indexIds.map((indexId) => fetchSceneIndexStats(scene, selection, indexId, { signal }))
+  );
+
+  const stats = {};
+  const errors = {};
+  settled.forEach((outcome, position) => {
+    const indexId = indexIds[position];
+    if (outcome.status === 'fulfilled') {
+      stats[indexId] = outcome.value;
+    } else {
+      errors[indexId] = outcome.reason instanceof Error ? outcome.reason.message : String(outcome.reason);
+    }
+  });
+  return { stats, errors };
+};
+
+/**
+ * NDVI statistics for every usable scene in the period, oldest first.
+ * Scenes are processed a few at a time; a scene whose statistics fail is
+ * skipped and counted rather than aborting the whole series. Scenes where
+ * less than `minValidPercent` of the parcel is clear are counted as obscured.
+ */
+export const fetchNdviTimeSeries = async (
+  selection,
+  { datetime, maxCloud = 40, maxScenes = 120, concurrency = 3, minValidPercent = 50, onProgress, signal } = {}
+) => {
+  const scenes = await searchScenes(selection, { datetime, maxCloud, maxItems: maxScenes * 2, signal });
+  const queue = scenes
+    .sort((a, b) => new Date(a.datetime).getTime() - new Date(b.datetime).getTime())
+    .slice(-maxScenes);
+
+  const points = [];
+  let done = 0;
+  let failed = 0;
+  let obscured = 0;
+  let cursor = 0;
+  onProgress?.({ done, total: queue.length, failed });
+
+  const worker = async () => {
+    while (cursor < queue.length) {
+      const scene = queue[cursor];
+      cursor += 1;
+      try {
+        const stats = await fetchSceneIndexStats(scene, selection, 'NDVI', { signal });
+        if (stats.validPercent !== null && stats.validPercent < minValidPercent) {
+          obscured += 1;
+        } else {
+          points.push({
+            sceneId: scene.id,
+            datetime: scene.datetime,
+            cloudCover: scene.cloudCover,
+            mean: stats.mean,
+            min: stats.min,
+            max: stats.max,
+            stdDev: stats.stdDev,
+            validPercent: stats.validPercent
+          });
+        }
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        failed += 1;
+      }
+      done += 1;
+      onProgress?.({ done, total: queue.length, failed });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  return {
+    points: points.sort((a, b) => new Date(a.datetime).getTime() - new Date(b.datetime).getTime()),
+    sceneCount: queue.length,
+    failed,
+    obscured
+  };
+};
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+/** Color of a -1..1 index value on a ramp of evenly spaced hex stops. */
+export const rampColorAt = (colors, value) => {
+  const t = clamp((value + 1) / 2, 0, 1) * (colors.length - 1);
+  const lower = Math.floor(t);
+  const upper = Math.min(colors.length - 1, lower + 1);
+  const from = hexToRgb(colors[lower]);
+  const to = hexToRgb(colors[upper]);
+  const mix = t - lower;
+  return from.map((channel, idx) => Math.round(channel + (to[idx] - channel) * mix));
+};
+
+const buildRampColormap = (colors) => {
+  const intervals = [[[0, 1], [0, 0, 0, 0]]];
+  const width = 255 / OVERLAY_COLOR_STEPS;
+  for (let step = 0; step < OVERLAY_COLOR_STEPS; step += 1) {
+    const lower = 1 + step * width;
+    const upper = step === OVERLAY_COLOR_STEPS - 1 ? 256 : 1 + (step + 1) * width;
+    const value = -1 + ((step + 0.5) / OVERLAY_COLOR_STEPS) * 2;
+    intervals.push([[Number(lower.toFixed(2)), Number(upper.toFixed(2))], [...rampColorAt(colors, value), 255]]);
+  }
+  return intervals;
+};
+
+/**
+ * XYZ template for a colored index overlay of one scene. Masked pixels are
+ * transparent; `{z}/{x}/{y}` are left for Leaflet to fill in.
+ */
+export const buildIndexTileUrl = (scene, indexId, { mask = true } = {}) => {
+  const index = getSpectralIndex(indexId);
+  if (!index) {
+    throw new Error(`Unknown spectral index: ${indexId}`);
+  }
+
+  const { params } = buildIndexQuery(scene, index, mask);
+  params.set('rescale', `${OVERLAY_RESCALE_MIN.toFixed(6)},1`);
+  params.set('colormap', JSON.stringify(buildRampColormap(index.colors)));
+  return `${titilerUrl('tiles/WebMercatorQuad/{z}/{x}/{y}.png')}?${params.toString()}`;
+};
+
+const byteToIndexValue = (byte) => OVERLAY_RESCALE_MIN + (byte / 255) * (1 - OVERLAY_RESCALE_MIN);
+
+/**
+ * Per-pixel index values for the selection on a fixed EPSG:4326 grid covering
+ * its bbox, decoded from an 8-bit PNG (about 0.008 index units per step).
+ * Two scenes fetched with the same width and height share the same grid.
+ * `values` is NaN where the SCL mask removed the pixel; `inside` marks pixels
+ * within the polygon and the scene footprint.
+ */
+export const fetchIndexRaster = async (scene, selection, indexId, { width, height, signal } = {}) => {
+  const index = getSpectralIndex(indexId);
+  if (!index) {
+    throw new Error(`Unknown spectral index: ${indexId}`);
+  }
+
+  const { params } = buildIndexQuery(scene, index, true);
+  params.set('rescale', `${OVERLAY_RESCALE_MIN.toFixed(6)},1`);
+  params.set('dst_crs', 'epsg:4326');
+  params.set('width', String(width));
+  params.set('height', String(height));
+
+  const response = await fetch(`${titilerUrl('feature.png')}?${params.toString()}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(toPolygonFeature(selection.vertices)),
+    signal
+  });
+
+  if (!response.ok) {
+    const detail = await extractErrorText(response);
+    throw new Error(`${index.id} raster request for scene ${scene.id} failed: ${detail}`);
+  }
+
+  const bitmap = await createImageBitmap(await response.blob());
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Canvas is not available to decode the index raster.');
+  }
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const values = new Float32Array(width * height);
+  const inside = new Uint8Array(width * height);
+  for (let i = 0; i < values.length; i += 1) {
+    const alpha = data[i * 4 + 3];
+    const byte = data[i * 4];
+    inside[i] = alpha > 0 ? 1 : 0;
+    values[i] = alpha > 0 && byte > 0 ? byteToIndexValue(byte) : NaN;
+  }
+
+  return { values, inside, width, height };
+};
@@ -0,0 +1,133 @@
+// User-tunable configuration, persisted in localStorage and read at call time,
+// so a saved change applies the next time a view or request reads it.
+import { DEFAULT_NDVI_THRESHOLDS } from './spectralIndices';
+
+export const SETTINGS_STORAGE_KEY = 'land-record.settings';
+
+export const AREA_UNITS = [
+  { id: 'auto', label: 'Automatic (m² below 1 ha, else ha)' },
+  { id: 'ha', label: 'Hectares (ha)' },
+  { id: 'm2', label: 'Square meters (m²)' },
+  { id: 'km2', label: 'Square kilometers (km²)' },
+  { id: 'ac', label: 'Acres (ac)' }
+];
+
+export const DEFAULT_SETTINGS = {
+  earthSearchUrl: '/earth-search/search',
+  titilerUrl: '/titiler',
+  nominatimUrl: '/nominatim/search',
+  defaultLocation: { name: 'Default Location', lat: 36.7378, lng: -119.7871 },
+  sceneWindowDays: 180,
+  maxCloud: 60,
+  minValidPercent: 60,
+  collections: ['sentinel-2-l2a', 'sentinel-2-c1-l2a'],
+  ndviThresholds: DEFAULT_NDVI_THRESHOLDS,
+  areaUnit: 'auto',
+  aiModel: '' // Empty uses the API's default model
+};
+
+const COLLECTION_ID = /^[a-z0-9][a-z0-9._-]*$/i;
+
+// Same-origin paths go through the dev proxy (vite.config.ts); absolute URLs must allow CORS.
+const isServiceUrl = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return false;
+  if (value.startsWith('/')) return true;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (_) {
+    return false;
+  }
+};
+
+const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Field errors keyed by setting id (`ndviThresholds.cropland` for nested
+ * fields); an empty object means the settings can be saved.
+ */
+export const validateSettings = (settings) => {
+  const errors = {};
+  ['earthSearchUrl', 'titilerUrl', 'nominatimUrl'].forEach((field) => {
+    if (!isServiceUrl(settings[field])) errors[field] = 'Use a path starting with / or an http(s) URL';
+  });
+
+  const { name, lat, lng } = settings.defaultLocation || {};
+  if (typeof name !== 'string' || !name.trim()) errors['defaultLocation.name'] = 'Name is required';
+  if (!Number.isFinite(lat) || Math.abs(lat) > 90) errors['defaultLocation.lat'] = 'Latitude must be between -90 and 90';
+  if (!Number.isFinite(lng) || Math.abs(lng) > 180) errors['defaultLocation.lng'] = 'Longitude must be between -180 and 180';
+
+  if (!isIntegerIn(settings.sceneWindowDays, 1, 3650)) errors.sceneWindowDays = 'Whole days between 1 and 3650';
+  if (!isIntegerIn(settings.maxCloud, 0, 100)) errors.maxCloud = 'Whole percent between 0 and 100';
+  if (!isIntegerIn(settings.minValidPercent, 0, 100)) errors.minValidPercent = 'Whole percent between 0 and 100';
+
+  if (!Array.isArray(settings.collections) || !settings.collections.length) {
+    errors.collections = 'At least one STAC collection is required';
+  } else if (!settings.collections.every((id) => COLLECTION_ID.test(id))) {
+    errors.collections = 'Collection ids may only contain letters, digits, ".", "_" and "-"';
+  }
+
+  const thresholds = settings.ndviThresholds || {};
+  Object.keys(DEFAULT_NDVI_THRESHOLDS).forEach((key) => {
+    if (!Number.isFinite(thresholds[key]) || Math.abs(thresholds[key]) > 1) errors[`ndviThresholds.${key}`] = 'NDVI must be between -1 and 1';
+  });
+  if (!Object.keys(errors).some((key) => key.startsWith('ndviThresholds.'))) {
+    const { water, sparse, moderate, cropland, dense } = thresholds;
+    if (!(water < sparse && sparse < cropland && cropland < dense)) {
+      errors['ndviThresholds.cropland'] = 'Cut-offs must rise: water < sparse < cropland < dense';
+    } else if (!(moderate < dense)) {
+      errors['ndviThresholds.moderate'] = 'Moderate green must be below dense';
+    }
+  }
+
+  if (!AREA_UNITS.some((unit) => unit.id === settings.areaUnit)) errors.areaUnit = 'Unknown area unit';
+  if (typeof settings.aiModel !== 'string') errors.aiModel = 'Model must be a string';
+  return errors;
+};
+
+// Stored values are merged over the defaults so settings added later get
+// their default; an invalid stored set is ignored as a whole.
+const readStoredSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+    if (!stored) return DEFAULT_SETTINGS;
+    const merged = {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      defaultLocation: { ...DEFAULT_SETTINGS.defaultLocation, ...stored.defaultLocation },
+      ndviThresholds: { ...DEFAULT_SETTINGS.ndviThresholds, ...stored.ndviThresholds }
+    };
+    if (Object.keys(validateSettings(merged)).length) {
+      console.warn('Stored settings are invalid; using defaults.');
+      return DEFAULT_SETTINGS;
+    }
+    return merged;
+  } catch (_) {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+let currentSettings = null;
+
+export const getSettings = () => {
+  currentSettings ??= readStoredSettings();
+  return currentSettings;
+};
+
+/** Validates and persists; throws with the field errors attached when invalid. */
+export const saveSettings = (settings) => {
+  const errors = validateSettings(settings);
+  if (Object.keys(errors).length) {
+    const error = new Error('Settings are invalid');
+    error.fields = errors;
+    throw error;
+  }
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  currentSettings = settings;
+  return settings;
+};
+
+export const resetSettings = () => {
+  localStorage.removeItem(SETTINGS_STORAGE_KEY);
+  currentSettings = DEFAULT_SETTINGS;
+  return currentSettings;
+};
@@ -0,0 +1,95 @@
+// Spectral index catalog for Sentinel-2 L2A.
+// Each entry lists the bands it reads and builds a TiTiler band-math expression
+// from per-band reflectance terms, so adding an index is a single entry here.
+// `range` bounds the index for reflectances in [0, 1]; null when it has none
+// (EVI's denominator can approach zero), so statistics are not clamped.
+
+export const BAND_ASSET_CANDIDATES = {
+  blue: ['blue', 'B02', 'b02', 'blue-jp2'],
+  green: ['green', 'B03', 'b03', 'green-jp2'],
+  red: ['red', 'B04', 'b04', 'red-jp2'],
+  nir: ['nir', 'nir08', 'B08', 'b08', 'nir08-jp2', 'nir-jp2'],
+  swir16: ['swir16', 'B11', 'b11', 'swir16-jp2'],
+  swir22: ['swir22', 'B12', 'b12', 'swir22-jp2']
+};
+
+export const SPECTRAL_INDICES = [
+  {
+    id: 'NDVI',
+    name: 'Vegetation (NDVI)',
+    description: 'Normalized Difference Vegetation Index: >0.5 dense healthy vegetation, 0.2-0.5 moderate vegetation, <0.2 bare soil, rock or water.',
+    formula: '(NIR - Red) / (NIR + Red)',
+    bands: ['red', 'nir'],
+    expression: ({ red, nir }) => `(${nir}-${red})/(${nir}+${red})`,
+    range: [-1, 1],
+    colors: ['#d7191c', '#fdae61', '#ffffbf', '#a6d96a', '#1a9641']
+  },
+  {
+    id: 'EVI',
+    name: 'Enhanced Veg (EVI)',
+    description: 'Enhanced Vegetation Index: like NDVI but less saturated over dense canopy and corrected for soil and aerosol; healthy crops typically 0.2-0.8.',
+    formula: '2.5 * (NIR - Red) / (NIR + 6 * Red - 7.5 * Blue + 1)',
+    bands: ['blue', 'red', 'nir'],
+    expression: ({ blue, red, nir }) => `2.5*(${nir}-${red})/(${nir}+6*${red}-7.5*${blue}+1)`,
+    range: null,
+    colors: ['#8c510a', '#d8b365', '#f6e8c3', '#c7eae5', '#5ab4ac', '#01665e']
+  },
+  {
+    id: 'NDWI',
+    name: 'Water (NDWI)',
+    description: 'Normalized Difference Water Index (McFeeters): >0 open water, <0 vegetation and dry soil.',
+    formula: '(Green - NIR) / (Green + NIR)',
+    bands: ['green', 'nir'],
+    expression: ({ green, nir }) => `(${green}-${nir})/(${green}+${nir})`,
+    range: [-1, 1],
+    colors: ['#ffffbf', '#e0f3f8', '#91bfdb', '#4575b4']
+  },
+  {
+    id: 'NDMI',
+    name: 'Moisture (NDMI)',
+    description: 'Normalized Difference Moisture Index: canopy water content; >0.2 well watered, <0 water stress or bare soil.',
+    formula: '(NIR - SWIR1) / (NIR + SWIR1)',
+    bands: ['nir', 'swir16'],
+    expression: ({ nir, swir16 }) => `(${nir}-${swir16})/(${nir}+${swir16})`,
+    range: [-1, 1],
+    colors: ['#a6611a', '#dfc27d', '#f5f5f5', '#80cdc1', '#018571']
+  },
+  {
+    id: 'SAVI',
+    name: 'Soil-Adjusted (SAVI)',
+    description: 'Soil-Adjusted Vegetation Index (L=0.5): reduces soil brightness influence on sparse canopy; >0.3 established vegetation.',
+    formula: '1.5 * (NIR - Red) / (NIR + Red + 0.5)',
+    bands: ['red', 'nir'],
+    expression: ({ red, nir }) => `1.5*(${nir}-${red})/(${nir}+${red}+0.5)`,
+    range: [-1.5, 1.5],
+    colors: ['#d7191c', '#fdae61', '#ffffbf', '#a6d96a', '#1a9641']
+  },
+  {
+    id: 'NBR',
+    name: 'Burn Ratio (NBR)',
+    description: 'Normalized Burn Ratio: high for healthy vegetation, low or negative for burned areas and bare ground.',
+    formula: '(NIR - SWIR2) / (NIR + SWIR2)',
+    bands: ['nir', 'swir22'],
+    expression: ({ nir, swir22 }) => `(${nir}-${swir22})/(${nir}+${swir22})`,
+    range: [-1, 1],
+    colors: ['#7f3b08', '#e08214', '#fee0b6', '#b2abd2', '#2d004b']
+  }
+];
+
+/**
+ * NDVI cut-offs for classifyLandByNdvi (services/ruleAnalyzer.js). `dense`
+ * and `moderate` bound the histogram shares; the rest are the class floors
+ * for the mean. Overridable in Settings.
+ */
+export const DEFAULT_NDVI_THRESHOLDS = { water: 0, sparse: 0.1, moderate: 0.2, cropland: 0.25, dense: 0.45 };
+
+export const getSpectralIndex = (indexId) =>
+  SPECTRAL_INDICES.find((index) => index.id === indexId) || null;
+
+/** Union of the bands needed by the given indices, in catalog band order. */
+export const requiredBands = (indexIds) => {
+  const needed = new Set(
+    indexIds.flatMap((indexId) => getSpectralIndex(indexId)?.bands || [])
+  );
+  return Object.keys(BAND_ASSET_CANDIDATES).filter((band) => needed.has(band));
+};
@@ -0,0 +1,42 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startRegistryApi } from './registryApi.js';
+
+describe('registry query assistant', () => {
+  let api;
+  let auditor;
+
+  before(async () => {
+    api = await startRegistryApi();
+    auditor = await api.signIn('auditor');
+    // Only the query reads these, so they skip the ledger.
+    await api.store.update((data) => {
+      for (let i = 0; i < 30; i += 1) {
+        data.parcels.push({ ...data.parcels[0], id: `Q-${i}`, createdAt: `2025-01-${String(i + 1).padStart(2, '0')}T00:00:00.000Z` });
+      }
+    });
+  });
+
+  after(() => api.close());
+
+  const ask = (body) => api.request('POST', '/api/ai/query', { token: auditor, body: { question: 'show me parcels', ...body } });
+
+  it('answers with one page of matches, newest first, and their total', async () => {
+    const { status, body } = await ask();
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(body.filters, {});
+    assert.equal(body.total, 35);
+    assert.equal(body.parcels.length, 25);
+    assert.equal(body.parcels[0].id, 'Q-29');
+
+    const last = (await ask({ page: 2 })).body;
+    assert.equal(last.page, 2);
+    assert.equal(last.parcels.length, 10);
+  });
+
+  it('only accepts the list page sizes', async () => {
+    assert.equal((await ask({ pageSize: 100 })).body.parcels.length, 35);
+    assert.equal((await ask({ pageSize: 5000 })).status, 400);
+    assert.equal((await ask({ page: 0 })).status, 400);
+  });
+});
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PASSWORD, square, startRegistryApi } from './registryApi.js';
+
+const PARCEL_ID = 'T-882190';
+
+describe('audit log', () => {
+  let api;
+  let registrar;
+
+  beforeEach(async () => {
+    api = await startRegistryApi();
+    registrar = await api.signIn('registrar');
+  });
+
+  afterEach(() => api.close());
+
+  const auditEvents = async (query = '') => {
+    const response = await api.request('GET', `/api/audit${query}`, { token: registrar });
+    assert.equal(response.status, 200, response.text);
+    return response.body;
+  };
+
+  it('records sign-ins, failed sign-ins and the source address', async () => {
+    await api.request('POST', '/api/auth/login', { body: { username: 'surveyor', password: 'wrong' } });
+    // Only the last X-Forwarded-For hop is believed, and only from a local proxy.
+    await api.request('POST', '/api/auth/login', {
+      body: { username: 'auditor', password: PASSWORD },
+      headers: { 'X-Forwarded-For': '203.0.113.9, 198.51.100.7' }
+    });
+
+    const { events, actors } = await auditEvents();
+    assert.deepEqual(events.map((event) => [event.action, event.actor]), [
+      ['LOGIN', 'auditor'],
+      ['LOGIN_FAILED', 'surveyor'],
+      ['LOGIN', 'registrar']
+    ]);
+    assert.equal(events[0].ip, '198.51.100.7');
+    assert.equal(events[0].role, 'auditor');
+    assert.equal(events[1].role, null);
+    assert.deepEqual(actors, ['auditor', 'registrar', 'surveyor']);
+  });
+
+  it('throttles repeated failed sign-ins and stops auditing them', async () => {
+    const login = (username, password, ip = '203.0.113.1') => api.request('POST', '/api/auth/login', {
+      body: { username, password },
+      headers: { 'X-Forwarded-For': ip }
+    });
+    for (let i = 0; i < 5; i += 1) assert.equal((await login('surveyor', 'wrong')).status, 401);
+
+    const throttled = await login('surveyor', PASSWORD, '203.0.113.2');
+    assert.equal(throttled.status, 429);
+    assert.ok(Number(throttled.headers.get('retry-after')) > 0);
+    assert.equal((await auditEvents('?action=LOGIN_FAILED')).total, 5);
+
+    // Other accounts from the same address still get their tries.
+    assert.equal((await login('auditor', PASSWORD)).status, 200);
+    for (let i = 0; i < 15; i += 1) await login(`guess-${i}`, 'wrong');
+    assert.equal((await login('auditor', PASSWORD)).status, 429);
+    assert.equal((await login('auditor', PASSWORD, '203.0.113.3')).status, 200);
+  });
+
+  it('keeps only the changed fields of an edit, before and after', async () => {
+    await api.request('PATCH', `/api/parcels/${PARCEL_ID}`, { token: registrar, body: { name: 'Valley Farm', location: '34.05N, 118.24W' } });
+    await api.request('PATCH', `/api/parcels/${PARCEL_ID}`, { token: registrar, body: { status: 'Flagged', flagReason: 'Disputed' } });
+
+    const { events } = await auditEvents(`?parcelId=${PARCEL_ID}`);
+    const [statusChange, edit] = events;
+    assert.equal(edit.action, 'PARCEL_UPDATED');
+    assert.deepEqual(edit.before, { name: 'Green Valley Farms Parcel' });
+    assert.deepEqual(edit.after, { name: 'Valley Farm' });
+    assert.equal(statusChange.action, 'PARCEL_STATUS_CHANGED');
+    assert.deepEqual(statusChange.before, { status: 'Verified', flagReason: null });
+    assert.deepEqual(statusChange.after, { status: 'Flagged', flagReason: 'Disputed' });
+  });
+
+  it('filters by action and limits to the newest events', async () => {
+    for (let i = 0; i < 3; i += 1) await api.signIn('auditor');
+
+    const { events, total } = await auditEvents('?action=LOGIN&actor=auditor&limit=2');
+    assert.equal(total, 3);
+    assert.equal(events.length, 2);
+    assert.ok(events[0].id > events[1].id);
+
+    assert.equal((await api.request('GET', '/api/audit?action=DELETE', { token: registrar })).status, 400);
+    assert.equal((await api.request('GET', '/api/audit?limit=20000', { token: registrar })).status, 400);
+    assert.equal((await api.request('GET', '/api/audit?from=yesterday', { token: registrar })).status, 400);
+  });
+
+  it('records registry exports made through the API with the file served', async () => {
+    const file = await api.request('GET', '/api/parcels/export?format=csv&status=Verified', { token: registrar });
+    assert.equal(file.status, 200);
+    assert.match(file.headers.get('content-disposition'), /attachment; filename="land-registry-\d{4}-\d{2}-\d{2}\.csv"/);
+    const rows = file.text.trim().split('\r\n');
+    assert.equal(rows.length - 1, 4);
+
+    const [event] = (await auditEvents('?action=EXPORT')).events;
+    assert.deepEqual(event.details, { kind: 'parcels', format: 'csv', count: 4, query: 'status=Verified' });
+    assert.equal(event.actor, 'registrar');
+  });
+
+  it('builds and records explorer selection exports', async () => {
+    const exportSelection = (body) => api.request('POST', '/api/parcels/export/selection', { token: registrar, body });
+    const stats = { NDVI: { mean: 0.41234, min: 0.1, max: 0.7, stdDev: 0.1 } };
+    const file = await exportSelection({ geometry: square(12, 12, 0.01), locationName: 'Test', stats, report: { landUse: 'Cropland' } });
+    assert.equal(file.status, 200, file.text);
+    assert.match(file.headers.get('content-disposition'), /filename="parcel-selection-\d{4}-\d{2}-\d{2}\.geojson"/);
+    const feature = JSON.parse(file.text);
+    assert.equal(feature.properties.ndvi_mean, 0.4123);
+    assert.equal(feature.properties.ai_land_use, 'Cropland');
+    assert.ok(feature.properties.area_sq_m > 1e6);
+
+    assert.equal((await exportSelection({ geometry: square(12, 12), stats: { NDVI: 0.4 } })).status, 400);
+    assert.equal((await exportSelection({ geometry: { type: 'Point', coordinates: [12, 12] } })).status, 400);
+
+    const [event] = (await auditEvents('?action=EXPORT')).events;
+    assert.equal(event.details.kind, 'selection');
+    assert.equal(event.details.count, 1);
+  });
+
+  it('records certificates and audit log downloads', async () => {
+    const certificate = await api.request('POST', `/api/parcels/${PARCEL_ID}/certificates`, { token: registrar });
+    assert.equal(certificate.status, 201);
+    assert.equal(certificate.body.parcel.id, PARCEL_ID);
+    assert.equal(certificate.body.ledgerEntry.parcelId, PARCEL_ID);
+
+    const file = await api.request('GET', '/api/audit/export?action=EXPORT', { token: registrar });
+    assert.equal(file.status, 200);
+    assert.equal(file.text.trim().split('\r\n').length, 2); // Header and the certificate
+
+    const { events } = await auditEvents('?action=EXPORT');
+    assert.deepEqual(events.map((event) => event.details.kind), ['audit', 'certificate']);
+    assert.equal(events[1].parcelId, PARCEL_ID);
+  });
+});
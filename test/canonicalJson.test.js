@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalJson } from '../services/canonicalJson.js';
+
+describe('canonicalJson', () => {
+  it('sorts keys at every depth', () => {
+    assert.equal(canonicalJson({ b: 1, a: { d: [2, { z: 0, y: 1 }], c: 'x' } }), '{"a":{"c":"x","d":[2,{"y":1,"z":0}]},"b":1}');
+  });
+
+  it('is the same for the same content written in any key order', () => {
+    const first = { owner: 'Ada', geometry: { type: 'Polygon', coordinates: [[[1, 2]]] }, status: 'Pending' };
+    const second = { status: 'Pending', geometry: { coordinates: [[[1, 2]]], type: 'Polygon' }, owner: 'Ada' };
+    assert.equal(canonicalJson(first), canonicalJson(second));
+  });
+
+  it('keeps array order, which is content', () => {
+    assert.notEqual(canonicalJson([1, 2]), canonicalJson([2, 1]));
+  });
+
+  it('leaves out undefined properties but keeps nulls', () => {
+    assert.equal(canonicalJson({ a: undefined, b: null }), '{"b":null}');
+    assert.equal(canonicalJson({ a: 1, b: undefined }), canonicalJson({ a: 1 }));
+  });
+
+  it('writes scalars and missing values as JSON does', () => {
+    assert.equal(canonicalJson('a"b'), '"a\\"b"');
+    assert.equal(canonicalJson(1.5), '1.5');
+    assert.equal(canonicalJson(false), 'false');
+    assert.equal(canonicalJson(undefined), 'null');
+    assert.equal(canonicalJson([undefined]), '[null]');
+  });
+
+  it('matches JSON.stringify for content that is already sorted', () => {
+    const value = { a: [1, 'two', null, true], b: { c: -0.25 } };
+    assert.equal(canonicalJson(value), JSON.stringify(value));
+  });
+});
@@ -0,0 +1,107 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GENESIS_HASH } from '../server/ledger.js';
+import { square, startRegistryApi } from './registryApi.js';
+
+describe('hash-chained ledger', () => {
+  let api;
+  let surveyor;
+
+  beforeEach(async () => {
+    api = await startRegistryApi();
+    surveyor = await api.signIn('surveyor');
+  });
+
+  afterEach(() => api.close());
+
+  const register = async (body) => {
+    const response = await api.request('POST', '/api/parcels', {
+      token: surveyor,
+      body: { name: 'North Field', owner: 'Ada Farms', location: 'Test', geometry: square(10, 10), ...body }
+    });
+    assert.equal(response.status, 201, response.text);
+    return response.body;
+  };
+
+  const ledgerEntries = async () => (await api.request('GET', '/api/ledger?limit=1000', { token: surveyor })).body.entries.reverse();
+
+  it('chains every entry to the one before it, starting from the genesis hash', async () => {
+    const parcel = await register();
+    await api.request('PATCH', `/api/parcels/${parcel.id}`, { token: surveyor, body: { name: 'North Field East' } });
+
+    const entries = await ledgerEntries();
+    assert.equal(entries[0].prevHash, GENESIS_HASH);
+    entries.slice(1).forEach((entry, position) => {
+      assert.equal(entry.index, position + 1);
+      assert.equal(entry.prevHash, entries[position].hash);
+    });
+    assert.deepEqual(entries.slice(-2).map((entry) => entry.type), ['PARCEL_REGISTERED', 'PARCEL_UPDATED']);
+    assert.deepEqual(entries.at(-1).changes, ['name']);
+    assert.equal(entries.at(-1).actor, 'surveyor');
+
+    const { body: chain } = await api.request('GET', '/api/ledger/verify', { token: surveyor });
+    assert.equal(chain.valid, true);
+    assert.equal(chain.headHash, entries.at(-1).hash);
+  });
+
+  it('reports a parcel edited outside the ledger', async () => {
+    const parcel = await register();
+    await api.store.update((data) => {
+      data.parcels.find((candidate) => candidate.id === parcel.id).owner = 'Someone Else';
+    });
+
+    const { body: chain } = await api.request('GET', '/api/ledger/verify', { token: surveyor });
+    assert.equal(chain.valid, false);
+    assert.equal(chain.firstInvalid.parcelId, parcel.id);
+    assert.match(chain.firstInvalid.reason, /modified outside the ledger/);
+  });
+
+  it('reports an entry rewritten after it was chained', async () => {
+    await register();
+    await register({ name: 'South Field', geometry: square(11, 11) });
+    const entries = await ledgerEntries();
+    const target = entries.at(-2);
+    await api.store.update((data) => {
+      data.ledger[target.index].summary.owner = 'Forged Owner';
+    });
+
+    const { body: chain } = await api.request('GET', '/api/ledger/verify', { token: surveyor });
+    assert.equal(chain.valid, false);
+    assert.equal(chain.firstInvalid.index, target.index);
+    assert.match(chain.firstInvalid.reason, /Content hash mismatch/);
+  });
+
+  it('tells genuine, superseded and unknown certificate hashes apart', async () => {
+    const parcel = await register();
+    const verify = async (hash) => (await api.request('GET', `/api/parcels/${parcel.id}/verify?hash=${hash}`)).body.verdict;
+
+    assert.equal(await verify(parcel.hash), 'genuine');
+    await api.request('PATCH', `/api/parcels/${parcel.id}`, { token: surveyor, body: { location: 'Elsewhere' } });
+    assert.equal(await verify(parcel.hash), 'superseded');
+    assert.equal(await verify(`0x${'1'.repeat(64)}`), 'invalid');
+  });
+
+  it('tells anonymous callers nothing about a parcel without a recorded hash', async () => {
+    for (const url of ['/api/parcels/T-882190/verify', `/api/parcels/T-882190/verify?hash=0x${'1'.repeat(64)}`, '/api/parcels/T-0/verify?hash=x']) {
+      const { status, body } = await api.request('GET', url);
+      assert.equal(status, 200, url);
+      assert.equal(body.verdict, 'invalid');
+      assert.equal(body.parcel, null);
+      assert.equal('currentHash' in body, false);
+    }
+  });
+
+  it('shows the current hash of a superseded certificate only to registry readers', async () => {
+    const parcel = await register();
+    await api.request('PATCH', `/api/parcels/${parcel.id}`, { token: surveyor, body: { location: 'Elsewhere' } });
+    const url = `/api/parcels/${parcel.id}/verify?hash=${parcel.hash}`;
+
+    const anonymous = (await api.request('GET', url)).body;
+    assert.equal(anonymous.verdict, 'superseded');
+    assert.equal(anonymous.parcel.owner, 'Ada Farms');
+    assert.equal('currentHash' in anonymous, false);
+
+    const signedIn = (await api.request('GET', url, { token: surveyor })).body;
+    assert.notEqual(signedIn.currentHash, parcel.hash);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeOverlaps, findOverlaps, multiPolygonArea } from '../services/overlap.js';
+import { square } from './registryApi.js';
+
+const registered = (id, geometry) => ({ id, name: `Parcel ${id}`, owner: `Owner ${id}`, geometry });
+
+// Same square as `square`, without the closing position.
+const openSquare = (lng, lat, size) => {
+  const geometry = square(lng, lat, size);
+  return { ...geometry, coordinates: [geometry.coordinates[0].slice(0, -1)] };
+};
+
+describe('multiPolygonArea', () => {
+  it('measures open and closed rings alike', () => {
+    const closed = multiPolygonArea([square(0, 0, 0.01).coordinates]);
+    assert.ok(closed > 1.2e6 && closed < 1.25e6, String(closed)); // About 1.11 km on a side at the equator
+    assert.equal(multiPolygonArea([openSquare(0, 0, 0.01).coordinates]), closed);
+  });
+
+  it('subtracts holes', () => {
+    const outer = square(0, 0, 0.02).coordinates[0];
+    const hole = square(0.005, 0.005, 0.01).coordinates[0];
+    const expected = multiPolygonArea([[outer]]) - multiPolygonArea([[hole]]);
+    assert.ok(Math.abs(multiPolygonArea([[outer, hole]]) - expected) < 1e-6);
+  });
+});
+
+describe('findOverlaps', () => {
+  const parcels = [
+    registered('A', square(0, 0, 0.01)),
+    registered('B', square(0.005, 0, 0.01)),
+    registered('C', square(1, 1, 0.01)),
+    { id: 'D', name: 'No boundary', owner: 'Nobody', geometry: null }
+  ];
+
+  it('lists every registered boundary the subject intersects, largest overlap first', () => {
+    const conflicts = findOverlaps(square(0.004, 0, 0.01), parcels);
+    assert.deepEqual(conflicts.map((conflict) => conflict.parcelId), ['B', 'A']);
+    assert.ok(Math.abs(conflicts[0].overlapPercent - 90) < 0.1, String(conflicts[0].overlapPercent));
+    assert.ok(Math.abs(conflicts[1].overlapPercent - 60) < 0.1, String(conflicts[1].overlapPercent));
+    assert.equal(conflicts[0].overlap.type, 'MultiPolygon');
+  });
+
+  it('gives the same share for an open ring as for a closed one', () => {
+    const [closed] = findOverlaps(square(0.005, 0, 0.01), [parcels[0]]);
+    const [open] = findOverlaps(openSquare(0.005, 0, 0.01), [parcels[0]]);
+    assert.ok(Math.abs(closed.overlapPercent - 50) < 0.1);
+    assert.ok(Math.abs(open.overlapPercent - closed.overlapPercent) < 1e-9);
+  });
+
+  it('skips the excluded parcel, so an edit does not conflict with itself', () => {
+    assert.deepEqual(findOverlaps(parcels[0].geometry, parcels, { excludeId: 'A' }).map((conflict) => conflict.parcelId), ['B']);
+  });
+
+  it('ignores neighbours that only share an edge or a sliver', () => {
+    assert.deepEqual(findOverlaps(square(0.01, 0, 0.01), [parcels[0]]), []);
+    // About 0.1 m² of float noise along a shared edge.
+    assert.deepEqual(findOverlaps(square(0.009999999, 0, 0.01), [parcels[0]]), []);
+  });
+});
+
+describe('describeOverlaps', () => {
+  it('names each conflicting parcel with its share', () => {
+    const text = describeOverlaps(findOverlaps(square(0.004, 0, 0.01), [registered('A', square(0, 0, 0.01))]));
+    assert.match(text, /^Boundary overlaps registered parcel A \(.+, 60\.0% of this parcel\)\.$/);
+  });
+
+  it('uses the plural for several parcels', () => {
+    assert.match(describeOverlaps([
+      { parcelId: 'A', overlapSqMeters: 20, overlapPercent: 1 },
+      { parcelId: 'B', overlapSqMeters: 10, overlapPercent: 0.5 }
+    ]), /^Boundary overlaps registered parcels A .*, B /);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PAGE_SIZE, parseBboxText, parseParcelQuery, queryParcels } from '../services/parcelQuery.js';
+
+const parcel = (number, fields = {}) => ({
+  id: `P-${number}`,
+  name: `Parcel ${number}`,
+  owner: `Owner ${number % 3}`,
+  location: '',
+  status: ['Verified', 'Pending', 'Flagged'][number % 3],
+  area: `${number}.00 ha`,
+  createdAt: `2024-01-${String((number % 28) + 1).padStart(2, '0')}T00:00:00.000Z`,
+  ...fields
+});
+
+const PARCELS = Array.from({ length: 60 }, (_, i) => parcel(i + 1));
+
+const ids = (result) => result.parcels.map((record) => record.id);
+
+const run = (query, parcels = PARCELS) => {
+  const options = parseParcelQuery(query);
+  assert.deepEqual(options.errors, []);
+  return queryParcels(parcels, options);
+};
+
+describe('parseParcelQuery', () => {
+  it('defaults to newest first, unpaged', () => {
+    const options = parseParcelQuery({});
+    assert.equal(options.sort, 'createdAt');
+    assert.equal(options.order, 'desc');
+    assert.equal(options.paged, false);
+    assert.equal(options.pageSize, DEFAULT_PAGE_SIZE);
+  });
+
+  it('sorts an explicitly chosen column ascending unless told otherwise', () => {
+    assert.equal(parseParcelQuery({ sort: 'owner' }).order, 'asc');
+    assert.equal(parseParcelQuery({ sort: 'owner', order: 'desc' }).order, 'desc');
+  });
+
+  it('collects one error per invalid parameter', () => {
+    const { errors } = parseParcelQuery({
+      from: '2024-1-1', minHa: '-2', bbox: '10,10,5,5', sort: 'hash', order: 'up', page: '1.5', pageSize: '30'
+    });
+    assert.equal(errors.length, 7);
+  });
+
+  it('reads the area range and bounding box', () => {
+    const { filter } = parseParcelQuery({ minHa: '2', maxHa: '10.5', bbox: '-1,-2,3,4', ids: 'P-1,P-2' });
+    assert.deepEqual(filter, { minHa: 2, maxHa: 10.5, bbox: [-1, -2, 3, 4], parcelIds: ['P-1', 'P-2'] });
+  });
+});
+
+describe('parseBboxText', () => {
+  it('accepts minLng,minLat,maxLng,maxLat within range', () => {
+    assert.deepEqual(parseBboxText(' -180, -90 ,180,90'), [-180, -90, 180, 90]);
+  });
+
+  it('rejects inverted, out-of-range, short or blank boxes', () => {
+    ['5,0,1,1', '0,0,1,91', '0,0,1', '0,,1,1', 'a,b,c,d'].forEach((text) => assert.equal(parseBboxText(text), null, text));
+  });
+});
+
+describe('queryParcels paging', () => {
+  it('returns the requested page and the total of every match', () => {
+    const result = run({ sort: 'id', page: '2', pageSize: '25' });
+    assert.equal(result.total, 60);
+    assert.equal(result.parcels.length, 25);
+    assert.equal(result.parcels[0].id, 'P-26');
+    assert.equal(result.parcels[24].id, 'P-50');
+  });
+
+  it('returns a short last page and an empty page past the end', () => {
+    assert.deepEqual(ids(run({ sort: 'id', page: '3', pageSize: '25' })), Array.from({ length: 10 }, (_, i) => `P-${i + 51}`));
+    assert.deepEqual(run({ page: '4', pageSize: '25' }).parcels, []);
+  });
+
+  it('returns every match when not paged', () => {
+    assert.equal(run({ status: 'Verified' }).parcels.length, 20);
+  });
+
+  it('pages a filtered list by the filtered total', () => {
+    const result = run({ status: 'Flagged,Pending', sort: 'id', page: '2', pageSize: '25' });
+    assert.equal(result.total, 40);
+    assert.equal(result.parcels.length, 15);
+  });
+});
+
+describe('queryParcels sorting', () => {
+  it('compares ids with their numbers in numeric order', () => {
+    assert.deepEqual(ids(run({ sort: 'id', pageSize: '25' })).slice(0, 11), ['P-1', 'P-2', 'P-3', 'P-4', 'P-5', 'P-6', 'P-7', 'P-8', 'P-9', 'P-10', 'P-11']);
+  });
+
+  it('sorts area by hectares across units', () => {
+    const parcels = [parcel(1, { area: '2 km²' }), parcel(2, { area: '150 ha' }), parcel(3, { area: '9000 m²' })];
+    assert.deepEqual(ids(run({ sort: 'area', order: 'desc' }, parcels)), ['P-1', 'P-2', 'P-3']);
+  });
+
+  it('breaks ties by id so pages never overlap', () => {
+    const parcels = [parcel(3, { owner: 'Same' }), parcel(1, { owner: 'Same' }), parcel(2, { owner: 'Same' })];
+    assert.deepEqual(ids(run({ sort: 'owner', order: 'desc' }, parcels)), ['P-1', 'P-2', 'P-3']);
+  });
+});
+
+describe('queryParcels filters', () => {
+  it('searches id, owner, name and location case-insensitively', () => {
+    const parcels = [parcel(1, { location: 'Fresno, California' }), parcel(2), parcel(30, { owner: 'fresno growers' })];
+    assert.deepEqual(ids(run({ q: 'FRESNO' }, parcels)).sort(), ['P-1', 'P-30']);
+    assert.deepEqual(ids(run({ q: 'p-2' }, parcels)), ['P-2']);
+  });
+
+  it('combines the area range with the other filters', () => {
+    const result = run({ minHa: '10', maxHa: '20', status: 'Verified', sort: 'id' });
+    assert.deepEqual(ids(result), ['P-12', 'P-15', 'P-18']);
+  });
+
+  it('matches boundaries that intersect the box, and bare coordinates inside it', () => {
+    const parcels = [
+      parcel(1, { bbox: [9, 9, 11, 11] }),
+      parcel(2, { bbox: [20, 20, 21, 21] }),
+      parcel(3, { location: '10.5N, 10.5E' }),
+      parcel(4, { location: 'Nowhere in particular' })
+    ];
+    assert.deepEqual(ids(run({ bbox: '10,10,12,12', sort: 'id' }, parcels)), ['P-1', 'P-3']);
+  });
+
+  it('filters by registration date range, inclusive', () => {
+    const result = run({ from: '2024-01-02', to: '2024-01-03' });
+    assert.ok(result.parcels.every((record) => ['2024-01-02', '2024-01-03'].includes(record.createdAt.slice(0, 10))));
+    assert.equal(result.total, 6);
+  });
+});
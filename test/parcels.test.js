@@ -0,0 +1,137 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { square, startRegistryApi } from './registryApi.js';
+
+describe('parcel routes', () => {
+  let api;
+  let surveyor;
+
+  before(async () => {
+    api = await startRegistryApi();
+    surveyor = await api.signIn('surveyor');
+  });
+
+  after(() => api.close());
+
+  const list = (query = '') => api.request('GET', `/api/parcels${query}`, { token: surveyor });
+
+  it('always answers with one page and the totals', async () => {
+    const { body } = await list('?sort=id&order=asc&pageSize=25');
+    assert.deepEqual(body.parcels.map((parcel) => parcel.id), ['T-882190', 'T-882191', 'T-882192', 'T-882193', 'T-882194']);
+
+    const unpaged = await list();
+    assert.equal(unpaged.body.page, 1);
+    assert.equal(unpaged.body.pageSize, 25);
+    assert.equal(unpaged.body.registryTotal, 5);
+  });
+
+  it('rejects list parameters the table never sends', async () => {
+    const response = await list('?pageSize=7&sort=hash&page=0');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors.length, 3);
+  });
+
+  it('summarizes a date range for the dashboard without listing parcels', async () => {
+    const { body } = await api.request('GET', '/api/parcels/summary?from=2023-11-01&to=2023-11-30', { token: surveyor });
+    assert.equal(body.summary.parcelCount, 3);
+    assert.deepEqual(body.summary.byStatus, { Verified: 2, Pending: 1, Flagged: 0 });
+    assert.equal(body.summary.monthly.length, 1);
+    assert.deepEqual(body.regions, ['34°N 118°W', '35°N 119°W']);
+    assert.equal((await api.request('GET', '/api/parcels/summary?to=soon', { token: surveyor })).status, 400);
+  });
+
+  it('answers 400 to bodies that are not JSON objects', async () => {
+    for (const rawBody of ['null', '5', '[]', '"text"', '{broken']) {
+      const response = await api.request('POST', '/api/parcels', { token: surveyor, rawBody });
+      assert.equal(response.status, 400, rawBody);
+    }
+  });
+
+  it('type-checks the image address and stored statistics', async () => {
+    const patch = (body) => api.request('PATCH', '/api/parcels/T-882192', { token: surveyor, body });
+    assert.equal((await patch({ imageUrl: 5 })).status, 400);
+    assert.equal((await patch({ analysis: { stats: { NDVI: { mean: 'high' } } } })).status, 400);
+    assert.equal((await patch({ analysis: { stats: [] } })).status, 400);
+
+    const stats = { NDVI: { mean: 0.4, min: 0.1, max: 0.7, stdDev: 0.1 } };
+    const saved = await patch({ imageUrl: 'https://example.org/a.png', analysis: { stats } });
+    assert.equal(saved.status, 200, saved.text);
+    assert.deepEqual(saved.body.analysis.stats, stats);
+  });
+
+  it('rejects rings that are not closed polygons with an area', async () => {
+    const register = (coordinates) => api.request('POST', '/api/parcels', {
+      token: surveyor,
+      body: { name: 'Bad', owner: 'Ada', geometry: { type: 'Polygon', coordinates } }
+    });
+    const outer = square(30, 30, 0.01).coordinates[0];
+
+    const onePointHole = await register([outer, [[30.001, 30.001]]]);
+    assert.equal(onePointHole.status, 400);
+    assert.match(onePointHole.body.detail, /geometry hole 1 needs at least three distinct vertices/);
+    const collinear = await register([[[0, 0], [1, 1], [2, 2]]]);
+    assert.equal(collinear.status, 400);
+    assert.match(collinear.body.detail, /must enclose an area/);
+    assert.equal((await register([[[0, 0], [1, 1], [0, 0], [1, 1]]])).status, 400);
+  });
+
+  it('leaves holes out of the area and clears it with the boundary', async () => {
+    const outer = square(20, 20, 0.01).coordinates[0];
+    const hole = square(20.0025, 20.0025, 0.005).coordinates[0];
+    const solid = await api.request('POST', '/api/parcels', { token: surveyor, body: { name: 'S', owner: 'Ada', geometry: { type: 'Polygon', coordinates: [outer] } } });
+    const holed = await api.request('PATCH', `/api/parcels/${solid.body.id}`, {
+      token: surveyor,
+      body: { geometry: { type: 'Polygon', coordinates: [outer, hole] } }
+    });
+    assert.equal(holed.status, 200, holed.text);
+    assert.ok(Math.abs(holed.body.areaSqMeters / solid.body.areaSqMeters - 0.75) < 0.001);
+
+    const cleared = await api.request('PATCH', `/api/parcels/${solid.body.id}`, { token: surveyor, body: { geometry: null } });
+    assert.equal(cleared.body.areaSqMeters, null);
+    assert.equal(cleared.body.area, '');
+  });
+
+  it('answers 400 to a malformed escape in the path', async () => {
+    assert.equal((await api.request('GET', '/api/parcels/%E0', { token: surveyor })).status, 400);
+  });
+
+  it('checks a stored report as strictly as a model answer and drops unknown fields', async () => {
+    const stats = { NDVI: { mean: 0.4, min: 0.1, max: 0.7, stdDev: 0.1 } };
+    const report = {
+      suitabilityScore: 70,
+      landUse: 'Cropland',
+      cropRecommendations: ['Maize'],
+      risks: [],
+      soilTypeEstimation: 'Loam',
+      summary: 'Mean NDVI of 0.4 shows moderate crop cover.',
+      provider: 'stub',
+      model: 'stub-1',
+      provenance: { provider: 'stub', model: 'stub-1', generatedAt: '2024-05-01T00:00:00.000Z' }
+    };
+    const patch = (changes) => api.request('PATCH', '/api/parcels/T-882193', {
+      token: surveyor,
+      body: { analysis: { stats, report: { ...report, ...changes } } }
+    });
+
+    const outOfRange = await patch({ suitabilityScore: 250 });
+    assert.equal(outOfRange.status, 400);
+    assert.deepEqual(outOfRange.body.errors, ['analysis.report.suitabilityScore 250 is outside 0-100']);
+    assert.equal((await patch({ summary: 'Looks fine.' })).status, 400);
+    assert.equal((await patch({ provider: 'oracle' })).status, 400);
+
+    const saved = await patch({ verdict: 'approved', provenance: { ...report.provenance, signedOffBy: 'me' } });
+    assert.equal(saved.status, 200, saved.text);
+    assert.equal('verdict' in saved.body.analysis.report, false);
+    assert.equal('signedOffBy' in saved.body.analysis.report.provenance, false);
+  });
+
+  it('flags a registration that overlaps a registered boundary', async () => {
+    const first = await api.request('POST', '/api/parcels', { token: surveyor, body: { name: 'A', owner: 'Ada', geometry: square(5, 5, 0.01) } });
+    assert.equal(first.body.status, 'Pending');
+
+    const overlapping = await api.request('POST', '/api/parcels', { token: surveyor, body: { name: 'B', owner: 'Bo', geometry: square(5.005, 5, 0.01) } });
+    assert.equal(overlapping.body.status, 'Flagged');
+    assert.equal(overlapping.body.conflicts[0].parcelId, first.body.id);
+    assert.match(overlapping.body.flagReason, /^Boundary overlaps registered parcel/);
+  });
+});
@@ -0,0 +1,61 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { square, startRegistryApi } from './registryApi.js';
+
+const PARCEL_ID = 'T-882190';
+
+const newParcel = { name: 'North Field', owner: 'Ada Farms', geometry: square(10, 10) };
+
+// [role, method, url, body, expected status]; null signs out.
+const CASES = [
+  [null, 'GET', '/api/parcels', undefined, 401],
+  ['public', 'GET', '/api/parcels', undefined, 403],
+  ['auditor', 'GET', '/api/parcels', undefined, 200],
+  ['auditor', 'POST', '/api/parcels', newParcel, 403],
+  ['auditor', 'PATCH', `/api/parcels/${PARCEL_ID}`, { name: 'Renamed' }, 403],
+  ['registrar', 'POST', '/api/parcels', newParcel, 403],
+  ['registrar', 'PATCH', `/api/parcels/${PARCEL_ID}`, { geometry: square(20, 20) }, 403],
+  ['registrar', 'PATCH', `/api/parcels/${PARCEL_ID}`, { status: 'Flagged', flagReason: 'Survey disputed' }, 200],
+  ['surveyor', 'PATCH', `/api/parcels/${PARCEL_ID}`, { status: 'Verified' }, 403],
+  ['surveyor', 'POST', '/api/parcels', { ...newParcel, status: 'Verified' }, 403],
+  ['surveyor', 'POST', '/api/parcels', newParcel, 201],
+  ['surveyor', 'POST', `/api/parcels/${PARCEL_ID}/transfers`, { buyer: 'River Co' }, 403],
+  ['auditor', 'POST', `/api/parcels/${PARCEL_ID}/transfers`, { buyer: 'River Co' }, 403],
+  ['registrar', 'POST', '/api/ai/analyze', { imageBase64: 'x', context: '', stats: {} }, 403],
+  ['surveyor', 'GET', '/api/audit', undefined, 403],
+  ['auditor', 'GET', '/api/audit', undefined, 200],
+  ['registrar', 'GET', '/api/audit', undefined, 200],
+  ['public', 'GET', '/api/parcels/export?format=csv', undefined, 403],
+  ['surveyor', 'GET', '/api/audit/export', undefined, 403]
+];
+
+describe('role permissions', () => {
+  let api;
+  const tokens = {};
+
+  before(async () => {
+    api = await startRegistryApi();
+    for (const role of ['registrar', 'surveyor', 'auditor', 'public']) tokens[role] = await api.signIn(role);
+  });
+
+  after(() => api.close());
+
+  CASES.forEach(([role, method, url, body, expected]) => {
+    it(`${method} ${url} as ${role || 'signed out'} answers ${expected}`, async () => {
+      const response = await api.request(method, url, { token: role && tokens[role], body });
+      assert.equal(response.status, expected, response.text);
+    });
+  });
+
+  it('keeps the owner out of parcel edits', async () => {
+    const response = await api.request('PATCH', `/api/parcels/${PARCEL_ID}`, { token: tokens.registrar, body: { owner: 'Someone Else' } });
+    assert.equal(response.status, 400);
+    assert.match(response.body.detail, /only change through an approved transfer/);
+  });
+
+  it('forgets a session on sign out', async () => {
+    const token = await api.signIn('auditor');
+    await api.request('POST', '/api/auth/logout', { token });
+    assert.equal((await api.request('GET', '/api/auth/me', { token })).status, 401);
+  });
+});
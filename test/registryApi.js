@@ -0,0 +1,64 @@
+// Starts the registry API on a throwaway store for the route tests.
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createStubProvider } from '../server/aiProviders.js';
+import { createRegistryServer } from '../server/app.js';
+
+export const PASSWORD = 'test-pass-1';
+
+/** A GeoJSON square `size` degrees wide with its south-west corner at lng, lat. */
+export const square = (lng, lat, size = 0.001) => ({
+  type: 'Polygon',
+  coordinates: [[[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]]]
+});
+
+/**
+ * `{ request, signIn, store, close }`. `request(method, url, { token, body, rawBody, headers })`
+ * resolves to `{ status, body, text, headers }`, with `body` null when the
+ * response is not JSON. Every seeded role can sign in with PASSWORD.
+ */
+export const startRegistryApi = async () => {
+  const directory = await mkdtemp(path.join(tmpdir(), 'registry-test-'));
+  const { server, store } = await createRegistryServer({
+    dataFile: path.join(directory, 'registry.json'),
+    aiProvider: createStubProvider(),
+    seedPassword: PASSWORD
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { token, body, rawBody, headers } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body !== undefined || rawBody !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: rawBody ?? (body !== undefined ? JSON.stringify(body) : undefined)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (_) {
+      // Exports answer with files.
+    }
+    return { status: response.status, body: json, text, headers: response.headers };
+  };
+
+  const signIn = async (username) => {
+    const { status, body } = await request('POST', '/api/auth/login', { body: { username, password: PASSWORD } });
+    if (status !== 200) throw new Error(`Sign in as ${username} failed with ${status}`);
+    return body.token;
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await rm(directory, { recursive: true, force: true });
+  };
+
+  return { request, signIn, store, close };
+};
@@ -0,0 +1,151 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUserRecord } from '../server/auth.js';
+import { PASSWORD, startRegistryApi } from './registryApi.js';
+
+const PARCEL_ID = 'T-882190'; // Seeded, owned by Green Valley Farms
+
+const saleTo = (buyer, transferDate = '2024-05-01') => ({
+  kind: 'sale',
+  buyer,
+  transferDate,
+  consideration: { amount: 250000, currency: 'USD' },
+  documents: [{ type: 'deed', reference: `DEED-${buyer}` }]
+});
+
+describe('ownership transfers', () => {
+  let api;
+  let registrar;
+  let approver;
+
+  beforeEach(async () => {
+    api = await startRegistryApi();
+    await api.store.update((data) => {
+      data.users.push(createUserRecord({ username: 'approver', name: 'Second Registrar', role: 'registrar', password: PASSWORD }));
+    });
+    registrar = await api.signIn('registrar');
+    approver = await api.signIn('approver');
+  });
+
+  afterEach(() => api.close());
+
+  const draft = async (fields) => {
+    const response = await api.request('POST', `/api/parcels/${PARCEL_ID}/transfers`, { token: registrar, body: fields });
+    assert.equal(response.status, 201, response.text);
+    return response.body;
+  };
+
+  // Approvals come from a second registrar, as the API requires.
+  const advance = (transferId, action, body, token = action === 'approve' ? approver : registrar) =>
+    api.request('POST', `/api/transfers/${transferId}/${action}`, { token, body: body || {} });
+
+  it('changes the owner only on approval and records it in the ledger and the chain of title', async () => {
+    const transfer = await draft(saleTo('River Co'));
+    assert.equal(transfer.status, 'draft');
+    assert.equal(transfer.seller, 'Green Valley Farms');
+
+    assert.equal((await advance(transfer.id, 'submit')).status, 200);
+    assert.equal((await api.request('GET', `/api/parcels/${PARCEL_ID}`, { token: registrar })).body.owner, 'Green Valley Farms');
+
+    const approved = await advance(transfer.id, 'approve');
+    assert.equal(approved.status, 200, approved.text);
+    assert.equal(approved.body.parcel.owner, 'River Co');
+
+    const { body: history } = await api.request('GET', `/api/parcels/${PARCEL_ID}/transfers`, { token: registrar });
+    assert.deepEqual(history.chainOfTitle.map((link) => [link.owner, link.acquiredBy]), [
+      ['Green Valley Farms', 'registration'],
+      ['River Co', 'sale']
+    ]);
+
+    const { body: ledger } = await api.request('GET', `/api/ledger?parcelId=${PARCEL_ID}&limit=1`, { token: registrar });
+    assert.equal(ledger.entries[0].type, 'OWNERSHIP_TRANSFERRED');
+    assert.equal(ledger.entries[0].transferId, transfer.id);
+    assert.equal((await api.request('GET', '/api/ledger/verify', { token: registrar })).body.valid, true);
+  });
+
+  it('rejects malformed draft fields without storing anything', async () => {
+    const created = await api.request('POST', `/api/parcels/${PARCEL_ID}/transfers`, {
+      token: registrar,
+      body: { kind: 'swap', buyer: 5, consideration: 'lots', documents: [{ type: 1 }] }
+    });
+    assert.equal(created.status, 400);
+    assert.equal(created.body.errors.length, 4);
+
+    const transfer = await draft({ buyer: 'River Co' });
+    const updated = await api.request('PATCH', `/api/transfers/${transfer.id}`, { token: registrar, body: { documents: null } });
+    assert.equal(updated.status, 400);
+
+    const { body: history } = await api.request('GET', `/api/parcels/${PARCEL_ID}/transfers`, { token: registrar });
+    assert.equal(history.transfers.length, 1);
+    assert.deepEqual(history.transfers[0].documents, []);
+  });
+
+  it('trims draft text fields', async () => {
+    const transfer = await draft({
+      buyer: '  River Co ',
+      consideration: { amount: 10, currency: ' USD ' },
+      documents: [{ type: ' deed ', reference: ' D-1 ' }]
+    });
+    assert.equal(transfer.buyer, 'River Co');
+    assert.equal(transfer.consideration.currency, 'USD');
+    assert.deepEqual(transfer.documents, [{ type: 'deed', reference: 'D-1' }]);
+  });
+
+  it('only submits complete drafts', async () => {
+    const transfer = await draft({ buyer: 'River Co' });
+    const submitted = await advance(transfer.id, 'submit');
+    assert.equal(submitted.status, 400);
+    assert.match(submitted.body.detail, /a sale needs a consideration/);
+    assert.match(submitted.body.detail, /at least one supporting document is required/);
+  });
+
+  it('enforces the draft, submitted and decided order', async () => {
+    const transfer = await draft(saleTo('River Co'));
+    assert.equal((await advance(transfer.id, 'approve')).status, 409);
+    await advance(transfer.id, 'submit');
+    assert.equal((await api.request('PATCH', `/api/transfers/${transfer.id}`, { token: registrar, body: { buyer: 'X' } })).status, 409);
+    assert.equal((await advance(transfer.id, 'reject', {})).status, 400);
+
+    const rejected = await advance(transfer.id, 'reject', { reason: 'Deed unsigned' });
+    assert.equal(rejected.body.status, 'rejected');
+    assert.equal((await advance(transfer.id, 'approve')).status, 409);
+  });
+
+  it('refuses a sale by someone who no longer owns the parcel', async () => {
+    const first = await draft(saleTo('River Co'));
+    const second = await draft(saleTo('Hill Ltd'));
+    await advance(first.id, 'submit');
+    await advance(second.id, 'submit');
+    assert.equal((await advance(first.id, 'approve')).status, 200);
+
+    const stale = await advance(second.id, 'approve');
+    assert.equal(stale.status, 409);
+    assert.match(stale.body.detail, /not the current owner/);
+  });
+
+  it('needs an approver other than whoever drafted or submitted the transfer', async () => {
+    const transfer = await draft(saleTo('River Co'));
+    await advance(transfer.id, 'submit');
+    const own = await advance(transfer.id, 'approve', {}, registrar);
+    assert.equal(own.status, 403);
+    assert.match(own.body.detail, /another registrar/);
+
+    const approved = await advance(transfer.id, 'approve');
+    assert.equal(approved.status, 200, approved.text);
+    assert.equal(approved.body.transfer.decidedBy, 'approver');
+  });
+
+  it('keeps the owner of a Flagged parcel', async () => {
+    const transfer = await draft(saleTo('River Co'));
+    await advance(transfer.id, 'submit');
+    await api.request('PATCH', `/api/parcels/${PARCEL_ID}`, { token: registrar, body: { status: 'Flagged', flagReason: 'Disputed' } });
+
+    const approved = await advance(transfer.id, 'approve');
+    assert.equal(approved.status, 409);
+    assert.match(approved.text, /Flagged \(Disputed\)/);
+    assert.equal((await api.request('GET', `/api/parcels/${PARCEL_ID}`, { token: registrar })).body.owner, 'Green Valley Farms');
+
+    const next = await draft(saleTo('Hill Ltd'));
+    assert.equal((await advance(next.id, 'submit')).status, 409);
+  });
+});
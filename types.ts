@@ -8,9 +8,171 @@ export interface LandParcel {
   hash: string; // Blockchain record hash
   imageUrl: string;
   lastAnalysis?: string;
+  flagReason?: string; // Why the parcel is Flagged, e.g. a change detection assessment
+  // Registry API fields; records carried over from the mock table have no geometry.
+  geometry?: { type: 'Polygon'; coordinates: [number, number][][] } | null;
+  areaSqMeters?: number | null; // Recomputed server-side from geometry
+  perimeterMeters?: number | null;
+  center?: LatLng | null;
+  bbox?: [number, number, number, number] | null;
+  analysis?: ParcelAnalysis | null;
+  conflicts?: BoundaryConflict[]; // Overlaps found when the geometry was last saved
+  registeredBy?: string; // Username of the surveyor who registered it
+  createdAt?: string;
+  updatedAt?: string;
 }
 
-export type LayerId = 'RGB' | 'NDVI' | 'EVI' | 'NDWI';
+export interface BoundaryConflict {
+  parcelId: string; // Registered parcel the boundary overlaps
+  overlapSqMeters: number;
+  overlapPercent: number; // Share of the checked parcel's own area
+  overlap: { type: 'MultiPolygon'; coordinates: [number, number][][][] };
+}
+
+export interface BoundaryImportRow {
+  index: number; // Feature position in the imported file
+  vertices: [number, number][]; // Open [lat, lng] ring; empty when not drawable
+  fields: { name: string; owner: string; location: string }; // From the attribute mapping
+  errors: string[];
+  warnings: string[]; // Dropped holes or altitude
+  geometryValid: boolean; // Usable as an explorer selection
+  valid: boolean; // Registrable as-is
+}
+
+export interface LedgerEntry {
+  index: number;
+  type: 'PARCEL_REGISTERED' | 'PARCEL_UPDATED' | 'OWNERSHIP_TRANSFERRED';
+  parcelId: string;
+  parcelHash: string; // LandParcel.hash after this transaction
+  changes: string[] | null; // Updated fields; null for registrations
+  transferId?: string; // Approved transfer behind an OWNERSHIP_TRANSFERRED entry
+  actor?: string; // Username behind the change; absent on entries from before accounts
+  summary: Pick<LandParcel, 'name' | 'owner' | 'location' | 'status'>;
+  timestamp: string;
+  prevHash: string; // Hash of entry index - 1, or all zeros for the first entry
+  hash: string; // SHA-256 of the canonical JSON of the fields above
+  signature?: string; // Base64 Ed25519 signature of `hash` by the registrar key
+  signer?: string; // Registrar key id
+}
+
+export interface ChainIssue {
+  index: number | null; // Ledger position, null when a parcel has no entry at all
+  parcelId: string;
+  type: LedgerEntry['type'] | null;
+  reason: string;
+}
+
+export interface ChainVerification {
+  valid: boolean;
+  length: number;
+  headHash: string;
+  signed: boolean;
+  checkedAt: string;
+  firstInvalid: ChainIssue | null;
+  issues: ChainIssue[];
+}
+
+export type TransferKind = 'sale' | 'inheritance' | 'gift';
+
+export interface OwnershipTransfer {
+  id: string;
+  parcelId: string;
+  kind: TransferKind;
+  seller: string; // Must be the parcel's owner when the transfer is approved
+  buyer: string;
+  transferDate: string; // YYYY-MM-DD
+  consideration: { amount: number; currency: string } | null; // Required for sales
+  documents: { type: string; reference: string }[];
+  status: 'draft' | 'submitted' | 'approved' | 'rejected';
+  createdBy?: string; // Usernames; absent on transfers from before accounts
+  submittedBy?: string | null;
+  decidedBy?: string | null;
+  createdAt: string;
+  updatedAt: string;
+  submittedAt: string | null;
+  decidedAt: string | null;
+  approvedAt: string | null;
+  rejectionReason: string | null;
+}
+
+export interface TitleLink {
+  owner: string;
+  from: string; // YYYY-MM-DD
+  to: string | null; // null for the current owner
+  acquiredBy: 'registration' | TransferKind;
+  transferId: string | null;
+  consideration: OwnershipTransfer['consideration'];
+}
+
+export interface CertificateCheck {
+  verdict: 'genuine' | 'superseded' | 'invalid';
+  parcelId: string;
+  certificateHash: string | null; // Hash printed on the certificate
+  currentHash: string;
+  matchesCurrent: boolean;
+  recordedAt: string | null; // When the certificate hash entered the ledger
+  ledgerIndex: number | null;
+  issues: ChainIssue[]; // Chain problems affecting this parcel
+  chainValid: boolean;
+  parcel: Pick<LandParcel, 'name' | 'owner' | 'location' | 'area' | 'status' | 'updatedAt'>;
+  checkedAt: string;
+}
+
+export interface ParcelAnalysis {
+  stats: Record<string, GeoStats> | null; // Keyed by index id
+  source: SceneSource | null;
+  classification: { label: string; confidence: number; reason: string } | null;
+  report: AnalysisResult | null;
+  change: Omit<ChangeDetectionResult, 'stats' | 'imageUrl' | 'bbox' | 'comparedHectares'> & { meanDelta: number } | null;
+}
+
+export interface AnalysisRun {
+  id: string; // AN-00001, ...
+  parcelId: string;
+  analyzedAt: string; // When the run was stored on the parcel
+  analyzedBy?: string | null; // Username; null for runs backfilled from stored reports
+  report: Omit<AnalysisResult, 'geoStats'>; // Full report, provenance included
+  geoStats: Record<string, GeoStats> | null;
+  source: SceneSource | null;
+  classification: ParcelAnalysis['classification'];
+  change: ParcelAnalysis['change'];
+}
+
+export type LatLng = [number, number];
+
+export interface ParcelSelection {
+  vertices: LatLng[]; // Open ring, [lat, lng] per vertex
+  bbox: [number, number, number, number]; // [minLng, minLat, maxLng, maxLat]
+  center: LatLng;
+  areaSqMeters: number; // Geodesic
+  perimeterMeters: number;
+}
+
+export type LayerId = 'RGB' | 'NDVI' | 'EVI' | 'NDWI' | 'NDMI' | 'SAVI' | 'NBR';
+
+export type SpectralBand = 'blue' | 'green' | 'red' | 'nir' | 'swir16' | 'swir22';
+
+export interface SpectralIndexDefinition {
+  id: Exclude<LayerId, 'RGB'>;
+  name: string;
+  description: string;
+  formula: string; // Human-readable
+  bands: SpectralBand[]; // Read in this order as b1, b2, ...
+  expression: (terms: Partial<Record<SpectralBand, string>>) => string; // TiTiler band math
+  range: [number, number] | null; // Bounds for reflectances in [0, 1]; null when unbounded
+  colors: string[];
+}
+
+export interface SceneSource {
+  provider: string;
+  sceneId: string;
+  acquiredAt: string | null;
+  cloudCover: number; // Scene-level eo:cloud_cover, %
+  tileId: string | null; // MGRS tile
+  bands: Partial<Record<SpectralBand, string>>; // Band -> STAC asset key
+  selectionMode: 'auto' | 'manual';
+  searchWindow: { startDate: string; endDate: string; maxCloud: number };
+}
 
 export interface LayerConfig {
   id: LayerId;
@@ -25,21 +187,128 @@ export interface GeoStats {
   mean: number;
   stdDev: number;
   histogram: { bin: string; count: number }[];
+  validPercent?: number | null; // Share of parcel pixels left after SCL masking; null when unmasked
+  validPixels?: number;
+  totalPixels?: number;
+  masked?: boolean;
+}
+
+export interface ChangeAssessment {
+  status: 'Flagged' | null; // Status the parcel would move to; null keeps the current one
+  significantLoss: boolean;
+  reason: string;
+}
+
+export interface ChangeDetectionResult {
+  indexId: LayerId;
+  before: { sceneId: string; acquiredAt: string; cloudCover: number };
+  after: { sceneId: string; acquiredAt: string; cloudCover: number };
+  threshold: number; // Minimum |Δ| counted as gain or loss
+  stats: GeoStats; // Distribution of Δ over pixels clear in both scenes
+  comparedPercent: number;
+  comparedHectares: number;
+  gainHectares: number;
+  lossHectares: number;
+  assessment: ChangeAssessment;
+  imageUrl: string; // PNG data URL over `bbox`
+  bbox: [number, number, number, number];
 }
 
 export interface AnalysisResult {
-  suitabilityScore: number;
+  suitabilityScore: number | null; // null when the rule engine could not classify the parcel
   landUse: string;
   cropRecommendations: string[];
   risks: string[];
   soilTypeEstimation: string;
   summary: string;
   geoStats?: Record<LayerId, GeoStats>;
+  provider?: 'gemini' | 'stub' | 'rules'; // Set by the AI API (server/ai.js) or services/ruleAnalyzer.js
+  model?: string;
+  cached?: boolean;
+  fallbackReason?: string; // Why the rule engine answered instead of the AI
+  classification?: { label: string; confidence: number; reason: string } | null; // Rule engine only
+  explanation?: { ruleId: string; effect: string; reason: string }[]; // Rules that fired, in order
+  provenance?: AnalysisProvenance; // Required when the report is stored on a parcel
+}
+
+export interface RegistryQueryFilters {
+  status?: LandParcel['status'];
+  owner?: string; // Substring matches, case-insensitive
+  name?: string;
+  location?: string;
+  landUse?: string;
+  minHectares?: number;
+  maxHectares?: number;
+  registeredAfter?: string; // YYYY-MM-DD, exclusive
+  registeredBefore?: string;
+  ndviTrend?: 'declining' | 'improving' | 'stable'; // From the stored NDVI change detection
+}
+
+export interface RegistryQueryAnswer {
+  question: string;
+  filters: RegistryQueryFilters; // search_parcels arguments chosen by the model
+  description: string[]; // One chip per filter
+  parcels: (Pick<LandParcel, 'id' | 'name' | 'owner' | 'location' | 'status' | 'geometry' | 'createdAt'> & {
+    hectares: number;
+    landUse: string;
+    ndviTrend: RegistryQueryFilters['ndviTrend'] | null;
+  })[];
+  total: number;
+  provider: string;
+  model: string;
+  cached: boolean; // The filter plan came from cache; rows are always read fresh
+}
+
+export interface AnalysisProvenance {
+  provider: 'gemini' | 'stub' | 'rules';
+  model: string;
+  promptVersion: string | null; // ANALYSIS_PROMPT_VERSION; null for the rule engine
+  statsHash: string | null; // sha256 of canonicalJson(stats); checked against ParcelAnalysis.stats on save
+  imageHash: string | null; // sha256 of the base64 image sent to the model
+  generatedAt: string;
+  attempts: number; // Model calls until the answer passed validation
 }
 
 export enum AppView {
   DASHBOARD = 'DASHBOARD',
   EXPLORER = 'EXPLORER',
   RECORDS = 'RECORDS',
-  SETTINGS = 'SETTINGS'
+  SETTINGS = 'SETTINGS',
+  AUDIT = 'AUDIT'
+}
+
+export type UserRole = 'registrar' | 'surveyor' | 'auditor' | 'public';
+
+export interface User {
+  username: string;
+  name: string;
+  role: UserRole; // Permissions per role: services/permissions.js
+}
+
+export interface AuthSession {
+  token: string; // Bearer token for the API; sessions live in API memory
+  expiresAt: string;
+  user: User;
+}
+
+// Action ids and labels: services/auditActions.js
+export type AuditAction =
+  | 'LOGIN' | 'LOGIN_FAILED' | 'LOGOUT'
+  | 'PARCEL_REGISTERED' | 'PARCEL_UPDATED' | 'PARCEL_STATUS_CHANGED'
+  | 'TRANSFER_DRAFTED' | 'TRANSFER_UPDATED' | 'TRANSFER_SUBMITTED' | 'TRANSFER_APPROVED' | 'TRANSFER_REJECTED'
+  | 'AI_ANALYSIS' | 'AI_QUERY'
+  | 'EXPORT';
+
+export interface AuditEvent {
+  id: string; // AU-000001
+  action: AuditAction;
+  actor: string | null; // Username; the name tried for LOGIN_FAILED
+  role: UserRole | null;
+  ip: string | null;
+  timestamp: string;
+  parcelId: string | null;
+  transferId: string | null;
+  before: Record<string, unknown> | null; // Changed fields only; geometry and analysis as digests
+  after: Record<string, unknown> | null;
+  details: Record<string, unknown> | null;
 }
@@ -1,14 +1,19 @@
 import path from 'path';
-import { defineConfig, loadEnv } from 'vite';
+import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
-export default defineConfig(({ mode }) => {
-    const env = loadEnv(mode, '.', '');
+export default defineConfig(() => {
     return {
       server: {
         port: 3000,
         host: '0.0.0.0',
         proxy: {
+          '/api': {
+            target: 'http://localhost:3001',
+            changeOrigin: true,
+            // The audit trail records the browser's address, not the proxy's.
+            xfwd: true
+          },
           '/earth-search': {
             target: 'https://earth-search.aws.element84.com/v1',
             changeOrigin: true,
@@ -30,10 +35,7 @@ export default defineConfig(({ mode }) => {
         }
       },
       plugins: [react()],
-      define: {
-        'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
-        'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY)
-      },
+      // GEMINI_API_KEY is read by the API server (npm run server) and must never be defined here.
       resolve: {
         alias: {
           '@': path.resolve(__dirname, '.'),